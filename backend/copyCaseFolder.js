@@ -1,5 +1,6 @@
 import { BlobServiceClient } from '@azure/storage-blob'
 import dotenv from 'dotenv'
+import { createContentUpdates } from './lib/cache/index.js'
 
 dotenv.config()
 
@@ -229,6 +230,14 @@ class CaseFolderCopier {
 
       this.stats.endTime = new Date()
 
+      // Avisar al servidor para que descarte las búsquedas en caché del caso
+      if (this.stats.filesCopied > 0) {
+        createContentUpdates({
+          file:
+            process.env.CONTENT_UPDATES_FILE || './data/content-updates.json',
+        }).record([caseNumber])
+      }
+
       // Mostrar resumen
       this.printSummary(caseNumber)
     } catch (error) {
@@ -0,0 +1,180 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * 🗄️ Retrieval caches
+ *
+ * - createLruCache(): LRU + TTL cache of search results, blob path lookups
+ *   and case metadata, each entry tagged with the case it belongs to so new
+ *   content for a case drops only that case's entries
+ * - createContentUpdates(): small JSON file ({ caseNumber: ISO date }) where
+ *   the sync jobs (separate processes) record the cases that got new
+ *   content, and the server reads to invalidate its caches
+ */
+
+/**
+ * Cache key of a search: normalized query + case filter + options
+ */
+export function searchCacheKey(query, { cases = null, ...options } = {}) {
+  const sortKeys = (value) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(
+          Object.keys(value)
+            .sort()
+            .filter((key) => value[key] !== undefined)
+            .map((key) => [key, sortKeys(value[key])])
+        )
+      : value
+
+  return JSON.stringify([
+    String(query || '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim(),
+    cases ? [...cases].map(String).sort() : '*',
+    sortKeys(options),
+  ])
+}
+
+/**
+ * 🧠 LRU cache with expiry that shares in-flight loads
+ * - maxEntries: least recently used entries are evicted beyond this
+ * - ttlMs: lifetime of an entry
+ *
+ * get(key, load, { cases, refresh }) -> cached value or load(); `cases`
+ * are the cases the value depends on (null = any case, e.g. admin searches
+ * and lookups that found nothing), or a function of the loaded value;
+ * `refresh` reloads even when the entry is still fresh
+ */
+export function createLruCache({ maxEntries = 500, ttlMs = 10 * 60 * 1000 }) {
+  const entries = new Map()
+  const counters = { hits: 0, misses: 0, evictions: 0, invalidations: 0 }
+
+  const toSet = (cases) => (cases ? new Set(cases.map(String)) : null)
+
+  return {
+    async get(key, load, { cases = null, refresh = false } = {}) {
+      const entry = entries.get(key)
+      if (!refresh && entry && entry.expiresAt > Date.now()) {
+        counters.hits++
+        // Al final del Map = usado más recientemente
+        entries.delete(key)
+        entries.set(key, entry)
+        return entry.value
+      }
+
+      counters.misses++
+      entries.delete(key)
+      const value = Promise.resolve().then(load)
+      const created = {
+        value,
+        cases: typeof cases === 'function' ? null : toSet(cases),
+        expiresAt: Date.now() + ttlMs,
+      }
+      entries.set(key, created)
+      value.then(
+        (loaded) => {
+          if (typeof cases === 'function') created.cases = toSet(cases(loaded))
+        },
+        // Los errores no se quedan en caché
+        () => {
+          if (entries.get(key) === created) entries.delete(key)
+        }
+      )
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+        counters.evictions++
+      }
+      return value
+    },
+
+    /**
+     * Drop the entries that depend on any of `caseNumbers` (and those not
+     * tied to a case); every entry when omitted
+     */
+    invalidate(caseNumbers) {
+      if (!caseNumbers) {
+        counters.invalidations += entries.size
+        entries.clear()
+        return
+      }
+
+      for (const [key, entry] of entries) {
+        if (!entry.cases || caseNumbers.some((c) => entry.cases.has(c))) {
+          entries.delete(key)
+          counters.invalidations++
+        }
+      }
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.misses
+      return {
+        size: entries.size,
+        maxEntries,
+        ttlSeconds: Math.round(ttlMs / 1000),
+        ...counters,
+        hitRate:
+          lookups > 0 ? Number((counters.hits / lookups).toFixed(3)) : null,
+      }
+    },
+  }
+}
+
+/**
+ * 📣 Content updates shared between the sync jobs and the server
+ * - file: JSON file { caseNumber: ISO date of the last new content }
+ */
+export function createContentUpdates({ file }) {
+  let lastMtime = 0
+  let updates = {}
+
+  function read() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch {
+      return {}
+    }
+  }
+
+  return {
+    file,
+
+    /**
+     * Record that `caseNumbers` got new or changed content (sync jobs)
+     */
+    record(caseNumbers) {
+      if (caseNumbers.length === 0) return
+      const now = new Date().toISOString()
+      const next = read()
+      for (const caseNumber of caseNumbers) next[String(caseNumber)] = now
+
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      const tmp = `${file}.${process.pid}.tmp`
+      fs.writeFileSync(tmp, JSON.stringify(next, null, 2))
+      fs.renameSync(tmp, file)
+    },
+
+    /**
+     * Cases updated after `since` (ISO date); only re-reads the file when
+     * it changed
+     */
+    changedSince(since) {
+      let mtime
+      try {
+        mtime = fs.statSync(file).mtimeMs
+      } catch {
+        return []
+      }
+      if (mtime !== lastMtime) {
+        lastMtime = mtime
+        updates = read()
+      }
+
+      return Object.entries(updates)
+        .filter(([, date]) => date > since)
+        .map(([caseNumber]) => caseNumber)
+    },
+  }
+}
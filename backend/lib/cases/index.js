@@ -0,0 +1,230 @@
+import { createLruCache } from '../cache/index.js'
+import { detectDocumentType } from '../retrieval/index.js'
+import { cleanNoteText, noteBlobPath } from '../smart-advocate/index.js'
+
+/**
+ * 🏛️ Case metadata for the dashboard
+ *
+ * Case records come from Smart Advocate (case/CaseInfo, the same call
+ * sync-notes.js makes) and are cached in memory for `ttlMs`, so opening the
+ * dashboard does not hit the API once per case every time. Entries are
+ * tagged with their case, so new content for a case drops only its own.
+ *
+ * getCase(caseNumber) -> { caseNumber, name, status, type, dates, found }
+ * getDashboard(caseNumber) -> case + { documents, latestNotes, staff }
+ */
+
+// La API no documenta los nombres de campo: se prueban las variantes vistas
+const INFO_FIELDS = {
+  name: ['caseName', 'name'],
+  status: ['caseStatus', 'status', 'caseStatusName'],
+  type: ['caseType', 'caseTypeName', 'caseGroup', 'type'],
+}
+
+const DATE_FIELDS = {
+  opened: ['openDate', 'dateOpened', 'caseOpenDate', 'createdDate'],
+  incident: ['incidentDate', 'dateOfIncident', 'accidentDate'],
+  statuteOfLimitations: ['statuteOfLimitations', 'solDate', 'statuteDate'],
+  closed: ['closedDate', 'dateClosed', 'caseClosedDate'],
+}
+
+const NOTE_PREVIEW_LENGTH = 300
+
+function pick(record, names) {
+  for (const name of names) {
+    const value = record?.[name]
+    if (value !== undefined && value !== null && value !== '') return value
+  }
+  return null
+}
+
+function toIsoDate(value) {
+  if (!value) return null
+  const date = new Date(value)
+  return isNaN(date) ? null : date.toISOString()
+}
+
+/**
+ * Map a raw CaseInfo record to the fields the UI shows
+ */
+export function normalizeCaseInfo(caseNumber, record) {
+  const dates = {}
+  for (const [key, names] of Object.entries(DATE_FIELDS)) {
+    dates[key] = toIsoDate(pick(record, names))
+  }
+
+  return {
+    caseNumber,
+    found: Boolean(record),
+    name: pick(record, INFO_FIELDS.name),
+    status: pick(record, INFO_FIELDS.status),
+    type: pick(record, INFO_FIELDS.type),
+    dates,
+  }
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  )
+  return results
+}
+
+/**
+ * 🗃️ Cached case metadata service
+ * - saClient: Smart Advocate client (case info, staff, notes)
+ * - containerClient: blob container, for document counts
+ */
+export function createCaseMetadataService({
+  saClient,
+  containerClient,
+  ttlMs = 15 * 60 * 1000,
+  maxEntries = 2000,
+  notesLimit = 5,
+  concurrency = 4,
+}) {
+  const infoCache = createLruCache({ maxEntries, ttlMs })
+  const dashboardCache = createLruCache({ maxEntries, ttlMs })
+
+  async function loadInfo(caseNumber) {
+    if (!saClient) return normalizeCaseInfo(caseNumber, null)
+    return normalizeCaseInfo(caseNumber, await saClient.getCaseInfo(caseNumber))
+  }
+
+  async function countDocuments(caseNumber) {
+    const counts = { total: 0, byType: {}, lastModified: null }
+    if (!containerClient) return counts
+
+    for await (const blob of containerClient.listBlobsFlat({
+      prefix: `${caseNumber}/`,
+    })) {
+      if (blob.name.endsWith('/')) continue
+      const type = detectDocumentType(blob.name)
+      counts.total++
+      counts.byType[type] = (counts.byType[type] || 0) + 1
+
+      const modified = toIsoDate(blob.properties?.lastModified)
+      if (
+        modified &&
+        (!counts.lastModified || modified > counts.lastModified)
+      ) {
+        counts.lastModified = modified
+      }
+    }
+    return counts
+  }
+
+  async function latestNotes(caseNumber) {
+    if (!saClient) return []
+
+    const notes = await saClient.getNotesByCaseNumber(caseNumber)
+    return notes
+      .sort(
+        (a, b) =>
+          new Date(b.noteDate || b.createdDate) -
+          new Date(a.noteDate || a.createdDate)
+      )
+      .slice(0, notesLimit)
+      .map((note) => {
+        const text = cleanNoteText(note.noteText)
+        return {
+          id: note.noteID,
+          date: toIsoDate(note.noteDate || note.createdDate),
+          subject: note.subject || null,
+          author: note.uniqueContactName || null,
+          type: note.noteTypeName || null,
+          text:
+            text.length > NOTE_PREVIEW_LENGTH
+              ? `${text.slice(0, NOTE_PREVIEW_LENGTH)}…`
+              : text,
+          blobPath: noteBlobPath(note, caseNumber),
+        }
+      })
+  }
+
+  async function loadDashboard(caseNumber, options) {
+    // Cada parte es independiente: si una falla, el resto se muestra igual
+    const [info, documents, notes, staff] = await Promise.allSettled([
+      getCase(caseNumber, options),
+      countDocuments(caseNumber),
+      latestNotes(caseNumber),
+      saClient ? saClient.getCaseStaff(caseNumber) : Promise.resolve([]),
+    ])
+
+    const errors = [info, documents, notes, staff]
+      .filter((result) => result.status === 'rejected')
+      .map((result) => result.reason?.message || String(result.reason))
+
+    return {
+      ...(info.value || normalizeCaseInfo(caseNumber, null)),
+      documents: documents.value || null,
+      latestNotes: notes.value || [],
+      staff: (staff.value || []).map((s) => ({
+        name: `${s.firstName || ''} ${s.lastName || ''}`.trim(),
+        role: s.role || null,
+      })),
+      errors,
+      updatedAt: new Date().toISOString(),
+    }
+  }
+
+  function getCase(caseNumber, { refresh = false } = {}) {
+    return infoCache.get(caseNumber, () => loadInfo(caseNumber), {
+      cases: [caseNumber],
+      refresh,
+    })
+  }
+
+  return {
+    getCase,
+
+    /**
+     * Case records for several cases; a failing case comes back with
+     * `error` instead of failing the whole list
+     */
+    getCases(caseNumbers, { refresh = false } = {}) {
+      return mapWithConcurrency(caseNumbers, concurrency, (caseNumber) =>
+        getCase(caseNumber, { refresh }).catch((error) => ({
+          ...normalizeCaseInfo(caseNumber, null),
+          error: error.message,
+        }))
+      )
+    },
+
+    getDashboard(caseNumber, { refresh = false } = {}) {
+      return dashboardCache.get(
+        caseNumber,
+        () => loadDashboard(caseNumber, { refresh }),
+        { cases: [caseNumber], refresh }
+      )
+    },
+
+    /**
+     * Drop cached data for some cases (a case number or a list), or every
+     * case when omitted
+     */
+    invalidate(caseNumbers) {
+      const list =
+        caseNumbers == null ? undefined : [caseNumbers].flat().map(String)
+      infoCache.invalidate(list)
+      dashboardCache.invalidate(list)
+    },
+
+    stats() {
+      return {
+        cases: infoCache.stats(),
+        dashboards: dashboardCache.stats(),
+      }
+    },
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * 📎 Inline citations
+ *
+ * Every chunk returned by the search tool is registered as a numbered
+ * source ("Source: [n]") and the agent cites facts with those markers.
+ * Once the answer is complete, only the sources it actually referenced
+ * are kept and renumbered 1..n in order of first appearance.
+ */
+
+// [3] or [1, 4] — but not markdown links like [1](...)
+const MARKER_PATTERN = /([ \t]*)\[(\d+(?:\s*[,;]\s*\d+)*)\](?!\()/g
+
+// Marcadores nativos de Azure Agents (file search)
+const NATIVE_MARKER_PATTERN = /【[^】]*】/g
+
+/**
+ * Keeps the numbered sources retrieved during one agent turn
+ */
+export function createSourceRegistry() {
+  const sources = []
+  const byKey = new Map()
+
+  return {
+    /**
+     * Register a retrieved chunk and return its source number.
+     * The same chunk retrieved twice keeps its first number.
+     */
+    add(chunk) {
+      const key = chunk.id || `${chunk.blobPath}::${chunk.content}`
+      if (byKey.has(key)) return byKey.get(key).number
+
+      const source = { ...chunk, number: sources.length + 1 }
+      sources.push(source)
+      byKey.set(key, source)
+      return source.number
+    },
+
+    get(number) {
+      return sources[number - 1] || null
+    },
+
+    list() {
+      return [...sources]
+    },
+
+    get size() {
+      return sources.length
+    },
+  }
+}
+
+/**
+ * Keep only the sources referenced by `text`, renumber them in order of
+ * appearance and rewrite the markers. Markers pointing to unknown sources
+ * are removed.
+ *
+ * Returns { message, citations }
+ */
+export function resolveCitations(text, registry) {
+  const renumbered = new Map() // número original -> nuevo
+  const citations = []
+
+  const message = String(text || '')
+    .replace(NATIVE_MARKER_PATTERN, '')
+    .replace(MARKER_PATTERN, (_, space, group) => {
+      const markers = group
+        .split(/[,;]/)
+        .map((n) => Number(n.trim()))
+        .filter((n) => {
+          if (renumbered.has(n)) return true
+          const source = registry.get(n)
+          if (!source) return false
+
+          renumbered.set(n, citations.length + 1)
+          citations.push({
+            number: citations.length + 1,
+            title: source.title,
+            blobPath: source.blobPath,
+            content: source.content,
+            chunk: source.content,
+            case: source.case,
+            chunkId: source.id || null,
+          })
+          return true
+        })
+        .map((n) => `[${renumbered.get(n)}]`)
+
+      // Un marcador sin fuentes válidas desaparece junto con su espacio
+      return markers.length ? space + [...new Set(markers)].join('') : ''
+    })
+    .trim()
+
+  return { message, citations }
+}
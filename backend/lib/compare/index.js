@@ -0,0 +1,127 @@
+/**
+ * ⚖️ Document comparison
+ *
+ * Sends the indexed text of two documents (usually two versions of the same
+ * report or letter) to the LLM provider and returns the factual
+ * differences between them.
+ *
+ * Result: { summary, differences: [{ category, description, left, right }],
+ *   truncated }
+ * - category: 'date' | 'amount' | 'name' | 'other'
+ * - left / right: the value found in each document ('' when absent)
+ */
+
+// Texto de cada documento enviado al modelo
+const MAX_DOCUMENT_CHARS = 20000
+const MAX_DIFFERENCES = 30
+const MAX_FIELD_LENGTH = 400
+
+const CATEGORIES = new Set(['date', 'amount', 'name', 'other'])
+
+const COMPARE_SYSTEM_PROMPT = `You compare two documents for the attorneys of a law firm, usually two versions of the same medical report, bill or letter.
+List the FACTUAL differences between them: dates, amounts, names, diagnoses, figures, obligations, facts present in only one of them. Ignore formatting, wording and layout changes that do not change a fact.
+Answer ONLY with a JSON object, no prose:
+{"summary": "one or two sentences on how the documents relate", "differences": [{"category": "date" | "amount" | "name" | "other", "description": "what differs", "left": "value in document A, or empty", "right": "value in document B, or empty"}]}
+Use only the text provided. Return an empty differences list when the facts are the same.`
+
+function clip(value) {
+  const text = String(value ?? '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  return text.length > MAX_FIELD_LENGTH
+    ? `${text.slice(0, MAX_FIELD_LENGTH - 1)}…`
+    : text
+}
+
+/**
+ * Parse the model answer; throws when it is not a comparison
+ */
+export function parseComparisonAnswer(answer) {
+  const text = String(answer || '')
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+
+  let parsed = null
+  if (start !== -1 && end > start) {
+    try {
+      parsed = JSON.parse(text.slice(start, end + 1))
+    } catch {
+      parsed = null
+    }
+  }
+
+  if (!parsed || !Array.isArray(parsed.differences)) {
+    throw new Error('The model did not return a comparison')
+  }
+
+  return {
+    summary: clip(parsed.summary),
+    differences: parsed.differences
+      .map((item) => ({
+        category: CATEGORIES.has(item?.category) ? item.category : 'other',
+        description: clip(item?.description),
+        left: clip(item?.left),
+        right: clip(item?.right),
+      }))
+      .filter((item) => item.description)
+      .slice(0, MAX_DIFFERENCES),
+  }
+}
+
+/**
+ * 🧠 Document comparer
+ * - provider: agent provider (uses complete())
+ * - retrieval: retrieval backend (getDocumentChunks)
+ */
+export function createDocumentComparer({ provider, retrieval }) {
+  async function documentText(blobPath) {
+    const chunks = await retrieval.getDocumentChunks(blobPath)
+    const text = chunks.map((chunk) => chunk.content || '').join('\n')
+    if (!text.trim()) {
+      const error = new Error(
+        `Document has no indexed text to compare: ${blobPath.split('/').pop()}`
+      )
+      error.status = 409
+      throw error
+    }
+    return text
+  }
+
+  return {
+    /**
+     * Factual differences between two documents ({ blobPath } each,
+     * already authorized by the caller)
+     */
+    async compare(left, right) {
+      if (!provider || !retrieval) {
+        throw new Error('Comparison needs an agent provider and a search index')
+      }
+
+      const [leftText, rightText] = await Promise.all([
+        documentText(left.blobPath),
+        documentText(right.blobPath),
+      ])
+
+      const answer = await provider.complete({
+        system: COMPARE_SYSTEM_PROMPT,
+        prompt: `Document A: ${left.blobPath.split('/').pop()}
+"""
+${leftText.slice(0, MAX_DOCUMENT_CHARS)}
+"""
+
+Document B: ${right.blobPath.split('/').pop()}
+"""
+${rightText.slice(0, MAX_DOCUMENT_CHARS)}
+"""`,
+        timeoutMs: 2 * 60 * 1000,
+      })
+
+      return {
+        ...parseComparisonAnswer(answer),
+        truncated:
+          leftText.length > MAX_DOCUMENT_CHARS ||
+          rightText.length > MAX_DOCUMENT_CHARS,
+      }
+    },
+  }
+}
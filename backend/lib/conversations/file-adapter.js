@@ -0,0 +1,46 @@
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+
+/**
+ * 💾 File-backed conversation adapter
+ * Stores one JSON file per user inside `directory`. Writes go through a
+ * temp file + rename so a crash never leaves a half-written history.
+ */
+export function createFileAdapter({ directory }) {
+  const fileFor = (userId) => {
+    const key = crypto
+      .createHash('sha256')
+      .update(String(userId).toLowerCase())
+      .digest('hex')
+      .slice(0, 32)
+    return path.join(directory, `${key}.json`)
+  }
+
+  return {
+    name: 'file',
+
+    async load(userId) {
+      try {
+        const raw = await fs.readFile(fileFor(userId), 'utf-8')
+        const data = JSON.parse(raw)
+        return Array.isArray(data.conversations) ? data.conversations : []
+      } catch (error) {
+        if (error.code === 'ENOENT') return []
+        throw error
+      }
+    },
+
+    async save(userId, conversations) {
+      await fs.mkdir(directory, { recursive: true })
+      const file = fileFor(userId)
+      const tmpFile = `${file}.${process.pid}.tmp`
+      await fs.writeFile(
+        tmpFile,
+        JSON.stringify({ userId, conversations }, null, 2),
+        'utf-8'
+      )
+      await fs.rename(tmpFile, file)
+    },
+  }
+}
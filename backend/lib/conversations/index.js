@@ -0,0 +1,177 @@
+import crypto from 'crypto'
+import { createFileAdapter } from './file-adapter.js'
+import { createMemoryAdapter } from './memory-adapter.js'
+
+export { createFileAdapter, createMemoryAdapter }
+
+const DEFAULT_TITLE = 'New conversation'
+const MAX_TITLE_LENGTH = 80
+
+/**
+ * ✂️ Build a conversation title from the first question
+ */
+export function titleFromMessage(message) {
+  const clean = String(message || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  if (!clean) return DEFAULT_TITLE
+  return clean.length > MAX_TITLE_LENGTH
+    ? `${clean.slice(0, MAX_TITLE_LENGTH - 1)}…`
+    : clean
+}
+
+function toSummary(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    cases: conversation.cases || [],
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    messageCount: conversation.messages.length,
+  }
+}
+
+/**
+ * 🗂️ Conversation store
+ *
+ * Persists every user's conversations through a pluggable adapter. An
+ * adapter only needs two async methods:
+ * - load(userId) -> conversations[]
+ * - save(userId, conversations)
+ *
+ * Operations for the same user are serialized, so concurrent requests
+ * never overwrite each other's changes.
+ */
+export function createConversationStore({ adapter }) {
+  const locks = new Map() // userId -> Promise
+
+  const withUser = (userId, fn) => {
+    const previous = locks.get(userId) || Promise.resolve()
+    const next = previous.catch(() => {}).then(fn)
+    const settled = next.catch(() => {})
+    locks.set(userId, settled)
+    settled.then(() => {
+      if (locks.get(userId) === settled) locks.delete(userId)
+    })
+    return next
+  }
+
+  const mutate = (userId, id, fn) =>
+    withUser(userId, async () => {
+      const conversations = await adapter.load(userId)
+      const conversation = conversations.find((c) => c.id === id)
+      if (!conversation) return null
+
+      fn(conversation)
+      conversation.updatedAt = new Date().toISOString()
+
+      await adapter.save(userId, conversations)
+      return conversation
+    })
+
+  return {
+    adapter: adapter.name,
+
+    async list(userId) {
+      const conversations = await adapter.load(userId)
+      return conversations
+        .map(toSummary)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    },
+
+    async get(userId, id) {
+      const conversations = await adapter.load(userId)
+      return conversations.find((c) => c.id === id) || null
+    },
+
+    create(userId, { title, cases = [] } = {}) {
+      return withUser(userId, async () => {
+        const conversations = await adapter.load(userId)
+        const now = new Date().toISOString()
+        const conversation = {
+          id: crypto.randomUUID(),
+          title: title ? titleFromMessage(title) : DEFAULT_TITLE,
+          cases: [...cases],
+          threadId: null,
+          threadCases: [],
+          createdAt: now,
+          updatedAt: now,
+          messages: [],
+        }
+
+        conversations.push(conversation)
+        await adapter.save(userId, conversations)
+        return conversation
+      })
+    },
+
+    rename(userId, id, title) {
+      return mutate(userId, id, (conversation) => {
+        conversation.title = titleFromMessage(title)
+      })
+    },
+
+    setCases(userId, id, cases) {
+      return mutate(userId, id, (conversation) => {
+        conversation.cases = [...cases]
+      })
+    },
+
+    setThread(userId, id, threadId, threadCases = []) {
+      return mutate(userId, id, (conversation) => {
+        conversation.threadId = threadId
+        conversation.threadCases = [...threadCases]
+      })
+    },
+
+    appendMessages(userId, id, messages) {
+      return mutate(userId, id, (conversation) => {
+        const now = new Date().toISOString()
+        for (const message of messages) {
+          conversation.messages.push({ ...message, createdAt: now })
+        }
+        if (
+          conversation.title === DEFAULT_TITLE &&
+          messages[0]?.role === 'user'
+        ) {
+          conversation.title = titleFromMessage(messages[0].content)
+        }
+      })
+    },
+
+    remove(userId, id) {
+      return withUser(userId, async () => {
+        const conversations = await adapter.load(userId)
+        const index = conversations.findIndex((c) => c.id === id)
+        if (index === -1) return null
+
+        const [removed] = conversations.splice(index, 1)
+        await adapter.save(userId, conversations)
+        return removed
+      })
+    },
+  }
+}
+
+/**
+ * ⚙️ Create the conversation store configured through environment variables
+ * - CONVERSATION_STORE: 'file' (default) or 'memory'
+ * - CONVERSATION_STORE_DIR: directory for the file adapter
+ */
+export function createConversationStoreFromEnv(env = process.env) {
+  const type = (env.CONVERSATION_STORE || 'file').toLowerCase()
+
+  if (type === 'memory') {
+    return createConversationStore({ adapter: createMemoryAdapter() })
+  }
+
+  if (type !== 'file') {
+    throw new Error(`Unknown CONVERSATION_STORE "${type}"`)
+  }
+
+  return createConversationStore({
+    adapter: createFileAdapter({
+      directory: env.CONVERSATION_STORE_DIR || './data/conversations',
+    }),
+  })
+}
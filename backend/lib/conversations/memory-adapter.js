@@ -0,0 +1,20 @@
+/**
+ * 🧠 In-memory conversation adapter
+ * Useful for local development and tests - nothing survives a restart.
+ */
+export function createMemoryAdapter() {
+  const records = new Map() // userId -> conversations[]
+
+  return {
+    name: 'memory',
+
+    async load(userId) {
+      const conversations = records.get(userId) || []
+      return structuredClone(conversations)
+    },
+
+    async save(userId, conversations) {
+      records.set(userId, structuredClone(conversations))
+    },
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * 📥 Streaming of stored documents for /api/proxy
+ *
+ * Blobs are piped from storage to the browser without buffering them, one
+ * byte range at a time when the client asks for it, so large PDFs load
+ * page by page.
+ */
+
+/**
+ * 📏 Parse a single "bytes=start-end" Range header against the blob size
+ * - null: no usable range (serve the whole file)
+ * - { start, end }: inclusive byte range
+ * - { invalid: true }: unsatisfiable (416)
+ * Multiple ranges are not supported and fall back to the whole file.
+ */
+export function parseRangeHeader(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim())
+  if (!match || (!match[1] && !match[2])) return null
+
+  let start
+  let end
+
+  if (!match[1]) {
+    // Sufijo: los últimos N bytes
+    const suffix = Number(match[2])
+    if (suffix === 0) return { invalid: true }
+    start = Math.max(size - suffix, 0)
+    end = size - 1
+  } else {
+    start = Number(match[1])
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1
+  }
+
+  if (start >= size || start > end) return { invalid: true }
+  return { start, end }
+}
+
+/**
+ * Send a blob (or the byte range the request asks for) as the response:
+ * 200 with the whole file, 206 with Content-Range, or 416
+ * - properties: blob properties (contentLength, lastModified)
+ * - onAccess({ range, bytes }): called once per document opened (the whole
+ *   file or the first range; PDF viewers ask for many) to audit it
+ */
+export async function sendBlob(
+  req,
+  res,
+  { blobClient, properties, contentType, contentDisposition, onAccess }
+) {
+  const size = properties.contentLength
+  const range = req.headers.range
+    ? parseRangeHeader(req.headers.range, size)
+    : null
+
+  if (range?.invalid) {
+    res.setHeader('Content-Range', `bytes */${size}`)
+    return res.status(416).end()
+  }
+
+  const offset = range ? range.start : 0
+  const count = range ? range.end - range.start + 1 : size
+
+  res.status(range ? 206 : 200)
+  res.setHeader('Content-Type', contentType)
+  res.setHeader('Content-Length', count)
+  res.setHeader('Accept-Ranges', 'bytes')
+  res.setHeader('Content-Disposition', contentDisposition)
+  res.setHeader('Cache-Control', 'private, no-store')
+  if (properties.lastModified) {
+    res.setHeader('Last-Modified', properties.lastModified.toUTCString())
+  }
+  if (range) {
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`)
+  }
+
+  if (onAccess && (!range || range.start === 0)) {
+    onAccess({ range, bytes: count })
+  }
+
+  if (req.method === 'HEAD' || count === 0) {
+    return res.end()
+  }
+
+  const download = await blobClient.download(offset, count)
+  const stream = download.readableStreamBody
+
+  // Cortar la descarga del blob si el cliente cierra la conexión
+  req.on('close', () => stream.destroy())
+  stream.on('error', (error) => {
+    console.error('❌ Error streaming document:', error.message)
+    res.destroy(error)
+  })
+  stream.pipe(res)
+}
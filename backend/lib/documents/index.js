@@ -0,0 +1,152 @@
+import path from 'path'
+import { detectDocumentType } from '../retrieval/index.js'
+import { authorizeCaseNumber } from '../security/index.js'
+
+export { parseRangeHeader, sendBlob } from './blob-stream.js'
+
+/**
+ * 🗂️ Case document browser
+ *
+ * Blob storage is flat ({case}/folder/.../file); the browser needs it as a
+ * tree. Folder nodes: { type: 'folder', name, path, size, fileCount,
+ * children }. File nodes: { type: 'file', name, path, size, contentType,
+ * documentType, lastModified }. Paths are full blob paths ("2024-0012/notes");
+ * the root node is the case folder itself.
+ */
+
+// Carpetas que siempre se muestran aunque estén vacías
+const DEFAULT_FOLDERS = ['notes']
+
+/**
+ * Clean a folder path coming from the browser: no "..", no leading or
+ * trailing slashes, no empty segments. Returns '' for the case root.
+ */
+export function normalizeFolderPath(folder) {
+  return String(folder || '')
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter((segment) => segment && segment !== '.' && segment !== '..')
+    .join('/')
+}
+
+function folderNode(name, folderPath) {
+  return {
+    type: 'folder',
+    name,
+    path: folderPath,
+    size: 0,
+    fileCount: 0,
+    children: [],
+  }
+}
+
+function sortTree(node) {
+  node.children.sort((a, b) => {
+    if (a.type !== b.type) return a.type === 'folder' ? -1 : 1
+    return a.name.localeCompare(b.name, undefined, { numeric: true })
+  })
+  node.children.filter((c) => c.type === 'folder').forEach(sortTree)
+  return node
+}
+
+/**
+ * Build the folder tree of one case from `listBlobsFlat` items.
+ * - folder: optional subfolder (relative to the case) used as the root
+ */
+export function buildDocumentTree(caseNumber, blobs, { folder = '' } = {}) {
+  const relativeRoot = normalizeFolderPath(folder)
+  const rootPath = relativeRoot ? `${caseNumber}/${relativeRoot}` : caseNumber
+  const root = folderNode(path.posix.basename(rootPath), rootPath)
+  const folders = new Map([[rootPath, root]])
+
+  const ensureFolder = (folderPath) => {
+    if (folders.has(folderPath)) return folders.get(folderPath)
+    const parent = ensureFolder(path.posix.dirname(folderPath))
+    const node = folderNode(path.posix.basename(folderPath), folderPath)
+    parent.children.push(node)
+    folders.set(folderPath, node)
+    return node
+  }
+
+  if (!relativeRoot) {
+    DEFAULT_FOLDERS.forEach((name) => ensureFolder(`${caseNumber}/${name}`))
+  }
+
+  for (const blob of blobs) {
+    if (!blob.name.startsWith(`${rootPath}/`)) continue
+
+    // Marcadores de carpeta (cuentas con espacio de nombres jerárquico)
+    if (blob.name.endsWith('/')) {
+      ensureFolder(blob.name.replace(/\/+$/, ''))
+      continue
+    }
+
+    const size = blob.properties?.contentLength || 0
+    const parent = ensureFolder(path.posix.dirname(blob.name))
+    parent.children.push({
+      type: 'file',
+      name: path.posix.basename(blob.name),
+      path: blob.name,
+      size,
+      contentType: blob.properties?.contentType || null,
+      documentType: detectDocumentType(blob.name),
+      lastModified: blob.properties?.lastModified
+        ? new Date(blob.properties.lastModified).toISOString()
+        : null,
+    })
+
+    // Totales acumulados hacia arriba hasta la raíz
+    for (
+      let current = path.posix.dirname(blob.name);
+      folders.has(current);
+      current = path.posix.dirname(current)
+    ) {
+      const node = folders.get(current)
+      node.size += size
+      node.fileCount += 1
+      if (current === rootPath) break
+    }
+  }
+
+  return sortTree(root)
+}
+
+/**
+ * 🎯 Validate a question scope chosen in the document browser
+ * scope = { caseNumber, path, type: 'folder' | 'file' }
+ * Returns { scope: { caseNumber, type, path, pathPrefix } } or
+ * { error, status }. `pathPrefix` is what retrieval filters on: the folder
+ * path with a trailing slash, or the file path itself.
+ */
+export function resolveDocumentScope(scope, userCases) {
+  if (!scope || typeof scope !== 'object') {
+    return { error: 'Invalid document scope', status: 400 }
+  }
+
+  const access = authorizeCaseNumber(scope.caseNumber, userCases)
+  if (access.error) return { error: access.error, status: 403 }
+
+  const type = scope.type === 'file' ? 'file' : 'folder'
+  const scopePath = normalizeFolderPath(scope.path)
+  const caseNumber = access.caseNumber
+
+  // La ruta tiene que estar dentro de la carpeta del caso autorizado
+  if (scopePath !== caseNumber && !scopePath.startsWith(`${caseNumber}/`)) {
+    return {
+      error: `Path is outside case ${caseNumber}`,
+      status: 403,
+    }
+  }
+  if (type === 'file' && scopePath === caseNumber) {
+    return { error: 'Invalid document scope', status: 400 }
+  }
+
+  return {
+    scope: {
+      caseNumber,
+      type,
+      path: scopePath,
+      pathPrefix: type === 'folder' ? `${scopePath}/` : scopePath,
+    },
+  }
+}
@@ -0,0 +1,226 @@
+import MsgReaderModule from '@kenjiuno/msgreader'
+import { simpleParser } from 'mailparser'
+import sanitizeHtml from 'sanitize-html'
+
+// Paquete CommonJS: el constructor viene en .default
+const MsgReader = MsgReaderModule.default || MsgReaderModule
+
+/**
+ * 📧 Outlook (.msg / .oft) and MIME (.eml) email parsing for the preview panel
+ *
+ * parseEmail returns:
+ * { format, subject, from, to, cc, bcc, date, html, text, attachments }
+ * - from / to / cc / bcc: [{ name, address }]
+ * - html: sanitized HTML body (scripts, forms, remote images removed) or null
+ * - attachments: [{ index, filename, contentType, size, inline }]
+ */
+
+export const EMAIL_EXTENSIONS = ['msg', 'oft', 'eml']
+
+// Tope para no cargar en memoria correos enormes
+export const MAX_EMAIL_BYTES = 50 * 1024 * 1024
+
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    'img',
+    'font',
+    'center',
+    'span',
+  ]),
+  allowedAttributes: {
+    '*': ['style', 'align', 'valign', 'width', 'height', 'bgcolor', 'color'],
+    a: ['href', 'name', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    font: ['face', 'size', 'color'],
+    table: ['border', 'cellpadding', 'cellspacing'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  // Solo imágenes embebidas: las remotas sirven para rastrear la lectura
+  allowedSchemesByTag: { img: ['data'] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', {
+      target: '_blank',
+      rel: 'noopener noreferrer',
+    }),
+  },
+}
+
+export function sanitizeEmailHtml(html) {
+  return html ? sanitizeHtml(html, SANITIZE_OPTIONS) : null
+}
+
+function extensionOf(filename) {
+  return String(filename || '')
+    .split('.')
+    .pop()
+    .toLowerCase()
+}
+
+export function isEmailFile(filename) {
+  return EMAIL_EXTENSIONS.includes(extensionOf(filename))
+}
+
+// ===== .eml =====
+
+function mimeAddresses(field) {
+  const groups = Array.isArray(field) ? field : field ? [field] : []
+  return groups.flatMap((group) =>
+    (group.value || []).map((a) => ({
+      name: a.name || '',
+      address: a.address || '',
+    }))
+  )
+}
+
+async function parseEml(buffer) {
+  // keepCidLinks: false -> las imágenes inline pasan a data: URIs
+  const mail = await simpleParser(buffer, { keepCidLinks: false })
+
+  return {
+    subject: mail.subject || '',
+    from: mimeAddresses(mail.from),
+    to: mimeAddresses(mail.to),
+    cc: mimeAddresses(mail.cc),
+    bcc: mimeAddresses(mail.bcc),
+    date: mail.date ? mail.date.toISOString() : null,
+    html: sanitizeEmailHtml(mail.html || null),
+    text: mail.text || '',
+    attachments: (mail.attachments || []).map((a, index) => ({
+      index,
+      filename: a.filename || `attachment-${index + 1}`,
+      contentType: a.contentType || 'application/octet-stream',
+      size: a.size || (a.content ? a.content.length : 0),
+      inline: Boolean(a.related || a.contentDisposition === 'inline'),
+      content: a.content,
+    })),
+  }
+}
+
+// ===== .msg / .oft =====
+
+function msgReader(buffer) {
+  // MsgReader trabaja sobre un ArrayBuffer propio (sin offset del pool de Buffer)
+  const arrayBuffer = buffer.buffer.slice(
+    buffer.byteOffset,
+    buffer.byteOffset + buffer.byteLength
+  )
+  const reader = new MsgReader(arrayBuffer)
+  const data = reader.getFileData()
+
+  if (data.error) {
+    throw new Error(`Invalid Outlook message: ${data.error}`)
+  }
+  return { reader, data }
+}
+
+function msgAttachmentName(attachment, index) {
+  return (
+    attachment.fileName ||
+    attachment.fileNameShort ||
+    attachment.name ||
+    `attachment-${index + 1}${attachment.innerMsgContent ? '.msg' : ''}`
+  )
+}
+
+function msgHtmlBody(data, reader) {
+  let html = data.bodyHtml
+  if (!html && data.html) {
+    html = Buffer.from(data.html).toString('utf8')
+  }
+  if (!html) return null
+
+  // Sustituir cid: por las imágenes adjuntas (data: URIs)
+  ;(data.attachments || []).forEach((attachment, index) => {
+    if (!attachment.pidContentId || attachment.innerMsgContent) return
+    const cid = `cid:${attachment.pidContentId}`
+    if (!html.includes(cid)) return
+
+    const { content } = reader.getAttachment(index)
+    const type = attachment.attachMimeTag || 'application/octet-stream'
+    html = html
+      .split(cid)
+      .join(`data:${type};base64,${Buffer.from(content).toString('base64')}`)
+  })
+
+  return html
+}
+
+function parseMsg(buffer) {
+  const { reader, data } = msgReader(buffer)
+
+  const recipients = (type) =>
+    (data.recipients || [])
+      .filter((r) => (r.recipType || 'to') === type)
+      .map((r) => ({
+        name: r.name || '',
+        address: r.smtpAddress || r.email || '',
+      }))
+
+  return {
+    subject: data.subject || '',
+    from: [
+      {
+        name: data.senderName || '',
+        address: data.senderSmtpAddress || data.senderEmail || '',
+      },
+    ].filter((a) => a.name || a.address),
+    to: recipients('to'),
+    cc: recipients('cc'),
+    bcc: recipients('bcc'),
+    date: data.messageDeliveryTime || data.clientSubmitTime || null,
+    html: sanitizeEmailHtml(msgHtmlBody(data, reader)),
+    text: data.body || '',
+    attachments: (data.attachments || []).map((attachment, index) => ({
+      index,
+      filename: msgAttachmentName(attachment, index),
+      contentType: attachment.innerMsgContent
+        ? 'application/vnd.ms-outlook'
+        : attachment.attachMimeTag || 'application/octet-stream',
+      size: attachment.contentLength || 0,
+      inline: Boolean(attachment.pidContentId && !attachment.innerMsgContent),
+    })),
+    readAttachment: (index) => reader.getAttachment(index).content,
+  }
+}
+
+// ===== API =====
+
+async function parseAny(buffer, filename) {
+  return extensionOf(filename) === 'eml' ? parseEml(buffer) : parseMsg(buffer)
+}
+
+/**
+ * Parse an email file. `filename` picks the format (.eml vs .msg/.oft).
+ */
+export async function parseEmail(buffer, filename) {
+  const { readAttachment, ...email } = await parseAny(buffer, filename)
+  const date = email.date ? new Date(email.date) : null
+
+  return {
+    format: extensionOf(filename),
+    ...email,
+    date: date && !isNaN(date) ? date.toISOString() : null,
+    attachments: email.attachments.map(({ content, ...meta }) => meta),
+  }
+}
+
+/**
+ * Content of one attachment: { filename, contentType, content } or null
+ */
+export async function getEmailAttachment(buffer, filename, index) {
+  const email = await parseAny(buffer, filename)
+  const attachment = email.attachments[Number(index)]
+  if (!attachment) return null
+
+  const content = email.readAttachment
+    ? email.readAttachment(attachment.index)
+    : attachment.content
+
+  return {
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    content: Buffer.from(content),
+  }
+}
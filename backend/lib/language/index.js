@@ -0,0 +1,143 @@
+/**
+ * 🌐 Question / answer languages (English and Spanish)
+ *
+ * - detectLanguage(text): 'en' | 'es' guessed from accents and common words
+ * - queryLanguageFor(language): Azure AI Search queryLanguage code
+ * - createQueryTranslator(): moves search queries into the language of the
+ *   indexed documents so a Spanish question still matches English files
+ */
+
+export const LANGUAGES = {
+  en: { name: 'English', queryLanguage: 'en-us' },
+  es: { name: 'Spanish', queryLanguage: 'es-es' },
+}
+
+export const DEFAULT_LANGUAGE = 'en'
+
+// Palabras frecuentes que no existen (o casi) en el otro idioma
+const COMMON_WORDS = {
+  es: new Set([
+    'el', 'la', 'los', 'las', 'del', 'que', 'y', 'un', 'una', 'por', 'para',
+    'con', 'es', 'se', 'su', 'sus', 'al', 'lo', 'como', 'pero', 'este',
+    'esta', 'cuando', 'qué', 'cuál', 'cuándo', 'dónde', 'quién', 'cómo',
+    'fue', 'son', 'tiene', 'hay', 'sobre', 'caso', 'fecha', 'documentos',
+    'cliente', 'notas', 'accidente', 'dame', 'muestra', 'cuánto', 'cuántos',
+  ]),
+  en: new Set([
+    'the', 'of', 'and', 'to', 'is', 'was', 'for', 'on', 'that', 'with',
+    'by', 'at', 'from', 'what', 'when', 'where', 'who', 'which', 'how',
+    'are', 'were', 'has', 'have', 'did', 'does', 'this', 'case', 'date',
+    'documents', 'client', 'notes', 'accident', 'show', 'give', 'many',
+  ]),
+}
+
+const SPANISH_CHARACTERS = /[ñáéíóúü¿¡]/gi
+
+/**
+ * Normalize a language setting: 'en' / 'es' (also 'es-MX', 'Spanish'...),
+ * or null for 'auto' and unknown values
+ */
+export function normalizeLanguage(value) {
+  const code = String(value || '')
+    .trim()
+    .toLowerCase()
+  if (code.startsWith('es') || code === 'spanish' || code === 'español') {
+    return 'es'
+  }
+  if (code.startsWith('en') || code === 'english') return 'en'
+  return null
+}
+
+/**
+ * Guess the language of a question or query; `fallback` when there is not
+ * enough evidence (names, case numbers, single technical terms)
+ */
+export function detectLanguage(text, fallback = DEFAULT_LANGUAGE) {
+  const value = String(text || '').toLowerCase()
+  const score = { es: 0, en: 0 }
+
+  score.es += 2 * Math.min((value.match(SPANISH_CHARACTERS) || []).length, 3)
+
+  for (const word of value.match(/[a-zñáéíóúü]+/g) || []) {
+    if (COMMON_WORDS.es.has(word)) score.es++
+    if (COMMON_WORDS.en.has(word)) score.en++
+  }
+
+  if (score.es > score.en) return 'es'
+  if (score.en > score.es) return 'en'
+  return fallback
+}
+
+export function queryLanguageFor(language) {
+  return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).queryLanguage
+}
+
+export function languageName(language) {
+  return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).name
+}
+
+/**
+ * 🔁 Query translator
+ * - provider: agent provider (uses complete())
+ * - corpusLanguage: language of the indexed documents
+ * - enabled: when false queries are searched as written, with their own
+ *   queryLanguage
+ *
+ * prepare(query) -> { query, language, originalQuery, translatedFrom }
+ */
+export function createQueryTranslator({
+  provider,
+  corpusLanguage = DEFAULT_LANGUAGE,
+  enabled = true,
+  cacheSize = 500,
+}) {
+  const cache = new Map()
+
+  async function translate(query, from) {
+    const key = `${from}|${query}`
+    if (cache.has(key)) return cache.get(key)
+
+    const answer = await provider.complete({
+      system: `You translate search queries for a legal document search engine from ${languageName(
+        from
+      )} to ${languageName(corpusLanguage)}.
+Answer ONLY with the translated query, no quotes or explanations. Keep names, case numbers, dates and legal terms of art as they are.`,
+      prompt: query,
+      timeoutMs: 20 * 1000,
+    })
+    const translated = String(answer || '')
+      .split('\n')[0]
+      .replace(/^["'\s]+|["'\s]+$/g, '')
+    if (!translated) throw new Error('Empty translation')
+
+    // Caché acotada: se descarta la entrada más antigua
+    if (cache.size >= cacheSize) cache.delete(cache.keys().next().value)
+    cache.set(key, translated)
+    return translated
+  }
+
+  return {
+    corpusLanguage,
+    enabled,
+
+    async prepare(query) {
+      const language = detectLanguage(query, corpusLanguage)
+      if (language === corpusLanguage || !enabled || !provider) {
+        return { query, language, originalQuery: query, translatedFrom: null }
+      }
+
+      try {
+        return {
+          query: await translate(query, language),
+          language: corpusLanguage,
+          originalQuery: query,
+          translatedFrom: language,
+        }
+      } catch (error) {
+        // Sin traducción se busca igual, con el idioma de la consulta
+        console.warn(`   ⚠️  Query translation failed: ${error.message}`)
+        return { query, language, originalQuery: query, translatedFrom: null }
+      }
+    },
+  }
+}
@@ -0,0 +1,331 @@
+import { execFile } from 'child_process'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import ExcelJS from 'exceljs'
+import JSZip from 'jszip'
+import mammoth from 'mammoth'
+import sanitizeHtml from 'sanitize-html'
+
+/**
+ * 📝 Offline previews of Word, Excel and PowerPoint files
+ *
+ * Nothing leaves the server:
+ * - .docx -> HTML (mammoth), .xlsx -> HTML tables (exceljs),
+ *   .pptx -> one section per slide with its text and images (jszip)
+ * - .doc / .xls / .ppt -> PDF through a local LibreOffice, when configured
+ *
+ * The HTML is sanitized (no scripts, no remote resources) and meant to be
+ * served with a restrictive Content-Security-Policy inside a sandboxed
+ * iframe.
+ */
+
+export const OFFICE_EXTENSIONS = ['doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx']
+
+const HTML_CONVERTERS = {
+  docx: convertDocx,
+  xlsx: convertXlsx,
+  pptx: convertPptx,
+}
+
+// Tope para no cargar en memoria documentos enormes
+export const MAX_OFFICE_BYTES = 30 * 1024 * 1024
+
+const MAX_SHEET_ROWS = 2000
+const MAX_SHEET_COLUMNS = 100
+const MAX_SLIDE_IMAGE_BYTES = 2 * 1024 * 1024
+
+export const PREVIEW_CONTENT_SECURITY_POLICY =
+  "default-src 'none'; img-src data:; style-src 'unsafe-inline'"
+
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    'img',
+    'section',
+    'span',
+  ]),
+  allowedAttributes: {
+    '*': ['class', 'colspan', 'rowspan'],
+    a: ['href', 'name', 'title'],
+    img: ['src', 'alt', 'title'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  // Solo imágenes embebidas en el propio documento
+  allowedSchemesByTag: { img: ['data'] },
+  allowedClasses: { '*': ['slide', 'slide-title', 'sheet', 'truncated'] },
+}
+
+const PREVIEW_STYLES = `
+  body { font-family: Calibri, Arial, sans-serif; font-size: 14px; color: #111; margin: 24px; line-height: 1.45; }
+  img { max-width: 100%; height: auto; }
+  table { border-collapse: collapse; margin-bottom: 24px; }
+  td, th { border: 1px solid #d0d7de; padding: 2px 6px; vertical-align: top; white-space: pre-wrap; }
+  h2 { font-size: 16px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+  .slide { border: 1px solid #d0d7de; border-radius: 6px; padding: 16px; margin-bottom: 24px; }
+  .slide-title { color: #555; font-size: 12px; text-transform: uppercase; }
+  .truncated { color: #9a6700; font-style: italic; }
+`
+
+function extensionOf(filename) {
+  return String(filename || '')
+    .split('.')
+    .pop()
+    .toLowerCase()
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&')
+}
+
+function wrapHtml(title, body) {
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${PREVIEW_CONTENT_SECURITY_POLICY}">
+<title>${escapeHtml(title)}</title>
+<style>${PREVIEW_STYLES}</style>
+</head>
+<body>
+${sanitizeHtml(body, SANITIZE_OPTIONS)}
+</body>
+</html>`
+}
+
+// ===== Word =====
+
+async function convertDocx(buffer) {
+  // mammoth incrusta las imágenes como data: URIs
+  const result = await mammoth.convertToHtml({ buffer })
+  return result.value
+}
+
+// ===== Excel =====
+
+async function convertXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(buffer)
+
+  const sections = []
+
+  workbook.eachSheet((sheet) => {
+    if (sheet.state && sheet.state !== 'visible') return
+
+    const columns = Math.min(sheet.columnCount, MAX_SHEET_COLUMNS)
+    const rows = []
+
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      if (rows.length >= MAX_SHEET_ROWS) return
+      const cells = []
+      for (let col = 1; col <= columns; col++) {
+        cells.push(`<td>${escapeHtml(row.getCell(col).text)}</td>`)
+      }
+      rows.push(`<tr>${cells.join('')}</tr>`)
+    })
+
+    const truncated =
+      sheet.actualRowCount > MAX_SHEET_ROWS ||
+      sheet.columnCount > MAX_SHEET_COLUMNS
+        ? `<p class="truncated">Preview limited to ${MAX_SHEET_ROWS} rows and ${MAX_SHEET_COLUMNS} columns. Download the file to see everything.</p>`
+        : ''
+
+    sections.push(
+      `<section class="sheet"><h2>${escapeHtml(sheet.name)}</h2>${
+        rows.length > 0
+          ? `<table><tbody>${rows.join('')}</tbody></table>`
+          : '<p>(empty sheet)</p>'
+      }${truncated}</section>`
+    )
+  })
+
+  return sections.join('\n')
+}
+
+// ===== PowerPoint =====
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+}
+
+function slideParagraphs(xml) {
+  const paragraphs = []
+  for (const match of xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>/g)) {
+    const text = [...match[1].matchAll(/<a:t>([^<]*)<\/a:t>/g)]
+      .map((t) => decodeXml(t[1]))
+      .join('')
+    if (text.trim()) paragraphs.push(text)
+  }
+  return paragraphs
+}
+
+async function slideImages(zip, slideNumber) {
+  const rels = await zip
+    .file(`ppt/slides/_rels/slide${slideNumber}.xml.rels`)
+    ?.async('string')
+  if (!rels) return []
+
+  const images = []
+  for (const match of rels.matchAll(
+    /<Relationship [^>]*Type="[^"]*\/image"[^>]*Target="([^"]+)"/g
+  )) {
+    const target = path.posix.normalize(`ppt/slides/${match[1]}`)
+    const type = IMAGE_TYPES[extensionOf(target)]
+    const file = zip.file(target)
+    if (!type || !file) continue
+
+    const data = await file.async('nodebuffer')
+    if (data.length > MAX_SLIDE_IMAGE_BYTES) continue
+    images.push(`data:${type};base64,${data.toString('base64')}`)
+  }
+  return images
+}
+
+async function convertPptx(buffer) {
+  const zip = await JSZip.loadAsync(buffer)
+
+  const slideNumbers = Object.keys(zip.files)
+    .map((name) => name.match(/^ppt\/slides\/slide(\d+)\.xml$/))
+    .filter(Boolean)
+    .map((match) => Number(match[1]))
+    .sort((a, b) => a - b)
+
+  const sections = []
+  for (const number of slideNumbers) {
+    const xml = await zip.file(`ppt/slides/slide${number}.xml`).async('string')
+    const paragraphs = slideParagraphs(xml)
+    const images = await slideImages(zip, number)
+
+    const text = paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('')
+    const pictures = images.map((src) => `<img src="${src}">`).join('')
+
+    sections.push(
+      `<section class="slide"><p class="slide-title">Slide ${number}</p>${text}${pictures}</section>`
+    )
+  }
+
+  return sections.join('\n') || '<p>(no slides)</p>'
+}
+
+// ===== LibreOffice (formatos binarios antiguos) =====
+
+function run(binary, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    execFile(binary, args, { timeout: timeoutMs }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`LibreOffice failed: ${stderr || error.message}`))
+      } else {
+        resolve(stdout)
+      }
+    })
+  })
+}
+
+async function convertWithLibreOffice(buffer, filename, { binary, timeoutMs }) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'office-preview-'))
+
+  try {
+    const input = path.join(workDir, `input.${extensionOf(filename)}`)
+    await fs.writeFile(input, buffer)
+
+    // Perfil propio por conversión: dos procesos no pueden compartirlo
+    await run(
+      binary,
+      [
+        `-env:UserInstallation=file://${path.join(workDir, 'profile')}`,
+        '--headless',
+        '--convert-to',
+        'pdf',
+        '--outdir',
+        workDir,
+        input,
+      ],
+      timeoutMs
+    )
+
+    return await fs.readFile(path.join(workDir, 'input.pdf'))
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true })
+  }
+}
+
+// ===== API =====
+
+/**
+ * 🖨️ Office preview converter
+ * - libreOfficePath: soffice binary for .doc / .xls / .ppt (optional)
+ */
+export function createOfficeConverter({
+  libreOfficePath = null,
+  timeoutMs = 60 * 1000,
+} = {}) {
+  /**
+   * 'html', 'pdf' or null when the file cannot be previewed offline
+   */
+  function previewFormat(filename) {
+    const ext = extensionOf(filename)
+    if (HTML_CONVERTERS[ext]) return 'html'
+    if (libreOfficePath && OFFICE_EXTENSIONS.includes(ext)) return 'pdf'
+    return null
+  }
+
+  return {
+    libreOffice: Boolean(libreOfficePath),
+    previewFormat,
+
+    /**
+     * Convert a document: { contentType, content: Buffer }
+     */
+    async convert(buffer, filename) {
+      const format = previewFormat(filename)
+
+      if (format === 'html') {
+        const body = await HTML_CONVERTERS[extensionOf(filename)](buffer)
+        return {
+          contentType: 'text/html; charset=utf-8',
+          content: Buffer.from(wrapHtml(filename, body), 'utf8'),
+        }
+      }
+
+      if (format === 'pdf') {
+        return {
+          contentType: 'application/pdf',
+          content: await convertWithLibreOffice(buffer, filename, {
+            binary: libreOfficePath,
+            timeoutMs,
+          }),
+        }
+      }
+
+      throw new Error(`No offline preview available for ${filename}`)
+    },
+  }
+}
+
+/**
+ * ⚙️ Converter configured through environment variables
+ * - LIBREOFFICE_PATH: soffice binary (enables .doc / .xls / .ppt)
+ * - OFFICE_CONVERSION_TIMEOUT_MS
+ */
+export function createOfficeConverterFromEnv(env = process.env) {
+  return createOfficeConverter({
+    libreOfficePath: env.LIBREOFFICE_PATH || null,
+    timeoutMs: Number(env.OFFICE_CONVERSION_TIMEOUT_MS) || 60 * 1000,
+  })
+}
@@ -0,0 +1,290 @@
+import { AIProjectClient } from '@azure/ai-projects'
+import { DefaultAzureCredential } from '@azure/identity'
+import { runToolCall } from './tool-calls.js'
+
+/**
+ * 📡 Extract the text fragment carried by a thread.message.delta event
+ */
+function getDeltaText(deltaChunk) {
+  const parts = deltaChunk?.delta?.content || []
+  return parts
+    .filter((part) => part.type === 'text' && part.text?.value)
+    .map((part) => part.text.value)
+    .join('')
+}
+
+class RunTimeoutError extends Error {
+  constructor() {
+    super('Agent run timeout')
+    this.name = 'RunTimeoutError'
+  }
+}
+
+/**
+ * 🤖 Azure AI Foundry Agents provider
+ *
+ * Threads live in Foundry; every run is consumed as an event stream and
+ * function tool calls are resolved through `executeToolCall`.
+ */
+export function createAzureAgentsProvider({ endpoint, agentId }) {
+  if (!endpoint) {
+    throw new Error('❌ Falta la variable AZURE_AI_PROJECT_ENDPOINT')
+  }
+
+  // Inicialización con URL (Soluciona 'Invalid URL' y 'agents/read')
+  console.log(`🔵 Conectando a Foundry: ${endpoint.substring(0, 30)}...`)
+
+  const client = new AIProjectClient(endpoint, new DefaultAzureCredential())
+
+  /**
+   * Next event of a run stream; rejects once `deadline` passes, because a
+   * stalled run sends no event the timeout could be checked on
+   */
+  function nextEvent(events, deadline) {
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new RunTimeoutError()),
+        Math.max(deadline - Date.now(), 0)
+      )
+    })
+    return Promise.race([events.next(), timeout]).finally(() =>
+      clearTimeout(timer)
+    )
+  }
+
+  /**
+   * Consume one run (and the runs resumed after tool outputs) until it
+   * completes; on timeout the run is cancelled in Foundry
+   */
+  async function consumeRun(threadId, firstStream, handlers) {
+    let runId = null
+
+    try {
+      await consumeEvents(threadId, firstStream, handlers, (id) => {
+        runId = id
+      })
+    } catch (error) {
+      if (error instanceof RunTimeoutError && runId) {
+        console.warn(`   ⏱️  Run ${runId} timed out - cancelling`)
+        await client.agents.runs
+          .cancel(threadId, runId)
+          .catch((cancelError) =>
+            console.warn(`   ⚠️  Could not cancel run: ${cancelError.message}`)
+          )
+      }
+      throw error
+    }
+  }
+
+  async function consumeEvents(threadId, firstStream, handlers, onRun) {
+    const { executeToolCall, onEvent, timeoutMs } = handlers
+    const deadline = Date.now() + timeoutMs
+    let stream = firstStream
+    let completed = false
+
+    while (stream && !completed) {
+      let nextStream = null
+      const events = stream[Symbol.asyncIterator]()
+
+      try {
+        while (true) {
+          const { value: eventMessage, done } = await nextEvent(
+            events,
+            deadline
+          )
+          if (done) break
+
+          const { event, data } = eventMessage
+          if (event.startsWith('thread.run.') && !event.includes('.step.')) {
+            onRun(data.id)
+          }
+
+          switch (event) {
+            case 'thread.run.created':
+            case 'thread.run.queued':
+            case 'thread.run.in_progress':
+              onEvent('status', { status: data.status, runId: data.id })
+              break
+
+            case 'thread.message.delta': {
+              const text = getDeltaText(data)
+              if (text) onEvent('token', { text })
+              break
+            }
+
+            // CASO A: Requires Action
+            case 'thread.run.requires_action': {
+              console.log('   ⚙️  Agent requires action (Function Call)...')
+              onEvent('status', { status: data.status, runId: data.id })
+
+              // Leemos con seguridad (Optional Chaining)
+              const toolCalls =
+                data.requiredAction?.submitToolOutputs?.toolCalls
+
+              if (!toolCalls) {
+                console.error('   ❌ Error: Tool calls are undefined')
+                break
+              }
+
+              const toolOutputs = []
+
+              for (const toolCall of toolCalls) {
+                const output = await runToolCall(
+                  toolCall.function.name,
+                  toolCall.function.arguments,
+                  executeToolCall
+                )
+
+                // 🔥 CORRECCIÓN CRÍTICA: Enviar AMBOS formatos
+                // Esto asegura que si el SDK busca uno u otro, siempre encuentre el ID.
+                toolOutputs.push({
+                  tool_call_id: toolCall.id, // Formato API REST (snake_case)
+                  toolCallId: toolCall.id, // Formato SDK JS (camelCase)
+                  output,
+                })
+              }
+
+              // La ejecución continúa en un nuevo stream
+              nextStream = await client.agents.runs
+                .submitToolOutputs(threadId, data.id, toolOutputs)
+                .stream()
+              console.log('   📤 Tool outputs submitted successfully')
+              break
+            }
+
+            case 'thread.run.completed':
+              console.log('   ✅ Run completed.')
+              completed = true
+              break
+
+            case 'thread.run.failed':
+            case 'thread.run.cancelled':
+            case 'thread.run.expired':
+              throw new Error(
+                `Run failed: ${data.lastError?.message || data.status}`
+              )
+
+            case 'error':
+              throw new Error(
+                `Run failed: ${data?.error?.message || data?.message || data}`
+              )
+
+            default:
+              break
+          }
+
+          // Cambiamos al stream devuelto por submitToolOutputs
+          if (nextStream || completed) break
+        }
+      } finally {
+        // Cierra el stream (también tras un timeout) sin esperar: puede no
+        // responder
+        events.return?.()?.catch(() => {})
+      }
+
+      stream = nextStream
+    }
+
+    if (!completed) {
+      throw new Error('Agent run ended without completing')
+    }
+  }
+
+  /**
+   * Read the latest assistant message of a thread
+   */
+  async function getLastAssistantMessage(threadId) {
+    const messagesResponse = await client.agents.messages.list(threadId, {
+      order: 'desc',
+      limit: 1,
+    })
+
+    for await (const message of messagesResponse) {
+      if (message.role === 'assistant') {
+        if (
+          message.content &&
+          message.content.length > 0 &&
+          message.content[0].text
+        ) {
+          return message.content[0].text.value
+        }
+        break
+      }
+    }
+    return ''
+  }
+
+  return {
+    name: 'azure-agents',
+
+    async createThread() {
+      const thread = await client.agents.threads.create()
+      return thread.id
+    },
+
+    async threadExists(threadId) {
+      try {
+        await client.agents.threads.get(threadId)
+        return true
+      } catch (error) {
+        return false
+      }
+    },
+
+    async deleteThread(threadId) {
+      await client.agents.threads.delete(threadId)
+    },
+
+    async runConversation({
+      threadId,
+      message,
+      instructions,
+      tools,
+      executeToolCall,
+      onEvent = () => {},
+      timeoutMs = 60 * 1000,
+    }) {
+      await client.agents.messages.create(threadId, 'user', message)
+      console.log('   📩 Message added to thread')
+
+      const stream = await client.agents.runs
+        .create(threadId, agentId, {
+          tools,
+          additionalInstructions: instructions,
+        })
+        .stream()
+
+      await consumeRun(threadId, stream, { executeToolCall, onEvent, timeoutMs })
+
+      return { text: await getLastAssistantMessage(threadId) }
+    },
+
+    async complete({ system, prompt, timeoutMs = 60 * 1000 }) {
+      // Hilo temporal: la petición no debe mezclarse con ninguna conversación
+      const thread = await client.agents.threads.create()
+
+      try {
+        await client.agents.messages.create(thread.id, 'user', prompt)
+        const stream = await client.agents.runs
+          .create(thread.id, agentId, { instructions: system, tools: [] })
+          .stream()
+
+        await consumeRun(thread.id, stream, {
+          executeToolCall: async () => 'Tools are not available.',
+          onEvent: () => {},
+          timeoutMs,
+        })
+
+        return getLastAssistantMessage(thread.id)
+      } finally {
+        // Sin borrar, cada reescritura / traducción / resumen deja un hilo
+        await client.agents.threads
+          .delete(thread.id)
+          .catch((error) =>
+            console.warn(`   ⚠️  Could not delete thread: ${error.message}`)
+          )
+      }
+    },
+  }
+}
@@ -0,0 +1,206 @@
+import axios from 'axios'
+import crypto from 'crypto'
+import { runToolCall } from './tool-calls.js'
+
+const DEFAULT_SYSTEM_PROMPT = `You are the ACTS Law legal assistant. You answer questions about the firm's case documents.
+Use the available tools to find facts before answering and never invent information that the tools did not return.`
+
+/**
+ * 📡 Parse the `data:` lines of a chat-completions SSE stream
+ */
+async function* readCompletionStream(stream) {
+  let buffer = ''
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf-8')
+
+    let newline = buffer.indexOf('\n')
+    while (newline !== -1) {
+      const line = buffer.slice(0, newline).trim()
+      buffer = buffer.slice(newline + 1)
+      newline = buffer.indexOf('\n')
+
+      if (!line.startsWith('data:')) continue
+      const payload = line.slice(5).trim()
+      if (payload === '[DONE]') return
+      yield JSON.parse(payload)
+    }
+  }
+}
+
+/**
+ * 💬 Azure OpenAI chat-completions provider
+ *
+ * Talks to a model deployment directly, running the tool-calling loop
+ * locally. Thread history is kept in memory by this process.
+ */
+export function createChatCompletionsProvider({
+  endpoint,
+  apiKey,
+  deployment,
+  apiVersion = '2024-08-01-preview',
+  systemPrompt = DEFAULT_SYSTEM_PROMPT,
+  maxToolRounds = 5,
+}) {
+  if (!endpoint || !apiKey || !deployment) {
+    throw new Error(
+      '❌ Faltan AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_KEY o AZURE_OPENAI_DEPLOYMENT'
+    )
+  }
+
+  const url = `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`
+  const headers = {
+    'Content-Type': 'application/json',
+    'api-key': apiKey,
+  }
+
+  const threads = new Map() // threadId -> [{ role, content }]
+
+  /**
+   * Stream one completion, forwarding tokens and collecting tool calls
+   */
+  async function streamCompletion(messages, tools, onEvent, timeoutMs) {
+    const response = await axios.post(
+      url,
+      {
+        messages,
+        tools: tools.length > 0 ? tools : undefined,
+        temperature: 0.2,
+        stream: true,
+      },
+      { headers, responseType: 'stream', timeout: timeoutMs }
+    )
+
+    let content = ''
+    let finishReason = null
+    const toolCalls = []
+
+    for await (const chunk of readCompletionStream(response.data)) {
+      const choice = chunk.choices?.[0]
+      if (!choice) continue
+
+      const delta = choice.delta || {}
+      if (delta.content) {
+        content += delta.content
+        onEvent('token', { text: delta.content })
+      }
+
+      // Los argumentos de cada tool call llegan fragmentados por índice
+      for (const part of delta.tool_calls || []) {
+        const call = (toolCalls[part.index] ||= {
+          id: null,
+          type: 'function',
+          function: { name: '', arguments: '' },
+        })
+        if (part.id) call.id = part.id
+        if (part.function?.name) call.function.name += part.function.name
+        if (part.function?.arguments) {
+          call.function.arguments += part.function.arguments
+        }
+      }
+
+      if (choice.finish_reason) finishReason = choice.finish_reason
+    }
+
+    return { content, toolCalls: toolCalls.filter(Boolean), finishReason }
+  }
+
+  return {
+    name: 'chat-completions',
+
+    async createThread() {
+      const threadId = `local_${crypto.randomUUID()}`
+      threads.set(threadId, [])
+      return threadId
+    },
+
+    async threadExists(threadId) {
+      return threads.has(threadId)
+    },
+
+    async deleteThread(threadId) {
+      threads.delete(threadId)
+    },
+
+    async runConversation({
+      threadId,
+      message,
+      instructions,
+      tools,
+      executeToolCall,
+      onEvent = () => {},
+      timeoutMs = 60 * 1000,
+    }) {
+      const history = threads.get(threadId)
+      if (!history) {
+        throw new Error(`Thread not found: ${threadId}`)
+      }
+
+      const messages = [
+        { role: 'system', content: `${systemPrompt}\n${instructions || ''}` },
+        ...history,
+        { role: 'user', content: message },
+      ]
+
+      onEvent('status', { status: 'in_progress' })
+
+      for (let round = 0; round <= maxToolRounds; round++) {
+        const toolsForRound = round < maxToolRounds ? tools : []
+        const result = await streamCompletion(
+          messages,
+          toolsForRound,
+          onEvent,
+          timeoutMs
+        )
+
+        if (result.finishReason !== 'tool_calls' || !result.toolCalls.length) {
+          history.push({ role: 'user', content: message })
+          history.push({ role: 'assistant', content: result.content })
+          return { text: result.content }
+        }
+
+        console.log('   ⚙️  Model requires action (Function Call)...')
+        onEvent('status', { status: 'requires_action' })
+
+        messages.push({
+          role: 'assistant',
+          content: result.content || null,
+          tool_calls: result.toolCalls,
+        })
+
+        for (const toolCall of result.toolCalls) {
+          const output = await runToolCall(
+            toolCall.function.name,
+            toolCall.function.arguments,
+            executeToolCall
+          )
+          messages.push({
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            content: output,
+          })
+        }
+
+        onEvent('status', { status: 'in_progress' })
+      }
+
+      throw new Error('Too many tool rounds')
+    },
+
+    async complete({ system, prompt, timeoutMs = 60 * 1000 }) {
+      const response = await axios.post(
+        url,
+        {
+          messages: [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            { role: 'user', content: prompt },
+          ],
+          temperature: 0,
+        },
+        { headers, timeout: timeoutMs }
+      )
+
+      return response.data.choices[0].message.content || ''
+    },
+  }
+}
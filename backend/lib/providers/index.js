@@ -0,0 +1,61 @@
+import { createAzureAgentsProvider } from './azure-agents.js'
+import { createChatCompletionsProvider } from './chat-completions.js'
+import { createMockProvider, loadMockScript } from './mock.js'
+
+export {
+  createAzureAgentsProvider,
+  createChatCompletionsProvider,
+  createMockProvider,
+  loadMockScript,
+}
+
+/**
+ * 🔌 Agent provider interface
+ *
+ * Every provider returns an object with:
+ * - name
+ * - createThread() -> threadId
+ * - threadExists(threadId) -> boolean
+ * - deleteThread(threadId)
+ * - runConversation({ threadId, message, instructions, tools,
+ *     executeToolCall(name, args) -> string, onEvent(type, data), timeoutMs })
+ *     -> { text }
+ * - complete({ system, prompt, timeoutMs }) -> string
+ *   (single-shot completion without tools or thread history)
+ *
+ * onEvent receives 'status' and 'token' events; tool events are reported by
+ * the caller from inside executeToolCall.
+ */
+
+/**
+ * ⚙️ Create the agent provider configured through environment variables
+ * - AGENT_PROVIDER: 'azure-agents' (default), 'chat-completions' or 'mock'
+ */
+export function createAgentProviderFromEnv(env = process.env) {
+  const type = (env.AGENT_PROVIDER || 'azure-agents').toLowerCase()
+
+  switch (type) {
+    case 'azure-agents':
+      return createAzureAgentsProvider({
+        endpoint: env.AZURE_AI_PROJECT_ENDPOINT,
+        agentId: env.AZURE_AGENT_ID,
+      })
+
+    case 'chat-completions':
+      return createChatCompletionsProvider({
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        apiKey: env.AZURE_OPENAI_KEY,
+        deployment: env.AZURE_OPENAI_DEPLOYMENT,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || undefined,
+      })
+
+    case 'mock':
+      return createMockProvider({
+        rules: loadMockScript(env.MOCK_AGENT_SCRIPT),
+        tokenDelayMs: Number(env.MOCK_AGENT_TOKEN_DELAY_MS) || 0,
+      })
+
+    default:
+      throw new Error(`Unknown AGENT_PROVIDER "${type}"`)
+  }
+}
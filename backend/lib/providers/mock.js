@@ -0,0 +1,174 @@
+import fs from 'fs'
+import crypto from 'crypto'
+import { runToolCall } from './tool-calls.js'
+
+/**
+ * Default script: search with the question itself, then summarize what
+ * came back. Deterministic so the whole chat flow can be exercised offline.
+ */
+const DEFAULT_RULE = {
+  match: '.*',
+  toolCalls: [
+    { name: 'search_legal_documents', arguments: { query: '{{message}}' } },
+  ],
+  answer: null,
+}
+
+function fillTemplate(value, context) {
+  if (typeof value === 'string') {
+    return value
+      .replace(/\{\{message\}\}/g, context.message)
+      .replace(/\{\{output\}\}/g, context.output || '')
+      .replace(/\{\{titles\}\}/g, (context.titles || []).join(', '))
+      .replace(/\{\{citations\}\}/g, formatCitations(context.sources))
+  }
+  if (Array.isArray(value)) return value.map((v) => fillTemplate(v, context))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, fillTemplate(v, context)])
+    )
+  }
+  return value
+}
+
+function extractSources(output) {
+  return [
+    ...String(output).matchAll(/Source:\s*\[(\d+)\]\s*Title:\s*(.+)/g),
+  ].map((m) => ({ number: Number(m[1]), title: m[2].trim() }))
+}
+
+// "Title A [1], Title B [2]"
+function formatCitations(sources = []) {
+  return sources.map((s) => `${s.title} [${s.number}]`).join(', ')
+}
+
+function defaultAnswer(context) {
+  if (!context.sources.length) {
+    return 'No information was found in the authorized case documents for this question.'
+  }
+  return `Mock answer for "${context.message}". The search returned ${
+    context.sources.length
+  } document(s): ${formatCitations(context.sources)}.`
+}
+
+/**
+ * 🧪 Load mock rules from a JSON file:
+ * [{ "match": "regex", "toolCalls": [{ "name", "arguments" }], "answer": "...", "completion": "..." }]
+ * `arguments` is an object, or a string sent as-is as the model's JSON
+ */
+export function loadMockScript(scriptPath) {
+  if (!scriptPath) return []
+  const rules = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'))
+  if (!Array.isArray(rules)) {
+    throw new Error('MOCK_AGENT_SCRIPT must contain a JSON array of rules')
+  }
+  return rules
+}
+
+/**
+ * 🧪 Local mock provider
+ *
+ * Scripts tool calls and answers from a list of rules matched against the
+ * user message (first match wins, falling back to a search + summary).
+ * Answers are emitted as token events word by word.
+ */
+export function createMockProvider({ rules = [], tokenDelayMs = 0 } = {}) {
+  const threads = new Map() // threadId -> [{ role, content }]
+
+  const findRule = (text, field) =>
+    rules.find(
+      (rule) =>
+        (field ? rule[field] !== undefined : true) &&
+        new RegExp(rule.match || '.*', 'i').test(text)
+    )
+
+  const emitTokens = async (text, onEvent) => {
+    for (const word of text.match(/\S+\s*/g) || []) {
+      onEvent('token', { text: word })
+      if (tokenDelayMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, tokenDelayMs))
+      }
+    }
+  }
+
+  return {
+    name: 'mock',
+
+    async createThread() {
+      const threadId = `mock_${crypto.randomUUID()}`
+      threads.set(threadId, [])
+      return threadId
+    },
+
+    async threadExists(threadId) {
+      return threads.has(threadId)
+    },
+
+    async deleteThread(threadId) {
+      threads.delete(threadId)
+    },
+
+    async runConversation({
+      threadId,
+      message,
+      tools = [],
+      executeToolCall,
+      onEvent = () => {},
+    }) {
+      const history = threads.get(threadId)
+      if (!history) {
+        throw new Error(`Thread not found: ${threadId}`)
+      }
+
+      const rule =
+        findRule(message, 'answer') ||
+        findRule(message, 'toolCalls') ||
+        DEFAULT_RULE
+      const availableTools = new Set(tools.map((t) => t.function?.name))
+      const context = { message, output: '', titles: [], sources: [] }
+
+      onEvent('status', { status: 'in_progress' })
+
+      const toolCalls = (rule.toolCalls ?? DEFAULT_RULE.toolCalls).filter(
+        (call) => availableTools.has(call.name)
+      )
+
+      if (toolCalls.length > 0) {
+        onEvent('status', { status: 'requires_action' })
+        const outputs = []
+        for (const call of toolCalls) {
+          // Como un modelo real: los argumentos llegan como texto JSON (un
+          // string en el script permite simular argumentos mal formados)
+          const args = fillTemplate(call.arguments || {}, context)
+          outputs.push(
+            await runToolCall(
+              call.name,
+              typeof args === 'string' ? args : JSON.stringify(args),
+              executeToolCall
+            )
+          )
+        }
+        context.output = outputs.join('\n')
+        context.sources = extractSources(context.output)
+        context.titles = context.sources.map((s) => s.title)
+        onEvent('status', { status: 'in_progress' })
+      }
+
+      const text = rule.answer
+        ? fillTemplate(rule.answer, context)
+        : defaultAnswer(context)
+
+      await emitTokens(text, onEvent)
+
+      history.push({ role: 'user', content: message })
+      history.push({ role: 'assistant', content: text })
+
+      return { text }
+    },
+
+    async complete({ prompt }) {
+      const rule = findRule(prompt, 'completion')
+      return rule ? fillTemplate(rule.completion, { message: prompt }) : ''
+    },
+  }
+}
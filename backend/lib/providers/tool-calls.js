@@ -0,0 +1,23 @@
+/**
+ * 🔧 Run one tool call requested by the model
+ *
+ * The arguments arrive as a JSON string written by the model; when they are
+ * not a valid JSON object the tool is not run and the error is returned as
+ * its output, so the model can call it again instead of the whole turn
+ * failing.
+ */
+export async function runToolCall(name, rawArguments, executeToolCall) {
+  let args
+  try {
+    args = JSON.parse(rawArguments || '{}')
+  } catch (error) {
+    console.warn(`   ⚠️  Invalid arguments for ${name}: ${error.message}`)
+    return `Error: the arguments for ${name} are not valid JSON (${error.message}). Call the tool again with a JSON object.`
+  }
+
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return `Error: the arguments for ${name} must be a JSON object. Call the tool again with a JSON object.`
+  }
+
+  return executeToolCall(name, args)
+}
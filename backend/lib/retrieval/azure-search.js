@@ -0,0 +1,410 @@
+import {
+  SearchClient,
+  SearchIndexClient,
+  AzureKeyCredential as SearchKeyCredential,
+} from '@azure/search-documents'
+import { buildCaseFilter, escapeODataString } from '../security/index.js'
+import { queryLanguageFor } from '../language/index.js'
+import {
+  HIGHLIGHT_PRE_TAG,
+  HIGHLIGHT_POST_TAG,
+  parseHighlightFragment,
+} from './highlight.js'
+
+/**
+ * Logical field name -> Azure AI Search index field
+ */
+export const DEFAULT_FIELDS = {
+  id: 'chunk_id',
+  parentId: 'parent_id',
+  title: 'title',
+  content: 'chunk',
+  url: 'url',
+  caseNumber: 'case_number',
+  documentType: 'document_type',
+  documentDate: 'document_date',
+  pathPrefixes: 'path_prefixes',
+}
+
+/**
+ * Index fields added on top of the indexer-generated schema
+ * (populated by populate_document_metadata.js)
+ */
+const METADATA_FIELD_TYPES = {
+  documentType: 'Edm.String',
+  documentDate: 'Edm.DateTimeOffset',
+  pathPrefixes: 'Collection(Edm.String)',
+}
+
+// Documentos por página de scanDocuments (máximo de Azure AI Search)
+const SCAN_PAGE_SIZE = 1000
+
+const isCollection = (logical) =>
+  METADATA_FIELD_TYPES[logical]?.startsWith('Collection(')
+
+export const DEFAULT_SEMANTIC_CONFIGURATION =
+  'ai-search-1761858591800-small-semantic-configuration'
+
+/**
+ * Document scope: chunks of the file `pathPrefix`, or under the folder
+ * `pathPrefix` ("25096/medical/"), through the path_prefixes field.
+ * Chunks indexed before populate_document_metadata.js filled it are
+ * matched by file name (file scopes only) and checked by the caller.
+ */
+function buildPathFilter(fields, pathPrefix) {
+  const value = escapeODataString(pathPrefix.replace(/\/+$/, ''))
+  const clause = `${fields.pathPrefixes}/any(p: p eq '${value}')`
+  if (pathPrefix.endsWith('/')) return clause
+
+  const filename = pathPrefix.split('/').pop().replace(/["\\]/g, ' ')
+  return `(${clause} or (not ${fields.pathPrefixes}/any() and search.ismatch('${escapeODataString(
+    `"${filename}"`
+  )}', '${fields.title}')))`
+}
+
+/**
+ * Case filter ANDed with the optional date range / document types / scope
+ * (logical `fields` mapped to the index ones, see DEFAULT_FIELDS)
+ */
+export function buildSearchFilter(
+  fields,
+  { cases, dateFrom, dateTo, documentTypes, pathPrefix }
+) {
+  const clauses = []
+
+  const caseFilter = buildCaseFilter(fields.caseNumber, cases)
+  if (caseFilter) clauses.push(`(${caseFilter})`)
+  if (dateFrom) clauses.push(`${fields.documentDate} ge ${dateFrom}`)
+  if (dateTo) clauses.push(`${fields.documentDate} le ${dateTo}`)
+  if (documentTypes?.length) {
+    clauses.push(
+      `(${documentTypes
+        .map(
+          (type) => `${fields.documentType} eq '${escapeODataString(type)}'`
+        )
+        .join(' or ')})`
+    )
+  }
+  if (pathPrefix) clauses.push(buildPathFilter(fields, pathPrefix))
+
+  return clauses.length > 0 ? clauses.join(' and ') : null
+}
+
+/**
+ * ☁️ Azure AI Search retrieval backend
+ */
+export function createAzureSearchRetrieval({
+  endpoint,
+  apiKey,
+  indexName,
+  fields = DEFAULT_FIELDS,
+  semanticConfiguration = DEFAULT_SEMANTIC_CONFIGURATION,
+}) {
+  if (!endpoint || !apiKey || !indexName) {
+    throw new Error(
+      'Faltan AZURE_SEARCH_ENDPOINT, AZURE_SEARCH_KEY o AZURE_SEARCH_INDEX'
+    )
+  }
+
+  const credential = new SearchKeyCredential(apiKey)
+  const client = new SearchClient(endpoint, indexName, credential)
+
+  const toPhysical = (logicalNames) => logicalNames.map((name) => fields[name])
+
+  const toLogical = (document) => {
+    const doc = {}
+    for (const [logical, physical] of Object.entries(fields)) {
+      if (document[physical] !== undefined) doc[logical] = document[physical]
+    }
+    return doc
+  }
+
+  const toHit = (result) => {
+    const doc = toLogical(result.document)
+    return {
+      id: doc.id,
+      title: doc.title,
+      content: doc.content,
+      blobPath: doc.url ? decodeURIComponent(doc.url) : null,
+      caseNumber: doc.caseNumber,
+      score: result.rerankerScore ?? result.score,
+      rerankerScore: result.rerankerScore ?? null,
+    }
+  }
+
+  const fieldFilter = ({ missing, present, cases } = {}) => {
+    const clauses = []
+    // Las colecciones no se comparan con null: any() dice si tienen valores
+    if (missing) {
+      clauses.push(
+        isCollection(missing)
+          ? `not ${fields[missing]}/any()`
+          : `${fields[missing]} eq null`
+      )
+    } else if (present) {
+      clauses.push(
+        isCollection(present)
+          ? `${fields[present]}/any()`
+          : `${fields[present]} ne null`
+      )
+    }
+    const caseFilter = cases ? buildCaseFilter(fields.caseNumber, cases) : null
+    if (caseFilter) clauses.push(`(${caseFilter})`)
+    return clauses.length > 0 ? clauses.join(' and ') : undefined
+  }
+
+  return {
+    name: 'azure',
+    fields,
+
+    /**
+     * Semantic search restricted to `cases` (null = no case filter) and
+     * optionally to a date range, document types and a blob path prefix.
+     * `language` ('en' / 'es') is the language of the query.
+     */
+    async search(
+      query,
+      { cases = null, top = 5, filters = {}, language } = {}
+    ) {
+      const { pathPrefix } = filters
+
+      const searchResults = await client.search(query, {
+        filter: buildSearchFilter(fields, { cases, ...filters }),
+        select: toPhysical(['id', 'title', 'content', 'url', 'caseNumber']),
+        top,
+        queryType: 'semantic',
+        queryLanguage: queryLanguageFor(language),
+        semanticConfiguration,
+      })
+
+      const hits = []
+      for await (const result of searchResults.results) {
+        const hit = toHit(result)
+        // Comprobación final (coincidencias por nombre de archivo)
+        if (pathPrefix && !hit.blobPath?.startsWith(pathPrefix)) continue
+        hits.push(hit)
+        if (hits.length >= top) break
+      }
+      return hits
+    },
+
+    /**
+     * Search screen: one page of hits with total count, facets by case and
+     * document type and highlighted fragments of the content.
+     * - mode: 'keyword' (every chunk containing the words) or 'semantic'
+     */
+    async searchDocuments(
+      query,
+      {
+        cases = null,
+        filters = {},
+        mode = 'keyword',
+        skip = 0,
+        top = 20,
+        language,
+      } = {}
+    ) {
+      const semantic = mode === 'semantic'
+      const searchResults = await client.search(query, {
+        filter: buildSearchFilter(fields, { cases, ...filters }),
+        select: toPhysical([
+          'id',
+          'title',
+          'content',
+          'url',
+          'caseNumber',
+          'documentType',
+          'documentDate',
+        ]),
+        skip,
+        top,
+        includeTotalCount: true,
+        facets: [
+          `${fields.caseNumber},count:100`,
+          `${fields.documentType},count:20`,
+        ],
+        highlightFields: fields.content,
+        highlightPreTag: HIGHLIGHT_PRE_TAG,
+        highlightPostTag: HIGHLIGHT_POST_TAG,
+        ...(semantic
+          ? {
+              queryType: 'semantic',
+              queryLanguage: queryLanguageFor(language),
+              semanticConfiguration,
+            }
+          : { queryType: 'simple', searchMode: 'all' }),
+      })
+
+      const hits = []
+      for await (const result of searchResults.results) {
+        const doc = toLogical(result.document)
+        hits.push({
+          ...toHit(result),
+          documentType: doc.documentType || null,
+          documentDate: doc.documentDate || null,
+          highlights: (result.highlights?.[fields.content] || []).map(
+            (fragment) => parseHighlightFragment(fragment)
+          ),
+        })
+      }
+
+      const facetValues = (field) =>
+        (searchResults.facets?.[field] || []).map((facet) => ({
+          value: facet.value,
+          count: facet.count,
+        }))
+
+      return {
+        total: searchResults.count || 0,
+        hits,
+        facets: {
+          cases: facetValues(fields.caseNumber),
+          documentTypes: facetValues(fields.documentType),
+        },
+      }
+    },
+
+    /**
+     * Keyword lookup over document titles
+     */
+    async findByTitle(keywords, { top = 10 } = {}) {
+      const searchResults = await client.search(keywords, {
+        searchFields: [fields.title],
+        select: toPhysical(['url', 'title']),
+        top,
+        queryType: 'simple',
+        searchMode: 'any',
+      })
+
+      const matches = []
+      for await (const result of searchResults.results) {
+        matches.push(toLogical(result.document))
+      }
+      return matches
+    },
+
+    /**
+     * Every chunk of one document, in index order. The url field is not
+     * filterable, so candidates are found through the file name and
+     * matched on the decoded blob path.
+     */
+    async getDocumentChunks(blobPath, { cases = null, top = 1000 } = {}) {
+      const filename = blobPath.split('/').pop()
+      const searchResults = await client.search(
+        `"${filename.replace(/["\\]/g, ' ')}"`,
+        {
+          searchFields: [fields.title],
+          filter: buildCaseFilter(fields.caseNumber, cases) || undefined,
+          select: toPhysical(['id', 'title', 'content', 'url']),
+          top,
+          queryType: 'simple',
+        }
+      )
+
+      const chunks = []
+      for await (const result of searchResults.results) {
+        const doc = toLogical(result.document)
+        if (doc.url && decodeURIComponent(doc.url) === blobPath) {
+          chunks.push(doc)
+        }
+      }
+      return chunks.sort((a, b) =>
+        String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+      )
+    },
+
+    /**
+     * Iterate over raw index documents (logical field names), optionally
+     * only those of some cases. Pages by id ("id gt <last>", the id field
+     * must be sortable) instead of skip: documents merged by the caller
+     * while iterating may leave the filtered set without any page being
+     * jumped over, and there is no cap besides `top`.
+     */
+    async *scanDocuments({
+      missing,
+      present,
+      cases,
+      select,
+      top = Infinity,
+    } = {}) {
+      const filter = fieldFilter({ missing, present, cases })
+      let lastId = null
+      let yielded = 0
+
+      while (yielded < top) {
+        const clauses = [filter]
+        if (lastId !== null) {
+          clauses.push(`${fields.id} gt '${escapeODataString(lastId)}'`)
+        }
+        const pageSize = Math.min(SCAN_PAGE_SIZE, top - yielded)
+        const searchResults = await client.search('*', {
+          filter: clauses.filter(Boolean).join(' and ') || undefined,
+          select: select ? toPhysical([...new Set(['id', ...select])]) : undefined,
+          orderBy: [`${fields.id} asc`],
+          top: pageSize,
+        })
+
+        let received = 0
+        for await (const result of searchResults.results) {
+          const doc = toLogical(result.document)
+          lastId = doc.id
+          received++
+          yielded++
+          yield doc
+        }
+        if (received < pageSize) return
+      }
+    },
+
+    async countDocuments({ missing, present } = {}) {
+      const searchResults = await client.search('*', {
+        filter: fieldFilter({ missing, present }),
+        select: [fields.id],
+        top: 0,
+        includeTotalCount: true,
+      })
+      return searchResults.count || 0
+    },
+
+    /**
+     * Add the metadata fields (document type / date / path prefixes) to the
+     * index schema when they are missing. Returns the names of the fields added.
+     */
+    async ensureMetadataFields() {
+      const indexClient = new SearchIndexClient(endpoint, credential)
+      const index = await indexClient.getIndex(indexName)
+      const existing = new Set(index.fields.map((f) => f.name))
+
+      const added = []
+      for (const [logical, type] of Object.entries(METADATA_FIELD_TYPES)) {
+        if (existing.has(fields[logical])) continue
+        index.fields.push({
+          name: fields[logical],
+          type,
+          filterable: true,
+          facetable: !isCollection(logical),
+          sortable: type === 'Edm.DateTimeOffset',
+          searchable: false,
+        })
+        added.push(fields[logical])
+      }
+
+      if (added.length > 0) await indexClient.createOrUpdateIndex(index)
+      return added
+    },
+
+    /**
+     * Merge partial documents (must include `id`) into the index
+     */
+    async mergeDocuments(documents) {
+      const batch = documents.map((doc) => {
+        const physical = {}
+        for (const [logical, value] of Object.entries(doc)) {
+          physical[fields[logical] || logical] = value
+        }
+        return physical
+      })
+      return client.mergeDocuments(batch)
+    },
+  }
+}
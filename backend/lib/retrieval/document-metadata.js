@@ -0,0 +1,95 @@
+/**
+ * 🏷️ Document type and date derived from the blob path (and, for notes,
+ * the metadata header written by sync-notes.js)
+ */
+
+export const DOCUMENT_TYPES = ['note', 'email', 'pdf', 'office', 'other']
+
+const OFFICE_EXTENSIONS = ['doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx']
+
+export function detectDocumentType(blobPath) {
+  const path = String(blobPath || '').toLowerCase()
+  const ext = path.split('.').pop()
+
+  if (path.includes('/notes/')) return 'note'
+  if (ext === 'msg' || ext === 'eml' || ext === 'oft') return 'email'
+  if (ext === 'pdf') return 'pdf'
+  if (OFFICE_EXTENSIONS.includes(ext)) return 'office'
+  return 'other'
+}
+
+/**
+ * Folders that contain a blob plus the blob path itself
+ * ("25096/medical/mri.pdf" -> ["25096", "25096/medical",
+ * "25096/medical/mri.pdf"]), so a document scope is an exact match
+ */
+export function pathPrefixesOf(blobPath) {
+  const segments = String(blobPath || '').split('/').filter(Boolean)
+  return segments.map((_, i) => segments.slice(0, i + 1).join('/'))
+}
+
+function toIsoDate(year, month, day) {
+  const y = Number(year)
+  const m = Number(month)
+  const d = Number(day)
+  if (y < 1950 || y > 2100 || m < 1 || m > 12 || d < 1 || d > 31) return null
+  return new Date(Date.UTC(y, m - 1, d)).toISOString()
+}
+
+/**
+ * Best-effort document date (ISO string) or null:
+ * - notes: {case}_{YYYYMMDD}_{noteID}.txt
+ * - any filename with YYYY-MM-DD, YYYY_MM_DD or YYYYMMDD
+ * - note content: "Date: MM/DD/YYYY ..." header
+ */
+export function extractDocumentDate(blobPath, content = '') {
+  const filename = String(blobPath || '').split('/').pop()
+
+  const dashed = filename.match(/(\d{4})[-_](\d{2})[-_](\d{2})/)
+  if (dashed) {
+    const date = toIsoDate(dashed[1], dashed[2], dashed[3])
+    if (date) return date
+  }
+
+  for (const match of filename.matchAll(/(?:^|\D)(\d{4})(\d{2})(\d{2})(?=\D|$)/g)) {
+    const date = toIsoDate(match[1], match[2], match[3])
+    if (date) return date
+  }
+
+  const header = String(content).match(/Date:\s*(\d{2})\/(\d{2})\/(\d{4})/)
+  if (header) return toIsoDate(header[3], header[1], header[2])
+
+  return null
+}
+
+/**
+ * Normalize the date range and document types requested by the agent.
+ * Dates accept YYYY-MM-DD (date_to is inclusive) or full ISO timestamps.
+ */
+export function normalizeSearchFilters({ dateFrom, dateTo, documentType } = {}) {
+  const filters = {}
+
+  const parse = (value, endOfDay) => {
+    if (!value) return null
+    const text = String(value).trim()
+    const date = new Date(
+      /^\d{4}-\d{2}-\d{2}$/.test(text)
+        ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+        : text
+    )
+    return isNaN(date) ? null : date.toISOString()
+  }
+
+  const from = parse(dateFrom, false)
+  const to = parse(dateTo, true)
+  if (from) filters.dateFrom = from
+  if (to) filters.dateTo = to
+
+  const types = (Array.isArray(documentType) ? documentType : [documentType])
+    .filter(Boolean)
+    .map((t) => String(t).toLowerCase().trim())
+    .filter((t) => DOCUMENT_TYPES.includes(t))
+  if (types.length > 0) filters.documentTypes = [...new Set(types)]
+
+  return filters
+}
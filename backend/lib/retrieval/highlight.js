@@ -0,0 +1,140 @@
+/**
+ * ✨ Hit highlighting for the search screen
+ *
+ * Highlights travel as plain segments instead of HTML so the browser never
+ * has to inject document text as markup:
+ * [[{ text, match }, ...], ...] -> one array per fragment
+ */
+
+// Marcadores que nunca aparecen en el texto de un documento
+export const HIGHLIGHT_PRE_TAG = '\u0002'
+export const HIGHLIGHT_POST_TAG = '\u0003'
+
+/**
+ * Split a fragment tagged with the pre/post markers into segments
+ */
+export function parseHighlightFragment(
+  fragment,
+  pre = HIGHLIGHT_PRE_TAG,
+  post = HIGHLIGHT_POST_TAG
+) {
+  const segments = []
+  let rest = String(fragment || '')
+
+  while (rest) {
+    const start = rest.indexOf(pre)
+    if (start === -1) {
+      segments.push({ text: rest, match: false })
+      break
+    }
+    if (start > 0) segments.push({ text: rest.slice(0, start), match: false })
+
+    const end = rest.indexOf(post, start + pre.length)
+    const stop = end === -1 ? rest.length : end
+    segments.push({ text: rest.slice(start + pre.length, stop), match: true })
+    rest = end === -1 ? '' : rest.slice(end + post.length)
+  }
+
+  return segments.filter((s) => s.text)
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Lowercase without accents, like the indexed terms, plus the offset in
+ * `text` of every character of the result (and of its end) so matches
+ * found in the folded text can be cut from the original one
+ */
+function foldText(text) {
+  let folded = ''
+  const offsets = []
+  let index = 0
+  for (const char of text) {
+    const plain = char
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+    folded += plain
+    for (let i = 0; i < plain.length; i++) offsets.push(index)
+    index += char.length
+  }
+  offsets.push(index)
+  return { folded, offsets }
+}
+
+/**
+ * Build highlight fragments for `text` locally (backends without native
+ * highlighting): up to `maxFragments` windows of about `fragmentLength`
+ * characters around the first matches of `terms`. Terms and text are
+ * compared without accents ("lesion" highlights "lesión").
+ */
+export function highlightText(
+  text,
+  terms,
+  { maxFragments = 3, fragmentLength = 200 } = {}
+) {
+  const content = String(text || '')
+  const words = [
+    ...new Set(
+      (terms || [])
+        .map((t) => foldText(String(t)).folded)
+        .filter((t) => t.length > 1)
+    ),
+  ]
+  if (!content || words.length === 0) return []
+
+  const pattern = new RegExp(
+    `\\b(${words.map(escapeRegExp).join('|')})\\w*`,
+    'g'
+  )
+  const { folded, offsets } = foldText(content)
+  const matches = [...folded.matchAll(pattern)].map((m) => ({
+    start: offsets[m.index],
+    end: offsets[m.index + m[0].length],
+  }))
+  if (matches.length === 0) return []
+
+  const fragments = []
+  let coveredUntil = -1
+
+  for (const match of matches) {
+    if (fragments.length >= maxFragments) break
+    if (match.start < coveredUntil) continue
+
+    const start = Math.max(0, match.start - fragmentLength / 2)
+    const end = Math.min(content.length, start + fragmentLength)
+    coveredUntil = end
+
+    const segments = []
+    let position = start
+    for (const inner of matches) {
+      if (inner.start < start || inner.end > end) continue
+      if (inner.start > position) {
+        segments.push({
+          text: content.slice(position, inner.start),
+          match: false,
+        })
+      }
+      segments.push({
+        text: content.slice(inner.start, inner.end),
+        match: true,
+      })
+      position = inner.end
+    }
+    if (position < end) {
+      segments.push({ text: content.slice(position, end), match: false })
+    }
+
+    if (start > 0)
+      segments[0] = { ...segments[0], text: `…${segments[0].text}` }
+    if (end < content.length) {
+      const last = segments.length - 1
+      segments[last] = { ...segments[last], text: `${segments[last].text}…` }
+    }
+    fragments.push(segments)
+  }
+
+  return fragments
+}
@@ -0,0 +1,90 @@
+import {
+  createAzureSearchRetrieval,
+  DEFAULT_FIELDS,
+  DEFAULT_SEMANTIC_CONFIGURATION,
+} from './azure-search.js'
+import { createLocalRetrieval, tokenize } from './local-bm25.js'
+import { highlightText, parseHighlightFragment } from './highlight.js'
+import { createReranker, lexicalRelevance, RERANK_MODES } from './rerank.js'
+import {
+  DOCUMENT_TYPES,
+  detectDocumentType,
+  extractDocumentDate,
+  normalizeSearchFilters,
+  pathPrefixesOf,
+} from './document-metadata.js'
+
+export {
+  createAzureSearchRetrieval,
+  createLocalRetrieval,
+  createReranker,
+  DEFAULT_FIELDS,
+  DEFAULT_SEMANTIC_CONFIGURATION,
+  DOCUMENT_TYPES,
+  detectDocumentType,
+  extractDocumentDate,
+  highlightText,
+  lexicalRelevance,
+  normalizeSearchFilters,
+  parseHighlightFragment,
+  pathPrefixesOf,
+  RERANK_MODES,
+  tokenize,
+}
+
+/**
+ * 🔎 Retrieval backend interface
+ *
+ * Every backend returns an object with:
+ * - name
+ * - search(query, { cases, top, filters, language }) -> [{ id, title, content, blobPath, caseNumber, score, rerankerScore }]
+ *   (cases = null means no case filter, only for admins; filters =
+ *   { dateFrom, dateTo, documentTypes, pathPrefix } ANDed with the case
+ *   filter; pathPrefix keeps only chunks whose blob path starts with it,
+ *   applied in the index query itself;
+ *   language = 'en' / 'es', the language of the query; rerankerScore is
+ *   the semantic reranker score (0-4) or null when the backend has none)
+ * - searchDocuments(query, { cases, filters, mode, skip, top, language }) ->
+ *   { total, hits: [{ ...hit, documentType, documentDate, highlights }],
+ *     facets: { cases: [{ value, count }], documentTypes: [...] } }
+ *   (search screen: 'keyword' or 'semantic' mode, paged, highlights as
+ *   [[{ text, match }]] fragments)
+ * - findByTitle(keywords, { top }) -> [{ title, url }]
+ * - getDocumentChunks(blobPath, { cases }) -> every chunk of one document
+ * - scanDocuments({ missing, present, cases, select, top }) -> async iterator of documents
+ *   (every match unless `top`; safe to merge the documents read meanwhile)
+ * - countDocuments({ missing, present }) -> number
+ * - mergeDocuments([{ id, ...fields }])
+ * - ensureMetadataFields() -> names of the index fields created
+ *
+ * Documents use logical field names (id, parentId, title, content, url,
+ * caseNumber, documentType, documentDate, pathPrefixes); each backend maps
+ * them to its own storage.
+ */
+
+/**
+ * ⚙️ Create the retrieval backend configured through environment variables
+ * - RETRIEVAL_BACKEND: 'azure' (default) or 'local'
+ */
+export function createRetrievalFromEnv(env = process.env) {
+  const type = (env.RETRIEVAL_BACKEND || 'azure').toLowerCase()
+
+  switch (type) {
+    case 'azure':
+      return createAzureSearchRetrieval({
+        endpoint: env.AZURE_SEARCH_ENDPOINT,
+        apiKey: env.AZURE_SEARCH_KEY,
+        indexName: env.AZURE_SEARCH_INDEX,
+        semanticConfiguration:
+          env.AZURE_SEARCH_SEMANTIC_CONFIG || DEFAULT_SEMANTIC_CONFIGURATION,
+      })
+
+    case 'local':
+      return createLocalRetrieval({
+        directory: env.LOCAL_INDEX_DIR || './data/local-index',
+      })
+
+    default:
+      throw new Error(`Unknown RETRIEVAL_BACKEND "${type}"`)
+  }
+}
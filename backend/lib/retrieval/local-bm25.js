@@ -0,0 +1,336 @@
+import fs from 'fs'
+import path from 'path'
+import { detectDocumentType, extractDocumentDate } from './document-metadata.js'
+import { caseFromBlobPath } from '../security/index.js'
+import { highlightText } from './highlight.js'
+
+const TEXT_EXTENSIONS = new Set(['.txt', '.md'])
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has',
+  'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'with', 'what', 'who', 'de', 'el', 'en', 'la', 'las', 'los',
+  'que', 'un', 'una', 'y',
+])
+
+/**
+ * Lowercase, strip accents and split into searchable terms
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((term) => term.length > 1 && !STOPWORDS.has(term))
+}
+
+/**
+ * Split a document into overlapping chunks of roughly `size` characters
+ */
+function chunkText(text, size, overlap) {
+  const clean = text.replace(/\r\n/g, '\n').trim()
+  if (clean.length <= size) return clean ? [clean] : []
+
+  const chunks = []
+  let start = 0
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length)
+    // Cortar en un espacio para no partir palabras
+    if (end < clean.length) {
+      const space = clean.lastIndexOf(' ', end)
+      if (space > start + size / 2) end = space
+    }
+    chunks.push(clean.slice(start, end).trim())
+    if (end >= clean.length) break
+    start = end - overlap
+  }
+  return chunks
+}
+
+/**
+ * Minimal BM25 index over a list of token arrays
+ */
+function buildBm25(tokenLists, { k1 = 1.2, b = 0.75 } = {}) {
+  const docFreq = new Map()
+  const termFreqs = tokenLists.map((tokens) => {
+    const tf = new Map()
+    for (const token of tokens) tf.set(token, (tf.get(token) || 0) + 1)
+    for (const token of tf.keys()) {
+      docFreq.set(token, (docFreq.get(token) || 0) + 1)
+    }
+    return tf
+  })
+
+  const total = tokenLists.length
+  const avgLength =
+    tokenLists.reduce((sum, tokens) => sum + tokens.length, 0) /
+    Math.max(total, 1)
+
+  const idf = (term) => {
+    const df = docFreq.get(term) || 0
+    return Math.log(1 + (total - df + 0.5) / (df + 0.5))
+  }
+
+  return {
+    score(queryTerms, index) {
+      const tf = termFreqs[index]
+      const length = tokenLists[index].length
+      let score = 0
+      for (const term of queryTerms) {
+        const freq = tf.get(term)
+        if (!freq) continue
+        score +=
+          (idf(term) * (freq * (k1 + 1))) /
+          (freq + k1 * (1 - b + (b * length) / (avgLength || 1)))
+      }
+      return score
+    },
+  }
+}
+
+function walkFiles(directory) {
+  const files = []
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const fullPath = path.join(directory, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...walkFiles(fullPath))
+    } else {
+      files.push(fullPath)
+    }
+  }
+  return files
+}
+
+/**
+ * Load every chunk from the folder. The folder mirrors the blob container
+ * layout ({case}/.../file), so the relative path is the blob path and the
+ * first folder is the case number.
+ * - .txt / .md files are chunked automatically
+ * - .json files hold pre-chunked documents:
+ *   [{ "title", "chunk", "case_number", "url" }]
+ */
+function loadChunks(directory, { chunkSize, chunkOverlap }) {
+  const chunks = []
+
+  for (const file of walkFiles(directory)) {
+    const relativePath = path.relative(directory, file).split(path.sep).join('/')
+    const ext = path.extname(file).toLowerCase()
+    const folderCase = caseFromBlobPath(relativePath)
+
+    if (ext === '.json') {
+      const docs = JSON.parse(fs.readFileSync(file, 'utf-8'))
+      ;(Array.isArray(docs) ? docs : [docs]).forEach((doc, i) => {
+        const url = doc.url || relativePath
+        const content = doc.chunk || doc.content || ''
+        chunks.push({
+          id: doc.chunk_id || `${relativePath}#${i}`,
+          title: doc.title || path.basename(file),
+          content,
+          url,
+          caseNumber: doc.case_number || folderCase,
+          documentType: doc.document_type || detectDocumentType(url),
+          documentDate: doc.document_date || extractDocumentDate(url, content),
+        })
+      })
+      continue
+    }
+
+    if (!TEXT_EXTENSIONS.has(ext)) continue
+
+    const text = fs.readFileSync(file, 'utf-8')
+    const documentType = detectDocumentType(relativePath)
+    const documentDate = extractDocumentDate(relativePath, text)
+    chunkText(text, chunkSize, chunkOverlap).forEach((content, i) => {
+      chunks.push({
+        id: `${relativePath}#${i}`,
+        title: path.basename(file),
+        content,
+        url: relativePath,
+        caseNumber: folderCase,
+        documentType,
+        documentDate,
+      })
+    })
+  }
+
+  return chunks
+}
+
+/**
+ * 💻 Local in-memory BM25 retrieval backend
+ *
+ * Indexes a folder of text chunks so development, demos and tests can run
+ * without Azure AI Search. Applies the same case-level filtering.
+ */
+export function createLocalRetrieval({
+  directory,
+  chunkSize = 1200,
+  chunkOverlap = 200,
+}) {
+  if (!directory || !fs.existsSync(directory)) {
+    throw new Error(`LOCAL_INDEX_DIR not found: ${directory}`)
+  }
+
+  let chunks = []
+  let contentIndex = null
+  let titleIndex = null
+
+  const rebuild = () => {
+    contentIndex = buildBm25(
+      chunks.map((c) => tokenize(`${c.title} ${c.content}`))
+    )
+    titleIndex = buildBm25(chunks.map((c) => tokenize(c.title)))
+  }
+
+  const reload = () => {
+    chunks = loadChunks(directory, { chunkSize, chunkOverlap })
+    rebuild()
+    console.log(`   📚 Local index loaded: ${chunks.length} chunks`)
+  }
+
+  reload()
+
+  const rank = (index, query, candidates, top) => {
+    const terms = tokenize(query)
+    return candidates
+      .map((i) => ({ i, score: index.score(terms, i) }))
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, top)
+  }
+
+  // Mismo criterio que el filtro OData del backend de Azure
+  const matchesFilters = (
+    chunk,
+    { cases, dateFrom, dateTo, documentTypes, pathPrefix }
+  ) => {
+    if (cases && !cases.includes(chunk.caseNumber)) return false
+    if (pathPrefix && !String(chunk.url || '').startsWith(pathPrefix))
+      return false
+    if (documentTypes?.length && !documentTypes.includes(chunk.documentType))
+      return false
+    if ((dateFrom || dateTo) && !chunk.documentDate) return false
+    if (dateFrom && chunk.documentDate < dateFrom) return false
+    if (dateTo && chunk.documentDate > dateTo) return false
+    return true
+  }
+
+  const fieldFilter = ({ missing, present, cases } = {}) => (chunk) => {
+    if (cases && !cases.includes(chunk.caseNumber)) return false
+    if (missing) return chunk[missing] === null || chunk[missing] === undefined
+    if (present) return chunk[present] !== null && chunk[present] !== undefined
+    return true
+  }
+
+  return {
+    name: 'local',
+    reload,
+
+    async search(query, { cases = null, top = 5, filters = {} } = {}) {
+      const candidates = []
+      chunks.forEach((chunk, i) => {
+        if (matchesFilters(chunk, { cases, ...filters })) candidates.push(i)
+      })
+
+      return rank(contentIndex, query, candidates, top).map(({ i, score }) => ({
+        id: chunks[i].id,
+        title: chunks[i].title,
+        content: chunks[i].content,
+        blobPath: chunks[i].url,
+        caseNumber: chunks[i].caseNumber,
+        score,
+      }))
+    },
+
+    async searchDocuments(
+      query,
+      { cases = null, filters = {}, mode = 'keyword', skip = 0, top = 20 } = {}
+    ) {
+      const terms = tokenize(query)
+      const matching = []
+      chunks.forEach((chunk, i) => {
+        if (!matchesFilters(chunk, { cases, ...filters })) return
+        // Palabra clave: todos los términos; semántico (BM25): alguno
+        if (mode === 'keyword') {
+          const tokens = new Set(tokenize(`${chunk.title} ${chunk.content}`))
+          if (!terms.every((term) => tokens.has(term))) return
+        }
+        matching.push(i)
+      })
+
+      const ranked = rank(contentIndex, query, matching, matching.length)
+
+      const countBy = (field) => {
+        const counts = new Map()
+        for (const { i } of ranked) {
+          const value = chunks[i][field]
+          if (value) counts.set(value, (counts.get(value) || 0) + 1)
+        }
+        return [...counts.entries()]
+          .map(([value, count]) => ({ value, count }))
+          .sort((a, b) => b.count - a.count)
+      }
+
+      return {
+        total: ranked.length,
+        hits: ranked.slice(skip, skip + top).map(({ i, score }) => ({
+          id: chunks[i].id,
+          title: chunks[i].title,
+          content: chunks[i].content,
+          blobPath: chunks[i].url,
+          caseNumber: chunks[i].caseNumber,
+          documentType: chunks[i].documentType || null,
+          documentDate: chunks[i].documentDate || null,
+          score,
+          highlights: highlightText(chunks[i].content, terms),
+        })),
+        facets: {
+          cases: countBy('caseNumber'),
+          documentTypes: countBy('documentType'),
+        },
+      }
+    },
+
+    async findByTitle(keywords, { top = 10 } = {}) {
+      const all = chunks.map((_, i) => i)
+      return rank(titleIndex, keywords, all, top).map(({ i }) => ({
+        title: chunks[i].title,
+        url: chunks[i].url,
+      }))
+    },
+
+    async getDocumentChunks(blobPath, { cases = null } = {}) {
+      return chunks.filter(
+        (chunk) =>
+          chunk.url === blobPath && (!cases || cases.includes(chunk.caseNumber))
+      )
+    },
+
+    async *scanDocuments({ missing, present, cases, top = Infinity } = {}) {
+      yield* chunks
+        .filter(fieldFilter({ missing, present, cases }))
+        .slice(0, top)
+    },
+
+    async countDocuments({ missing, present } = {}) {
+      return chunks.filter(fieldFilter({ missing, present })).length
+    },
+
+    // Los metadatos se calculan al cargar la carpeta
+    async ensureMetadataFields() {
+      return []
+    },
+
+    /**
+     * Merge partial documents into the in-memory index (not written to disk)
+     */
+    async mergeDocuments(documents) {
+      for (const doc of documents) {
+        const chunk = chunks.find((c) => c.id === doc.id)
+        if (chunk) Object.assign(chunk, doc)
+      }
+      rebuild()
+    },
+  }
+}
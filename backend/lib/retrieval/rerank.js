@@ -0,0 +1,169 @@
+import { tokenize } from './local-bm25.js'
+
+/**
+ * 🎯 Reranking and relevance threshold for the agent's search tool
+ *
+ * The backend returns a larger candidate set; each candidate gets a
+ * relevance between 0 and 1 and only those at or above the threshold reach
+ * the agent. Modes:
+ * - 'auto' (default): the semantic reranker score when the backend returns
+ *   one (Azure, 0-4), otherwise the lexical score
+ * - 'lexical': share of the query terms found in the chunk (title + content),
+ *   question words and request verbs ("did", "show", "dice") do not count
+ * - 'llm': the agent provider grades every candidate (falls back to 'auto')
+ * - 'none': backend order, no threshold
+ */
+
+export const RERANK_MODES = ['auto', 'lexical', 'llm', 'none']
+
+// Escala del reranker semántico de Azure AI Search
+const SEMANTIC_SCORE_MAX = 4
+// Escala que se pide al modelo en modo 'llm'
+const LLM_SCORE_MAX = 3
+const LLM_PASSAGE_CHARS = 600
+
+// Palabras de la pregunta que no describen lo que se busca ("What did the
+// MRI show?" -> "mri"); sin tildes, como las deja tokenize
+const QUESTION_WORDS = new Set(
+  (
+    'about all any can could did do does done give how list me my please ' +
+    'said say says show showed shows tell there which when where why would ' +
+    'al como cual cuales cuando del dice dijo donde hay le lo mi muestra ' +
+    'mostro por para se sobre su sus'
+  ).split(' ')
+)
+
+const queryTerms = (query) => [
+  ...new Set(tokenize(query).filter((term) => !QUESTION_WORDS.has(term))),
+]
+
+const LLM_RERANK_SYSTEM_PROMPT = `You grade search results for a legal document search engine.
+For each numbered passage, rate how useful it is to answer the question: 0 = unrelated, 1 = same topic but does not answer, 2 = partially answers, 3 = directly answers.
+Answer ONLY with a JSON array of numbers, one per passage and in the same order, no prose.`
+
+/**
+ * Share (0-1) of the distinct query terms that appear in the chunk; the best
+ * of the queries when there are several. `queries` must be the ones actually
+ * searched (rewritten / translated into the documents' language).
+ */
+export function lexicalRelevance(hit, queries) {
+  const terms = new Set(tokenize(`${hit.title || ''} ${hit.content || ''}`))
+  let best = 0
+
+  for (const query of queries) {
+    const wanted = queryTerms(query)
+    if (wanted.length === 0) continue
+    const found = wanted.filter((term) => terms.has(term)).length
+    best = Math.max(best, found / wanted.length)
+  }
+  return best
+}
+
+function semanticRelevance(hit, queries) {
+  return typeof hit.rerankerScore === 'number'
+    ? Math.min(hit.rerankerScore / SEMANTIC_SCORE_MAX, 1)
+    : lexicalRelevance(hit, queries)
+}
+
+/**
+ * Parse the model grades; null when they do not match the candidates
+ */
+export function parseRelevanceScores(answer, count) {
+  const text = String(answer || '')
+  const start = text.indexOf('[')
+  const end = text.lastIndexOf(']')
+  if (start === -1 || end <= start) return null
+
+  let scores
+  try {
+    scores = JSON.parse(text.slice(start, end + 1))
+  } catch {
+    return null
+  }
+  if (!Array.isArray(scores) || scores.length !== count) return null
+
+  return scores.map((score) => {
+    const value = Number(score)
+    return Number.isFinite(value)
+      ? Math.min(Math.max(value / LLM_SCORE_MAX, 0), 1)
+      : 0
+  })
+}
+
+/**
+ * 🧠 Reranker
+ * - provider: agent provider (only for mode 'llm')
+ * - mode: see RERANK_MODES
+ * - threshold: minimum relevance (0-1) of a result passed to the agent
+ *
+ * rerank(hits, { queries, question, top }) ->
+ *   { hits: [{ ...hit, relevance }], candidates, bestScore }
+ * `hits` is empty when no candidate reaches the threshold.
+ */
+export function createReranker({ provider, mode = 'auto', threshold = 0.4 }) {
+  if (!RERANK_MODES.includes(mode)) {
+    throw new Error(`Unknown rerank mode "${mode}"`)
+  }
+
+  async function llmScores(hits, question) {
+    const passages = hits
+      .map(
+        (hit, i) =>
+          `[${i + 1}] ${hit.title}\n${String(hit.content || '')
+            .replace(/\s+/g, ' ')
+            .slice(0, LLM_PASSAGE_CHARS)}`
+      )
+      .join('\n\n')
+
+    const answer = await provider.complete({
+      system: LLM_RERANK_SYSTEM_PROMPT,
+      prompt: `Question: ${question}\n\nPassages:\n${passages}`,
+      timeoutMs: 30 * 1000,
+    })
+
+    const scores = parseRelevanceScores(answer, hits.length)
+    if (!scores) throw new Error('The model did not grade every passage')
+    return scores
+  }
+
+  async function score(hits, queries, question) {
+    if (mode === 'llm' && provider) {
+      try {
+        return await llmScores(hits, question || queries[0])
+      } catch (error) {
+        // Sin notas del modelo se usa la puntuación del backend o léxica
+        console.warn(`   ⚠️  LLM reranking failed: ${error.message}`)
+      }
+    }
+    if (mode === 'lexical') {
+      return hits.map((hit) => lexicalRelevance(hit, queries))
+    }
+    return hits.map((hit) => semanticRelevance(hit, queries))
+  }
+
+  return {
+    mode,
+    threshold,
+
+    async rerank(hits, { queries = [], question, top = 5 } = {}) {
+      if (mode === 'none' || hits.length === 0) {
+        return {
+          hits: hits.slice(0, top),
+          candidates: hits.length,
+          bestScore: null,
+        }
+      }
+
+      const scores = await score(hits, queries, question)
+      const ranked = hits
+        .map((hit, i) => ({ ...hit, relevance: scores[i] }))
+        .sort((a, b) => b.relevance - a.relevance)
+
+      return {
+        hits: ranked.filter((hit) => hit.relevance >= threshold).slice(0, top),
+        candidates: hits.length,
+        bestScore: ranked[0].relevance,
+      }
+    },
+  }
+}
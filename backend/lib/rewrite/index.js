@@ -0,0 +1,154 @@
+import { languageName } from '../language/index.js'
+
+/**
+ * ✍️ Conversation-aware query rewriting
+ *
+ * The search tool only sees the query the model wrote, which for follow-up
+ * questions ("and what did the doctor say after that?") is often not a
+ * standalone query. Before retrieval the query is rewritten with the recent
+ * turns of the conversation into one or more standalone queries; each one
+ * is searched and the results are merged. The first search of a
+ * conversation has nothing to resolve and is searched as written.
+ */
+
+// Texto de cada respuesta anterior que se pasa al modelo
+const HISTORY_MESSAGE_CHARS = 600
+const MAX_QUERY_LENGTH = 200
+
+// Constante de Reciprocal Rank Fusion (valor habitual)
+const RRF_K = 60
+
+const REWRITE_SYSTEM_PROMPT = `You rewrite search queries for a legal document search engine.
+Given the recent conversation, the user's latest question and the query the assistant wants to run, write standalone search queries: resolve pronouns and references ("he", "that visit", "after that") with the names, dates and facts from the conversation, and keep names, case numbers and dates exactly.
+Answer ONLY with a JSON array of strings, no prose. The first query is the main one; add other phrasings only when they would find different documents.`
+
+/**
+ * The last `turns` question / answer pairs of a conversation as plain text
+ * for the rewriting prompt
+ */
+export function formatRecentTurns(messages = [], turns = 3) {
+  return messages
+    .filter((m) => m.role === 'user' || m.role === 'assistant')
+    .slice(-turns * 2)
+    .map((m) => {
+      const text = String(m.content || '')
+        .replace(/\[\d+\]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+      const clipped =
+        text.length > HISTORY_MESSAGE_CHARS
+          ? `${text.slice(0, HISTORY_MESSAGE_CHARS)}…`
+          : text
+      return `${m.role === 'user' ? 'User' : 'Assistant'}: ${clipped}`
+    })
+    .join('\n')
+}
+
+/**
+ * Parse the model answer into unique, non-empty queries
+ */
+export function parseRewrittenQueries(answer, maxQueries) {
+  const text = String(answer || '')
+  const start = text.indexOf('[')
+  const end = text.lastIndexOf(']')
+  if (start === -1 || end <= start) return []
+
+  let items
+  try {
+    items = JSON.parse(text.slice(start, end + 1))
+  } catch {
+    return []
+  }
+  if (!Array.isArray(items)) return []
+
+  const seen = new Set()
+  return items
+    .map((item) =>
+      String(typeof item === 'string' ? item : '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_QUERY_LENGTH)
+    )
+    .filter((query) => {
+      const key = query.toLowerCase()
+      if (!query || seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .slice(0, maxQueries)
+}
+
+/**
+ * Merge the hits of several queries (Reciprocal Rank Fusion): a chunk found
+ * by several queries or ranked high by one of them comes first; each chunk
+ * appears once
+ */
+export function mergeSearchResults(resultLists, { top = 5 } = {}) {
+  const merged = new Map()
+
+  for (const hits of resultLists) {
+    hits.forEach((hit, rank) => {
+      const entry = merged.get(hit.id) || { hit, score: 0 }
+      entry.score += 1 / (RRF_K + rank + 1)
+      merged.set(hit.id, entry)
+    })
+  }
+
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, top)
+    .map((entry) => entry.hit)
+}
+
+/**
+ * 🧠 Query rewriter
+ * - provider: agent provider (uses complete())
+ * - maxQueries: standalone queries produced per search (1 = rewrite only)
+ * - enabled: when false the query is searched as written
+ * - language: language of the indexed documents; the queries are written
+ *   in it so they do not need translating before the search
+ *
+ * rewrite(query, { question, history, cases }) -> [query, ...]
+ * Without history the query is returned as is. Never throws: on any
+ * problem the original query is returned.
+ */
+export function createQueryRewriter({
+  provider,
+  maxQueries = 3,
+  enabled = true,
+  language = null,
+}) {
+  return {
+    enabled,
+    maxQueries,
+
+    async rewrite(query, { question, history, cases } = {}) {
+      if (!enabled || !provider) return [query]
+      // Sin conversación previa no hay referencias que resolver
+      if (!String(history || '').trim()) return [query]
+
+      try {
+        const answer = await provider.complete({
+          system: REWRITE_SYSTEM_PROMPT,
+          prompt: `Recent conversation:
+${history}
+
+Selected cases: ${cases?.length ? cases.join(', ') : 'all authorized cases'}
+Latest question: ${question || query}
+Assistant query: ${query}
+
+Return at most ${maxQueries} queries${
+            language ? `, written in ${languageName(language)}` : ''
+          }.`,
+          timeoutMs: 20 * 1000,
+        })
+
+        const queries = parseRewrittenQueries(answer, maxQueries)
+        return queries.length > 0 ? queries : [query]
+      } catch (error) {
+        console.warn(`   ⚠️  Query rewriting failed: ${error.message}`)
+        return [query]
+      }
+    },
+  }
+}
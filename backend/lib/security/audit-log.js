@@ -0,0 +1,108 @@
+import fs from 'fs'
+import path from 'path'
+import readline from 'readline'
+
+// Entradas recientes que se guardan en memoria cuando no hay archivo
+const MEMORY_ENTRIES = 1000
+const MAX_QUERY_LIMIT = 1000
+
+function matchesQuery(entry, query) {
+  if (query.event && entry.event !== query.event) return false
+  if (query.userId && entry.userId !== query.userId) return false
+  if (query.caseNumber && entry.caseNumber !== query.caseNumber) return false
+  if (query.blobPath && entry.blobPath !== query.blobPath) return false
+  if (query.since && entry.timestamp < query.since) return false
+  if (query.until && entry.timestamp > query.until) return false
+  return true
+}
+
+/**
+ * 📋 Document audit log
+ *
+ * Appends one JSON line per document event and answers admin queries:
+ * - link_minted: a view / download link was issued (user, case, blob, purpose)
+ * - document_access: a document was served through the proxy
+ * - document_compared: a document's text was sent to the LLM for a comparison
+ */
+export function createAuditLog({ file } = {}) {
+  const counts = {}
+  const recent = []
+  let total = 0
+  let lastEventAt = null
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+  }
+
+  async function readEntries(onEntry) {
+    if (!file) {
+      recent.forEach(onEntry)
+      return
+    }
+    if (!fs.existsSync(file)) return
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file),
+      crlfDelay: Infinity,
+    })
+    for await (const line of lines) {
+      if (!line.trim()) continue
+      try {
+        onEntry(JSON.parse(line))
+      } catch (e) {
+        // Línea incompleta (escritura en curso): se ignora
+      }
+    }
+  }
+
+  return {
+    file: file || null,
+
+    record(event, details = {}) {
+      const entry = { timestamp: new Date().toISOString(), event, ...details }
+
+      counts[event] = (counts[event] || 0) + 1
+      total++
+      lastEventAt = entry.timestamp
+
+      if (file) {
+        // Escritura asíncrona: el log nunca debe bloquear la descarga
+        fs.appendFile(file, JSON.stringify(entry) + '\n', (error) => {
+          if (error) {
+            console.error('   ❌ Error writing audit log:', error.message)
+          }
+        })
+      } else {
+        recent.push(entry)
+        if (recent.length > MEMORY_ENTRIES) recent.shift()
+      }
+
+      return entry
+    },
+
+    /**
+     * Entries matching { event, userId, caseNumber, blobPath, since, until },
+     * newest first, at most `limit`
+     */
+    async query(query = {}) {
+      const limit = Math.min(
+        Math.max(Number(query.limit) || 100, 1),
+        MAX_QUERY_LIMIT
+      )
+      const matches = []
+
+      await readEntries((entry) => {
+        if (!matchesQuery(entry, query)) return
+        matches.push(entry)
+        // Solo hacen falta las `limit` más recientes
+        if (matches.length > limit) matches.shift()
+      })
+
+      return matches.reverse()
+    },
+
+    stats() {
+      return { total, byEvent: { ...counts }, lastEventAt }
+    },
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * 🔒 Case-level authorization shared by every route and tool
+ *
+ * Case numbers are the folder names of the blob container: digits only, of
+ * any length. Anything else is rejected before it reaches a filter, a blob
+ * prefix or a permission check.
+ */
+
+const CASE_NUMBER_PATTERN = /^\d{1,20}$/
+
+// Listas de casos más largas que esto usan search.in: con muchos casos es
+// bastante más rápido que encadenar `eq ... or eq ...`
+const SEARCH_IN_THRESHOLD = 10
+
+export function isAdminUser(userCases) {
+  return (userCases || []).includes('*')
+}
+
+/**
+ * Trimmed case number, or null when the value is not a valid case number
+ */
+export function normalizeCaseNumber(value) {
+  const caseNumber = String(value ?? '').trim()
+  return CASE_NUMBER_PATTERN.test(caseNumber) ? caseNumber : null
+}
+
+export function canAccessCase(caseNumber, userCases) {
+  const normalized = normalizeCaseNumber(caseNumber)
+  if (!normalized) return false
+  return isAdminUser(userCases) || (userCases || []).includes(normalized)
+}
+
+/**
+ * Validate a single case requested by a user or a tool call.
+ * Returns { caseNumber } or { error }
+ */
+export function authorizeCaseNumber(requested, userCases) {
+  const caseNumber = normalizeCaseNumber(requested)
+
+  if (!caseNumber) {
+    return { error: `Invalid case number "${String(requested ?? '').trim()}".` }
+  }
+  if (!canAccessCase(caseNumber, userCases)) {
+    return {
+      error: `Access denied: case ${caseNumber} is not in the user's authorized cases.`,
+    }
+  }
+
+  return { caseNumber }
+}
+
+/**
+ * 🎯 Resolve the case scope requested for a conversation
+ * Only cases present in the user's JWT are accepted; admins ('*') may
+ * scope to any case number. Returns the accepted and rejected cases.
+ */
+export function resolveCaseScope(requestedCases, userCases) {
+  const cases = []
+  const invalid = []
+
+  for (const raw of Array.isArray(requestedCases) ? requestedCases : []) {
+    const caseNum = String(raw).trim()
+    if (!caseNum || cases.includes(caseNum) || invalid.includes(caseNum)) {
+      continue
+    }
+
+    if (canAccessCase(caseNum, userCases)) {
+      cases.push(caseNum)
+    } else {
+      invalid.push(caseNum)
+    }
+  }
+
+  return { cases, invalid }
+}
+
+/**
+ * Blob paths must be plain "case/.../file" paths: no empty, "." or ".."
+ * segments (also percent-encoded) and no backslashes. The storage SDK
+ * normalizes "25096/../25097/x.pdf" to the blob "25097/x.pdf", so such a
+ * path would pass a check on its first segment and open another case.
+ */
+export function isSafeBlobPath(blobPath) {
+  if (typeof blobPath !== 'string' || blobPath.includes('\\')) return false
+
+  return blobPath.split('/').every((segment) => {
+    // Un "%" que no es un escape válido se queda tal cual
+    let decoded = segment
+    try {
+      decoded = decodeURIComponent(segment)
+    } catch {}
+    return (
+      segment !== '' &&
+      decoded !== '.' &&
+      decoded !== '..' &&
+      !/[\\/]/.test(decoded)
+    )
+  })
+}
+
+/**
+ * Case folder of a blob path ("25096/notes/x.txt" -> "25096"), or null
+ * (also for unsafe paths)
+ */
+export function caseFromBlobPath(blobPath) {
+  if (!isSafeBlobPath(blobPath)) return null
+  return normalizeCaseNumber(blobPath.split('/')[0])
+}
+
+/**
+ * Blob paths outside a case folder are only visible to admins; unsafe
+ * paths (see isSafeBlobPath) are rejected for everyone
+ * Returns { authorized, caseNumber, reason }
+ */
+export function checkBlobPathAccess(blobPath, userCases) {
+  if (!isSafeBlobPath(blobPath)) {
+    return { authorized: false, caseNumber: null, reason: 'invalid blob path' }
+  }
+  const caseNumber = caseFromBlobPath(blobPath)
+
+  if (isAdminUser(userCases)) return { authorized: true, caseNumber }
+  if (!caseNumber) {
+    return { authorized: false, caseNumber, reason: 'not in a case folder' }
+  }
+  if (!userCases.includes(caseNumber)) {
+    return {
+      authorized: false,
+      caseNumber,
+      reason: `case ${caseNumber} not authorized`,
+    }
+  }
+
+  return { authorized: true, caseNumber }
+}
+
+/**
+ * Re-check a retrieved chunk against the user's cases, independently of the
+ * filter sent to the search backend. Both the indexed case number and the
+ * case folder of the blob path must be authorized.
+ *
+ * Returns { authorized, reason }
+ */
+export function checkChunkAccess(chunk, userCases) {
+  if (chunk.blobPath && !isSafeBlobPath(chunk.blobPath)) {
+    return { authorized: false, reason: 'invalid blob path' }
+  }
+  if (isAdminUser(userCases)) return { authorized: true }
+
+  const caseNumber = chunk.caseNumber ? String(chunk.caseNumber) : null
+  const pathCase = caseFromBlobPath(chunk.blobPath)
+
+  if (!caseNumber && !pathCase) {
+    return { authorized: false, reason: 'missing case number' }
+  }
+  if (caseNumber && !canAccessCase(caseNumber, userCases)) {
+    return { authorized: false, reason: `case ${caseNumber} not authorized` }
+  }
+  if (pathCase && !userCases.includes(pathCase)) {
+    return {
+      authorized: false,
+      reason: `blob path case ${pathCase} not authorized`,
+    }
+  }
+  if (caseNumber && pathCase && caseNumber !== pathCase) {
+    return {
+      authorized: false,
+      reason: `case mismatch (index ${caseNumber}, path ${pathCase})`,
+    }
+  }
+
+  return { authorized: true }
+}
+
+/**
+ * Escape a value for an OData string literal ('' is the quote escape)
+ */
+export function escapeODataString(value) {
+  return String(value).replace(/'/g, "''")
+}
+
+/**
+ * 🔒 Generate the OData case filter for Azure Search
+ * This is the PRIMARY security mechanism
+ * - null cases: no filter (admins)
+ * - no valid cases: a filter that matches nothing
+ * - up to SEARCH_IN_THRESHOLD cases: field eq 'a' or field eq 'b'
+ * - larger lists: search.in(field, 'a,b,c', ',')
+ */
+export function buildCaseFilter(field, cases) {
+  if (cases === null || cases === undefined) return null
+
+  const valid = [...new Set(cases.map(normalizeCaseNumber).filter(Boolean))]
+
+  if (valid.length === 0) return 'false'
+  if (valid.length <= SEARCH_IN_THRESHOLD) {
+    return valid
+      .map((caseNumber) => `${field} eq '${escapeODataString(caseNumber)}'`)
+      .join(' or ')
+  }
+  return `search.in(${field}, '${escapeODataString(valid.join(','))}', ',')`
+}
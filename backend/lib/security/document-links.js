@@ -0,0 +1,95 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+
+export const LINK_PURPOSES = ['view', 'download', 'preview']
+
+const LINK_TOKEN_TYPE = 'document-link'
+
+/**
+ * 🔗 Short-lived, single-purpose document links
+ *
+ * A link token names exactly one blob and one purpose ('view' inline,
+ * 'download' as attachment or 'preview' converted for the browser), belongs to the session that requested it and
+ * expires after `ttlSeconds`. With `bindIp` it is only valid from the IP
+ * address that requested it. Email attachments are linked through their
+ * email blob plus { index, filename }.
+ */
+export function createDocumentLinkSigner({
+  secret,
+  ttlSeconds = 300,
+  bindIp = false,
+}) {
+  if (!secret) {
+    throw new Error('A secret is required to sign document links')
+  }
+
+  // Clave derivada: un token de enlace nunca sirve como JWT de sesión
+  const signingKey = crypto
+    .createHmac('sha256', secret)
+    .update(LINK_TOKEN_TYPE)
+    .digest()
+
+  return {
+    ttlSeconds,
+    bindIp,
+
+    mint({ userId, sessionId, blobPath, caseNumber, purpose, ip, attachment }) {
+      if (!LINK_PURPOSES.includes(purpose)) {
+        throw new Error(`Unknown link purpose "${purpose}"`)
+      }
+
+      const claims = {
+        typ: LINK_TOKEN_TYPE,
+        sub: userId,
+        sid: sessionId,
+        path: blobPath,
+        case: caseNumber,
+        purpose,
+      }
+      if (bindIp) claims.ip = ip
+      if (attachment) {
+        claims.att = { index: attachment.index, filename: attachment.filename }
+      }
+
+      return {
+        token: jwt.sign(claims, signingKey, { expiresIn: ttlSeconds }),
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+      }
+    },
+
+    /**
+     * Validate a link token for a request coming from `ip`.
+     * Returns { link } or { error }
+     */
+    verify(token, { ip } = {}) {
+      let claims
+      try {
+        claims = jwt.verify(String(token || ''), signingKey)
+      } catch (error) {
+        return {
+          error:
+            error.name === 'TokenExpiredError'
+              ? 'Link expired'
+              : 'Invalid link',
+        }
+      }
+
+      if (claims.typ !== LINK_TOKEN_TYPE) return { error: 'Invalid link' }
+      if (claims.ip && claims.ip !== ip) {
+        return { error: 'Link not valid from this address' }
+      }
+
+      return {
+        link: {
+          userId: claims.sub,
+          sessionId: claims.sid,
+          blobPath: claims.path,
+          caseNumber: claims.case,
+          purpose: claims.purpose,
+          ip: claims.ip || null,
+          attachment: claims.att || null,
+        },
+      }
+    },
+  }
+}
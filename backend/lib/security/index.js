@@ -0,0 +1,19 @@
+export {
+  isAdminUser,
+  normalizeCaseNumber,
+  canAccessCase,
+  authorizeCaseNumber,
+  resolveCaseScope,
+  isSafeBlobPath,
+  caseFromBlobPath,
+  checkBlobPathAccess,
+  checkChunkAccess,
+  escapeODataString,
+  buildCaseFilter,
+} from './case-access.js'
+export { createSecurityLog } from './security-log.js'
+export { createAuditLog } from './audit-log.js'
+export {
+  createDocumentLinkSigner,
+  LINK_PURPOSES,
+} from './document-links.js'
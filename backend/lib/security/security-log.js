@@ -0,0 +1,55 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * 🚨 Security log
+ *
+ * Appends one JSON line per security event (e.g. a retrieved chunk that
+ * failed the post-retrieval authorization check) and keeps counters, per
+ * type, for /health.
+ */
+export function createSecurityLog({ file } = {}) {
+  const counts = {}
+  let total = 0
+  let lastEventAt = null
+  const lastEventAtByType = {}
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+  }
+
+  return {
+    file: file || null,
+
+    record(type, details = {}) {
+      const entry = { timestamp: new Date().toISOString(), type, ...details }
+
+      counts[type] = (counts[type] || 0) + 1
+      total++
+      lastEventAt = entry.timestamp
+      lastEventAtByType[type] = entry.timestamp
+
+      console.warn(`   🚨 [SECURITY] ${type}: ${JSON.stringify(details)}`)
+
+      if (file) {
+        // Escritura asíncrona: el log nunca debe bloquear la respuesta
+        fs.appendFile(file, JSON.stringify(entry) + '\n', (error) => {
+          if (error) {
+            console.error('   ❌ Error writing security log:', error.message)
+          }
+        })
+      }
+
+      return entry
+    },
+
+    stats() {
+      return {
+        total,
+        byType: { ...counts },
+        lastEventAt,
+        lastEventAtByType: { ...lastEventAtByType },
+      }
+    },
+  }
+}
@@ -0,0 +1,114 @@
+import axios from 'axios'
+
+/**
+ * Limpia HTML entities y tags del texto de las notas
+ */
+export function cleanNoteText(text) {
+  if (!text) return ''
+
+  return text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<br>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Blob path of a synced note, same name sync-notes.js writes:
+ * {case}/notes/{case}_{YYYYMMDD}_{noteID}.txt
+ */
+export function noteBlobPath(note, caseNumber) {
+  const date = new Date(note.noteDate || note.createdDate)
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${caseNumber}/notes/${caseNumber}_${year}${month}${day}_${note.noteID}.txt`
+}
+
+/**
+ * 🏛️ Smart Advocate API client (system account)
+ *
+ * Authenticates lazily with the service credentials and re-authenticates
+ * once when a request comes back 401 (expired token).
+ */
+export function createSmartAdvocateClient({ baseUrl, username, password }) {
+  if (!baseUrl || !username || !password) {
+    throw new Error('Faltan SA_API_BASE_URL, SA_USERNAME o SA_PASSWORD')
+  }
+
+  let token = null
+
+  async function authenticate() {
+    const response = await axios.post(`${baseUrl}/Users/authenticate`, {
+      Username: username,
+      Password: password,
+    })
+
+    if (!response.data?.token) {
+      throw new Error('Token no recibido en la respuesta')
+    }
+
+    token = response.data.token
+    return token
+  }
+
+  async function get(path, params) {
+    if (!token) await authenticate()
+
+    const request = () =>
+      axios.get(`${baseUrl}${path}`, {
+        params,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+      })
+
+    try {
+      return (await request()).data
+    } catch (error) {
+      if (error.response?.status !== 401) throw error
+      await authenticate()
+      return (await request()).data
+    }
+  }
+
+  return {
+    authenticate,
+
+    /**
+     * Case record (name, status, dates...) or null
+     */
+    async getCaseInfo(caseNumber) {
+      const data = await get('/case/CaseInfo', { Casenumber: caseNumber })
+      // La API retorna un Array
+      return Array.isArray(data) ? data[0] || null : data || null
+    },
+
+    async getCaseStaff(caseNumber) {
+      const data = await get('/case/staff/byCaseNumber', {
+        CaseNumber: caseNumber,
+      })
+      return Array.isArray(data) ? data : []
+    },
+
+    async getNotesByCaseNumber(caseNumber) {
+      try {
+        const data = await get('/case/notes/byCaseNumber', {
+          CaseNumber: caseNumber,
+        })
+        return Array.isArray(data) ? data : []
+      } catch (error) {
+        if (error.response?.status === 404) return []
+        throw error
+      }
+    },
+  }
+}
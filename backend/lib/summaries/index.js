@@ -0,0 +1,239 @@
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * 📝 Per-document summaries
+ *
+ * A short summary plus a list of key facts, generated by the LLM provider
+ * from the indexed text of a document. Each summary remembers the blob
+ * ETag it was built from, so it is only generated again when the file
+ * changes.
+ *
+ * Summary: { blobPath, etag, summary, keyFacts, generatedAt, truncated,
+ *   status: 'ready' }
+ */
+
+// Texto por llamada al modelo; los documentos largos se resumen por partes
+const SEGMENT_CHARS = 12000
+const MAX_SEGMENTS = 8
+const MAX_KEY_FACTS = 10
+const MAX_SUMMARY_LENGTH = 1500
+const MAX_FACT_LENGTH = 300
+
+const SUMMARY_SYSTEM_PROMPT = `You summarize documents for the attorneys of a law firm.
+Answer ONLY with a JSON object, no prose:
+{"summary": "what the document is and what it says, in 2 to 4 sentences", "keyFacts": ["one fact per item: names, dates, amounts, injuries, obligations, admissions"]}
+Rules:
+- Use only the text provided. Never add facts that are not in it.
+- At most ${MAX_KEY_FACTS} key facts, most important first.`
+
+const COMBINE_SYSTEM_PROMPT = `You merge partial summaries of one long document, written in order, into a single summary for the attorneys of a law firm.
+Answer ONLY with a JSON object, no prose:
+{"summary": "what the document is and what it says, in 2 to 4 sentences", "keyFacts": ["one fact per item, most important first"]}
+Use only the partial summaries. At most ${MAX_KEY_FACTS} key facts.`
+
+function clip(value, maxLength) {
+  const text = String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text
+}
+
+/**
+ * Parse the model answer; throws when it holds no usable summary
+ */
+export function parseSummaryAnswer(answer) {
+  const text = String(answer || '')
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+
+  let parsed = null
+  if (start !== -1 && end > start) {
+    try {
+      parsed = JSON.parse(text.slice(start, end + 1))
+    } catch {
+      parsed = null
+    }
+  }
+
+  const summary = clip(parsed?.summary, MAX_SUMMARY_LENGTH)
+  if (!summary) {
+    throw new Error('The model did not return a summary')
+  }
+
+  return {
+    summary,
+    keyFacts: (Array.isArray(parsed.keyFacts) ? parsed.keyFacts : [])
+      .map((fact) => clip(fact, MAX_FACT_LENGTH))
+      .filter(Boolean)
+      .slice(0, MAX_KEY_FACTS),
+  }
+}
+
+/**
+ * 💾 Summaries store: one JSON file per document in `directory` (named by
+ * a hash of the blob path), or in memory when no directory is configured
+ */
+export function createSummaryStore({ directory = null } = {}) {
+  const memory = new Map()
+  const fileFor = (blobPath) =>
+    path.join(
+      directory,
+      `${crypto.createHash('sha256').update(blobPath).digest('hex')}.json`
+    )
+
+  return {
+    type: directory ? 'file' : 'memory',
+
+    async load(blobPath) {
+      if (!directory) return memory.get(blobPath) || null
+      try {
+        return JSON.parse(await fs.readFile(fileFor(blobPath), 'utf-8'))
+      } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+      }
+    },
+
+    async save(blobPath, summary) {
+      if (!directory) {
+        memory.set(blobPath, summary)
+        return
+      }
+      await fs.mkdir(directory, { recursive: true })
+      const file = fileFor(blobPath)
+      const tmpFile = `${file}.${process.pid}.tmp`
+      await fs.writeFile(tmpFile, JSON.stringify(summary), 'utf-8')
+      await fs.rename(tmpFile, file)
+    },
+  }
+}
+
+/**
+ * 🧠 Document summarizer
+ * - provider: agent provider (uses complete())
+ * - retrieval: retrieval backend (getDocumentChunks)
+ * - containerClient: blob container, for the current ETag
+ * - store: createSummaryStore()
+ */
+export function createDocumentSummarizer({
+  provider,
+  retrieval,
+  containerClient,
+  store,
+}) {
+  const inFlight = new Map() // blobPath -> Promise
+
+  async function currentEtag(blobPath) {
+    const properties = await containerClient
+      .getBlobClient(blobPath)
+      .getProperties()
+    return properties.etag
+  }
+
+  async function generate(blobPath, text) {
+    const segments = []
+    for (
+      let offset = 0;
+      offset < text.length && segments.length < MAX_SEGMENTS;
+      offset += SEGMENT_CHARS
+    ) {
+      segments.push(text.slice(offset, offset + SEGMENT_CHARS))
+    }
+
+    const ask = async (system, body) =>
+      parseSummaryAnswer(
+        await provider.complete({
+          system,
+          prompt: `Document: ${blobPath.split('/').pop()}\n${body}`,
+        })
+      )
+
+    if (segments.length === 1) {
+      return ask(SUMMARY_SYSTEM_PROMPT, `"""\n${segments[0]}\n"""`)
+    }
+
+    // Documentos largos: resumen de cada parte y después uno combinado
+    const partials = []
+    for (const [index, segment] of segments.entries()) {
+      partials.push(
+        await ask(
+          SUMMARY_SYSTEM_PROMPT,
+          `Part ${index + 1} of ${segments.length}:\n"""\n${segment}\n"""`
+        )
+      )
+    }
+
+    return ask(
+      COMBINE_SYSTEM_PROMPT,
+      partials
+        .map(
+          (partial, index) =>
+            `Part ${index + 1}: ${partial.summary}\n${partial.keyFacts
+              .map((fact) => `- ${fact}`)
+              .join('\n')}`
+        )
+        .join('\n\n')
+    )
+  }
+
+  async function summarize(blobPath, { force }) {
+    const etag = await currentEtag(blobPath)
+    const stored = await store.load(blobPath)
+    if (!force && stored?.etag === etag) return { ...stored, status: 'ready' }
+
+    const chunks = await retrieval.getDocumentChunks(blobPath)
+    const text = chunks.map((chunk) => chunk.content || '').join('\n')
+    if (!text.trim()) {
+      const error = new Error('Document has no indexed text to summarize')
+      error.status = 409
+      throw error
+    }
+
+    const result = await generate(blobPath, text)
+    const summary = {
+      blobPath,
+      etag,
+      ...result,
+      truncated: text.length > SEGMENT_CHARS * MAX_SEGMENTS,
+      generatedAt: new Date().toISOString(),
+    }
+    await store.save(blobPath, summary)
+
+    console.log(`📝 Summary generated for ${blobPath}`)
+    return { ...summary, status: 'ready' }
+  }
+
+  return {
+    /**
+     * Stored summary of a document without generating anything:
+     * status 'ready', 'stale' (the file changed since) or 'missing'
+     */
+    async get(blobPath) {
+      const [stored, etag] = await Promise.all([
+        store.load(blobPath),
+        currentEtag(blobPath),
+      ])
+      if (!stored) return { blobPath, status: 'missing' }
+      return { ...stored, status: stored.etag === etag ? 'ready' : 'stale' }
+    },
+
+    /**
+     * Summary of a document, generated only when missing or when the blob
+     * ETag changed (or with `force`). Concurrent calls share one run.
+     */
+    summarize(blobPath, { force = false } = {}) {
+      if (!provider || !retrieval) {
+        throw new Error('Summaries need an agent provider and a search index')
+      }
+      if (inFlight.has(blobPath)) return inFlight.get(blobPath)
+
+      const run = summarize(blobPath, { force }).finally(() =>
+        inFlight.delete(blobPath)
+      )
+      inFlight.set(blobPath, run)
+      return run
+    },
+  }
+}
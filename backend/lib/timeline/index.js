@@ -0,0 +1,351 @@
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { extractDocumentDate } from '../retrieval/index.js'
+
+/**
+ * 🗓️ Case chronology builder
+ *
+ * Walks every indexed document of a case (synced notes included), asks the
+ * LLM provider for the dated events in each one and keeps them per document
+ * with a hash of its text, so a rebuild only re-reads documents that changed.
+ *
+ * Timeline returned to the UI:
+ * { caseNumber, status, builtAt, progress, events, documentCount, errors }
+ * - events: [{ id, date, precision, description, quote, blobPath, title,
+ *   documentType }] sorted by date
+ * - status: 'missing' | 'building' | 'ready' | 'failed'
+ */
+
+// Texto por llamada al modelo y máximo de llamadas por documento
+const SEGMENT_CHARS = 12000
+const MAX_SEGMENTS_PER_DOCUMENT = 5
+const MAX_EVENTS_PER_SEGMENT = 40
+const MAX_FIELD_LENGTH = 400
+
+const EXTRACTION_SYSTEM_PROMPT = `You build chronologies for a law firm.
+Extract every dated event from the document excerpt: incidents, medical visits, treatments, filings, hearings, deadlines, payments, calls, letters and similar facts.
+Answer ONLY with a JSON array, no prose. Each item:
+{"date": "YYYY-MM-DD" (or "YYYY-MM" / "YYYY" when the day or month is unknown), "description": one factual sentence, "quote": the exact words of the excerpt that support it}
+Rules:
+- Only events whose date is stated in, or can be derived from, the excerpt. Never guess dates.
+- When the document is a dated note and an event has no other date, use the document date.
+- Return [] when there are no dated events.`
+
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/
+
+function clip(value) {
+  const text = String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  return text.length > MAX_FIELD_LENGTH
+    ? `${text.slice(0, MAX_FIELD_LENGTH - 1)}…`
+    : text
+}
+
+/**
+ * Parse the model answer into validated events (bad items are dropped)
+ */
+export function parseTimelineEvents(answer) {
+  const text = String(answer || '')
+  const start = text.indexOf('[')
+  const end = text.lastIndexOf(']')
+  if (start === -1 || end <= start) return []
+
+  let items
+  try {
+    items = JSON.parse(text.slice(start, end + 1))
+  } catch {
+    return []
+  }
+  if (!Array.isArray(items)) return []
+
+  return items
+    .map((item) => {
+      const match = DATE_PATTERN.exec(String(item?.date || '').trim())
+      const description = clip(item?.description)
+      if (!match || !description) return null
+
+      const [, , month, day] = match
+      if (month && (month < '01' || month > '12')) return null
+      if (day && (day < '01' || day > '31')) return null
+
+      return {
+        date: match[0],
+        precision: day ? 'day' : month ? 'month' : 'year',
+        description,
+        quote: clip(item.quote),
+      }
+    })
+    .filter(Boolean)
+    .slice(0, MAX_EVENTS_PER_SEGMENT)
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex')
+}
+
+function eventId(blobPath, event) {
+  return hashText(`${blobPath}|${event.date}|${event.description}`).slice(0, 16)
+}
+
+/**
+ * Group the indexed chunks of a case into documents (one per blob path)
+ */
+async function collectCaseDocuments(retrieval, caseNumber) {
+  const documents = new Map()
+
+  for await (const chunk of retrieval.scanDocuments({
+    cases: [caseNumber],
+    select: ['id', 'title', 'content', 'url', 'documentType', 'documentDate'],
+  })) {
+    const blobPath = chunk.url ? decodeURIComponent(chunk.url) : null
+    if (!blobPath || !chunk.content) continue
+
+    if (!documents.has(blobPath)) {
+      documents.set(blobPath, {
+        blobPath,
+        title: chunk.title || path.posix.basename(blobPath),
+        documentType: chunk.documentType || null,
+        documentDate:
+          chunk.documentDate || extractDocumentDate(blobPath, chunk.content),
+        chunks: [],
+      })
+    }
+    documents.get(blobPath).chunks.push(chunk)
+  }
+
+  return [...documents.values()].map((doc) => {
+    doc.chunks.sort((a, b) =>
+      String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+    )
+    const text = doc.chunks.map((c) => c.content).join('\n')
+    delete doc.chunks
+    return { ...doc, text, hash: hashText(text) }
+  })
+}
+
+/**
+ * 💾 Where built timelines are kept: one JSON file per case in `directory`,
+ * or in memory when no directory is configured
+ */
+export function createTimelineStore({ directory = null } = {}) {
+  const memory = new Map()
+  const fileFor = (caseNumber) =>
+    path.join(directory, `${String(caseNumber).replace(/[^\w-]/g, '_')}.json`)
+
+  return {
+    type: directory ? 'file' : 'memory',
+
+    async load(caseNumber) {
+      if (!directory) return memory.get(caseNumber) || null
+      try {
+        return JSON.parse(await fs.readFile(fileFor(caseNumber), 'utf-8'))
+      } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+      }
+    },
+
+    async save(caseNumber, timeline) {
+      if (!directory) {
+        memory.set(caseNumber, timeline)
+        return
+      }
+      await fs.mkdir(directory, { recursive: true })
+      const file = fileFor(caseNumber)
+      const tmpFile = `${file}.${process.pid}.tmp`
+      await fs.writeFile(tmpFile, JSON.stringify(timeline), 'utf-8')
+      await fs.rename(tmpFile, file)
+    },
+  }
+}
+
+/**
+ * 🧠 Timeline builder
+ * - provider: agent provider (uses complete())
+ * - retrieval: retrieval backend (scanDocuments by case)
+ * - store: createTimelineStore()
+ */
+export function createTimelineBuilder({
+  provider,
+  retrieval,
+  store,
+  concurrency = 2,
+}) {
+  const running = new Map() // caseNumber -> { progress, promise }
+
+  async function extractEvents(doc) {
+    const segments = []
+    for (
+      let offset = 0;
+      offset < doc.text.length && segments.length < MAX_SEGMENTS_PER_DOCUMENT;
+      offset += SEGMENT_CHARS
+    ) {
+      segments.push(doc.text.slice(offset, offset + SEGMENT_CHARS))
+    }
+
+    const events = []
+    for (const [index, segment] of segments.entries()) {
+      const answer = await provider.complete({
+        system: EXTRACTION_SYSTEM_PROMPT,
+        prompt: `Document: ${doc.title}
+Path: ${doc.blobPath}
+Document date: ${doc.documentDate ? doc.documentDate.slice(0, 10) : 'unknown'}
+Excerpt ${index + 1} of ${segments.length}:
+"""
+${segment}
+"""`,
+      })
+      events.push(...parseTimelineEvents(answer))
+    }
+
+    // El mismo hecho puede aparecer en varios fragmentos solapados
+    const seen = new Set()
+    return events
+      .filter((event) => {
+        const key = `${event.date}|${event.description.toLowerCase()}`
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+      .map((event) => ({ ...event, id: eventId(doc.blobPath, event) }))
+  }
+
+  async function run(caseNumber, { force, progress }) {
+    const previous = (await store.load(caseNumber)) || { documents: {} }
+    const documents = await collectCaseDocuments(retrieval, caseNumber)
+    progress.total = documents.length
+
+    const built = {}
+    const errors = []
+    let next = 0
+
+    const worker = async () => {
+      while (next < documents.length) {
+        const doc = documents[next++]
+        const cached = previous.documents?.[doc.blobPath]
+
+        try {
+          built[doc.blobPath] =
+            !force && cached?.hash === doc.hash
+              ? cached
+              : {
+                  hash: doc.hash,
+                  title: doc.title,
+                  documentType: doc.documentType,
+                  documentDate: doc.documentDate,
+                  events: await extractEvents(doc),
+                }
+        } catch (error) {
+          errors.push({ blobPath: doc.blobPath, error: error.message })
+          // Se conserva el resultado anterior si lo había
+          if (cached) built[doc.blobPath] = cached
+        }
+        progress.processed++
+      }
+    }
+
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, documents.length) }, worker)
+    )
+
+    const timeline = {
+      caseNumber,
+      builtAt: new Date().toISOString(),
+      documents: built,
+      errors,
+    }
+    await store.save(caseNumber, timeline)
+    return timeline
+  }
+
+  function present(caseNumber, stored, state) {
+    const events = Object.entries(stored?.documents || {})
+      .flatMap(([blobPath, doc]) =>
+        doc.events.map((event) => ({
+          ...event,
+          blobPath,
+          title: doc.title,
+          documentType: doc.documentType,
+        }))
+      )
+      .sort(
+        (a, b) => a.date.localeCompare(b.date) || a.title.localeCompare(b.title)
+      )
+
+    return {
+      caseNumber,
+      status: state
+        ? 'building'
+        : stored?.failed
+          ? 'failed'
+          : stored
+            ? 'ready'
+            : 'missing',
+      builtAt: stored?.builtAt || null,
+      progress: state ? { ...state.progress } : null,
+      documentCount: Object.keys(stored?.documents || {}).length,
+      events,
+      errors: stored?.errors || [],
+    }
+  }
+
+  return {
+    /**
+     * Current timeline of a case (the previous one while a build runs)
+     */
+    async get(caseNumber) {
+      return present(
+        caseNumber,
+        await store.load(caseNumber),
+        running.get(caseNumber)
+      )
+    },
+
+    /**
+     * Start a build in the background. Only documents whose text changed
+     * are sent to the model unless `force` is set. Returns false when a
+     * build for the case is already running.
+     */
+    start(caseNumber, { force = false } = {}) {
+      if (running.has(caseNumber)) return false
+      if (!provider || !retrieval) {
+        throw new Error('Timeline needs an agent provider and a search index')
+      }
+
+      const state = { progress: { processed: 0, total: 0 } }
+      running.set(caseNumber, state)
+
+      state.promise = run(caseNumber, { force, progress: state.progress })
+        .then((timeline) =>
+          console.log(
+            `🗓️  Timeline for case ${caseNumber} built (${
+              Object.keys(timeline.documents).length
+            } documents, ${timeline.errors.length} errors)`
+          )
+        )
+        .catch(async (error) => {
+          console.error(
+            `❌ Timeline for case ${caseNumber} failed:`,
+            error.message
+          )
+          const stored = await store.load(caseNumber).catch(() => null)
+          await store
+            .save(caseNumber, {
+              ...(stored || { caseNumber, documents: {} }),
+              failed: true,
+              errors: [{ blobPath: null, error: error.message }],
+            })
+            .catch(() => {})
+        })
+        .finally(() => running.delete(caseNumber))
+
+      return true
+    },
+
+    isBuilding(caseNumber) {
+      return running.has(caseNumber)
+    },
+  }
+}
@@ -0,0 +1,261 @@
+import { cleanNoteText, noteBlobPath } from '../smart-advocate/index.js'
+import { authorizeCaseNumber, isAdminUser } from '../security/index.js'
+import { normalizeFolderPath } from '../documents/index.js'
+
+const MAX_NOTES = 25
+const MAX_DOCUMENTS = 200
+
+export const CASE_TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'get_case_info',
+      description:
+        'Get the case record from the case management system: case name, status, dates and the staff assigned (attorneys, paralegals, adjusters...). Use it for questions about who works on a case or its current state.',
+      parameters: {
+        type: 'object',
+        properties: {
+          case_number: {
+            type: 'string',
+            description: 'The case number, e.g. "25096".',
+          },
+        },
+        required: ['case_number'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_case_documents',
+      description:
+        'List every document stored for a case (path, size and last modified date). Use it when the user asks which documents exist rather than what they say.',
+      parameters: {
+        type: 'object',
+        properties: {
+          case_number: {
+            type: 'string',
+            description: 'The case number, e.g. "25096".',
+          },
+          folder: {
+            type: 'string',
+            description:
+              'Optional subfolder inside the case, e.g. "notes" or "medical".',
+          },
+        },
+        required: ['case_number'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_case_notes',
+      description:
+        'Get the most recent notes of a case, newest first. Use it for questions about the latest activity, calls or updates on a case.',
+      parameters: {
+        type: 'object',
+        properties: {
+          case_number: {
+            type: 'string',
+            description: 'The case number, e.g. "25096".',
+          },
+          limit: {
+            type: 'integer',
+            description: `How many notes to return (default 5, max ${MAX_NOTES}).`,
+          },
+          since: {
+            type: 'string',
+            description: 'Optional ISO date (YYYY-MM-DD); only newer notes.',
+          },
+          keyword: {
+            type: 'string',
+            description: 'Optional word that must appear in the note.',
+          },
+        },
+        required: ['case_number'],
+      },
+    },
+  },
+]
+
+/**
+ * 🔒 Resolve the case a tool call refers to, enforcing the same
+ * authorization as the search tool. When the model omits the case and the
+ * user only has one, that case is used.
+ */
+function authorizeCase(requested, userCases) {
+  if (!String(requested ?? '').trim()) {
+    return !isAdminUser(userCases) && userCases.length === 1
+      ? { caseNumber: userCases[0] }
+      : { error: 'A case_number is required.' }
+  }
+
+  const access = authorizeCaseNumber(requested, userCases)
+  if (access.error) {
+    console.warn(`   🚫 Tool access denied: ${access.error}`)
+  }
+  return access
+}
+
+function formatDate(value) {
+  if (!value) return 'N/A'
+  const date = new Date(value)
+  return isNaN(date) ? String(value) : date.toISOString().slice(0, 10)
+}
+
+/**
+ * 🧰 Case tools: case info, document listing and notes lookup
+ *
+ * - saClient: Smart Advocate client (case info / staff / notes)
+ * - containerClient: blob container with one folder per case
+ */
+export function createCaseTools({ saClient, containerClient }) {
+  async function getCaseInfo({ caseNumber }) {
+    if (!saClient) return 'Case management system not available.'
+
+    const [info, staff] = await Promise.all([
+      saClient.getCaseInfo(caseNumber),
+      saClient.getCaseStaff(caseNumber).catch(() => []),
+    ])
+
+    if (!info && staff.length === 0) {
+      return `No case information found for case ${caseNumber}.`
+    }
+
+    const staffLines = staff.map(
+      (s) =>
+        `- ${s.firstName} ${s.lastName} (${s.role || 'N/A'})${
+          s.email ? ` <${s.email}>` : ''
+        }`
+    )
+
+    return `Case: ${caseNumber}
+Case record:
+${JSON.stringify(info || {}, null, 2)}
+Staff:
+${staffLines.join('\n') || '- none listed'}`
+  }
+
+  async function listCaseDocuments({ caseNumber, folder }) {
+    if (!containerClient) return 'Document storage not available.'
+
+    // Una carpeta con "." / ".." o barras invertidas se rechaza, no se corrige
+    const requested = String(folder || '')
+    if (
+      requested.includes('\\') ||
+      requested.split('/').some((s) => s.trim() === '.' || s.trim() === '..')
+    ) {
+      return `Invalid folder "${requested}": use a subfolder inside the case, e.g. "notes" or "medical".`
+    }
+    const subfolder = normalizeFolderPath(requested)
+    const prefix = subfolder
+      ? `${caseNumber}/${subfolder}/`
+      : `${caseNumber}/`
+
+    const documents = []
+    for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+      documents.push(blob)
+    }
+
+    if (documents.length === 0) {
+      return `No documents found in ${prefix}`
+    }
+
+    const lines = documents
+      .slice(0, MAX_DOCUMENTS)
+      .map(
+        (blob) =>
+          `- ${blob.name} (${Math.round(
+            (blob.properties.contentLength || 0) / 1024
+          )} KB, modified ${formatDate(blob.properties.lastModified)})`
+      )
+
+    if (documents.length > MAX_DOCUMENTS) {
+      lines.push(`...and ${documents.length - MAX_DOCUMENTS} more`)
+    }
+
+    return `Case ${caseNumber}: ${documents.length} document(s) in ${prefix}\n${lines.join('\n')}`
+  }
+
+  async function getCaseNotes({ caseNumber, limit, since, keyword }, sources) {
+    if (!saClient) return 'Case management system not available.'
+
+    const max = Math.min(Math.max(Number(limit) || 5, 1), MAX_NOTES)
+    const sinceDate = since ? new Date(since) : null
+    const word = keyword ? String(keyword).toLowerCase() : null
+
+    const notes = (await saClient.getNotesByCaseNumber(caseNumber))
+      .map((note) => ({ ...note, text: cleanNoteText(note.noteText) }))
+      .filter((note) => {
+        const date = new Date(note.noteDate || note.createdDate)
+        if (sinceDate && !isNaN(sinceDate) && date < sinceDate) return false
+        if (word && !`${note.subject} ${note.text}`.toLowerCase().includes(word))
+          return false
+        return true
+      })
+      .sort(
+        (a, b) =>
+          new Date(b.noteDate || b.createdDate) -
+          new Date(a.noteDate || a.createdDate)
+      )
+      .slice(0, max)
+
+    if (notes.length === 0) {
+      return `No notes found for case ${caseNumber}.`
+    }
+
+    return notes
+      .map((note) => {
+        // Las notas sincronizadas existen como blobs, así que se pueden citar
+        const blobPath = noteBlobPath(note, caseNumber)
+        const sourceNumber = sources.add({
+          id: `note-${note.noteID}`,
+          title: blobPath.split('/').pop(),
+          blobPath,
+          content: note.text,
+          case: caseNumber,
+        })
+
+        return `
+                Source: [${sourceNumber}]
+                Date: ${formatDate(note.noteDate || note.createdDate)}
+                Author: ${note.uniqueContactName || 'N/A'}
+                Type: ${note.noteTypeName || 'N/A'}
+                Subject: ${note.subject || 'No subject'}
+                Note: ${note.text}
+                -----------------------------------
+                `
+      })
+      .join('\n')
+  }
+
+  const handlers = {
+    get_case_info: getCaseInfo,
+    list_case_documents: listCaseDocuments,
+    get_case_notes: getCaseNotes,
+  }
+
+  return {
+    definitions: CASE_TOOL_DEFINITIONS,
+
+    handles(name) {
+      return name in handlers
+    },
+
+    /**
+     * Run a case tool for a user restricted to `userCases`
+     */
+    async execute(name, args, { userCases, sources }) {
+      const access = authorizeCase(args.case_number, userCases)
+      if (access.error) return access.error
+
+      try {
+        return await handlers[name]({ ...args, ...access }, sources)
+      } catch (error) {
+        console.error(`   ❌ Tool ${name} failed:`, error.message)
+        return `The ${name} tool failed: ${error.message}`
+      }
+    },
+  }
+}
@@ -0,0 +1 @@
+export { createCaseTools, CASE_TOOL_DEFINITIONS } from './case-tools.js'
@@ -1,4 +1,4 @@
-import { SearchClient, AzureKeyCredential } from '@azure/search-documents'
+import { createAzureSearchRetrieval } from './lib/retrieval/index.js'
 import dotenv from 'dotenv'
 
 dotenv.config()
@@ -61,11 +61,11 @@ async function updateCaseNumbers() {
     console.log(`   Endpoint: ${SEARCH_ENDPOINT}`)
     console.log(`   Index: ${INDEX_NAME}\n`)
 
-    const searchClient = new SearchClient(
-      SEARCH_ENDPOINT,
-      INDEX_NAME,
-      new AzureKeyCredential(SEARCH_API_KEY)
-    )
+    const index = createAzureSearchRetrieval({
+      endpoint: SEARCH_ENDPOINT,
+      apiKey: SEARCH_API_KEY,
+      indexName: INDEX_NAME,
+    })
 
     let totalProcessed = 0
     let totalUpdated = 0
@@ -78,26 +78,23 @@ async function updateCaseNumbers() {
     // ========================================
     console.log('⏳ Fase 1: Procesando documentos SIN case_number...\n')
 
-    const missingResults = await searchClient.search('*', {
-      filter: 'case_number eq null',
-      select: ['chunk_id', 'parent_id'],
-      top: 50000,
+    const missingResults = index.scanDocuments({
+      missing: 'caseNumber',
+      select: ['id', 'parentId'],
     })
 
     let batch = []
     const batchSize = 100
 
-    for await (const result of missingResults.results) {
+    for await (const doc of missingResults) {
       totalProcessed++
 
-      const doc = result.document
-
-      if (!doc.parent_id) {
+      if (!doc.parentId) {
         totalErrors++
         continue
       }
 
-      const caseNumber = extractCaseFromParentId(doc.parent_id)
+      const caseNumber = extractCaseFromParentId(doc.parentId)
 
       if (!caseNumber) {
         totalErrors++
@@ -105,13 +102,13 @@ async function updateCaseNumbers() {
       }
 
       batch.push({
-        chunk_id: doc.chunk_id,
-        case_number: caseNumber,
+        id: doc.id,
+        caseNumber: caseNumber,
       })
 
       if (batch.length >= batchSize) {
         try {
-          await searchClient.mergeDocuments(batch)
+          await index.mergeDocuments(batch)
           totalUpdated += batch.length
           totalNewCases += batch.length
           batch = []
@@ -126,7 +123,7 @@ async function updateCaseNumbers() {
     // Lote final de Fase 1
     if (batch.length > 0) {
       try {
-        await searchClient.mergeDocuments(batch)
+        await index.mergeDocuments(batch)
         totalUpdated += batch.length
         totalNewCases += batch.length
       } catch (error) {
@@ -147,34 +144,31 @@ async function updateCaseNumbers() {
       '⏳ Fase 2: Verificando y corrigiendo case_numbers existentes...\n'
     )
 
-    const existingResults = await searchClient.search('*', {
-      filter: 'case_number ne null',
-      select: ['chunk_id', 'parent_id', 'case_number'],
-      top: 50000,
+    const existingResults = index.scanDocuments({
+      present: 'caseNumber',
+      select: ['id', 'parentId', 'caseNumber'],
     })
 
     let phase2Processed = 0
 
-    for await (const result of existingResults.results) {
+    for await (const doc of existingResults) {
       phase2Processed++
 
-      const doc = result.document
-
-      if (!doc.parent_id) {
+      if (!doc.parentId) {
         continue
       }
 
-      const correctCaseNumber = extractCaseFromParentId(doc.parent_id)
+      const correctCaseNumber = extractCaseFromParentId(doc.parentId)
 
       if (!correctCaseNumber) {
         continue
       }
 
       // Verificar si necesita corrección
-      if (doc.case_number !== correctCaseNumber) {
+      if (doc.caseNumber !== correctCaseNumber) {
         batch.push({
-          chunk_id: doc.chunk_id,
-          case_number: correctCaseNumber,
+          id: doc.id,
+          caseNumber: correctCaseNumber,
         })
 
         totalCorrected++
@@ -182,13 +176,13 @@ async function updateCaseNumbers() {
         // Mostrar primeros ejemplos
         if (totalCorrected <= 5) {
           console.log(
-            `   🔧 Corrigiendo: "${doc.case_number}" → "${correctCaseNumber}"`
+            `   🔧 Corrigiendo: "${doc.caseNumber}" → "${correctCaseNumber}"`
           )
         }
 
         if (batch.length >= batchSize) {
           try {
-            await searchClient.mergeDocuments(batch)
+            await index.mergeDocuments(batch)
             totalUpdated += batch.length
             batch = []
           } catch (error) {
@@ -210,7 +204,7 @@ async function updateCaseNumbers() {
     // Lote final de Fase 2
     if (batch.length > 0) {
       try {
-        await searchClient.mergeDocuments(batch)
+        await index.mergeDocuments(batch)
         totalUpdated += batch.length
       } catch (error) {
         console.error(`   ❌ Error en lote final: ${error.message}`)
@@ -252,21 +246,8 @@ async function updateCaseNumbers() {
     // Verificar cobertura total
     console.log('🔍 Verificando cobertura final...\n')
 
-    const allDocs = await searchClient.search('*', {
-      select: ['chunk_id'],
-      top: 0,
-      includeTotalCount: true,
-    })
-
-    const allWithCase = await searchClient.search('*', {
-      filter: 'case_number ne null',
-      select: ['chunk_id'],
-      top: 0,
-      includeTotalCount: true,
-    })
-
-    const total = allDocs.count || 0
-    const withCase = allWithCase.count || 0
+    const total = await index.countDocuments()
+    const withCase = await index.countDocuments({ present: 'caseNumber' })
     const coverage = total > 0 ? Math.round((withCase / total) * 100) : 0
 
     console.log(`   📈 Total documentos: ${total.toLocaleString()}`)
@@ -288,9 +269,9 @@ async function updateCaseNumbers() {
     // Mostrar distribución por longitud
     console.log('📊 Analizando distribución de case_numbers...\n')
 
-    const sample = await searchClient.search('*', {
-      filter: 'case_number ne null',
-      select: ['case_number'],
+    const sample = index.scanDocuments({
+      present: 'caseNumber',
+      select: ['caseNumber'],
       top: 1000,
     })
 
@@ -299,8 +280,8 @@ async function updateCaseNumbers() {
       count7 = 0
     const uniqueCases = new Set()
 
-    for await (const result of sample.results) {
-      const cn = result.document.case_number
+    for await (const doc of sample) {
+      const cn = doc.caseNumber
       if (cn) {
         uniqueCases.add(cn)
         const length = cn.length
@@ -0,0 +1,168 @@
+import dotenv from 'dotenv'
+import {
+  createAzureSearchRetrieval,
+  detectDocumentType,
+  extractDocumentDate,
+  pathPrefixesOf,
+} from './lib/retrieval/index.js'
+import { caseFromBlobPath } from './lib/security/index.js'
+import { createContentUpdates } from './lib/cache/index.js'
+
+dotenv.config()
+
+const SEARCH_ENDPOINT = process.env.AZURE_SEARCH_ENDPOINT
+const SEARCH_API_KEY = process.env.AZURE_SEARCH_KEY
+const INDEX_NAME = process.env.AZURE_SEARCH_INDEX
+
+/**
+ * Rellena document_type, document_date y path_prefixes en el índice a partir
+ * del blob path y del contenido (las notas llevan la fecha en el nombre,
+ * {case}_{YYYYMMDD}_{noteID}.txt, y en la cabecera "• Date: MM/DD/YYYY")
+ * Necesario para los filtros de fecha / tipo / carpeta de
+ * search_legal_documents
+ */
+async function populateDocumentMetadata() {
+  try {
+    console.log(
+      '🔄 Actualizando document_type, document_date y path_prefixes...\n'
+    )
+
+    if (!SEARCH_ENDPOINT || !SEARCH_API_KEY || !INDEX_NAME) {
+      console.error('❌ Faltan variables de entorno:')
+      console.error('   - AZURE_SEARCH_ENDPOINT')
+      console.error('   - AZURE_SEARCH_KEY')
+      console.error('   - AZURE_SEARCH_INDEX')
+      return
+    }
+
+    console.log('✅ Configuración validada:')
+    console.log(`   Endpoint: ${SEARCH_ENDPOINT}`)
+    console.log(`   Index: ${INDEX_NAME}\n`)
+
+    const index = createAzureSearchRetrieval({
+      endpoint: SEARCH_ENDPOINT,
+      apiKey: SEARCH_API_KEY,
+      indexName: INDEX_NAME,
+    })
+
+    // Crear los campos en el esquema si todavía no existen
+    const added = await index.ensureMetadataFields()
+    if (added.length > 0) {
+      console.log(`   🆕 Campos agregados al índice: ${added.join(', ')}\n`)
+    }
+
+    let totalProcessed = 0
+    let totalUpdated = 0
+    let totalWithDate = 0
+    let totalErrors = 0
+    const typeCounts = {}
+    const updatedCases = new Set()
+    const batchSize = 100
+    let batch = []
+
+    const flush = async () => {
+      if (batch.length === 0) return
+      try {
+        await index.mergeDocuments(batch)
+        totalUpdated += batch.length
+      } catch (error) {
+        console.error(`   ❌ Error en lote: ${error.message}`)
+        totalErrors += batch.length
+      }
+      batch = []
+    }
+
+    // Primero los documentos sin tipo; después los que ya lo tenían pero
+    // son anteriores al campo path_prefixes. scanDocuments pagina por id,
+    // así que actualizar los documentos ya leídos no salta ninguna página
+    for (const missing of ['documentType', 'pathPrefixes']) {
+      console.log(`⏳ Procesando documentos SIN ${missing}...\n`)
+
+      for await (const doc of index.scanDocuments({
+        missing,
+        select: ['id', 'url', 'title', 'content'],
+      })) {
+        totalProcessed++
+
+        const path = doc.url ? decodeURIComponent(doc.url) : doc.title
+        if (!path) {
+          totalErrors++
+          continue
+        }
+
+        const documentType = detectDocumentType(path)
+        const documentDate = extractDocumentDate(path, doc.content)
+
+        typeCounts[documentType] = (typeCounts[documentType] || 0) + 1
+        if (documentDate) totalWithDate++
+
+        batch.push({
+          id: doc.id,
+          documentType,
+          documentDate,
+          pathPrefixes: pathPrefixesOf(path),
+        })
+        const caseNumber = caseFromBlobPath(path)
+        if (caseNumber) updatedCases.add(caseNumber)
+
+        if (batch.length >= batchSize) {
+          await flush()
+        }
+
+        if (totalProcessed % 10000 === 0) {
+          console.log(
+            `   📊 Procesados: ${totalProcessed.toLocaleString()} | Actualizados: ${totalUpdated.toLocaleString()}`
+          )
+        }
+      }
+
+      // Lote final
+      await flush()
+    }
+
+    // Los filtros de tipo / fecha / carpeta cambian: el servidor descarta las
+    // búsquedas en caché de estos casos
+    if (totalUpdated > 0) {
+      createContentUpdates({
+        file: process.env.CONTENT_UPDATES_FILE || './data/content-updates.json',
+      }).record([...updatedCases])
+    }
+
+    console.log('='.repeat(70))
+    console.log('📊 RESUMEN')
+    console.log('='.repeat(70))
+    console.log(`📄 Documentos procesados: ${totalProcessed.toLocaleString()}`)
+    console.log(`✅ Actualizados: ${totalUpdated.toLocaleString()}`)
+    console.log(`📅 Con fecha detectada: ${totalWithDate.toLocaleString()}`)
+    for (const [type, count] of Object.entries(typeCounts)) {
+      console.log(`   └─ ${type}: ${count.toLocaleString()}`)
+    }
+    console.log(`❌ Errores: ${totalErrors.toLocaleString()}`)
+    console.log('='.repeat(70) + '\n')
+
+    // Recuento final: lo que siga sin metadatos se informa, no se supone
+    const total = await index.countDocuments()
+    let stillMissing = 0
+    for (const missing of ['documentType', 'pathPrefixes']) {
+      const count = await index.countDocuments({ missing })
+      stillMissing = Math.max(stillMissing, count)
+      console.log(
+        `📈 Sin ${missing}: ${count.toLocaleString()} de ${total.toLocaleString()}`
+      )
+    }
+    console.log()
+
+    if (stillMissing > 0) {
+      console.log(
+        `⚠️  ${stillMissing.toLocaleString()} documentos siguen sin metadatos: ejecuta el script de nuevo.\n`
+      )
+    }
+
+    console.log('✅ Proceso completado exitosamente!\n')
+  } catch (error) {
+    console.error('\n❌ Error fatal:', error.message)
+    console.error(error.stack)
+  }
+}
+
+populateDocumentMetadata()
@@ -4,21 +4,83 @@ import dotenv from 'dotenv'
 import jwt from 'jsonwebtoken'
 import fs from 'fs'
 import axios from 'axios'
-import { AIProjectClient } from '@azure/ai-projects'
-import { DefaultAzureCredential } from '@azure/identity'
-import { AzureKeyCredential } from '@azure/core-auth'
-import {
-  BlobServiceClient,
-  generateBlobSASQueryParameters,
-  BlobSASPermissions,
-  StorageSharedKeyCredential,
-} from '@azure/storage-blob'
-import {
-  SearchClient,
-  AzureKeyCredential as SearchKeyCredential,
-} from '@azure/search-documents'
+import { BlobServiceClient } from '@azure/storage-blob'
 import admin from 'firebase-admin'
 import { readFileSync } from 'fs'
+import {
+  createConversationStore,
+  createConversationStoreFromEnv,
+  createMemoryAdapter,
+} from './lib/conversations/index.js'
+import { createAgentProviderFromEnv } from './lib/providers/index.js'
+import {
+  createRetrievalFromEnv,
+  createReranker,
+  normalizeSearchFilters,
+  DOCUMENT_TYPES,
+} from './lib/retrieval/index.js'
+import {
+  createSourceRegistry,
+  resolveCitations,
+} from './lib/citations/index.js'
+import { createSmartAdvocateClient } from './lib/smart-advocate/index.js'
+import { createCaseMetadataService } from './lib/cases/index.js'
+import {
+  createTimelineBuilder,
+  createTimelineStore,
+} from './lib/timeline/index.js'
+import {
+  createDocumentSummarizer,
+  createSummaryStore,
+} from './lib/summaries/index.js'
+import { createDocumentComparer } from './lib/compare/index.js'
+import {
+  createQueryTranslator,
+  detectLanguage,
+  languageName,
+  normalizeLanguage,
+  DEFAULT_LANGUAGE,
+} from './lib/language/index.js'
+import {
+  createQueryRewriter,
+  formatRecentTurns,
+  mergeSearchResults,
+} from './lib/rewrite/index.js'
+import {
+  createContentUpdates,
+  createLruCache,
+  searchCacheKey,
+} from './lib/cache/index.js'
+import { createCaseTools } from './lib/tools/index.js'
+import {
+  buildDocumentTree,
+  normalizeFolderPath,
+  resolveDocumentScope,
+  sendBlob,
+} from './lib/documents/index.js'
+import {
+  isEmailFile,
+  parseEmail,
+  getEmailAttachment,
+  MAX_EMAIL_BYTES,
+} from './lib/email/index.js'
+import {
+  createOfficeConverterFromEnv,
+  MAX_OFFICE_BYTES,
+  PREVIEW_CONTENT_SECURITY_POLICY,
+} from './lib/office/index.js'
+import {
+  isAdminUser,
+  authorizeCaseNumber,
+  resolveCaseScope,
+  caseFromBlobPath,
+  checkBlobPathAccess,
+  checkChunkAccess,
+  createSecurityLog,
+  createAuditLog,
+  createDocumentLinkSigner,
+  LINK_PURPOSES,
+} from './lib/security/index.js'
 
 dotenv.config()
 
@@ -26,9 +88,17 @@ const app = express()
 const PORT = process.env.PORT || 3001
 
 // Middleware
-app.use(cors())
+// pdf.js solo pide rangos si puede leer estos headers desde otro origen
+app.use(
+  cors({ exposedHeaders: ['Accept-Ranges', 'Content-Range', 'Content-Length'] })
+)
 app.use(express.json())
 
+// Detrás de un reverse proxy (App Service, nginx) req.ip sale de X-Forwarded-For
+if (process.env.TRUST_PROXY === 'true') {
+  app.set('trust proxy', true)
+}
+
 // ===== FIREBASE INITIALIZATION =====
 try {
   let serviceAccount
@@ -53,32 +123,22 @@ try {
   console.error('❌ Error initializing Firebase Admin:', error.message)
 }
 
-// ===== AZURE AI FOUNDRY CONFIGURATION =====
+// ===== AGENT PROVIDER CONFIGURATION =====
+const AGENT_PROVIDER = process.env.AGENT_PROVIDER || 'azure-agents'
 const AZURE_AI_PROJECT_ENDPOINT = process.env.AZURE_AI_PROJECT_ENDPOINT
 const AZURE_AGENT_ID = process.env.AZURE_AGENT_ID
-const AZURE_VECTOR_STORE_ID = process.env.AZURE_VECTOR_STORE_ID 
+const AZURE_VECTOR_STORE_ID = process.env.AZURE_VECTOR_STORE_ID
 
-let aiProjectClient;
+let agentProvider
 
 try {
-  // Validación simple
-  if (!AZURE_AI_PROJECT_ENDPOINT) {
-    throw new Error('❌ Falta la variable AZURE_AI_PROJECT_ENDPOINT')
-  }
-
-  // Inicialización con URL (Soluciona 'Invalid URL' y 'agents/read')
-  console.log(
-    `🔵 Conectando a Foundry: ${AZURE_AI_PROJECT_ENDPOINT.substring(0, 30)}...`
-  )
-
-  aiProjectClient = new AIProjectClient(
-    AZURE_AI_PROJECT_ENDPOINT,
-    new DefaultAzureCredential()
-  )
-
-  console.log('✅ Azure AI Foundry client initialized via Project Endpoint')
+  agentProvider = createAgentProviderFromEnv()
+  console.log(`✅ Agent provider initialized: ${agentProvider.name}`)
 } catch (error) {
-  console.error('❌ Error initializing Azure AI Foundry client:', error.message)
+  console.error(
+    `❌ Error initializing agent provider (${AGENT_PROVIDER}):`,
+    error.message
+  )
 }
 
 // ===== AZURE BLOB STORAGE CONFIGURATION =====
@@ -109,34 +169,272 @@ try {
   )
 }
 
-// ===== AZURE SEARCH CONFIGURATION =====
+// ===== RETRIEVAL CONFIGURATION =====
+const RETRIEVAL_BACKEND = process.env.RETRIEVAL_BACKEND || 'azure'
 const AZURE_SEARCH_ENDPOINT = process.env.AZURE_SEARCH_ENDPOINT
-const AZURE_SEARCH_KEY = process.env.AZURE_SEARCH_KEY
 const AZURE_SEARCH_INDEX = process.env.AZURE_SEARCH_INDEX
 
-let searchClient
+let retrieval
 try {
-  if (AZURE_SEARCH_ENDPOINT && AZURE_SEARCH_KEY && AZURE_SEARCH_INDEX) {
-    searchClient = new SearchClient(
-      AZURE_SEARCH_ENDPOINT,
-      AZURE_SEARCH_INDEX,
-      new SearchKeyCredential(AZURE_SEARCH_KEY)
-    )
-    console.log('✅ Azure Search client initialized for document lookup')
-  } else {
-    console.warn(
-      '⚠️  Azure Search credentials not found - using fallback search'
+  retrieval = createRetrievalFromEnv()
+  console.log(`✅ Retrieval backend initialized (${retrieval.name})`)
+} catch (error) {
+  console.error('❌ Error initializing retrieval backend:', error.message)
+  console.warn('⚠️  Document search disabled - using storage fallback only')
+}
+
+// ===== RETRIEVAL CACHE =====
+// Resultados de search_legal_documents y blob paths por nombre de archivo.
+// Los jobs de sync anotan en CONTENT_UPDATES_FILE los casos con contenido
+// nuevo y aquí se descartan sus entradas (y las de los datos de caso)
+const SEARCH_CACHE_TTL_MINUTES =
+  Number(process.env.SEARCH_CACHE_TTL_MINUTES) || 10
+const SEARCH_CACHE_MAX_ENTRIES =
+  Number(process.env.SEARCH_CACHE_MAX_ENTRIES) || 500
+const BLOB_PATH_CACHE_TTL_MINUTES =
+  Number(process.env.BLOB_PATH_CACHE_TTL_MINUTES) || 60
+const CONTENT_UPDATES_CHECK_MS = 30 * 1000
+// Los jobs anotan el caso al subir los blobs, antes de que el indexador de
+// Azure los procese: sus entradas se siguen descartando durante este tiempo
+const CONTENT_UPDATES_SETTLE_MS =
+  (Number(process.env.CONTENT_UPDATES_SETTLE_MINUTES) || 15) * 60 * 1000
+
+const searchCache = createLruCache({
+  maxEntries: SEARCH_CACHE_MAX_ENTRIES,
+  ttlMs: SEARCH_CACHE_TTL_MINUTES * 60 * 1000,
+})
+const blobPathCache = createLruCache({
+  maxEntries: 2000,
+  ttlMs: BLOB_PATH_CACHE_TTL_MINUTES * 60 * 1000,
+})
+const contentUpdates = createContentUpdates({
+  file: process.env.CONTENT_UPDATES_FILE || './data/content-updates.json',
+})
+
+let contentCheckedAt = new Date().toISOString()
+let lastContentCheck = 0
+let lastCacheInvalidation = null
+
+/**
+ * 📣 Drop the cached searches, lookups and case metadata (document counts,
+ * dashboards) of the cases the sync jobs reported new content for (checks
+ * the file at most every 30 s). A case
+ * keeps being invalidated for CONTENT_UPDATES_SETTLE_MS after it was
+ * recorded, so results cached before the indexer caught up do not stay.
+ */
+function applyContentUpdates() {
+  if (Date.now() - lastContentCheck < CONTENT_UPDATES_CHECK_MS) return
+  lastContentCheck = Date.now()
+
+  const checkedAt = new Date().toISOString()
+  const settlingSince = new Date(
+    Date.parse(contentCheckedAt) - CONTENT_UPDATES_SETTLE_MS
+  ).toISOString()
+  const changed = contentUpdates.changedSince(settlingSince)
+  const fresh = contentUpdates.changedSince(contentCheckedAt)
+  contentCheckedAt = checkedAt
+  if (changed.length === 0) return
+
+  searchCache.invalidate(changed)
+  blobPathCache.invalidate(changed)
+  caseMetadata.invalidate(changed)
+  lastCacheInvalidation = { at: checkedAt, cases: changed }
+  if (fresh.length > 0) {
+    console.log(
+      `🗄️  New content for case(s) ${fresh.join(', ')} - retrieval caches invalidated`
     )
   }
+}
+
+/**
+ * retrieval.search() through the cache, keyed by normalized query, case
+ * filter and options
+ */
+async function cachedSearch(query, options) {
+  applyContentUpdates()
+  const hits = await searchCache.get(
+    searchCacheKey(query, options),
+    () => retrieval.search(query, options),
+    { cases: options.cases }
+  )
+  return [...hits]
+}
+
+// ===== LANGUAGES =====
+// Idioma de los documentos indexados; las consultas en otro idioma se
+// traducen antes de buscar (TRANSLATE_SEARCH_QUERIES=false para no hacerlo)
+const SEARCH_CORPUS_LANGUAGE =
+  normalizeLanguage(process.env.SEARCH_CORPUS_LANGUAGE) || DEFAULT_LANGUAGE
+
+const queryTranslator = createQueryTranslator({
+  provider: agentProvider,
+  corpusLanguage: SEARCH_CORPUS_LANGUAGE,
+  enabled: process.env.TRANSLATE_SEARCH_QUERIES !== 'false',
+})
+console.log(
+  `✅ Search language: ${languageName(SEARCH_CORPUS_LANGUAGE)}${
+    queryTranslator.enabled ? ' (other languages translated)' : ''
+  }`
+)
+
+// ===== QUERY REWRITING =====
+// Las consultas del agente se reescriben con la conversación reciente en
+// una o varias consultas autónomas (QUERY_REWRITE=false para desactivarlo)
+const QUERY_REWRITE_MAX_QUERIES =
+  Number(process.env.QUERY_REWRITE_MAX_QUERIES) || 3
+const QUERY_REWRITE_HISTORY_TURNS = 3
+
+const queryRewriter = createQueryRewriter({
+  provider: agentProvider,
+  maxQueries: QUERY_REWRITE_MAX_QUERIES,
+  enabled: process.env.QUERY_REWRITE !== 'false',
+  // Consultas reescritas ya en el idioma de los documentos: no se traducen
+  language: SEARCH_CORPUS_LANGUAGE,
+})
+
+// ===== RERANKING =====
+// Se piden más candidatos al índice, se reordenan y solo los que superan el
+// umbral de relevancia (0-1) llegan al agente
+const SEARCH_CANDIDATES = Number(process.env.RERANK_CANDIDATES) || 20
+// Fragmentos que recibe el agente por búsqueda (tras fusionar y reordenar)
+const SEARCH_TOOL_TOP = 5
+const RERANK_THRESHOLD = Number.isFinite(
+  Number.parseFloat(process.env.RERANK_THRESHOLD)
+)
+  ? Number.parseFloat(process.env.RERANK_THRESHOLD)
+  : 0.4
+
+const reranker = createReranker({
+  provider: agentProvider,
+  mode: (process.env.RERANK_MODE || 'auto').toLowerCase(),
+  threshold: RERANK_THRESHOLD,
+})
+console.log(
+  `🎯 Reranking: ${reranker.mode} (threshold ${reranker.threshold}, ${SEARCH_CANDIDATES} candidates)`
+)
+
+// ===== SMART ADVOCATE CLIENT =====
+const SA_API_BASE_URL = process.env.SA_API_BASE_URL
+const SA_SYSTEM_USERNAME = process.env.SA_USERNAME
+const SA_SYSTEM_PASSWORD = process.env.SA_PASSWORD
+
+let saClient
+try {
+  saClient = createSmartAdvocateClient({
+    baseUrl: SA_API_BASE_URL,
+    username: SA_SYSTEM_USERNAME,
+    password: SA_SYSTEM_PASSWORD,
+  })
+  console.log('✅ Smart Advocate client initialized')
+} catch (error) {
+  console.warn(`⚠️  Smart Advocate client disabled: ${error.message}`)
+}
+
+// Herramientas de caso del agente (info, documentos, notas)
+const caseTools = createCaseTools({ saClient, containerClient })
+
+// ===== CASE METADATA =====
+// Datos de caso (Smart Advocate + conteo de documentos) para el dashboard
+const CASE_METADATA_TTL_MINUTES =
+  Number(process.env.CASE_METADATA_TTL_MINUTES) || 15
+// Los administradores no tienen lista de casos: se muestran los primeros
+const MAX_DASHBOARD_CASES = 100
+
+const caseMetadata = createCaseMetadataService({
+  saClient,
+  containerClient,
+  ttlMs: CASE_METADATA_TTL_MINUTES * 60 * 1000,
+})
+
+// ===== TIMELINE =====
+// Cronología por caso extraída por el LLM de notas y documentos indexados
+const TIMELINE_DIR = process.env.TIMELINE_DIR || './data/timelines'
+
+const timelineBuilder = createTimelineBuilder({
+  provider: agentProvider,
+  retrieval,
+  store: createTimelineStore({ directory: TIMELINE_DIR }),
+})
+
+// ===== DOCUMENT SUMMARIES =====
+// Resumen y hechos clave por documento, regenerados solo si cambia el ETag
+const SUMMARIES_DIR = process.env.SUMMARIES_DIR || './data/summaries'
+
+const documentSummarizer = createDocumentSummarizer({
+  provider: agentProvider,
+  retrieval,
+  containerClient,
+  store: createSummaryStore({ directory: SUMMARIES_DIR }),
+})
+
+// Diferencias de hechos entre dos documentos (modo comparar)
+const documentComparer = createDocumentComparer({
+  provider: agentProvider,
+  retrieval,
+})
+
+// ===== OFFICE PREVIEWS =====
+// Conversión local: los documentos nunca salen a visores externos
+const officeConverter = createOfficeConverterFromEnv()
+console.log(
+  `✅ Office previews: docx/xlsx/pptx${
+    officeConverter.libreOffice ? ' + doc/xls/ppt (LibreOffice)' : ''
+  }`
+)
+
+// ===== SECURITY LOG =====
+const SECURITY_LOG_FILE =
+  process.env.SECURITY_LOG_FILE || './data/logs/security.log'
+
+const securityLog = createSecurityLog({ file: SECURITY_LOG_FILE })
+console.log(`✅ Security log: ${SECURITY_LOG_FILE}`)
+
+// ===== DOCUMENT AUDIT LOG =====
+const AUDIT_LOG_FILE =
+  process.env.AUDIT_LOG_FILE || './data/logs/document-audit.log'
+
+const auditLog = createAuditLog({ file: AUDIT_LOG_FILE })
+console.log(`✅ Document audit log: ${AUDIT_LOG_FILE}`)
+
+// ===== CONVERSATION STORE =====
+let conversationStore
+
+try {
+  conversationStore = createConversationStoreFromEnv()
+  console.log(
+    `✅ Conversation store initialized (${conversationStore.adapter} adapter)`
+  )
 } catch (error) {
-  console.error('❌ Error initializing Azure Search client:', error.message)
+  console.error('❌ Error initializing conversation store:', error.message)
+  console.warn('⚠️  Falling back to in-memory conversation store')
+  conversationStore = createConversationStore({
+    adapter: createMemoryAdapter(),
+  })
 }
 
 // ===== UTILITIES =====
 const JWT_SECRET = process.env.JWT_SECRET
 
-// Store threads with their associated case filters
-const userThreads = new Map() // sessionId -> { threadId, cases }
+// ===== DOCUMENT LINKS =====
+const DOCUMENT_LINK_TTL_SECONDS =
+  Number(process.env.DOCUMENT_LINK_TTL_SECONDS) || 300
+const DOCUMENT_LINK_BIND_IP = process.env.DOCUMENT_LINK_BIND_IP === 'true'
+
+let documentLinks
+try {
+  documentLinks = createDocumentLinkSigner({
+    secret: JWT_SECRET,
+    ttlSeconds: DOCUMENT_LINK_TTL_SECONDS,
+    bindIp: DOCUMENT_LINK_BIND_IP,
+  })
+  console.log(
+    `✅ Document links: ${DOCUMENT_LINK_TTL_SECONDS}s${
+      DOCUMENT_LINK_BIND_IP ? ', IP-bound' : ''
+    }`
+  )
+} catch (error) {
+  console.error('❌ Error initializing document links:', error.message)
+}
 
 function getContentType(filename) {
   const ext = filename.split('.').pop().toLowerCase()
@@ -148,6 +446,8 @@ function getContentType(filename) {
     xls: 'application/vnd.ms-excel',
     xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
     msg: 'application/vnd.ms-outlook',
+    oft: 'application/vnd.ms-outlook',
+    eml: 'message/rfc822',
     jpg: 'image/jpeg',
     jpeg: 'image/jpeg',
     png: 'image/png',
@@ -157,176 +457,180 @@ function getContentType(filename) {
   return contentTypes[ext] || 'application/octet-stream'
 }
 
-/**
- * 🔒 Generate OData filter for Azure Search
- * This is the PRIMARY security mechanism
- */
-function generateCaseNumberFilter(userCases) {
-  if (userCases.includes('*')) {
-    console.log('   🔓 Admin access - no filter applied')
-    return null
-  }
-
-  // Generate: case_number eq '25096' or case_number eq '25097' ...
-  const filters = userCases.map((caseNum) => `case_number eq '${caseNum}'`)
-  const filterString = filters.join(' or ')
-
-  console.log(`   🔒 Case filter (OData): ${filterString}`)
-  return filterString
-}
+// Tipos que el navegador muestra inline sin ejecutar nada (con nosniff)
+const INLINE_CONTENT_TYPES = new Set([
+  'application/pdf',
+  'text/plain',
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+])
 
 /**
- * 🧵 Get or create thread with case-level filtering
+ * 🧵 Get or create the agent thread behind a conversation
  * CRITICAL: Thread is scoped to user's authorized cases
  */
-async function getOrCreateThread(sessionId, userCases) {
-  const threadInfo = userThreads.get(sessionId)
-
+async function getOrCreateThread(userId, conversation, userCases) {
   // Check if existing thread matches current user cases
-  if (threadInfo) {
+  if (conversation.threadId) {
+    const threadCases = conversation.threadCases || []
     const casesMatch =
-      threadInfo.cases.length === userCases.length &&
-      threadInfo.cases.every((c) => userCases.includes(c))
+      threadCases.length === userCases.length &&
+      threadCases.every((c) => userCases.includes(c))
 
-    if (casesMatch) {
-      console.log(`   ♻️  Reusing thread: ${threadInfo.threadId}`)
-      return threadInfo.threadId
-    } else {
-      // Cases changed - delete old thread and create new one
-      console.log(`   🔄 Cases changed - creating new thread`)
-      await deleteThread(sessionId)
+    if (casesMatch && (await threadExists(conversation.threadId))) {
+      console.log(`   ♻️  Reusing thread: ${conversation.threadId}`)
+      return conversation.threadId
     }
+
+    // Cases changed or thread gone - replace it with a new one
+    console.log(`   🔄 Thread outdated - creating new thread`)
+    await deleteThread(conversation.threadId)
   }
 
   console.log('   🆕 Creating new thread...')
 
-  const searchFilter = generateCaseNumberFilter(userCases)
-
   // For Azure AI Search tool (not vector store), thread is created without tool_resources
   // Filtering will be applied via additional_instructions in the run
-  const thread = await aiProjectClient.agents.threads.create()
+  const threadId = await agentProvider.createThread()
+  knownThreads.add(threadId)
 
   // Store thread with associated cases
-  userThreads.set(sessionId, {
-    threadId: thread.id,
-    cases: [...userCases],
-    filter: searchFilter,
-    createdAt: new Date(),
-  })
+  await conversationStore.setThread(
+    userId,
+    conversation.id,
+    threadId,
+    userCases
+  )
 
-  console.log(`   ✅ Thread created: ${thread.id}`)
+  console.log(`   ✅ Thread created: ${threadId}`)
   console.log(`   📂 Authorized cases: ${userCases.join(', ')}`)
 
-  return thread.id
+  return threadId
 }
 
-async function deleteThread(sessionId) {
-  const threadInfo = userThreads.get(sessionId)
-  if (threadInfo) {
-    try {
-      await aiProjectClient.agents.threads.delete(threadInfo.threadId)
-      userThreads.delete(sessionId)
-      console.log(`   🗑️  Thread deleted: ${threadInfo.threadId}`)
-      return true
-    } catch (error) {
-      console.error(`   ⚠️  Error deleting thread: ${error.message}`)
-      userThreads.delete(sessionId)
-      return false
-    }
+// Threads already confirmed to exist in the provider during this process
+const knownThreads = new Set()
+
+async function threadExists(threadId) {
+  if (knownThreads.has(threadId)) return true
+  if (await agentProvider.threadExists(threadId)) {
+    knownThreads.add(threadId)
+    return true
   }
+  console.warn(`   ⚠️  Thread ${threadId} not available`)
   return false
 }
 
+async function deleteThread(threadId) {
+  if (!threadId) return false
+  knownThreads.delete(threadId)
+  try {
+    await agentProvider.deleteThread(threadId)
+    console.log(`   🗑️  Thread deleted: ${threadId}`)
+    return true
+  } catch (error) {
+    console.error(`   ⚠️  Error deleting thread: ${error.message}`)
+    return false
+  }
+}
+
 /**
  * 🔍 Get blob path from Azure Search Index
+ * Lookups are cached by filename. A filename not found is cached too,
+ * until new content for any case is reported; errors are not cached
  */
 async function getBlobPathFromIndex(filename) {
-  if (!searchClient) {
-    console.warn('   ⚠️  Search client not available')
+  if (!retrieval) {
+    console.warn('   ⚠️  Retrieval backend not available')
     return null
   }
 
   try {
-    console.log(`   🔍 Searching index for: "${filename}"`)
-
-    // Extract keywords from filename
-    const keywords = filename
-      .replace(/\.(pdf|docx?|xlsx?|msg|txt)$/i, '')
-      .replace(/[_\-]/g, ' ')
-      .replace(/\d{4}-\d{2}-\d{2}/g, '')
-      .replace(/\d{2}-\d{2}-\d{2}/g, '')
-      .replace(/\d{8}/g, '')
-      .split(/\s+/)
-      .filter((word) => word.length >= 4 && !/^\d+$/.test(word))
-      .slice(0, 5)
-      .join(' ')
-      .trim()
-
-    if (!keywords || keywords.length < 3) {
-      console.log(`   ⚠️  No valid keywords extracted from: "${filename}"`)
-      return null
-    }
-
-    console.log(`   🔑 Keywords: "${keywords}"`)
-
-    const searchResults = await searchClient.search(keywords, {
-      searchFields: ['title'],
-      select: ['url', 'title'],
-      top: 10,
-      queryType: 'simple',
-      searchMode: 'any',
-    })
+    applyContentUpdates()
+    return await blobPathCache.get(
+      filename.trim().toLowerCase(),
+      () => findBlobPathInIndex(filename),
+      { cases: (blobPath) => (blobPath ? [caseFromBlobPath(blobPath)] : null) }
+    )
+  } catch (error) {
+    console.error(`   ⚠️  Error fetching blobPath from index:`, error.message)
+    return null
+  }
+}
 
-    let bestMatch = null
-    let bestScore = 0
+async function findBlobPathInIndex(filename) {
+  console.log(`   🔍 Searching index for: "${filename}"`)
+
+  // Extract keywords from filename
+  const keywords = filename
+    .replace(/\.(pdf|docx?|xlsx?|msg|txt)$/i, '')
+    .replace(/[_\-]/g, ' ')
+    .replace(/\d{4}-\d{2}-\d{2}/g, '')
+    .replace(/\d{2}-\d{2}-\d{2}/g, '')
+    .replace(/\d{8}/g, '')
+    .split(/\s+/)
+    .filter((word) => word.length >= 4 && !/^\d+$/.test(word))
+    .slice(0, 5)
+    .join(' ')
+    .trim()
+
+  if (!keywords || keywords.length < 3) {
+    console.log(`   ⚠️  No valid keywords extracted from: "${filename}"`)
+    return null
+  }
 
-    for await (const result of searchResults.results) {
-      const docTitle = result.document.title || ''
-      const docTitleLower = docTitle.toLowerCase()
-      const filenameLower = filename.toLowerCase()
-      const keywordsArray = keywords.toLowerCase().split(/\s+/)
+  console.log(`   🔑 Keywords: "${keywords}"`)
 
-      let matches = 0
-      for (const keyword of keywordsArray) {
-        if (docTitleLower.includes(keyword)) {
-          matches++
-        }
-      }
+  const candidates = await retrieval.findByTitle(keywords, { top: 10 })
 
-      const score = matches / keywordsArray.length
+  let bestMatch = null
+  let bestScore = 0
 
-      if (score > bestScore && result.document.url) {
-        bestScore = score
-        bestMatch = {
-          title: docTitle,
-          url: result.document.url,
-          score: score,
-        }
+  for (const candidate of candidates) {
+    const docTitle = candidate.title || ''
+    const docTitleLower = docTitle.toLowerCase()
+    const filenameLower = filename.toLowerCase()
+    const keywordsArray = keywords.toLowerCase().split(/\s+/)
+
+    let matches = 0
+    for (const keyword of keywordsArray) {
+      if (docTitleLower.includes(keyword)) {
+        matches++
       }
     }
 
-    if (bestMatch && bestScore >= 0.5) {
-      let cleanPath = decodeURIComponent(bestMatch.url)
-      cleanPath = cleanPath.replace(/[0-9]+$/, '').replace(/\.+$/, '')
-
-      console.log(
-        `   ⚡ Found match (${Math.round(bestScore * 100)}%): "${
-          bestMatch.title
-        }"`
-      )
-      console.log(`   ⚡ BlobPath: ${cleanPath}`)
+    const score = matches / keywordsArray.length
 
-      return cleanPath
+    if (score > bestScore && candidate.url) {
+      bestScore = score
+      bestMatch = {
+        title: docTitle,
+        url: candidate.url,
+        score: score,
+      }
     }
+  }
+
+  if (bestMatch && bestScore >= 0.5) {
+    let cleanPath = decodeURIComponent(bestMatch.url)
+    cleanPath = cleanPath.replace(/[0-9]+$/, '').replace(/\.+$/, '')
 
     console.log(
-      `   ⚠️  No good match found (best score: ${Math.round(bestScore * 100)}%)`
+      `   ⚡ Found match (${Math.round(bestScore * 100)}%): "${
+        bestMatch.title
+      }"`
     )
-    return null
-  } catch (error) {
-    console.error(`   ⚠️  Error fetching blobPath from index:`, error.message)
-    return null
+    console.log(`   ⚡ BlobPath: ${cleanPath}`)
+
+    return cleanPath
   }
+
+  console.log(
+    `   ⚠️  No good match found (best score: ${Math.round(bestScore * 100)}%)`
+  )
+  return null
 }
 
 /**
@@ -335,13 +639,14 @@ async function getBlobPathFromIndex(filename) {
 async function findDocumentInStorage(filename, userCases, containerClient) {
   console.log(`\n🔍 FALLBACK: Searching in Blob Storage for: "${filename}"`)
 
-  const casesToSearch = userCases.includes('*') ? [''] : userCases
+  // La barra final evita que el caso 2509 liste las carpetas de 25096
+  const prefixes = isAdminUser(userCases)
+    ? [undefined]
+    : userCases.map((userCase) => `${userCase}/`)
 
-  for (const userCase of casesToSearch) {
+  for (const prefix of prefixes) {
     try {
-      for await (const blob of containerClient.listBlobsFlat({
-        prefix: userCase || undefined,
-      })) {
+      for await (const blob of containerClient.listBlobsFlat({ prefix })) {
         const blobFilename = blob.name.split('/').pop()
 
         if (blobFilename === filename) {
@@ -361,18 +666,350 @@ async function findDocumentInStorage(filename, userCases, containerClient) {
   return { blobPath: null, blobClient: null }
 }
 
+/**
+ * 📄 Locate a document blob
+ * 1. blobPath from the citation / index
+ * 2. index search by title
+ * 3. storage listing restricted to the user's cases
+ * Returns { blobPath, blobClient, source } (blobPath null when not found).
+ * Permissions are NOT checked here: callers must run checkBlobPathAccess.
+ */
+async function resolveDocumentBlob({ filename, blobPath }, userCases) {
+  const tryBlob = async (path, source) => {
+    const blobClient = containerClient.getBlobClient(path)
+    try {
+      if (await blobClient.exists()) {
+        console.log(`   ✅ Found via ${source}`)
+        return { blobPath: path, blobClient, source }
+      }
+    } catch (e) {
+      console.warn(`   ⚠️  Error checking ${path}: ${e.message}`)
+    }
+    return null
+  }
+
+  // Strategy 1: Use blobPath from citation (index)
+  if (blobPath) {
+    console.log(`   ⚡ Using blobPath from index: ${blobPath}`)
+    const found = await tryBlob(blobPath, 'index-direct')
+    if (found) return found
+  }
+
+  // Strategy 2: Search index by title
+  if (filename && retrieval) {
+    console.log(`   🔍 Searching index...`)
+    const indexPath = await getBlobPathFromIndex(filename)
+    if (indexPath) {
+      const found = await tryBlob(indexPath, 'index-search')
+      if (found) return found
+    }
+  }
+
+  // Strategy 3: Fallback to blob storage search
+  if (filename) {
+    console.log(`   🐢 Using fallback search`)
+    const result = await findDocumentInStorage(
+      filename,
+      userCases,
+      containerClient
+    )
+    if (result.blobPath) return { ...result, source: 'fallback' }
+  }
+
+  return { blobPath: null, blobClient: null, source: null }
+}
+
+/**
+ * 🔐 Locate a document and check it belongs to the user's cases
+ * (the checks behind /api/documents/get-url)
+ * Returns { document, access } or { status, error } with the JSON body
+ * to answer.
+ */
+async function resolveAuthorizedDocument({ filename, blobPath }, userCases) {
+  const document = await resolveDocumentBlob({ filename, blobPath }, userCases)
+
+  if (!document.blobPath) {
+    console.log(`   ❌ Not found`)
+    return {
+      status: 404,
+      error: { error: 'Document not found', filename: filename },
+    }
+  }
+
+  // Verify permissions
+  const access = checkBlobPathAccess(document.blobPath, userCases)
+
+  if (!access.authorized) {
+    console.log(`   ❌ Access denied (${access.reason})`)
+    return {
+      status: 403,
+      error: {
+        error: 'Access denied to this document',
+        documentCase: access.caseNumber,
+        userCases: userCases,
+      },
+    }
+  }
+
+  return { document, access }
+}
+
+/**
+ * 📦 Download a whole blob for parsing / conversion (refuses files over
+ * maxBytes so one huge document cannot exhaust the server memory)
+ */
+async function downloadBlobForPreview(blobClient, properties, maxBytes) {
+  if (properties.contentLength > maxBytes) {
+    const error = new Error(
+      `File too large to preview (${Math.round(
+        properties.contentLength / 1024 / 1024
+      )} MB)`
+    )
+    error.status = 413
+    throw error
+  }
+  return blobClient.downloadToBuffer()
+}
+
+/**
+ * 🔎 Execute the search_legal_documents tool against the retrieval backend
+ * The case filter is the PRIMARY security mechanism (none for admins)
+ * Each chunk is registered in `sources` and labelled with its number so
+ * the agent can cite it inline.
+ * Optional narrowing (always ANDed with the case filter):
+ * - caseNumber: one of the authorized cases
+ * - dateFrom / dateTo / documentType
+ * A document scope chosen in the browser (turn.documentScope) overrides the
+ * case and limits the search to one folder or file.
+ * The query is rewritten with the recent conversation (when there is one)
+ * into standalone queries in the documents' language that run in parallel;
+ * their hits are merged and de-duplicated. Queries still in another
+ * language than the documents are translated first.
+ * The merged candidates are reranked and those below RERANK_THRESHOLD are
+ * dropped; when none qualifies the agent gets a NO RELIABLE EVIDENCE
+ * result and the search is recorded in `turn.noEvidence`.
+ * `turn` holds the per-turn state: { userId, userCases, sources, violations,
+ * documentScope, question, history, searchQueries, noEvidence, onEvent }
+ */
+async function executeSearchTool(query, turn, options = {}) {
+  const { userCases, sources } = turn
+  let searchResultText = 'No results found.'
+
+  if (!retrieval) {
+    return searchResultText
+  }
+
+  let cases = isAdminUser(userCases) ? null : userCases
+
+  if (options.caseNumber) {
+    const access = authorizeCaseNumber(options.caseNumber, userCases)
+    if (access.error) {
+      console.warn(`   🚫 Search denied: ${access.error}`)
+      return access.error
+    }
+    cases = [access.caseNumber]
+  }
+
+  const filters = normalizeSearchFilters(options)
+
+  if (turn.documentScope) {
+    cases = [turn.documentScope.caseNumber]
+    filters.pathPrefix = turn.documentScope.pathPrefix
+  }
+
+  console.log(
+    cases
+      ? `   🔒 Case filter: ${cases.join(', ')}`
+      : '   🔓 Admin access - no filter applied'
+  )
+  if (Object.keys(filters).length > 0) {
+    console.log(`   🗂️  Extra filters: ${JSON.stringify(filters)}`)
+  }
+
+  const queries = await queryRewriter.rewrite(query, {
+    question: turn.question,
+    history: turn.history,
+    cases,
+  })
+  if (queries.length > 1 || queries[0] !== query) {
+    console.log(`   ✍️  Rewritten queries: ${JSON.stringify(queries)}`)
+    turn.onEvent('tool', {
+      name: 'search_legal_documents',
+      query,
+      queries,
+      message: `searching: ${queries.join(' · ')}`,
+    })
+  }
+  turn.searchQueries.push(...queries)
+
+  // Consultas tal y como se enviaron al índice (ya traducidas)
+  const searchedQueries = []
+  const resultLists = await Promise.all(
+    queries.map(async (rewritten) => {
+      const prepared = await queryTranslator.prepare(rewritten)
+      if (prepared.translatedFrom) {
+        console.log(
+          `   🌐 Query translated (${prepared.translatedFrom}): "${prepared.query}"`
+        )
+      }
+      searchedQueries.push(prepared.query)
+      return cachedSearch(prepared.query, {
+        cases,
+        top: SEARCH_CANDIDATES,
+        filters,
+        language: prepared.language,
+      })
+    })
+  )
+
+  // Primero el filtro de seguridad: ningún fragmento no autorizado llega
+  // al reranker (en modo 'llm' se envían al modelo)
+  const candidates = screenRetrievedChunks(
+    mergeSearchResults(resultLists, { top: SEARCH_CANDIDATES }),
+    turn,
+    { tool: 'search_legal_documents', query }
+  )
+
+  const ranked = await reranker.rerank(candidates, {
+    queries: searchedQueries,
+    question: turn.question,
+    top: SEARCH_TOOL_TOP,
+  })
+  const hits = ranked.hits
+
+  if (hits.length === 0) {
+    const bestScore = ranked.bestScore
+    turn.noEvidence.push({
+      query,
+      queries,
+      candidates: ranked.candidates,
+      bestScore,
+    })
+    console.log(
+      `   🚫 No reliable evidence: ${ranked.candidates} candidates, best relevance ${
+        bestScore === null ? '-' : bestScore.toFixed(2)
+      } (threshold ${reranker.threshold})`
+    )
+    return `NO RELIABLE EVIDENCE: ${
+      ranked.candidates === 0
+        ? 'the search returned no documents'
+        : `none of the ${ranked.candidates} passages found is relevant enough to answer (best relevance ${bestScore.toFixed(2)}, threshold ${reranker.threshold})`
+    }.
+Do not answer from these documents or from general knowledge. Tell the user that no reliable evidence was found in the documents for this question and suggest how to narrow or rephrase it (case, document type, dates).`
+  }
+
+  let resultsBuffer = []
+
+  for (const hit of hits) {
+    const sourceNumber = sources.add({
+      id: hit.id,
+      title: hit.title,
+      blobPath: hit.blobPath,
+      content: hit.content,
+      case: hit.caseNumber,
+    })
+
+    resultsBuffer.push(`
+                Source: [${sourceNumber}]
+                Title: ${hit.title}
+                Case: ${hit.caseNumber}
+                Content: ${hit.content}
+                -----------------------------------
+                `)
+  }
+
+  if (resultsBuffer.length > 0) {
+    searchResultText = resultsBuffer.join('\n')
+    console.log(`   ✅ Found ${resultsBuffer.length} docs. Passed to Agent.`)
+  }
+
+  return searchResultText
+}
+
+/**
+ * 🛡️ Post-retrieval authorization check (SAFETY NET)
+ * Every chunk is re-checked against the user's cases before it reaches the
+ * model or the citations, regardless of the filter sent to the backend.
+ * Violations are dropped, logged to the security log and counted in the
+ * turn's `violations`.
+ */
+function screenRetrievedChunks(chunks, turn, context = {}) {
+  return chunks.filter((chunk) => {
+    const access = checkChunkAccess(chunk, turn.userCases)
+    if (access.authorized) return true
+
+    const violation = securityLog.record('unauthorized_chunk', {
+      userId: turn.userId,
+      userCases: turn.userCases,
+      ...context,
+      chunkId: chunk.id,
+      caseNumber: chunk.caseNumber,
+      blobPath: chunk.blobPath,
+      reason: access.reason,
+    })
+    turn.violations.push(violation)
+    return false
+  })
+}
+
+// Texto de progreso para las herramientas de caso
+function describeCaseTool(name, args) {
+  const target = args.case_number ? ` ${args.case_number}` : ''
+  switch (name) {
+    case 'get_case_info':
+      return `looking up case${target}`
+    case 'list_case_documents':
+      return `listing documents of case${target}`
+    case 'get_case_notes':
+      return `reading notes of case${target}`
+    default:
+      return name
+  }
+}
+
 /**
  * 🤖 Run agent conversation with filtered RAG
  *
+ * The provider (Azure Agents, chat completions or mock) drives the model;
+ * tool calls are executed here so case filtering never leaves the server.
+ * Progress is reported through `onEvent(type, data)` so callers can
+ * forward it to the browser:
+ * - status:    run state changes (queued, in_progress, requires_action...)
+ * - tool:      a tool call is being executed ("searching: <query>")
+ * - token:     partial answer text
+ * - citations: the documents backing the final answer
+ *
  * Security Layers:
- * 1. Thread-level vector store filtering (PRIMARY)
+ * 1. Case filter on every retrieval query (PRIMARY)
  * 2. Runtime instructions reinforcement (SECONDARY)
- * 3. Post-processing validation (SAFETY NET)
+ * 3. Post-retrieval authorization check on every chunk (SAFETY NET)
  */
-async function runAgentConversation(threadId, userMessage, userCases) {
+async function runAgentConversation(
+  threadId,
+  userMessage,
+  userCases,
+  onEvent = () => {},
+  {
+    userId,
+    documentScope = null,
+    answerLanguage = DEFAULT_LANGUAGE,
+    history = '',
+  } = {}
+) {
   try {
-    const isAdmin = userCases.includes('*')
-    let toolRetrievedDocuments = []
+    const sources = createSourceRegistry()
+    const turn = {
+      userId,
+      userCases,
+      sources,
+      violations: [],
+      documentScope,
+      question: userMessage,
+      history,
+      searchQueries: [],
+      noEvidence: [],
+      onEvent,
+    }
 
     // 1️⃣ Definición de la Herramienta
     const searchToolDefinition = {
@@ -389,196 +1026,136 @@ async function runAgentConversation(threadId, userMessage, userCases) {
               description:
                 'The search query keywords to find relevant information.',
             },
+            case_number: {
+              type: 'string',
+              description:
+                'Optional. Restrict the search to one authorized case number.',
+            },
+            date_from: {
+              type: 'string',
+              description:
+                'Optional. Only documents dated on or after this date (YYYY-MM-DD).',
+            },
+            date_to: {
+              type: 'string',
+              description:
+                'Optional. Only documents dated on or before this date (YYYY-MM-DD).',
+            },
+            document_type: {
+              type: 'string',
+              enum: DOCUMENT_TYPES,
+              description:
+                'Optional. Only this kind of document: note (case notes), email (.msg/.eml), pdf, office (Word/Excel/PowerPoint) or other.',
+            },
           },
           required: ['query'],
         },
       },
     }
 
-    // 2️⃣ Enviar mensaje
-    await aiProjectClient.agents.messages.create(threadId, 'user', userMessage)
-    console.log('   📩 Message added to thread')
-
     const allowedList = userCases.join(', ')
+    const scopeRule = documentScope
+      ? `
+        DOCUMENT SCOPE: The user is asking about the ${documentScope.type} "${documentScope.path}" of case ${documentScope.caseNumber}. 'search_legal_documents' only returns content from it; answer from that ${documentScope.type} and say so when it does not contain the answer.`
+      : ''
+
+    const languageRule = `
+        LANGUAGE: Answer in ${languageName(answerLanguage)}, whatever the language of the documents; keep quoted passages in their original language. The documents are mostly in ${languageName(SEARCH_CORPUS_LANGUAGE)}: write 'search_legal_documents' queries in ${languageName(SEARCH_CORPUS_LANGUAGE)}.`
+
+    // 2️⃣ Ejecutor de herramientas
+    const executeToolCall = async (name, args) => {
+      if (name === 'search_legal_documents') {
+        const query = args.query
+        const options = {
+          caseNumber: args.case_number,
+          dateFrom: args.date_from,
+          dateTo: args.date_to,
+          documentType: args.document_type,
+        }
+        const narrowing = [
+          args.document_type,
+          args.case_number && `case ${args.case_number}`,
+          (args.date_from || args.date_to) &&
+            `${args.date_from || '…'} → ${args.date_to || '…'}`,
+        ].filter(Boolean)
+
+        console.log(
+          `   🔎 Tool Executing: search_legal_documents(${JSON.stringify(args)})`
+        )
+        onEvent('tool', {
+          name: 'search_legal_documents',
+          query,
+          filters: options,
+          message: `searching: ${query}${
+            narrowing.length ? ` (${narrowing.join(', ')})` : ''
+          }`,
+        })
 
-    // 3️⃣ Iniciar Ejecución
-    let run = await aiProjectClient.agents.runs.create(
-      threadId,
-      AZURE_AGENT_ID,
-      {
-        tools: [searchToolDefinition],
-        additional_instructions: `
-        CURRENT SECURITY CONTEXT:
-        - The user is AUTHORIZED for the following Case Numbers: [${allowedList}].
-        - The search tool 'search_legal_documents' is SECURE and PRE-FILTERED by the system.
-        
-        OPERATIONAL RULES:
-        1. ALWAYS use the tool 'search_legal_documents' to find information.
-        2. TRUST THE TOOL: If the tool returns results, you are authorized to use them.
-        3. RESPONSE STYLE: Answer naturally. Do NOT use bracketed citations like [1] or [2] in your text.
-        4. If the tool returns empty results, inform the user that no information was found.
-        `,
+        return executeSearchTool(query, turn, options)
       }
-    )
-    console.log(`   🏃 Run started: ${run.id}`)
-
-    // 4️⃣ Polling
-    let iterations = 0
-    const maxIterations = 60
-
-    while (true) {
-      await new Promise((resolve) => setTimeout(resolve, 1000))
-      run = await aiProjectClient.agents.runs.get(threadId, run.id)
-      iterations++
-
-      if (iterations >= maxIterations) throw new Error('Agent run timeout')
-
-      // CASO A: Requires Action
-      if (run.status === 'requires_action') {
-        console.log('   ⚙️  Agent requires action (Function Call)...')
-
-        // Leemos con seguridad (Optional Chaining)
-        const toolCalls = run.requiredAction?.submitToolOutputs?.toolCalls
-
-        if (!toolCalls) {
-          console.error('   ❌ Error: Tool calls are undefined')
-          break
-        }
-
-        const toolOutputs = []
-
-        for (const toolCall of toolCalls) {
-          if (toolCall.function.name === 'search_legal_documents') {
-            const args = JSON.parse(toolCall.function.arguments)
-            const query = args.query
-
-            console.log(
-              `   🔎 Tool Executing: search_legal_documents(query="${query}")`
-            )
-
-            let searchResultText = 'No results found.'
-
-            if (searchClient) {
-              const filter = isAdmin
-                ? null
-                : userCases.map((c) => `case_number eq '${c}'`).join(' or ')
-
-              const searchResults = await searchClient.search(query, {
-                filter: filter,
-                select: ['title', 'chunk', 'url', 'case_number'],
-                top: 5,
-                queryType: 'semantic',
-                queryLanguage: 'en-us',
-                semanticConfiguration:
-                  'ai-search-1761858591800-small-semantic-configuration',
-              })
-
-              let resultsBuffer = []
-              let docIndex = 1
-
-              for await (const result of searchResults.results) {
-                const docInfo = {
-                  title: result.document.title,
-                  blobPath: decodeURIComponent(result.document.url),
-                  content: result.document.chunk,
-                  case: result.document.case_number,
-                }
-                toolRetrievedDocuments.push(docInfo)
-
-                resultsBuffer.push(`
-                Title: ${result.document.title}
-                Case: ${result.document.case_number}
-                Content: ${result.document.chunk}
-                -----------------------------------
-                `)
-                docIndex++
-              }
-
-              if (resultsBuffer.length > 0) {
-                searchResultText = resultsBuffer.join('\n')
-                console.log(
-                  `   ✅ Found ${resultsBuffer.length} docs. Passed to Agent.`
-                )
-              }
-            }
 
-            // 🔥 CORRECCIÓN CRÍTICA: Enviar AMBOS formatos
-            // Esto asegura que si el SDK busca uno u otro, siempre encuentre el ID.
-            toolOutputs.push({
-              tool_call_id: toolCall.id, // Formato API REST (snake_case)
-              toolCallId: toolCall.id, // Formato SDK JS (camelCase)
-              output: searchResultText,
-            })
-          }
-        }
-
-        if (toolOutputs.length > 0) {
-          // Enviamos el array directo
-          await aiProjectClient.agents.runs.submitToolOutputs(
-            threadId,
-            run.id,
-            toolOutputs
-          )
-          console.log('   📤 Tool outputs submitted successfully')
-        }
-      }
+      if (caseTools.handles(name)) {
+        console.log(`   🧰 Tool Executing: ${name}(${JSON.stringify(args)})`)
+        onEvent('tool', {
+          name,
+          caseNumber: args.case_number,
+          message: describeCaseTool(name, args),
+        })
 
-      if (run.status === 'completed') {
-        console.log('   ✅ Run completed.')
-        break
+        return caseTools.execute(name, args, turn)
       }
 
-      if (run.status === 'failed' || run.status === 'cancelled') {
-        throw new Error(`Run failed: ${run.lastError?.message || run.status}`)
-      }
+      console.warn(`   ⚠️  Unknown tool requested: ${name}`)
+      return `Unknown tool: ${name}`
     }
 
-    // 5️⃣ Respuesta Final
-    const messagesResponse = await aiProjectClient.agents.messages.list(
+    // 3️⃣ Ejecución
+    const { text: assistantMessage } = await agentProvider.runConversation({
       threadId,
-      { order: 'desc', limit: 1 }
-    )
-
-    let assistantMessage = ''
-    for await (const message of messagesResponse) {
-      if (message.role === 'assistant') {
-        if (
-          message.content &&
-          message.content.length > 0 &&
-          message.content[0].text
-        ) {
-          assistantMessage = message.content[0].text.value
-        }
-        break
-      }
-    }
-
-    let cleanMessage = assistantMessage.replace(/【[^】]*】/g, '').trim()
-
-    // 6️⃣ Citations
-    const uniqueCitationsMap = new Map()
-    toolRetrievedDocuments.forEach((doc) => {
-      if (doc.blobPath && !uniqueCitationsMap.has(doc.blobPath)) {
-        uniqueCitationsMap.set(doc.blobPath, {
-          title: doc.title,
-          blobPath: doc.blobPath,
-          content: doc.content,
-          chunk: doc.content,
-        })
-      }
+      message: userMessage,
+      tools: [searchToolDefinition, ...caseTools.definitions],
+      executeToolCall,
+      onEvent,
+      instructions: `
+        CURRENT SECURITY CONTEXT:
+        - The user is AUTHORIZED for the following Case Numbers: [${allowedList}].
+        - The search tool 'search_legal_documents' is SECURE and PRE-FILTERED by the system.
+        
+        OPERATIONAL RULES:
+        1. ALWAYS use the tools to find information: 'search_legal_documents' for document content, 'get_case_info' for case details and assigned staff, 'list_case_documents' to enumerate a case's files and 'get_case_notes' for recent notes. When the question is limited to a period or a kind of document (e.g. "notes from March 2025", "only emails"), pass date_from / date_to / document_type to 'search_legal_documents'.
+        2. TRUST THE TOOLS: If a tool returns results, you are authorized to use them. Case tools only work for the authorized cases above.
+        3. CITATIONS: Every search result and note has a "Source: [n]" label. After each fact taken from the documents, cite it with that exact marker, e.g. "The deposition was on May 2 [3]." Only cite sources returned by the tool and never invent numbers.
+        4. If the tool returns empty results or NO RELIABLE EVIDENCE, inform the user that no reliable information was found. Never fill the gap with assumptions.
+        ${languageRule}
+        ${scopeRule}`,
     })
 
-    const finalCitations = Array.from(uniqueCitationsMap.values())
+    // 4️⃣ Respuesta final + citations: solo las fuentes referenciadas
+    const { message: cleanMessage, citations: finalCitations } =
+      resolveCitations(assistantMessage, sources)
 
-    console.log(`   ✅ Response ready with ${finalCitations.length} citations.`)
+    onEvent('citations', { citations: finalCitations })
+
+    console.log(
+      `   ✅ Response ready with ${finalCitations.length} citations (${sources.size} sources retrieved).`
+    )
 
     return {
       message: cleanMessage,
       citations: finalCitations,
+      searchQueries: [...new Set(turn.searchQueries)],
+      // Respuesta sin citas y con búsquedas sin resultados fiables
+      noReliableEvidence:
+        finalCitations.length === 0 && turn.noEvidence.length > 0
+          ? { threshold: reranker.threshold, searches: turn.noEvidence }
+          : null,
       securityInfo: {
         filterApplied: true,
-        toolUsed: toolRetrievedDocuments.length > 0,
+        toolUsed: sources.size > 0,
+        sourcesRetrieved: sources.size,
         citationsReturned: finalCitations.length,
+        unauthorizedAccessDetected: turn.violations.length > 0,
+        violationsBlocked: turn.violations.length,
       },
     }
   } catch (error) {
@@ -591,14 +1168,11 @@ async function runAgentConversation(threadId, userMessage, userCases) {
 let permissionsCache = {
   byUserId: {},
   byEmail: {},
+  caseNumbers: [],
   lastSync: null,
   isSyncing: false,
 }
 
-const SA_API_BASE_URL = process.env.SA_API_BASE_URL
-const SA_SYSTEM_USERNAME = process.env.SA_USERNAME
-const SA_SYSTEM_PASSWORD = process.env.SA_PASSWORD
-
 /**
  * 🔄 Sync permissions from Smart Advocate
  */
@@ -609,11 +1183,8 @@ async function syncPermissions() {
 
   try {
     // Authenticate
-    const authRes = await axios.post(`${SA_API_BASE_URL}/Users/authenticate`, {
-      Username: SA_SYSTEM_USERNAME,
-      Password: SA_SYSTEM_PASSWORD,
-    })
-    const serviceToken = authRes.data.token
+    if (!saClient) throw new Error('Smart Advocate client not configured')
+    await saClient.authenticate()
     console.log('   ✅ [SYNC] System authenticated')
 
     // Get case numbers from Azure
@@ -628,9 +1199,9 @@ async function syncPermissions() {
 
     const caseNumbers = new Set()
     for await (const blob of containerClient.listBlobsFlat()) {
-      const parts = blob.name.split('/')
-      if (parts.length > 0 && /^\d+$/.test(parts[0])) {
-        caseNumbers.add(parts[0])
+      const caseNumber = caseFromBlobPath(blob.name)
+      if (caseNumber) {
+        caseNumbers.add(caseNumber)
       }
     }
     const casesList = Array.from(caseNumbers)
@@ -643,12 +1214,7 @@ async function syncPermissions() {
     let processed = 0
     for (const caseNum of casesList) {
       try {
-        const staffRes = await axios.get(
-          `${SA_API_BASE_URL}/case/staff/byCaseNumber?CaseNumber=${caseNum}`,
-          { headers: { Authorization: `Bearer ${serviceToken}` } }
-        )
-
-        const staffList = staffRes.data
+        const staffList = await saClient.getCaseStaff(caseNum)
 
         if (Array.isArray(staffList)) {
           staffList.forEach((staff) => {
@@ -686,8 +1252,12 @@ async function syncPermissions() {
     // Update cache
     permissionsCache.byUserId = tempByUserId
     permissionsCache.byEmail = tempByEmail
+    permissionsCache.caseNumbers = casesList.sort()
     permissionsCache.lastSync = new Date()
 
+    // Nombres y estados de caso pueden haber cambiado desde la última sync
+    caseMetadata.invalidate()
+
     console.log(
       `✅ [SYNC] Completed. Users indexed: ${Object.keys(tempByUserId).length}`
     )
@@ -889,39 +1459,165 @@ function authenticateToken(req, res, next) {
   })
 }
 
+/**
+ * 👤 Stable identifier used to key a user's conversations
+ */
+function getConversationOwner(user) {
+  return (user.email || user.saUsername || '').toLowerCase().trim()
+}
+
+/**
+ * 🗂️ Load the requested conversation or start a new one
+ * Returns null when the id does not belong to the user.
+ */
+async function resolveConversation(userId, conversationId) {
+  if (conversationId) {
+    return conversationStore.get(userId, conversationId)
+  }
+  return conversationStore.create(userId)
+}
+
+/**
+ * 💬 Run one question/answer turn inside a conversation and persist it
+ * `language` is the user's preferred answer language ('en' / 'es'); when
+ * unset the answer follows the language of the question.
+ */
+async function runConversationTurn(
+  user,
+  conversation,
+  { message, clearThread, cases, documentScope, language },
+  onEvent
+) {
+  const userId = getConversationOwner(user)
+  const userCases = user.cases
+
+  // Stored scope is re-validated: permissions may have changed since
+  const scope = resolveCaseScope(cases ?? conversation.cases, userCases)
+  if (scope.invalid.length > 0) {
+    console.warn(
+      `   ⚠️  Dropping unauthorized cases from scope: ${scope.invalid.join(', ')}`
+    )
+  }
+
+  const scopeChanged =
+    scope.cases.length !== (conversation.cases || []).length ||
+    scope.cases.some((c) => !(conversation.cases || []).includes(c))
+  if (scopeChanged) {
+    await conversationStore.setCases(userId, conversation.id, scope.cases)
+  }
+
+  // Searches only look at the selected cases (all authorized cases if none),
+  // or at the case of the folder / file picked in the document browser
+  const searchCases = documentScope
+    ? [documentScope.caseNumber]
+    : scope.cases.length > 0
+      ? scope.cases
+      : userCases
+  console.log(`   🎯 Conversation scope: ${searchCases.join(', ')}`)
+
+  const answerLanguage = normalizeLanguage(language) || detectLanguage(message)
+  console.log(`   🌐 Answer language: ${languageName(answerLanguage)}`)
+
+  if (clearThread && conversation.threadId) {
+    await deleteThread(conversation.threadId)
+    await conversationStore.setThread(userId, conversation.id, null, [])
+    conversation.threadId = null
+  }
+
+  // Get or create thread with case filtering
+  const threadId = await getOrCreateThread(userId, conversation, userCases)
+  const response = await runAgentConversation(
+    threadId,
+    message,
+    searchCases,
+    onEvent,
+    {
+      userId,
+      documentScope,
+      answerLanguage,
+      // Contexto para reescribir las consultas de preguntas de seguimiento
+      history: clearThread
+        ? ''
+        : formatRecentTurns(conversation.messages, QUERY_REWRITE_HISTORY_TURNS),
+    }
+  )
+
+  await conversationStore.appendMessages(userId, conversation.id, [
+    { role: 'user', content: message },
+    {
+      role: 'assistant',
+      content: response.message,
+      citations: response.citations,
+      searchQueries: response.searchQueries,
+      noReliableEvidence: response.noReliableEvidence,
+    },
+  ])
+
+  return {
+    ...response,
+    conversationId: conversation.id,
+    cases: scope.cases,
+    answerLanguage,
+  }
+}
+
 /**
  * Chat endpoint - Main conversation interface
  */
 app.post('/api/chat', authenticateToken, async (req, res) => {
   try {
-    const { message, clearThread } = req.body
+    const { message, clearThread, conversationId, cases, scope, language } =
+      req.body
     const userCases = req.user.cases
-    const sessionId = req.user.sessionId
 
     if (!message) {
       return res.status(400).json({ error: 'Message required' })
     }
 
+    const requestedScope = resolveCaseScope(cases, userCases)
+    if (requestedScope.invalid.length > 0) {
+      return res.status(403).json({
+        error: 'Access denied to requested cases',
+        invalidCases: requestedScope.invalid,
+      })
+    }
+
+    const documentScope = scope ? resolveDocumentScope(scope, userCases) : {}
+    if (documentScope.error) {
+      return res
+        .status(documentScope.status)
+        .json({ error: documentScope.error })
+    }
+
     console.log(`\n${'='.repeat(60)}`)
     console.log(`🤖 AGENT CHAT`)
     console.log(`User: ${req.user.email}`)
     console.log(`Cases: ${userCases.join(', ')}`)
+    if (documentScope.scope) console.log(`Scope: ${documentScope.scope.path}`)
     console.log(`Question: ${message}`)
     console.log(`${'='.repeat(60)}\n`)
 
-    if (clearThread) {
-      await deleteThread(sessionId)
+    const conversation = await resolveConversation(
+      getConversationOwner(req.user),
+      conversationId
+    )
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' })
     }
 
-    // Get or create thread with case filtering
-    const threadId = await getOrCreateThread(sessionId, userCases)
-    const response = await runAgentConversation(threadId, message, userCases)
+    const response = await runConversationTurn(req.user, conversation, {
+      message,
+      clearThread,
+      cases: Array.isArray(cases) ? requestedScope.cases : undefined,
+      documentScope: documentScope.scope,
+      language,
+    })
 
     console.log(`✅ Response ready with ${response.citations.length} citations`)
 
     if (response.securityInfo.unauthorizedAccessDetected) {
       console.warn(
-        `⚠️  Security validation triggered - review Azure filter configuration`
+        `⚠️  Security validation triggered (${response.securityInfo.violationsBlocked} chunks blocked) - review the retrieval filter configuration`
       )
     }
 
@@ -938,16 +1634,152 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
 })
 
 /**
- * Clear chat thread
+ * 📡 Write a single Server-Sent Event
+ */
+function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\n`)
+  res.write(`data: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Streaming chat endpoint - same conversation flow as /api/chat, but the
+ * run status, tool calls, answer tokens and citations are pushed to the
+ * browser as Server-Sent Events while the agent is working.
+ */
+app.post('/api/chat/stream', authenticateToken, async (req, res) => {
+  const { message, clearThread, conversationId, cases, scope, language } =
+    req.body
+  const userCases = req.user.cases
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message required' })
+  }
+
+  const requestedScope = resolveCaseScope(cases, userCases)
+  if (requestedScope.invalid.length > 0) {
+    return res.status(403).json({
+      error: 'Access denied to requested cases',
+      invalidCases: requestedScope.invalid,
+    })
+  }
+
+  const documentScope = scope ? resolveDocumentScope(scope, userCases) : {}
+  if (documentScope.error) {
+    return res.status(documentScope.status).json({ error: documentScope.error })
+  }
+
+  console.log(`\n${'='.repeat(60)}`)
+  console.log(`🤖 AGENT CHAT (stream)`)
+  console.log(`User: ${req.user.email}`)
+  console.log(`Cases: ${userCases.join(', ')}`)
+  if (documentScope.scope) console.log(`Scope: ${documentScope.scope.path}`)
+  console.log(`Question: ${message}`)
+  console.log(`${'='.repeat(60)}\n`)
+
+  let conversation
+  try {
+    conversation = await resolveConversation(
+      getConversationOwner(req.user),
+      conversationId
+    )
+  } catch (error) {
+    console.error('❌ Error loading conversation:', error.message)
+    return res.status(500).json({
+      error: 'Error loading conversation',
+      details: error.message,
+    })
+  }
+
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' })
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  res.flushHeaders()
+
+  let clientClosed = false
+  res.on('close', () => {
+    clientClosed = true
+  })
+
+  const emit = (event, data) => {
+    if (!clientClosed) sendSseEvent(res, event, data)
+  }
+
+  // Keep proxies from closing an idle connection while tools run
+  const heartbeat = setInterval(() => {
+    if (!clientClosed) res.write(': ping\n\n')
+  }, 15 * 1000)
+
+  try {
+    emit('conversation', {
+      conversationId: conversation.id,
+      title: conversation.title,
+      cases: conversation.cases || [],
+    })
+    emit('status', { status: 'starting' })
+
+    const response = await runConversationTurn(
+      req.user,
+      conversation,
+      {
+        message,
+        clearThread,
+        cases: Array.isArray(cases) ? requestedScope.cases : undefined,
+        documentScope: documentScope.scope,
+        language,
+      },
+      emit
+    )
+
+    console.log(`✅ Response ready with ${response.citations.length} citations`)
+
+    if (response.securityInfo.unauthorizedAccessDetected) {
+      console.warn(
+        `⚠️  Security validation triggered (${response.securityInfo.violationsBlocked} chunks blocked) - review the retrieval filter configuration`
+      )
+    }
+
+    emit('done', response)
+  } catch (error) {
+    console.error('\n❌ ERROR in /api/chat/stream:')
+    console.error('Details:', error.message)
+
+    emit('error', {
+      error: 'Error processing query',
+      details: error.message,
+    })
+  } finally {
+    clearInterval(heartbeat)
+    res.end()
+  }
+})
+
+/**
+ * Clear chat - deletes the given conversation and its agent thread
  */
 app.post('/api/chat/clear', authenticateToken, async (req, res) => {
   try {
-    const sessionId = req.user.sessionId
-    const deleted = await deleteThread(sessionId)
+    const { conversationId } = req.body || {}
+    const removed = conversationId
+      ? await conversationStore.remove(
+          getConversationOwner(req.user),
+          conversationId
+        )
+      : null
+
+    if (removed?.threadId) {
+      await deleteThread(removed.threadId)
+    }
 
     res.json({
       success: true,
-      message: deleted
+      message: removed
         ? 'Chat cleared successfully'
         : 'No active chat to clear',
     })
@@ -961,253 +1793,1185 @@ app.post('/api/chat/clear', authenticateToken, async (req, res) => {
 })
 
 /**
- * Verify user permissions
+ * List the user's conversations (most recent first)
  */
-app.get('/api/me', authenticateToken, (req, res) => {
-  res.json({
-    email: req.user.email,
-    name: req.user.name,
-    cases: req.user.cases,
-  })
+app.get('/api/conversations', authenticateToken, async (req, res) => {
+  try {
+    const conversations = await conversationStore.list(
+      getConversationOwner(req.user)
+    )
+    res.json({ conversations })
+  } catch (error) {
+    console.error('Error listing conversations:', error.message)
+    res.status(500).json({
+      error: 'Error listing conversations',
+      details: error.message,
+    })
+  }
 })
 
 /**
- * Get document URL with SAS token
+ * Start a new, empty conversation
  */
-app.post('/api/documents/get-url', authenticateToken, async (req, res) => {
+app.post('/api/conversations', authenticateToken, async (req, res) => {
   try {
-    const { filename, blobPath } = req.body
-    const userCases = req.user.cases
+    const { title, cases } = req.body || {}
 
-    if (!containerClient) {
-      return res.status(503).json({ error: 'Azure Storage not configured' })
+    const scope = resolveCaseScope(cases, req.user.cases)
+    if (scope.invalid.length > 0) {
+      return res.status(403).json({
+        error: 'Access denied to requested cases',
+        invalidCases: scope.invalid,
+      })
     }
 
-    console.log(`\n📄 Getting document: ${filename}`)
-
-    let finalBlobPath = blobPath
-    let blobClient = null
-    let source = 'unknown'
+    const conversation = await conversationStore.create(
+      getConversationOwner(req.user),
+      { title, cases: scope.cases }
+    )
+    res.status(201).json(conversation)
+  } catch (error) {
+    console.error('Error creating conversation:', error.message)
+    res.status(500).json({
+      error: 'Error creating conversation',
+      details: error.message,
+    })
+  }
+})
 
-    // Strategy 1: Use blobPath from citation (index)
-    if (finalBlobPath) {
-      console.log(`   ⚡ Using blobPath from index: ${finalBlobPath}`)
-      blobClient = containerClient.getBlobClient(finalBlobPath)
+/**
+ * Open a conversation with its full message history
+ */
+app.get('/api/conversations/:id', authenticateToken, async (req, res) => {
+  try {
+    const conversation = await conversationStore.get(
+      getConversationOwner(req.user),
+      req.params.id
+    )
 
-      try {
-        const exists = await blobClient.exists()
-        if (exists) {
-          console.log(`   ✅ Found via index`)
-          source = 'index-direct'
-        } else {
-          finalBlobPath = null
-        }
-      } catch (e) {
-        finalBlobPath = null
-      }
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' })
     }
 
-    // Strategy 2: Search index by title
-    if (!finalBlobPath && filename && searchClient) {
-      console.log(`   🔍 Searching index...`)
-      finalBlobPath = await getBlobPathFromIndex(filename)
-
-      if (finalBlobPath) {
-        blobClient = containerClient.getBlobClient(finalBlobPath)
-        try {
-          const exists = await blobClient.exists()
-          if (exists) {
-            console.log(`   ✅ Found via index search`)
-            source = 'index-search'
-          } else {
-            finalBlobPath = null
-          }
-        } catch (e) {
-          finalBlobPath = null
-        }
-      }
-    }
+    res.json(conversation)
+  } catch (error) {
+    console.error('Error loading conversation:', error.message)
+    res.status(500).json({
+      error: 'Error loading conversation',
+      details: error.message,
+    })
+  }
+})
 
-    // Strategy 3: Fallback to blob storage search
-    if (!finalBlobPath && filename) {
-      console.log(`   🐢 Using fallback search`)
-      const result = await findDocumentInStorage(
-        filename,
-        userCases,
-        containerClient
-      )
-      finalBlobPath = result.blobPath
-      blobClient = result.blobClient
-      source = 'fallback'
-    }
+/**
+ * Rename a conversation and/or change the cases it is scoped to
+ */
+app.patch('/api/conversations/:id', authenticateToken, async (req, res) => {
+  try {
+    const { title, cases } = req.body || {}
+    const userId = getConversationOwner(req.user)
 
-    if (!finalBlobPath || !blobClient) {
-      console.log(`   ❌ Not found`)
-      return res.status(404).json({
-        error: 'Document not found',
-        filename: filename,
-      })
+    if (title === undefined && cases === undefined) {
+      return res.status(400).json({ error: 'Title or cases required' })
     }
 
-    // Verify permissions
-    const pathCaseMatch = finalBlobPath.match(/^(\d{5})/)
-    const actualCase = pathCaseMatch ? pathCaseMatch[1] : null
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({ error: 'Title required' })
+    }
 
-    if (
-      actualCase &&
-      !userCases.includes('*') &&
-      !userCases.includes(actualCase)
-    ) {
-      console.log(`   ❌ Access denied`)
+    const scope = resolveCaseScope(cases, req.user.cases)
+    if (scope.invalid.length > 0) {
       return res.status(403).json({
-        error: 'Access denied to this document',
-        documentCase: actualCase,
-        userCases: userCases,
+        error: 'Access denied to requested cases',
+        invalidCases: scope.invalid,
       })
     }
 
-    // Generate SAS URL
-    const properties = await blobClient.getProperties()
-    const connectionParts = AZURE_STORAGE_CONNECTION_STRING.split(';')
-    const accountName = connectionParts
-      .find((p) => p.startsWith('AccountName='))
-      .split('=')[1]
-    const accountKey = connectionParts
-      .find((p) => p.startsWith('AccountKey='))
-      .split('=')[1]
-
-    const sharedKeyCredential = new StorageSharedKeyCredential(
-      accountName,
-      accountKey
-    )
+    let conversation = await conversationStore.get(userId, req.params.id)
 
-    const sasToken = generateBlobSASQueryParameters(
-      {
-        containerName: AZURE_CONTAINER_NAME,
-        blobName: finalBlobPath,
-        permissions: BlobSASPermissions.parse('r'),
-        startsOn: new Date(new Date().valueOf() - 5 * 60 * 1000),
-        expiresOn: new Date(new Date().valueOf() + 24 * 60 * 60 * 1000),
-        version: '2021-08-06',
-        contentDisposition: 'inline',
-      },
-      sharedKeyCredential
-    ).toString()
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' })
+    }
 
-    const sasUrl = `${blobClient.url}?${sasToken}`
-    const actualFilename = finalBlobPath.split('/').pop()
-    const correctContentType = getContentType(actualFilename)
+    if (title !== undefined) {
+      conversation = await conversationStore.rename(
+        userId,
+        req.params.id,
+        title
+      )
+    }
 
-    console.log(`   ✅ SAS URL generated (via ${source})`)
+    if (Array.isArray(cases)) {
+      conversation = await conversationStore.setCases(
+        userId,
+        req.params.id,
+        scope.cases
+      )
+    }
 
-    res.json({
-      filename: actualFilename,
-      originalSearch: filename,
-      caseNumber: actualCase,
-      blobPath: finalBlobPath,
-      url: sasUrl,
-      metadata: {
-        size: properties.contentLength,
-        contentType: correctContentType,
-        lastModified: properties.lastModified,
-      },
-      expiresIn: '24 hours',
-      source: source,
-    })
+    res.json(conversation)
   } catch (error) {
-    console.error('❌ Error getting document URL:', error.message)
+    console.error('Error updating conversation:', error.message)
     res.status(500).json({
-      error: 'Error retrieving document URL',
+      error: 'Error updating conversation',
       details: error.message,
     })
   }
 })
 
 /**
- * Force permissions sync (admin only)
+ * Delete a conversation and its agent thread
  */
-app.post('/api/admin/force-sync', async (req, res) => {
-  const adminSecret = req.headers['x-admin-secret']
-  if (adminSecret !== 'Asdf1234$') {
-    return res.status(403).json({ error: 'Unauthorized' })
-  }
+app.delete('/api/conversations/:id', authenticateToken, async (req, res) => {
+  try {
+    const removed = await conversationStore.remove(
+      getConversationOwner(req.user),
+      req.params.id
+    )
 
-  if (permissionsCache.isSyncing) {
-    return res.status(409).json({
-      message: 'Sync already in progress',
-    })
-  }
+    if (!removed) {
+      return res.status(404).json({ error: 'Conversation not found' })
+    }
 
-  console.log('⚡ Force sync requested')
+    if (removed.threadId) {
+      await deleteThread(removed.threadId)
+    }
 
-  try {
-    await syncPermissions()
-    res.json({
-      success: true,
-      message: 'Sync completed successfully',
-      stats: {
-        totalUsers: Object.keys(permissionsCache.byUserId).length,
-        timestamp: new Date(),
-      },
-    })
+    res.json({ success: true })
   } catch (error) {
+    console.error('Error deleting conversation:', error.message)
     res.status(500).json({
-      error: 'Sync failed',
+      error: 'Error deleting conversation',
       details: error.message,
     })
   }
 })
 
 /**
- * Cache status (debug endpoint)
+ * Verify user permissions
  */
-app.get('/api/admin/cache-status', (req, res) => {
-  try {
-    const userIds = Object.keys(permissionsCache.byUserId)
-    const emails = Object.keys(permissionsCache.byEmail)
-
-    const readableUsers = userIds.map((id) => {
-      const user = permissionsCache.byUserId[id]
-      return {
-        id: id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        casesCount: user.cases.length,
-        cases: user.cases,
+app.get('/api/me', authenticateToken, (req, res) => {
+  res.json({
+    email: req.user.email,
+    name: req.user.name,
+    cases: req.user.cases,
+  })
+})
+
+// ===== SEARCH SCREEN =====
+const SEARCH_MODES = ['keyword', 'semantic']
+const MAX_SEARCH_PAGE_SIZE = 50
+
+/**
+ * 🔍 Direct search over the index, without the agent
+ * - q: words to find (required)
+ * - mode: 'keyword' (default, every chunk containing all the words) or
+ *   'semantic'
+ * - cases: comma-separated case numbers (default: all authorized cases)
+ * - type / dateFrom / dateTo: same narrowing as the search tool
+ * - page (1-based) / pageSize (max 50)
+ * Same case filter and post-retrieval check as the chat.
+ */
+app.get('/api/search', authenticateToken, async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim()
+    const userCases = req.user.cases
+
+    if (!query) {
+      return res.status(400).json({ error: 'Query required' })
+    }
+    if (!retrieval) {
+      return res.status(503).json({ error: 'Search index not configured' })
+    }
+
+    const mode = SEARCH_MODES.includes(req.query.mode)
+      ? req.query.mode
+      : 'keyword'
+
+    const requestedCases = String(req.query.cases || '')
+      .split(',')
+      .map((c) => c.trim())
+      .filter(Boolean)
+    const scope = resolveCaseScope(requestedCases, userCases)
+    if (scope.invalid.length > 0) {
+      return res.status(403).json({
+        error: 'Access denied to requested cases',
+        invalidCases: scope.invalid,
+      })
+    }
+
+    const cases =
+      scope.cases.length > 0
+        ? scope.cases
+        : isAdminUser(userCases)
+          ? null
+          : userCases
+    const filters = normalizeSearchFilters({
+      dateFrom: req.query.dateFrom,
+      dateTo: req.query.dateTo,
+      documentType: req.query.type ? String(req.query.type).split(',') : [],
+    })
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const pageSize = Math.min(
+      Math.max(parseInt(req.query.pageSize, 10) || 20, 1),
+      MAX_SEARCH_PAGE_SIZE
+    )
+
+    console.log(
+      `\n🔍 Search (${mode}) by ${req.user.email}: "${query}" page ${page}`
+    )
+    console.log(
+      cases
+        ? `   🔒 Case filter: ${cases.join(', ')}`
+        : '   🔓 Admin access - no filter applied'
+    )
+
+    // Semántica: la consulta se traduce al idioma de los documentos;
+    // por palabras clave se busca tal cual se escribió
+    const prepared =
+      mode === 'semantic'
+        ? await queryTranslator.prepare(query)
+        : { query, language: detectLanguage(query, SEARCH_CORPUS_LANGUAGE) }
+    if (prepared.translatedFrom) {
+      console.log(`   🌐 Query translated: "${prepared.query}"`)
+    }
+
+    const result = await retrieval.searchDocuments(prepared.query, {
+      cases,
+      filters,
+      mode,
+      skip: (page - 1) * pageSize,
+      top: pageSize,
+      language: prepared.language,
+    })
+
+    const turn = { userId: req.user.email, userCases, violations: [] }
+    const hits = screenRetrievedChunks(result.hits, turn, {
+      tool: 'search_screen',
+      query,
+    })
+
+    // Las facetas de casos tampoco pueden revelar casos ajenos
+    const facets = {
+      cases: result.facets.cases.filter(
+        (facet) =>
+          isAdminUser(userCases) || userCases.includes(String(facet.value))
+      ),
+      documentTypes: result.facets.documentTypes,
+    }
+
+    console.log(`   ✅ ${result.total} hit(s), ${hits.length} on this page`)
+
+    res.json({
+      query,
+      searchedQuery: prepared.query,
+      mode,
+      page,
+      pageSize,
+      total: result.total,
+      totalPages: Math.ceil(result.total / pageSize),
+      results: hits.map((hit) => ({
+        ...hit,
+        // Sin resaltado (p. ej. búsqueda semántica): inicio del fragmento
+        highlights:
+          hit.highlights.length > 0
+            ? hit.highlights
+            : [[{ text: (hit.content || '').slice(0, 200), match: false }]],
+      })),
+      facets,
+      securityInfo: {
+        filterApplied: Boolean(cases),
+        violationsBlocked: turn.violations.length,
+      },
+    })
+  } catch (error) {
+    console.error('❌ Error in /api/search:', error.message)
+    res.status(500).json({
+      error: 'Error searching documents',
+      details: error.message,
+    })
+  }
+})
+
+/**
+ * 🏛️ Case list for the dashboard: name, status, type and key dates of the
+ * user's cases (cached, ?refresh=true to reload from Smart Advocate)
+ * Admins get the cases found by the last permissions sync, or ?cases=
+ */
+app.get('/api/cases', authenticateToken, async (req, res) => {
+  try {
+    const userCases = req.user.cases
+    const refresh = req.query.refresh === 'true'
+
+    let caseNumbers
+    if (isAdminUser(userCases)) {
+      const requested = String(req.query.cases || '')
+        .split(',')
+        .map((c) => c.trim())
+        .filter(Boolean)
+      const scope = resolveCaseScope(requested, userCases)
+      caseNumbers = (
+        scope.cases.length > 0 ? scope.cases : permissionsCache.caseNumbers
+      ).slice(0, MAX_DASHBOARD_CASES)
+    } else {
+      caseNumbers = userCases
+    }
+
+    applyContentUpdates()
+    const cases = await caseMetadata.getCases(caseNumbers, { refresh })
+
+    res.json({
+      cases,
+      total: cases.length,
+      truncated:
+        isAdminUser(userCases) &&
+        permissionsCache.caseNumbers.length > MAX_DASHBOARD_CASES,
+    })
+  } catch (error) {
+    console.error('❌ Error loading cases:', error.message)
+    res.status(500).json({
+      error: 'Error loading cases',
+      details: error.message,
+    })
+  }
+})
+
+/**
+ * 📊 Dashboard of one case: case record, document counts by type, latest
+ * notes and assigned staff
+ */
+app.get('/api/cases/:caseNumber', authenticateToken, async (req, res) => {
+  try {
+    const access = authorizeCaseNumber(req.params.caseNumber, req.user.cases)
+    if (access.error) {
+      console.log(`   ❌ Case dashboard denied: ${access.error}`)
+      return res.status(403).json({ error: access.error })
+    }
+
+    applyContentUpdates()
+    const dashboard = await caseMetadata.getDashboard(access.caseNumber, {
+      refresh: req.query.refresh === 'true',
+    })
+
+    res.json(dashboard)
+  } catch (error) {
+    console.error('❌ Error loading case dashboard:', error.message)
+    res.status(500).json({
+      error: 'Error loading case dashboard',
+      details: error.message,
+    })
+  }
+})
+
+/**
+ * 🗂️ Browse a case's documents as a folder tree (notes/ included)
+ * - ?folder=: optional subfolder relative to the case to use as root
+ * Size, type and last-modified come straight from blob storage.
+ */
+app.get(
+  '/api/cases/:caseNumber/documents',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const access = authorizeCaseNumber(req.params.caseNumber, req.user.cases)
+      if (access.error) {
+        console.log(`   ❌ Document listing denied: ${access.error}`)
+        return res.status(403).json({ error: access.error })
       }
+
+      if (!containerClient) {
+        return res.status(503).json({ error: 'Azure Storage not configured' })
+      }
+
+      const caseNumber = access.caseNumber
+      const folder = normalizeFolderPath(req.query.folder)
+      const prefix = folder ? `${caseNumber}/${folder}/` : `${caseNumber}/`
+
+      const blobs = []
+      for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+        blobs.push(blob)
+      }
+
+      const tree = buildDocumentTree(caseNumber, blobs, { folder })
+
+      console.log(
+        `🗂️  Listed ${tree.fileCount} document(s) in ${prefix} for ${req.user.email}`
+      )
+
+      res.json({ caseNumber, folder, tree })
+    } catch (error) {
+      console.error('❌ Error listing case documents:', error.message)
+      res.status(500).json({
+        error: 'Error listing case documents',
+        details: error.message,
+      })
+    }
+  }
+)
+
+/**
+ * 🗓️ Timeline of a case: dated events extracted from its notes and
+ * documents, each one linked to its source document
+ * status is 'missing' until the first build, 'building' while one runs
+ */
+app.get(
+  '/api/cases/:caseNumber/timeline',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const access = authorizeCaseNumber(req.params.caseNumber, req.user.cases)
+      if (access.error) {
+        console.log(`   ❌ Timeline denied: ${access.error}`)
+        return res.status(403).json({ error: access.error })
+      }
+
+      res.json(await timelineBuilder.get(access.caseNumber))
+    } catch (error) {
+      console.error('❌ Error loading timeline:', error.message)
+      res.status(500).json({
+        error: 'Error loading timeline',
+        details: error.message,
+      })
+    }
+  }
+)
+
+/**
+ * 🔨 (Re)build the timeline of a case in the background
+ * Body: { force } - re-extract every document, not only the changed ones
+ * Returns 202 right away; poll the GET endpoint for progress.
+ */
+app.post(
+  '/api/cases/:caseNumber/timeline',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const access = authorizeCaseNumber(req.params.caseNumber, req.user.cases)
+      if (access.error) {
+        console.log(`   ❌ Timeline build denied: ${access.error}`)
+        return res.status(403).json({ error: access.error })
+      }
+
+      if (!agentProvider || !retrieval) {
+        return res.status(503).json({
+          error: 'Timeline needs the agent provider and the search index',
+        })
+      }
+
+      const started = timelineBuilder.start(access.caseNumber, {
+        force: req.body?.force === true,
+      })
+      if (started) {
+        console.log(
+          `🗓️  Timeline build for case ${access.caseNumber} started by ${req.user.email}`
+        )
+      }
+
+      res.status(202).json(await timelineBuilder.get(access.caseNumber))
+    } catch (error) {
+      console.error('❌ Error starting timeline build:', error.message)
+      res.status(500).json({
+        error: 'Error starting timeline build',
+        details: error.message,
+      })
+    }
+  }
+)
+
+/**
+ * 🔐 Common checks of the summary endpoints: storage configured, blob path
+ * given and inside the user's cases. Returns the blob path or null after
+ * answering the request.
+ */
+function authorizeSummaryRequest(req, res, blobPath) {
+  if (!containerClient) {
+    res.status(503).json({ error: 'Azure Storage not configured' })
+    return null
+  }
+  if (!blobPath || typeof blobPath !== 'string') {
+    res.status(400).json({ error: 'blobPath is required' })
+    return null
+  }
+
+  const access = checkBlobPathAccess(blobPath, req.user.cases)
+  if (!access.authorized) {
+    console.log(`   ❌ Summary denied for ${blobPath} (${access.reason})`)
+    res.status(403).json({ error: 'Access denied to this document' })
+    return null
+  }
+  return blobPath
+}
+
+function sendSummaryError(res, error) {
+  if (error.statusCode === 404) {
+    return res.status(404).json({ error: 'Document not found' })
+  }
+  console.error('❌ Error with document summary:', error.message)
+  res.status(error.status || 500).json({
+    error: 'Error with document summary',
+    details: error.message,
+  })
+}
+
+/**
+ * 📝 Stored summary of a document (never generates one)
+ * - ?blobPath=: document blob path
+ * status: 'ready', 'stale' (the file changed since) or 'missing'
+ */
+app.get('/api/documents/summary', authenticateToken, async (req, res) => {
+  try {
+    const blobPath = authorizeSummaryRequest(req, res, req.query.blobPath)
+    if (!blobPath) return
+
+    res.json(await documentSummarizer.get(blobPath))
+  } catch (error) {
+    sendSummaryError(res, error)
+  }
+})
+
+/**
+ * 🧠 Generate the summary of a document (reused while its ETag is the same)
+ * Body: { blobPath, force }
+ */
+app.post('/api/documents/summary', authenticateToken, async (req, res) => {
+  try {
+    const blobPath = authorizeSummaryRequest(req, res, req.body?.blobPath)
+    if (!blobPath) return
+
+    if (!agentProvider || !retrieval) {
+      return res.status(503).json({
+        error: 'Summaries need the agent provider and the search index',
+      })
+    }
+
+    const summary = await documentSummarizer.summarize(blobPath, {
+      force: req.body.force === true,
     })
+    res.json(summary)
+  } catch (error) {
+    sendSummaryError(res, error)
+  }
+})
+
+/**
+ * ⚖️ Compare two documents: factual differences (dates, amounts, names)
+ * found by the LLM. Both sides go through the same lookup and permission
+ * checks as /api/documents/get-url.
+ * Body: { left: { filename, blobPath }, right: { filename, blobPath } }
+ */
+app.post('/api/documents/compare', authenticateToken, async (req, res) => {
+  try {
+    const { left, right } = req.body || {}
+    const userCases = req.user.cases
+
+    if (!containerClient) {
+      return res.status(503).json({ error: 'Azure Storage not configured' })
+    }
+    if (!agentProvider || !retrieval) {
+      return res.status(503).json({
+        error: 'Comparison needs the agent provider and the search index',
+      })
+    }
+    if (
+      !left ||
+      !right ||
+      typeof left !== 'object' ||
+      typeof right !== 'object'
+    ) {
+      return res.status(400).json({ error: 'left and right are required' })
+    }
+
+    console.log(
+      `\n⚖️  Comparing: ${left.blobPath || left.filename} <> ${
+        right.blobPath || right.filename
+      }`
+    )
+
+    const sides = []
+    for (const side of [left, right]) {
+      const resolved = await resolveAuthorizedDocument(
+        { filename: side.filename, blobPath: side.blobPath },
+        userCases
+      )
+      if (resolved.error) {
+        return res.status(resolved.status).json(resolved.error)
+      }
+      sides.push({
+        blobPath: resolved.document.blobPath,
+        caseNumber: resolved.access.caseNumber,
+        title: resolved.document.blobPath.split('/').pop(),
+      })
+    }
+
+    if (sides[0].blobPath === sides[1].blobPath) {
+      return res.status(400).json({ error: 'Pick two different documents' })
+    }
+
+    const comparison = await documentComparer.compare(sides[0], sides[1])
+
+    for (const side of sides) {
+      auditLog.record('document_compared', {
+        userId: req.user.email,
+        caseNumber: side.caseNumber,
+        blobPath: side.blobPath,
+        ip: req.ip,
+      })
+    }
+
+    console.log(`   ✅ ${comparison.differences.length} difference(s) found`)
+
+    res.json({ left: sides[0], right: sides[1], ...comparison })
+  } catch (error) {
+    console.error('❌ Error comparing documents:', error.message)
+    res.status(error.status || 500).json({
+      error: 'Error comparing documents',
+      details: error.message,
+    })
+  }
+})
+
+/**
+ * Get document metadata and a short-lived link for one `purpose`:
+ * 'view' (default), 'download', 'preview' (Office documents converted for
+ * the browser; 'view' when there is no conversion) or 'none' (metadata
+ * only, e.g. to resolve the blob path of a citation)
+ * Storage URLs never leave the server: the file is served by /api/proxy
+ * and every link minted is recorded in the audit log
+ */
+app.post('/api/documents/get-url', authenticateToken, async (req, res) => {
+  try {
+    const { filename, blobPath } = req.body
+    const userCases = req.user.cases
+    const requestedPurpose = req.body.purpose ?? 'view'
+
+    if (!containerClient || !documentLinks) {
+      return res.status(503).json({ error: 'Azure Storage not configured' })
+    }
+    if (
+      requestedPurpose !== 'none' &&
+      !LINK_PURPOSES.includes(requestedPurpose)
+    ) {
+      return res
+        .status(400)
+        .json({ error: `Unknown link purpose "${requestedPurpose}"` })
+    }
+
+    console.log(`\n📄 Getting document: ${filename}`)
+
+    const resolved = await resolveAuthorizedDocument(
+      { filename, blobPath },
+      userCases
+    )
+    if (resolved.error) {
+      return res.status(resolved.status).json(resolved.error)
+    }
+    const { document, access } = resolved
+
+    const properties = await document.blobClient.getProperties()
+    let actualFilename = document.blobPath.split('/').pop()
+    let size = properties.contentLength
+    let attachment = null
+
+    // Adjunto de un correo: se enlaza a través del blob del correo
+    if (req.body.attachment !== undefined && req.body.attachment !== null) {
+      if (!isEmailFile(actualFilename)) {
+        return res.status(400).json({ error: 'Document is not an email' })
+      }
+
+      const buffer = await downloadBlobForPreview(
+        document.blobClient,
+        properties,
+        MAX_EMAIL_BYTES
+      )
+      const email = await parseEmail(buffer, actualFilename)
+      const meta = email.attachments[Number(req.body.attachment)]
+
+      if (!meta) {
+        return res.status(404).json({ error: 'Attachment not found' })
+      }
+
+      attachment = { index: meta.index, filename: meta.filename }
+      actualFilename = meta.filename
+      size = meta.size
+    }
+
+    const correctContentType = getContentType(actualFilename)
+    const previewFormat = officeConverter.previewFormat(actualFilename)
+
+    // Solo se emite (y audita) el enlace pedido; 'preview' solo existe
+    // para documentos de Office convertibles
+    const purpose =
+      requestedPurpose === 'preview' && !previewFormat
+        ? 'view'
+        : requestedPurpose
+    const links = {}
+    let expiresAt = null
+
+    if (purpose !== 'none') {
+      const link = documentLinks.mint({
+        userId: req.user.email,
+        sessionId: req.user.sessionId,
+        blobPath: document.blobPath,
+        caseNumber: access.caseNumber,
+        purpose,
+        ip: req.ip,
+        attachment,
+      })
+
+      links[purpose] = `/api/proxy/${encodeURIComponent(
+        req.user.sessionId
+      )}/${encodeURIComponent(actualFilename)}?link=${link.token}`
+      expiresAt = link.expiresAt
+
+      auditLog.record('link_minted', {
+        userId: req.user.email,
+        caseNumber: access.caseNumber,
+        blobPath: document.blobPath,
+        attachment: attachment?.filename,
+        purpose,
+        expiresAt,
+        ipBound: documentLinks.bindIp,
+        ip: req.ip,
+      })
+    }
+
+    console.log(
+      purpose === 'none'
+        ? `   ✅ Metadata only (via ${document.source})`
+        : `   ✅ ${purpose} link minted (via ${document.source})`
+    )
 
     res.json({
-      status: 'online',
-      timestamp: new Date(),
-      syncState: {
-        lastSync: permissionsCache.lastSync,
-        isSyncing: permissionsCache.isSyncing,
-        timeSinceLastSync: permissionsCache.lastSync
-          ? `${Math.round(
-              (new Date() - permissionsCache.lastSync) / 1000
-            )} seconds ago`
-          : 'Never',
+      filename: actualFilename,
+      originalSearch: filename,
+      caseNumber: access.caseNumber,
+      blobPath: document.blobPath,
+      attachment,
+      links,
+      preview: previewFormat ? { format: previewFormat } : null,
+      metadata: {
+        size,
+        contentType: correctContentType,
+        lastModified: properties.lastModified,
       },
+      expiresAt,
+      expiresIn: documentLinks.ttlSeconds,
+      source: document.source,
+    })
+  } catch (error) {
+    console.error('❌ Error getting document URL:', error.message)
+    res.status(error.status || 500).json({
+      error: 'Error retrieving document URL',
+      details: error.message,
+    })
+  }
+})
+
+/**
+ * 📧 Parse an email (.msg / .oft / .eml) for the preview panel
+ * Headers, sanitized body and attachment list; attachments are opened
+ * through get-url with { blobPath, attachment: index }
+ */
+app.post('/api/documents/email', authenticateToken, async (req, res) => {
+  try {
+    const { filename, blobPath } = req.body
+    const userCases = req.user.cases
+
+    if (!containerClient) {
+      return res.status(503).json({ error: 'Azure Storage not configured' })
+    }
+
+    console.log(`\n📧 Parsing email: ${blobPath || filename}`)
+
+    const document = await resolveDocumentBlob(
+      { filename, blobPath },
+      userCases
+    )
+
+    if (!document.blobPath) {
+      return res.status(404).json({ error: 'Document not found', filename })
+    }
+
+    const access = checkBlobPathAccess(document.blobPath, userCases)
+
+    if (!access.authorized) {
+      console.log(`   ❌ Access denied (${access.reason})`)
+      return res.status(403).json({ error: 'Access denied to this document' })
+    }
+
+    if (!isEmailFile(document.blobPath)) {
+      return res.status(400).json({ error: 'Document is not an email' })
+    }
+
+    const properties = await document.blobClient.getProperties()
+    const buffer = await downloadBlobForPreview(
+      document.blobClient,
+      properties,
+      MAX_EMAIL_BYTES
+    )
+    const email = await parseEmail(buffer, document.blobPath)
+
+    auditLog.record('document_access', {
+      userId: req.user.email,
+      sessionId: req.user.sessionId,
+      caseNumber: access.caseNumber,
+      blobPath: document.blobPath,
+      purpose: 'email-preview',
+      bytes: buffer.length,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || null,
+    })
+
+    console.log(
+      `   ✅ Email parsed (${email.attachments.length} attachment(s))`
+    )
+
+    res.json({
+      blobPath: document.blobPath,
+      caseNumber: access.caseNumber,
+      ...email,
+    })
+  } catch (error) {
+    console.error('❌ Error parsing email:', error.message)
+    res.status(error.status || 500).json({
+      error: 'Error reading email',
+      details: error.message,
+    })
+  }
+})
+
+/**
+ * 📥 Stream a document from storage through a link minted by get-url
+ * - ?link=: short-lived token naming the blob and its purpose
+ *   (view: inline, download: attachment)
+ * - Range requests (206) so large PDFs load page by page
+ */
+app.get('/api/proxy/:sessionId/:filename', async (req, res) => {
+  const { sessionId, filename } = req.params
+
+  try {
+    if (!containerClient || !documentLinks) {
+      return res.status(503).json({ error: 'Azure Storage not configured' })
+    }
+
+    const { link, error } = documentLinks.verify(req.query.link, {
+      ip: req.ip,
+    })
+
+    if (error) {
+      if (error !== 'Link expired') {
+        securityLog.record('invalid_document_link', {
+          reason: error,
+          filename,
+          ip: req.ip,
+        })
+      }
+      return res.status(403).json({ error })
+    }
+
+    // El enlace solo vale para la sesión y el archivo para los que se generó
+    const expectedFilename = link.attachment
+      ? link.attachment.filename
+      : link.blobPath.split('/').pop()
+
+    if (link.sessionId !== sessionId || expectedFilename !== filename) {
+      securityLog.record('invalid_document_link', {
+        reason: 'session or file mismatch',
+        userId: link.userId,
+        blobPath: link.blobPath,
+        ip: req.ip,
+      })
+      return res.status(403).json({ error: 'Invalid link' })
+    }
+
+    const blobClient = containerClient.getBlobClient(link.blobPath)
+
+    let properties
+    try {
+      properties = await blobClient.getProperties()
+    } catch (e) {
+      if (e.statusCode === 404) {
+        return res.status(404).json({ error: 'Document not found', filename })
+      }
+      throw e
+    }
+
+    const disposition = link.purpose === 'download' ? 'attachment' : 'inline'
+    let contentDisposition = `${disposition}; filename*=UTF-8''${encodeURIComponent(
+      filename
+    )}`
+
+    // Adjuntos de correo y vistas previas de Office se generan en memoria y
+    // se envían enteros (sin rangos)
+    if (link.attachment || link.purpose === 'preview') {
+      let content
+      let contentType = getContentType(filename)
+
+      if (link.attachment) {
+        const buffer = await downloadBlobForPreview(
+          blobClient,
+          properties,
+          MAX_EMAIL_BYTES
+        )
+        const attachment = await getEmailAttachment(
+          buffer,
+          link.blobPath,
+          link.attachment.index
+        )
+
+        if (!attachment || attachment.filename !== filename) {
+          return res
+            .status(404)
+            .json({ error: 'Attachment not found', filename })
+        }
+
+        content = attachment.content
+        if (contentType === 'application/octet-stream') {
+          contentType = attachment.contentType
+        }
+
+        // El tipo lo declara quien envió el correo: un adjunto text/html o
+        // SVG abierto inline ejecutaría scripts en el origen de la API
+        const baseType = contentType.split(';')[0].trim().toLowerCase()
+        if (link.purpose !== 'preview' && !INLINE_CONTENT_TYPES.has(baseType)) {
+          contentDisposition = `attachment; filename*=UTF-8''${encodeURIComponent(
+            filename
+          )}`
+          res.setHeader(
+            'Content-Security-Policy',
+            `${PREVIEW_CONTENT_SECURITY_POLICY}; sandbox`
+          )
+        }
+      } else {
+        content = await downloadBlobForPreview(
+          blobClient,
+          properties,
+          MAX_OFFICE_BYTES
+        )
+      }
+
+      if (link.purpose === 'preview') {
+        const preview = await officeConverter.convert(content, filename)
+        content = preview.content
+        contentType = preview.contentType
+
+        if (contentType.startsWith('text/html')) {
+          // Aunque se abra fuera del iframe: sin scripts ni cargas remotas
+          res.setHeader(
+            'Content-Security-Policy',
+            `${PREVIEW_CONTENT_SECURITY_POLICY}; sandbox allow-popups`
+          )
+        }
+      }
+
+      res.setHeader('Content-Type', contentType)
+      res.setHeader('Content-Length', content.length)
+      res.setHeader('Content-Disposition', contentDisposition)
+      res.setHeader('Cache-Control', 'private, no-store')
+      res.setHeader('X-Content-Type-Options', 'nosniff')
+
+      auditLog.record('document_access', {
+        userId: link.userId,
+        sessionId,
+        caseNumber: link.caseNumber,
+        blobPath: link.blobPath,
+        attachment: link.attachment?.filename,
+        purpose: link.purpose,
+        bytes: content.length,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || null,
+      })
+
+      return res.end(content)
+    }
+
+    await sendBlob(req, res, {
+      blobClient,
+      properties,
+      contentType: getContentType(filename),
+      contentDisposition,
+      onAccess: ({ range, bytes }) =>
+        auditLog.record('document_access', {
+          userId: link.userId,
+          sessionId,
+          caseNumber: link.caseNumber,
+          blobPath: link.blobPath,
+          purpose: link.purpose,
+          range: range ? `${range.start}-${range.end}` : null,
+          bytes,
+          ip: req.ip,
+          userAgent: req.headers['user-agent'] || null,
+        }),
+    })
+  } catch (error) {
+    console.error('❌ Error proxying document:', error.message)
+    if (res.headersSent) {
+      return res.end()
+    }
+    res.status(error.status || 500).json({
+      error: 'Error retrieving document',
+      details: error.message,
+    })
+  }
+})
+
+/**
+ * Force permissions sync (admin only)
+ */
+app.post('/api/admin/force-sync', async (req, res) => {
+  const adminSecret = req.headers['x-admin-secret']
+  if (adminSecret !== 'Asdf1234$') {
+    return res.status(403).json({ error: 'Unauthorized' })
+  }
+
+  if (permissionsCache.isSyncing) {
+    return res.status(409).json({
+      message: 'Sync already in progress',
+    })
+  }
+
+  console.log('⚡ Force sync requested')
+
+  try {
+    await syncPermissions()
+    res.json({
+      success: true,
+      message: 'Sync completed successfully',
       stats: {
-        totalUsersById: userIds.length,
-        totalUsersByEmail: emails.length,
+        totalUsers: Object.keys(permissionsCache.byUserId).length,
+        timestamp: new Date(),
       },
-      data: readableUsers,
     })
   } catch (error) {
     res.status(500).json({
-      error: 'Error reading cache',
+      error: 'Sync failed',
       details: error.message,
     })
   }
 })
 
+/**
+ * 👮 Only admins ('*' in their JWT cases) may use the audit endpoints
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdminUser(req.user.cases)) {
+    return res.status(403).json({ error: 'Admin access required' })
+  }
+  next()
+}
+
+/**
+ * 📋 Query the document audit log (admin only)
+ * Filters: user, case, path, event (link_minted | document_access),
+ * since / until (ISO dates) and limit; newest first
+ */
+app.get(
+  '/api/admin/document-audit',
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const {
+        user,
+        case: caseNumber,
+        path,
+        event,
+        since,
+        until,
+        limit,
+      } = req.query
+
+      const toIso = (value) => {
+        if (!value) return undefined
+        const date = new Date(value)
+        return isNaN(date) ? undefined : date.toISOString()
+      }
+
+      const entries = await auditLog.query({
+        userId: user ? String(user).toLowerCase().trim() : undefined,
+        caseNumber: caseNumber ? String(caseNumber).trim() : undefined,
+        blobPath: path ? String(path) : undefined,
+        event: event ? String(event) : undefined,
+        since: toIso(since),
+        until: toIso(until),
+        limit,
+      })
+
+      res.json({ count: entries.length, entries })
+    } catch (error) {
+      console.error('❌ Error querying audit log:', error.message)
+      res.status(500).json({
+        error: 'Error querying audit log',
+        details: error.message,
+      })
+    }
+  }
+)
+
+/**
+ * Cache status (debug endpoint, admin only)
+ */
+app.get(
+  '/api/admin/cache-status',
+  authenticateToken,
+  requireAdmin,
+  (req, res) => {
+    try {
+      const userIds = Object.keys(permissionsCache.byUserId)
+      const emails = Object.keys(permissionsCache.byEmail)
+
+      const readableUsers = userIds.map((id) => {
+        const user = permissionsCache.byUserId[id]
+        return {
+          id: id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          casesCount: user.cases.length,
+          cases: user.cases,
+        }
+      })
+
+      res.json({
+        status: 'online',
+        timestamp: new Date(),
+        syncState: {
+          lastSync: permissionsCache.lastSync,
+          isSyncing: permissionsCache.isSyncing,
+          timeSinceLastSync: permissionsCache.lastSync
+            ? `${Math.round(
+                (new Date() - permissionsCache.lastSync) / 1000
+              )} seconds ago`
+            : 'Never',
+        },
+        stats: {
+          totalUsersById: userIds.length,
+          totalUsersByEmail: emails.length,
+        },
+        caseMetadata: caseMetadata.stats(),
+        retrievalCache: {
+          search: searchCache.stats(),
+          blobPaths: blobPathCache.stats(),
+          contentUpdatesFile: contentUpdates.file,
+          lastInvalidation: lastCacheInvalidation,
+        },
+        data: readableUsers,
+      })
+    } catch (error) {
+      res.status(500).json({
+        error: 'Error reading cache',
+        details: error.message,
+      })
+    }
+  }
+)
+
 /**
  * Health check
  */
 app.get('/health', (req, res) => {
+  const securityStats = securityLog.stats()
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
@@ -1216,21 +2980,30 @@ app.get('/health', (req, res) => {
       lastSync: permissionsCache.lastSync,
     },
     agent: {
+      provider: agentProvider?.name || 'not configured',
       endpoint: AZURE_AI_PROJECT_ENDPOINT,
       agentId: AZURE_AGENT_ID,
       vectorStore: AZURE_VECTOR_STORE_ID || 'not configured',
-      activeThreads: userThreads.size,
+      conversationStore: conversationStore.adapter,
     },
     search: {
-      enabled: !!searchClient,
+      enabled: !!retrieval,
+      backend: retrieval?.name || RETRIEVAL_BACKEND,
       endpoint: AZURE_SEARCH_ENDPOINT || 'not configured',
       index: AZURE_SEARCH_INDEX || 'not configured',
     },
     security: {
-      primaryFilter: 'Thread-level vector store filtering',
+      primaryFilter: 'Case filter on every retrieval query',
       secondaryFilter: 'Runtime instructions',
-      safetyNet: 'Post-processing validation',
+      safetyNet: 'Post-retrieval authorization check',
       approach: 'Defense in depth',
+      // Solo fragmentos bloqueados; los enlaces inválidos van aparte
+      violationsBlocked: securityStats.byType.unauthorized_chunk || 0,
+      lastViolationAt:
+        securityStats.lastEventAtByType.unauthorized_chunk || null,
+      invalidDocumentLinks: securityStats.byType.invalid_document_link || 0,
+      documentLinkTtlSeconds: DOCUMENT_LINK_TTL_SECONDS,
+      documentsServed: auditLog.stats().byEvent.document_access || 0,
     },
   })
 })
@@ -1241,11 +3014,13 @@ app.listen(PORT, () => {
   console.log(`🚀 ACTS Law RAG Backend`)
   console.log(`${'='.repeat(60)}`)
   console.log(`📍 Server: http://localhost:${PORT}`)
+  console.log(`🔌 Provider: ${agentProvider?.name || 'not configured'}`)
   console.log(`🤖 Agent: ${AZURE_AGENT_ID}`)
   console.log(`🗄️  Vector Store: ${AZURE_VECTOR_STORE_ID || 'not configured'}`)
   console.log(`🔒 Security: Multi-layer defense`)
+  console.log(`🔎 Retrieval: ${retrieval?.name || 'not configured'}`)
   console.log(
-    `⚡ Optimization: ${searchClient ? 'Index enabled' : 'Fallback only'}`
+    `⚡ Optimization: ${retrieval ? 'Index enabled' : 'Fallback only'}`
   )
   console.log(`${'='.repeat(60)}\n`)
 })
@@ -0,0 +1,105 @@
+import dotenv from 'dotenv'
+import { BlobServiceClient } from '@azure/storage-blob'
+import { createAgentProviderFromEnv } from './lib/providers/index.js'
+import { createRetrievalFromEnv } from './lib/retrieval/index.js'
+import {
+  createDocumentSummarizer,
+  createSummaryStore,
+} from './lib/summaries/index.js'
+
+dotenv.config()
+
+const AZURE_STORAGE_CONNECTION_STRING =
+  process.env.AZURE_STORAGE_CONNECTION_STRING
+const AZURE_CONTAINER_NAME =
+  process.env.AZURE_CONTAINER_NAME || 'testragdocuments'
+const SUMMARIES_DIR = process.env.SUMMARIES_DIR || './data/summaries'
+
+/**
+ * Genera el resumen de cada documento indexado (o de los de un caso:
+ * node summarize_documents.js <numero_de_caso>)
+ * Los documentos cuyo ETag no cambió desde el último resumen se saltan,
+ * así que el script puede ejecutarse después de cada sincronización.
+ */
+async function summarizeDocuments() {
+  try {
+    const caseNumber = process.argv[2]
+    console.log(
+      `🔄 Generando resúmenes de documentos${
+        caseNumber ? ` del caso ${caseNumber}` : ''
+      }...\n`
+    )
+
+    if (!AZURE_STORAGE_CONNECTION_STRING) {
+      console.error('❌ Falta AZURE_STORAGE_CONNECTION_STRING en el .env')
+      return
+    }
+
+    const containerClient = BlobServiceClient.fromConnectionString(
+      AZURE_STORAGE_CONNECTION_STRING
+    ).getContainerClient(AZURE_CONTAINER_NAME)
+    const retrieval = createRetrievalFromEnv()
+    const provider = createAgentProviderFromEnv()
+
+    const summarizer = createDocumentSummarizer({
+      provider,
+      retrieval,
+      containerClient,
+      store: createSummaryStore({ directory: SUMMARIES_DIR }),
+    })
+
+    console.log('✅ Configuración validada:')
+    console.log(`   Índice: ${retrieval.name} | Proveedor: ${provider.name}`)
+    console.log(`   Resúmenes: ${SUMMARIES_DIR}\n`)
+
+    // Un documento tiene varios chunks en el índice: un blob path por documento
+    const blobPaths = new Set()
+    for await (const doc of retrieval.scanDocuments({
+      cases: caseNumber ? [caseNumber] : undefined,
+      select: ['url'],
+    })) {
+      if (doc.url) blobPaths.add(decodeURIComponent(doc.url))
+    }
+
+    console.log(`📄 Documentos encontrados: ${blobPaths.size}\n`)
+
+    let generated = 0
+    let skipped = 0
+    let errors = 0
+
+    for (const blobPath of blobPaths) {
+      try {
+        const current = await summarizer.get(blobPath)
+        if (current.status === 'ready') {
+          skipped++
+          continue
+        }
+
+        await summarizer.summarize(blobPath)
+        generated++
+      } catch (error) {
+        console.error(`   ❌ ${blobPath}: ${error.message}`)
+        errors++
+      }
+
+      if ((generated + errors) % 25 === 0) {
+        console.log(
+          `   📊 Generados: ${generated} | Sin cambios: ${skipped} | Errores: ${errors}`
+        )
+      }
+    }
+
+    console.log('='.repeat(70))
+    console.log('📊 RESUMEN')
+    console.log('='.repeat(70))
+    console.log(`✅ Resúmenes generados: ${generated}`)
+    console.log(`⏭️  Sin cambios: ${skipped}`)
+    console.log(`❌ Errores: ${errors}`)
+    console.log('='.repeat(70) + '\n')
+  } catch (error) {
+    console.error('\n❌ Error fatal:', error.message)
+    console.error(error.stack)
+  }
+}
+
+summarizeDocuments()
@@ -3,6 +3,8 @@ import axios from 'axios'
 import fs from 'fs'
 import path from 'path'
 import dotenv from 'dotenv'
+import { cleanNoteText } from './lib/smart-advocate/index.js'
+import { createContentUpdates } from './lib/cache/index.js'
 
 dotenv.config()
 
@@ -14,6 +16,10 @@ const SA_API_BASE_URL = process.env.SA_API_BASE_URL
 const SA_USERNAME = process.env.SA_USERNAME
 const SA_PASSWORD = process.env.SA_PASSWORD
 const NOTES_CACHE_FILE = './notes-cache.json'
+// Casos con notas nuevas: el servidor descarta sus búsquedas en caché
+const contentUpdates = createContentUpdates({
+  file: process.env.CONTENT_UPDATES_FILE || './data/content-updates.json',
+})
 
 // Variable global para almacenar el token de Smart Advocate
 let smartAdvocateToken = null
@@ -188,26 +194,6 @@ async function getNotesByCaseNumber(caseNumber) {
   }
 }
 
-/**
- * Limpia HTML entities y tags del texto de las notas
- */
-function cleanNoteText(text) {
-  if (!text) return ''
-
-  return text
-    .replace(/<br\s*\/?>/gi, '\n')
-    .replace(/<br>/gi, '\n')
-    .replace(/<[^>]+>/g, '')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&#39;/g, "'")
-    .replace(/&quot;/g, '"')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&')
-    .replace(/\s+/g, ' ')
-    .trim()
-}
-
 /**
  * Formatea una fecha ISO a formato legible con hora
  */
@@ -403,6 +389,7 @@ async function syncNotes() {
     totalNotes: 0,
     errors: 0,
   }
+  const updatedCases = []
 
   try {
     // PASO 0: Autenticar en Smart Advocate
@@ -524,6 +511,7 @@ async function syncNotes() {
             // Actualizar cache
             notesCache[caseNumber] = createNotesIndex(notes)
             stats.casesUpdated++
+            updatedCases.push(caseNumber)
             console.log(
               `   ✨ ${uploaded} archivos sincronizados correctamente`
             )
@@ -551,6 +539,7 @@ async function syncNotes() {
     // PASO 4: Guardar cache actualizado
     console.log('\n💾 Guardando cache actualizado...')
     saveNotesCache(notesCache)
+    contentUpdates.record(updatedCases)
 
     // PASO 5: Mostrar resumen
     console.log('\n' + '='.repeat(80))
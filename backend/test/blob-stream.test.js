@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { Readable } from 'stream'
+import express from 'express'
+import { parseRangeHeader, sendBlob } from '../lib/documents/index.js'
+
+const CONTENT = Buffer.from('0123456789abcdefghij')
+
+test('range headers', () => {
+  assert.deepEqual(parseRangeHeader('bytes=0-4', 20), { start: 0, end: 4 })
+  assert.deepEqual(parseRangeHeader('bytes=15-', 20), { start: 15, end: 19 })
+  assert.deepEqual(parseRangeHeader('bytes=-5', 20), { start: 15, end: 19 })
+  // El final se recorta al tamaño del blob
+  assert.deepEqual(parseRangeHeader('bytes=10-99', 20), { start: 10, end: 19 })
+
+  assert.deepEqual(parseRangeHeader('bytes=20-', 20), { invalid: true })
+  assert.deepEqual(parseRangeHeader('bytes=5-2', 20), { invalid: true })
+  assert.deepEqual(parseRangeHeader('bytes=-0', 20), { invalid: true })
+
+  assert.equal(parseRangeHeader('bytes=-', 20), null)
+  assert.equal(parseRangeHeader('bytes=0-1,4-5', 20), null)
+  assert.equal(parseRangeHeader('items=0-1', 20), null)
+})
+
+let server
+let baseUrl
+const accesses = []
+const downloads = []
+
+before(async () => {
+  const blobClient = {
+    async download(offset, count) {
+      downloads.push([offset, count])
+      return {
+        readableStreamBody: Readable.from([
+          CONTENT.subarray(offset, offset + count),
+        ]),
+      }
+    },
+  }
+
+  const app = express()
+  app.get('/file.pdf', (req, res) =>
+    sendBlob(req, res, {
+      blobClient,
+      properties: {
+        contentLength: CONTENT.length,
+        lastModified: new Date('2024-05-02T10:00:00Z'),
+      },
+      contentType: 'application/pdf',
+      contentDisposition: "inline; filename*=UTF-8''file.pdf",
+      onAccess: (access) => accesses.push(access),
+    })
+  )
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve)
+  })
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => new Promise((resolve) => server.close(resolve)))
+
+test('a range request gets 206 with only those bytes', async () => {
+  accesses.length = 0
+  downloads.length = 0
+
+  const response = await fetch(`${baseUrl}/file.pdf`, {
+    headers: { Range: 'bytes=5-9' },
+  })
+
+  assert.equal(response.status, 206)
+  assert.equal(response.headers.get('content-range'), 'bytes 5-9/20')
+  assert.equal(response.headers.get('content-length'), '5')
+  assert.equal(response.headers.get('accept-ranges'), 'bytes')
+  assert.equal(await response.text(), '56789')
+  assert.deepEqual(downloads, [[5, 5]])
+  // Solo se audita el primer rango de un documento
+  assert.deepEqual(accesses, [])
+
+  await (
+    await fetch(`${baseUrl}/file.pdf`, { headers: { Range: 'bytes=0-1' } })
+  ).text()
+  assert.deepEqual(accesses, [{ range: { start: 0, end: 1 }, bytes: 2 }])
+})
+
+test('without a range the whole file is sent', async () => {
+  accesses.length = 0
+  const response = await fetch(`${baseUrl}/file.pdf`)
+
+  assert.equal(response.status, 200)
+  assert.equal(response.headers.get('content-range'), null)
+  assert.equal(await response.text(), CONTENT.toString())
+  assert.deepEqual(accesses, [{ range: null, bytes: 20 }])
+})
+
+test('an unsatisfiable range gets 416 and no download', async () => {
+  downloads.length = 0
+  const response = await fetch(`${baseUrl}/file.pdf`, {
+    headers: { Range: 'bytes=50-' },
+  })
+
+  assert.equal(response.status, 416)
+  assert.equal(response.headers.get('content-range'), 'bytes */20')
+  assert.deepEqual(downloads, [])
+})
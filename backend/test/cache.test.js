@@ -0,0 +1,116 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  createContentUpdates,
+  createLruCache,
+  searchCacheKey,
+} from '../lib/cache/index.js'
+import { createCaseMetadataService } from '../lib/cases/index.js'
+
+test('search keys ignore case, spacing and option order', () => {
+  assert.equal(
+    searchCacheKey('  Lumbar   MRI ', {
+      cases: ['25097', '25096'],
+      top: 5,
+      filters: { dateTo: 'b', dateFrom: 'a' },
+    }),
+    searchCacheKey('lumbar mri', {
+      filters: { dateFrom: 'a', dateTo: 'b' },
+      top: 5,
+      cases: ['25096', '25097'],
+    })
+  )
+  assert.notEqual(
+    searchCacheKey('mri', { cases: ['25096'] }),
+    searchCacheKey('mri', { cases: null })
+  )
+})
+
+test('invalidating a case drops its entries and those of any case', async () => {
+  const cache = createLruCache({ maxEntries: 10, ttlMs: 60 * 1000 })
+  let loads = 0
+  const load = async () => ++loads
+
+  await cache.get('a', load, { cases: ['25096'] })
+  await cache.get('b', load, { cases: ['25097'] })
+  await cache.get('admin', load)
+  await cache.get('lookup', load, { cases: (value) => [`2509${value + 2}`] })
+
+  cache.invalidate(['25096'])
+
+  assert.equal(await cache.get('a', load, { cases: ['25096'] }), 5)
+  assert.equal(await cache.get('b', load, { cases: ['25097'] }), 2)
+  assert.equal(await cache.get('admin', load), 6)
+  // Etiquetado por el valor cargado (4 -> caso 25096)
+  assert.equal(await cache.get('lookup', load), 7)
+})
+
+test('failed loads are not cached and refresh reloads', async () => {
+  const cache = createLruCache({ maxEntries: 10, ttlMs: 60 * 1000 })
+
+  await assert.rejects(
+    cache.get('x', async () => {
+      throw new Error('down')
+    })
+  )
+  assert.equal(await cache.get('x', async () => 'ok'), 'ok')
+  assert.equal(await cache.get('x', async () => 'new'), 'ok')
+  assert.equal(
+    await cache.get('x', async () => 'new', { refresh: true }),
+    'new'
+  )
+})
+
+test('least recently used entries are evicted first', async () => {
+  const cache = createLruCache({ maxEntries: 2, ttlMs: 60 * 1000 })
+  await cache.get('a', async () => 'a')
+  await cache.get('b', async () => 'b')
+  await cache.get('a', async () => 'reloaded')
+  await cache.get('c', async () => 'c')
+
+  assert.equal(await cache.get('a', async () => 'reloaded'), 'a')
+  assert.equal(await cache.get('b', async () => 'reloaded'), 'reloaded')
+  assert.equal(cache.stats().evictions, 2)
+})
+
+test('content updates recorded by a job are seen by another reader', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-updates-'))
+  try {
+    const file = path.join(dir, 'content-updates.json')
+    const reader = createContentUpdates({ file })
+    assert.deepEqual(reader.changedSince(new Date(0).toISOString()), [])
+
+    const before = new Date(Date.now() - 1000).toISOString()
+    createContentUpdates({ file }).record(['25096', 25097])
+
+    assert.deepEqual(reader.changedSince(before).sort(), ['25096', '25097'])
+    assert.deepEqual(
+      reader.changedSince(new Date(Date.now() + 1000).toISOString()),
+      []
+    )
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+test('case metadata of an updated case is reloaded, the rest stays', async () => {
+  const calls = []
+  const saClient = {
+    async getCaseInfo(caseNumber) {
+      calls.push(caseNumber)
+      return { caseName: `Case ${caseNumber} (${calls.length})` }
+    },
+  }
+  const service = createCaseMetadataService({ saClient })
+
+  await service.getCases(['25096', '25097'])
+  service.invalidate(['25096'])
+  const cases = await service.getCases(['25096', '25097'])
+
+  assert.deepEqual(calls.sort(), ['25096', '25096', '25097'])
+  assert.match(cases[0].name, /\(3\)/)
+  assert.match(cases[1].name, /\([12]\)/)
+})
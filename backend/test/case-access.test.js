@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  buildCaseFilter,
+  caseFromBlobPath,
+  checkBlobPathAccess,
+  checkChunkAccess,
+  isSafeBlobPath,
+} from '../lib/security/index.js'
+
+test('plain blob paths are authorized by their case folder', () => {
+  assert.equal(caseFromBlobPath('25096/notes/x.txt'), '25096')
+  assert.equal(
+    checkBlobPathAccess('25096/medical/MRI report.pdf', ['25096']).authorized,
+    true
+  )
+  assert.equal(
+    checkBlobPathAccess('25097/medical/report.pdf', ['25096']).authorized,
+    false
+  )
+})
+
+test('paths that escape their case folder are rejected', () => {
+  const unsafe = [
+    '25096/../25097/secret.pdf',
+    '25096/./../25097/secret.pdf',
+    '25096/%2e%2e/25097/secret.pdf',
+    '25096/%2E%2E/25097/secret.pdf',
+    '25096\\..\\25097\\secret.pdf',
+    '25096//25097/secret.pdf',
+    '/25096/secret.pdf',
+    '25096/notes/',
+    '25096/a%2f..%2f..%2f25097/secret.pdf',
+  ]
+
+  for (const blobPath of unsafe) {
+    assert.equal(isSafeBlobPath(blobPath), false, blobPath)
+    assert.equal(caseFromBlobPath(blobPath), null, blobPath)
+    // Tampoco para administradores
+    for (const cases of [['25096'], ['*']]) {
+      const access = checkBlobPathAccess(blobPath, cases)
+      assert.equal(access.authorized, false, blobPath)
+      assert.equal(access.reason, 'invalid blob path')
+    }
+  }
+})
+
+test('a literal percent sign is a valid file name', () => {
+  assert.equal(isSafeBlobPath('25096/billing/discount 100%.pdf'), true)
+})
+
+test('retrieved chunks with unsafe blob paths are dropped', () => {
+  const access = checkChunkAccess(
+    { caseNumber: '25096', blobPath: '25096/../25097/secret.pdf' },
+    ['25096']
+  )
+  assert.equal(access.authorized, false)
+})
+
+test('small case lists use eq, large ones search.in', () => {
+  assert.equal(buildCaseFilter('case_number', []), 'false')
+  assert.equal(buildCaseFilter('case_number', null), null)
+  assert.equal(
+    buildCaseFilter('case_number', ['25096', '25097', 'x']),
+    "case_number eq '25096' or case_number eq '25097'"
+  )
+
+  const many = Array.from({ length: 11 }, (_, i) => String(25000 + i))
+  assert.equal(
+    buildCaseFilter('case_number', many),
+    `search.in(case_number, '${many.join(',')}', ',')`
+  )
+})
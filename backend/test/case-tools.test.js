@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createCaseTools } from '../lib/tools/index.js'
+
+function listingContainer(prefixes) {
+  return {
+    async *listBlobsFlat({ prefix }) {
+      prefixes.push(prefix)
+      yield {
+        name: `${prefix}report.pdf`,
+        properties: { contentLength: 2048, lastModified: new Date() },
+      }
+    },
+  }
+}
+
+test('document listings stay inside the case folder', async () => {
+  const prefixes = []
+  const tools = createCaseTools({ containerClient: listingContainer(prefixes) })
+  const run = (folder) =>
+    tools.execute(
+      'list_case_documents',
+      { case_number: '25096', folder },
+      { userCases: ['25096'] }
+    )
+
+  assert.match(await run(' /medical//records/ '), /25096\/medical\/records\//)
+  assert.match(await run(undefined), /in 25096\/\n/)
+
+  for (const folder of ['../25097', 'medical/../../25097', './notes', 'a\\b']) {
+    assert.match(await run(folder), /^Invalid folder/, folder)
+  }
+  assert.deepEqual(prefixes, ['25096/medical/records/', '25096/'])
+})
+
+test('other cases cannot be listed', async () => {
+  const prefixes = []
+  const tools = createCaseTools({ containerClient: listingContainer(prefixes) })
+  await tools.execute(
+    'list_case_documents',
+    { case_number: '25097' },
+    { userCases: ['25096'] }
+  )
+  assert.deepEqual(prefixes, [])
+})
@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  createSourceRegistry,
+  resolveCitations,
+} from '../lib/citations/index.js'
+
+function registryOf(count) {
+  const registry = createSourceRegistry()
+  for (let i = 1; i <= count; i++) {
+    registry.add({
+      id: `chunk-${i}`,
+      title: `doc${i}.pdf`,
+      blobPath: `25096/doc${i}.pdf`,
+      content: `Content ${i}`,
+    })
+  }
+  return registry
+}
+
+test('cited sources are renumbered in order of first appearance', () => {
+  const { message, citations } = resolveCitations(
+    'The MRI showed a herniated disc [3]. Therapy was recommended [1, 3].',
+    registryOf(3)
+  )
+
+  assert.equal(
+    message,
+    'The MRI showed a herniated disc [1]. Therapy was recommended [2][1].'
+  )
+  assert.deepEqual(
+    citations.map((c) => [c.number, c.title, c.chunkId]),
+    [
+      [1, 'doc3.pdf', 'chunk-3'],
+      [2, 'doc1.pdf', 'chunk-1'],
+    ]
+  )
+})
+
+test('unknown markers, native markers and links are handled', () => {
+  const { message, citations } = resolveCitations(
+    'Invoice paid [9]. See [2](https://example.com) and [2;2]【4:0†source】.',
+    registryOf(2)
+  )
+
+  assert.equal(message, 'Invoice paid. See [2](https://example.com) and [1].')
+  assert.equal(citations.length, 1)
+  assert.equal(citations[0].title, 'doc2.pdf')
+})
+
+test('the same chunk registered twice keeps its number', () => {
+  const registry = registryOf(2)
+  assert.equal(registry.add({ id: 'chunk-1', title: 'again' }), 1)
+  assert.equal(registry.size, 2)
+})
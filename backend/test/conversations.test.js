@@ -0,0 +1,88 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  createConversationStore,
+  createMemoryAdapter,
+  titleFromMessage,
+} from '../lib/conversations/index.js'
+
+const ALICE = 'alice@example.com'
+const BOB = 'bob@example.com'
+
+function createStore() {
+  return createConversationStore({ adapter: createMemoryAdapter() })
+}
+
+test('users only list and read their own conversations', async () => {
+  const store = createStore()
+  const mine = await store.create(ALICE, { cases: ['25096'] })
+
+  assert.deepEqual(
+    (await store.list(ALICE)).map((c) => c.id),
+    [mine.id]
+  )
+  assert.deepEqual(await store.list(BOB), [])
+  assert.equal((await store.get(ALICE, mine.id)).id, mine.id)
+  assert.equal(await store.get(BOB, mine.id), null)
+})
+
+test("another user's id cannot be renamed, rescoped or written to", async () => {
+  const store = createStore()
+  const mine = await store.create(ALICE, { cases: ['25096'] })
+
+  assert.equal(await store.rename(BOB, mine.id, 'Hijacked'), null)
+  assert.equal(await store.setCases(BOB, mine.id, ['25097']), null)
+  assert.equal(await store.setThread(BOB, mine.id, 'thread-1', []), null)
+  assert.equal(
+    await store.appendMessages(BOB, mine.id, [
+      { role: 'user', content: 'hola' },
+    ]),
+    null
+  )
+
+  // La conversación del dueño queda intacta
+  const stored = await store.get(ALICE, mine.id)
+  assert.equal(stored.title, 'New conversation')
+  assert.deepEqual(stored.cases, ['25096'])
+  assert.equal(stored.threadId, null)
+  assert.deepEqual(stored.messages, [])
+  assert.deepEqual(await store.list(BOB), [])
+})
+
+test("another user's id cannot be deleted", async () => {
+  const store = createStore()
+  const mine = await store.create(ALICE)
+
+  assert.equal(await store.remove(BOB, mine.id), null)
+  assert.equal((await store.get(ALICE, mine.id)).id, mine.id)
+
+  assert.equal((await store.remove(ALICE, mine.id)).id, mine.id)
+  assert.equal(await store.get(ALICE, mine.id), null)
+})
+
+test('concurrent writes by the owner are all kept', async () => {
+  const store = createStore()
+  const mine = await store.create(ALICE)
+
+  await Promise.all(
+    ['uno', 'dos', 'tres'].map((content) =>
+      store.appendMessages(ALICE, mine.id, [{ role: 'user', content }])
+    )
+  )
+
+  const stored = await store.get(ALICE, mine.id)
+  assert.deepEqual(
+    stored.messages.map((m) => m.content),
+    ['uno', 'dos', 'tres']
+  )
+  // El título sale de la primera pregunta
+  assert.equal(stored.title, 'uno')
+})
+
+test('titles are collapsed and truncated', () => {
+  assert.equal(titleFromMessage('  '), 'New conversation')
+  assert.equal(titleFromMessage(' lumbar \n MRI '), 'lumbar MRI')
+  const long = titleFromMessage('x'.repeat(200))
+  assert.equal(long.length, 80)
+  assert.ok(long.endsWith('…'))
+})
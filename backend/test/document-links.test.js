@@ -0,0 +1,97 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import jwt from 'jsonwebtoken'
+import { createDocumentLinkSigner } from '../lib/security/index.js'
+
+const SECRET = 'test-secret'
+const LINK = {
+  userId: 'ana@example.com',
+  sessionId: 'session-1',
+  blobPath: '25096/medical/MRI report.pdf',
+  caseNumber: '25096',
+  purpose: 'view',
+  ip: '10.0.0.1',
+}
+
+test('a minted link verifies back to its blob, case and purpose', () => {
+  const signer = createDocumentLinkSigner({ secret: SECRET })
+  const { token, expiresAt } = signer.mint(LINK)
+
+  assert.ok(new Date(expiresAt) > new Date())
+  assert.deepEqual(signer.verify(token, { ip: '10.0.0.2' }), {
+    link: {
+      userId: LINK.userId,
+      sessionId: LINK.sessionId,
+      blobPath: LINK.blobPath,
+      caseNumber: LINK.caseNumber,
+      purpose: 'view',
+      ip: null,
+      attachment: null,
+    },
+  })
+})
+
+test('expired links are rejected as expired', () => {
+  const signer = createDocumentLinkSigner({ secret: SECRET, ttlSeconds: 60 })
+  const { token } = signer.mint(LINK)
+
+  const now = Date.now
+  Date.now = () => now() + 61 * 1000
+  try {
+    assert.deepEqual(signer.verify(token), { error: 'Link expired' })
+  } finally {
+    Date.now = now
+  }
+})
+
+test('a link cannot be turned into another purpose or blob', () => {
+  const signer = createDocumentLinkSigner({ secret: SECRET })
+  const { token } = signer.mint(LINK)
+
+  // Cambiar las claims invalida la firma
+  const [header, , signature] = token.split('.')
+  for (const change of [
+    { purpose: 'download' },
+    { path: '25097/medical/secret.pdf', case: '25097' },
+  ]) {
+    const claims = { ...jwt.decode(token), ...change }
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url')
+    assert.deepEqual(signer.verify(`${header}.${payload}.${signature}`), {
+      error: 'Invalid link',
+    })
+  }
+
+  assert.throws(
+    () => signer.mint({ ...LINK, purpose: 'edit' }),
+    /Unknown link purpose/
+  )
+})
+
+test('session tokens and links of another secret are not links', () => {
+  const signer = createDocumentLinkSigner({ secret: SECRET })
+  const sessionToken = jwt.sign(
+    { typ: 'document-link', path: LINK.blobPath, purpose: 'view' },
+    SECRET
+  )
+  const otherToken = createDocumentLinkSigner({ secret: 'other' }).mint(
+    LINK
+  ).token
+
+  assert.deepEqual(signer.verify(sessionToken), { error: 'Invalid link' })
+  assert.deepEqual(signer.verify(otherToken), { error: 'Invalid link' })
+  assert.deepEqual(signer.verify(undefined), { error: 'Invalid link' })
+})
+
+test('IP-bound links only work from the address that requested them', () => {
+  const signer = createDocumentLinkSigner({ secret: SECRET, bindIp: true })
+  const { token } = signer.mint({
+    ...LINK,
+    attachment: { index: 1, filename: 'invoice.pdf' },
+  })
+
+  const { link } = signer.verify(token, { ip: '10.0.0.1' })
+  assert.deepEqual(link.attachment, { index: 1, filename: 'invoice.pdf' })
+  assert.deepEqual(signer.verify(token, { ip: '10.0.0.2' }), {
+    error: 'Link not valid from this address',
+  })
+})
@@ -0,0 +1,28 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import { createLocalRetrieval, pathPrefixesOf } from '../lib/retrieval/index.js'
+
+const LOCAL_INDEX_DIR = fileURLToPath(
+  new URL('./fixtures/local-index', import.meta.url)
+)
+
+test('path prefixes list every folder of a blob and the blob itself', () => {
+  assert.deepEqual(pathPrefixesOf('25096/medical/MRI report.pdf'), [
+    '25096',
+    '25096/medical',
+    '25096/medical/MRI report.pdf',
+  ])
+  assert.deepEqual(pathPrefixesOf(''), [])
+})
+
+test('a folder scope only returns chunks under that folder', async () => {
+  const retrieval = createLocalRetrieval({ directory: LOCAL_INDEX_DIR })
+  const hits = await retrieval.search('invoice MRI', {
+    cases: ['25096'],
+    filters: { pathPrefix: '25096/billing/' },
+  })
+
+  assert.ok(hits.length > 0)
+  for (const hit of hits) assert.match(hit.blobPath, /^25096\/billing\//)
+})
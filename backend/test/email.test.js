@@ -0,0 +1,103 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  getEmailAttachment,
+  isEmailFile,
+  parseEmail,
+} from '../lib/email/index.js'
+
+const REPORT = 'Informe de grúa 25096'
+
+// Correo MIME mínimo: cuerpo HTML con script, imagen remota y un adjunto
+const EML = Buffer.from(
+  [
+    'From: "Ana Ruiz" <ana@example.com>',
+    'To: Case Team <team@example.com>, bob@example.com',
+    'Cc: legal@example.com',
+    'Subject: Towing invoice',
+    'Date: Thu, 02 May 2024 10:01:00 +0200',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: multipart/alternative; boundary="b2"',
+    '',
+    '--b2',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'See the invoice attached.',
+    '--b2',
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    '<p>See the <a href="https://example.com/case">invoice</a>.</p>' +
+      '<script>alert(1)</script>' +
+      '<img src="https://tracker.example.com/pixel.gif">',
+    '--b2--',
+    '--b1',
+    'Content-Type: text/plain; charset=utf-8; name="invoice.txt"',
+    'Content-Disposition: attachment; filename="invoice.txt"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(REPORT).toString('base64'),
+    '--b1--',
+    '',
+  ].join('\r\n')
+)
+
+test('only Outlook and MIME files are treated as email', () => {
+  assert.ok(isEmailFile('notes/Letter.MSG'))
+  assert.ok(isEmailFile('template.oft'))
+  assert.ok(isEmailFile('inbox/reply.eml'))
+  assert.ok(!isEmailFile('invoice.pdf'))
+})
+
+test('parses headers, bodies and attachment metadata of an .eml', async () => {
+  const email = await parseEmail(EML, 'reply.eml')
+
+  assert.equal(email.format, 'eml')
+  assert.equal(email.subject, 'Towing invoice')
+  assert.deepEqual(email.from, [
+    { name: 'Ana Ruiz', address: 'ana@example.com' },
+  ])
+  assert.deepEqual(email.to, [
+    { name: 'Case Team', address: 'team@example.com' },
+    { name: '', address: 'bob@example.com' },
+  ])
+  assert.deepEqual(email.cc, [{ name: '', address: 'legal@example.com' }])
+  assert.deepEqual(email.bcc, [])
+  assert.equal(email.date, '2024-05-02T08:01:00.000Z')
+  assert.equal(email.text.trim(), 'See the invoice attached.')
+
+  assert.deepEqual(email.attachments, [
+    {
+      index: 0,
+      filename: 'invoice.txt',
+      contentType: 'text/plain',
+      size: Buffer.byteLength(REPORT),
+      inline: false,
+    },
+  ])
+})
+
+test('the HTML body is sanitized', async () => {
+  const { html } = await parseEmail(EML, 'reply.eml')
+
+  assert.ok(html.includes('invoice</a>'))
+  assert.ok(html.includes('target="_blank"'))
+  assert.ok(!html.includes('<script'))
+  // Las imágenes remotas sirven para rastrear la lectura
+  assert.ok(!html.includes('tracker.example.com'))
+})
+
+test('attachments are read by index', async () => {
+  const attachment = await getEmailAttachment(EML, 'reply.eml', 0)
+
+  assert.equal(attachment.filename, 'invoice.txt')
+  assert.equal(attachment.contentType, 'text/plain')
+  assert.equal(attachment.content.toString('utf8'), REPORT)
+  assert.equal(await getEmailAttachment(EML, 'reply.eml', 1), null)
+})
+
+test('an invalid Outlook file is rejected', async () => {
+  await assert.rejects(parseEmail(Buffer.from('not an email'), 'broken.msg'))
+})
@@ -0,0 +1,25 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { highlightText, tokenize } from '../lib/retrieval/index.js'
+
+const matchesOf = (fragments) =>
+  fragments
+    .flat()
+    .filter((s) => s.match)
+    .map((s) => s.text)
+
+test('accented words are highlighted from accent-free terms', () => {
+  const text = 'El paciente presenta una lesión lumbar y LESIÓN cervical.'
+  const fragments = highlightText(text, tokenize('lesión'))
+
+  assert.deepEqual(matchesOf(fragments), ['lesión', 'LESIÓN'])
+  // Los segmentos reconstruyen el texto original, tildes incluidas
+  assert.equal(fragments[0].map((s) => s.text).join(''), text)
+})
+
+test('accented terms highlight plain words too', () => {
+  assert.deepEqual(
+    matchesOf(highlightText('Medical lesion notes', ['lesión'])),
+    ['lesion']
+  )
+})
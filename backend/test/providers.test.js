@@ -0,0 +1,96 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import { createMockProvider } from '../lib/providers/index.js'
+import { createLocalRetrieval } from '../lib/retrieval/index.js'
+
+const LOCAL_INDEX_DIR = fileURLToPath(
+  new URL('./fixtures/local-index', import.meta.url)
+)
+
+const retrieval = createLocalRetrieval({ directory: LOCAL_INDEX_DIR })
+const tools = [
+  { type: 'function', function: { name: 'search_legal_documents' } },
+]
+
+// Mismo formato de salida que executeSearchTool en server.js
+async function searchTool(args, cases) {
+  const hits = await retrieval.search(args.query, { cases, top: 5 })
+  if (hits.length === 0) return 'No results found.'
+  return hits
+    .map(
+      (hit, i) =>
+        `Source: [${i + 1}]\nTitle: ${hit.title}\nCase: ${hit.caseNumber}\nContent: ${hit.content}`
+    )
+    .join('\n')
+}
+
+async function runTurn(provider, message, cases) {
+  const threadId = await provider.createThread()
+  const calls = []
+  const result = await provider.runConversation({
+    threadId,
+    message,
+    tools,
+    executeToolCall: async (name, args) => {
+      calls.push({ name, args })
+      return searchTool(args, cases)
+    },
+  })
+  return { ...result, calls }
+}
+
+test('mock provider searches the local index and cites the results', async () => {
+  const provider = createMockProvider()
+  const { text, calls } = await runTurn(
+    provider,
+    'What did the lumbar MRI show?',
+    ['25096']
+  )
+
+  assert.deepEqual(calls, [
+    {
+      name: 'search_legal_documents',
+      args: { query: 'What did the lumbar MRI show?' },
+    },
+  ])
+  assert.match(text, /25096_20240502_1001\.txt \[1\]/)
+  // El filtro de caso deja fuera la nota del otro caso
+  assert.doesNotMatch(text, /25097/)
+})
+
+test('malformed tool arguments become an error output, not a failed turn', async () => {
+  const provider = createMockProvider({
+    rules: [
+      {
+        match: 'broken',
+        toolCalls: [
+          { name: 'search_legal_documents', arguments: '{"query": "MRI' },
+        ],
+        answer: 'Tool output: {{output}}',
+      },
+    ],
+  })
+
+  const { text, calls } = await runTurn(provider, 'broken arguments', ['25096'])
+
+  assert.equal(calls.length, 0)
+  assert.match(text, /not valid JSON/)
+})
+
+test('tool arguments that are not an object are rejected', async () => {
+  const provider = createMockProvider({
+    rules: [
+      {
+        match: 'array',
+        toolCalls: [{ name: 'search_legal_documents', arguments: '["MRI"]' }],
+        answer: '{{output}}',
+      },
+    ],
+  })
+
+  const { text, calls } = await runTurn(provider, 'array arguments', ['25096'])
+
+  assert.equal(calls.length, 0)
+  assert.match(text, /must be a JSON object/)
+})
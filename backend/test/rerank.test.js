@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import {
+  createLocalRetrieval,
+  createReranker,
+  lexicalRelevance,
+} from '../lib/retrieval/index.js'
+
+const LOCAL_INDEX_DIR = fileURLToPath(
+  new URL('./fixtures/local-index', import.meta.url)
+)
+
+const retrieval = createLocalRetrieval({ directory: LOCAL_INDEX_DIR })
+const reranker = createReranker({ mode: 'auto', threshold: 0.4 })
+
+test('question words do not count against a relevant chunk', () => {
+  const chunk = {
+    title: '25096_20240502_1001.txt',
+    content: 'The MRI showed a herniated disc at L4-L5.',
+  }
+  assert.equal(lexicalRelevance(chunk, ['What did the MRI show?']), 1)
+  assert.equal(lexicalRelevance(chunk, ['What did the CT scan show?']), 0)
+})
+
+test('a relevant chunk passes the threshold without a reranker score', async () => {
+  const query = 'What did the MRI show?'
+  const hits = await retrieval.search(query, { cases: ['25096'], top: 20 })
+  const ranked = await reranker.rerank(hits, { queries: [query] })
+
+  assert.ok(ranked.hits.length > 0)
+  assert.equal(ranked.hits[0].title, '25096_20240502_1001.txt')
+})
+
+test('translated queries are what the chunks are graded against', async () => {
+  // "¿Qué mostró la resonancia?" buscada ya traducida
+  const searched = ['What did the MRI show?']
+  const hits = await retrieval.search(searched[0], { cases: ['25096'] })
+  const ranked = await reranker.rerank(hits, { queries: searched })
+
+  assert.equal(ranked.hits[0]?.title, '25096_20240502_1001.txt')
+  assert.ok(
+    lexicalRelevance(ranked.hits[0], ['¿Qué mostró la resonancia?']) < 0.4
+  )
+})
@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createQueryRewriter } from '../lib/rewrite/index.js'
+
+function recordingProvider(answer) {
+  const prompts = []
+  return {
+    prompts,
+    async complete({ prompt }) {
+      prompts.push(prompt)
+      return answer
+    },
+  }
+}
+
+test('the first search of a conversation is not rewritten', async () => {
+  const provider = recordingProvider('["rewritten"]')
+  const rewriter = createQueryRewriter({ provider, language: 'en' })
+
+  assert.deepEqual(await rewriter.rewrite('resonancia lumbar'), [
+    'resonancia lumbar',
+  ])
+  assert.deepEqual(
+    await rewriter.rewrite('resonancia lumbar', { history: '  ' }),
+    ['resonancia lumbar']
+  )
+  assert.equal(provider.prompts.length, 0)
+})
+
+test('follow-up queries are rewritten in the documents language', async () => {
+  const provider = recordingProvider('["lumbar MRI results John Doe"]')
+  const rewriter = createQueryRewriter({ provider, language: 'en' })
+
+  const queries = await rewriter.rewrite('¿y qué mostró?', {
+    history: 'User: ¿Cuándo se hizo John Doe la resonancia lumbar?',
+  })
+
+  assert.deepEqual(queries, ['lumbar MRI results John Doe'])
+  assert.match(provider.prompts[0], /written in English/)
+})
@@ -0,0 +1,88 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import {
+  createLocalRetrieval,
+  normalizeSearchFilters,
+} from '../lib/retrieval/index.js'
+import {
+  buildSearchFilter,
+  DEFAULT_FIELDS,
+} from '../lib/retrieval/azure-search.js'
+
+const LOCAL_INDEX_DIR = fileURLToPath(
+  new URL('./fixtures/local-index', import.meta.url)
+)
+
+test('agent filters are normalized to ISO dates and known types', () => {
+  assert.deepEqual(
+    normalizeSearchFilters({
+      dateFrom: '2024-05-01',
+      dateTo: '2024-05-31',
+      documentType: ['Note', 'email', 'spreadsheet', 'note'],
+    }),
+    {
+      dateFrom: '2024-05-01T00:00:00.000Z',
+      dateTo: '2024-05-31T23:59:59.999Z',
+      documentTypes: ['note', 'email'],
+    }
+  )
+  assert.deepEqual(
+    normalizeSearchFilters({ dateFrom: 'last week', documentType: 'pdf' }),
+    { documentTypes: ['pdf'] }
+  )
+  assert.deepEqual(normalizeSearchFilters(), {})
+})
+
+test('index filters AND every clause with the case filter', () => {
+  const filter = buildSearchFilter(DEFAULT_FIELDS, {
+    cases: ['25096', '25097'],
+    ...normalizeSearchFilters({
+      dateFrom: '2024-05-01',
+      documentType: ['note', 'pdf'],
+    }),
+  })
+
+  assert.equal(
+    filter,
+    "(case_number eq '25096' or case_number eq '25097')" +
+      ' and document_date ge 2024-05-01T00:00:00.000Z' +
+      " and (document_type eq 'note' or document_type eq 'pdf')"
+  )
+})
+
+test('no authorized case matches nothing, even with other filters', () => {
+  assert.equal(
+    buildSearchFilter(DEFAULT_FIELDS, { cases: [], documentTypes: ['note'] }),
+    "(false) and (document_type eq 'note')"
+  )
+  // Administradores: sin filtro de caso
+  assert.equal(buildSearchFilter(DEFAULT_FIELDS, { cases: null }), null)
+})
+
+test('document scopes are part of the index filter', () => {
+  assert.equal(
+    buildSearchFilter(DEFAULT_FIELDS, {
+      cases: ['25096'],
+      pathPrefix: "25096/o'brien/",
+    }),
+    "(case_number eq '25096') and path_prefixes/any(p: p eq '25096/o''brien')"
+  )
+})
+
+test('the local index applies the date filter with the case filter', async () => {
+  const retrieval = createLocalRetrieval({ directory: LOCAL_INDEX_DIR })
+  const search = (filters, cases) =>
+    retrieval.search('MRI', { cases, filters: normalizeSearchFilters(filters) })
+
+  const may = await search({ dateFrom: '2024-05-01', dateTo: '2024-05-31' }, [
+    '25096',
+    '25097',
+  ])
+  assert.deepEqual(
+    may.map((hit) => hit.title),
+    ['25096_20240502_1001.txt']
+  )
+  assert.equal((await search({ dateFrom: '2024-06-01' }, ['25097'])).length, 1)
+  assert.equal((await search({ dateTo: '2024-05-31' }, ['25097'])).length, 0)
+})
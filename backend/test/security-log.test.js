@@ -0,0 +1,17 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSecurityLog } from '../lib/security/index.js'
+
+test('security events are counted and dated per type', () => {
+  const log = createSecurityLog()
+  log.record('invalid_document_link', { reason: 'expired' })
+  log.record('unauthorized_chunk', { caseNumber: '25097' })
+  log.record('invalid_document_link', { reason: 'bad signature' })
+
+  const stats = log.stats()
+  assert.equal(stats.total, 3)
+  assert.equal(stats.byType.unauthorized_chunk, 1)
+  assert.equal(stats.byType.invalid_document_link, 2)
+  assert.ok(stats.lastEventAtByType.unauthorized_chunk)
+  assert.equal(stats.lastEventAtByType.missing, undefined)
+})
@@ -1,4 +1,4 @@
-import { SearchClient, AzureKeyCredential } from '@azure/search-documents'
+import { createAzureSearchRetrieval } from './lib/retrieval/index.js'
 import dotenv from 'dotenv'
 
 dotenv.config()
@@ -77,11 +77,11 @@ async function populateUrlField() {
     console.log(`   Index: ${INDEX_NAME}`)
     console.log(`   Container: ${CONTAINER_NAME}\n`)
 
-    const searchClient = new SearchClient(
-      SEARCH_ENDPOINT,
-      INDEX_NAME,
-      new AzureKeyCredential(SEARCH_API_KEY)
-    )
+    const index = createAzureSearchRetrieval({
+      endpoint: SEARCH_ENDPOINT,
+      apiKey: SEARCH_API_KEY,
+      indexName: INDEX_NAME,
+    })
 
     let totalProcessed = 0
     let totalUpdated = 0
@@ -93,36 +93,33 @@ async function populateUrlField() {
     console.log('📥 Buscando documentos sin URL...\n')
 
     // Buscar solo documentos que NO tienen URL o tienen URL null
-    const missingResults = await searchClient.search('*', {
-      filter: 'url eq null', // Solo documentos sin URL
-      select: ['chunk_id', 'parent_id', 'url', 'title'],
-      top: 50000,
+    const missingResults = index.scanDocuments({
+      missing: 'url', // Solo documentos sin URL
+      select: ['id', 'parentId', 'url', 'title'],
     })
 
     console.log('⏳ Procesando documentos encontrados...\n')
 
-    for await (const result of missingResults.results) {
+    for await (const doc of missingResults) {
       totalProcessed++
 
-      const doc = result.document
-
       // Validar que tenga parent_id
-      if (!doc.parent_id) {
+      if (!doc.parentId) {
         totalErrors++
         if (totalErrors <= 10) {
-          console.log(`   ⚠️  Sin parent_id: ${doc.chunk_id}`)
+          console.log(`   ⚠️  Sin parent_id: ${doc.id}`)
         }
         continue
       }
 
       // Extraer blob path
-      const blobPath = extractBlobPathFromParentId(doc.parent_id)
+      const blobPath = extractBlobPathFromParentId(doc.parentId)
 
       if (!blobPath) {
         totalErrors++
         if (totalErrors <= 10) {
-          console.log(`   ⚠️  No se pudo extraer path: ${doc.chunk_id}`)
-          console.log(`       parent_id: ${doc.parent_id.substring(0, 50)}...`)
+          console.log(`   ⚠️  No se pudo extraer path: ${doc.id}`)
+          console.log(`       parent_id: ${doc.parentId.substring(0, 50)}...`)
         }
         continue
       }
@@ -131,14 +128,14 @@ async function populateUrlField() {
       if (!blobPath.includes('/')) {
         totalErrors++
         if (totalErrors <= 10) {
-          console.log(`   ⚠️  Path inválido: ${blobPath} (${doc.chunk_id})`)
+          console.log(`   ⚠️  Path inválido: ${blobPath} (${doc.id})`)
         }
         continue
       }
 
       // Agregar al batch
       batch.push({
-        chunk_id: doc.chunk_id,
+        id: doc.id,
         url: blobPath,
       })
 
@@ -152,7 +149,7 @@ async function populateUrlField() {
       // Actualizar en lotes
       if (batch.length >= batchSize) {
         try {
-          await searchClient.mergeDocuments(batch)
+          await index.mergeDocuments(batch)
           totalUpdated += batch.length
 
           if (totalUpdated % 1000 === 0) {
@@ -176,7 +173,7 @@ async function populateUrlField() {
     // Actualizar lote final
     if (batch.length > 0) {
       try {
-        await searchClient.mergeDocuments(batch)
+        await index.mergeDocuments(batch)
         totalUpdated += batch.length
         console.log(`\n   ✅ Lote final: ${batch.length} documentos`)
       } catch (error) {
@@ -201,23 +198,10 @@ async function populateUrlField() {
     // Verificar cobertura total
     console.log('🔍 Verificando cobertura total...\n')
 
-    const allWithUrl = await searchClient.search('*', {
-      filter: 'url ne null',
-      select: ['chunk_id'],
-      top: 0,
-      includeTotalCount: true,
-    })
-
-    const totalWithUrl = allWithUrl.count || 0
+    const totalWithUrl = await index.countDocuments({ present: 'url' })
     
     // Obtener total de documentos
-    const allDocs = await searchClient.search('*', {
-      select: ['chunk_id'],
-      top: 0,
-      includeTotalCount: true,
-    })
-    
-    const totalDocs = allDocs.count || 0
+    const totalDocs = await index.countDocuments()
     const coverage = totalDocs > 0 ? Math.round((totalWithUrl / totalDocs) * 100) : 0
 
     console.log(
@@ -245,18 +229,18 @@ async function populateUrlField() {
     // Mostrar ejemplos de URLs generadas
     console.log('🔍 Verificando algunos ejemplos de URLs generadas...\n')
     
-    const sampleResults = await searchClient.search('*', {
-      filter: 'url ne null',
-      select: ['chunk_id', 'url', 'title'],
+    const sampleResults = index.scanDocuments({
+      present: 'url',
+      select: ['id', 'url', 'title'],
       top: 5,
     })
 
     let sampleCount = 0
-    for await (const sample of sampleResults.results) {
+    for await (const sample of sampleResults) {
       sampleCount++
       console.log(`   Ejemplo ${sampleCount}:`)
-      console.log(`   - Title: ${sample.document.title}`)
-      console.log(`   - URL: ${sample.document.url}`)
+      console.log(`   - Title: ${sample.title}`)
+      console.log(`   - URL: ${sample.url}`)
       console.log()
     }
 
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react'
+import API_URL from '../apiConfig'
+import {
+  FiCalendar,
+  FiFolder,
+  FiMessageSquare,
+  FiRefreshCw,
+} from 'react-icons/fi'
+
+const TYPE_LABELS = {
+  note: '🗒️ Notes',
+  email: '📧 Emails',
+  pdf: '📕 PDF',
+  office: '📘 Office',
+  other: '📄 Other',
+}
+
+const DATE_LABELS = {
+  opened: 'Opened',
+  incident: 'Incident',
+  statuteOfLimitations: 'Statute of limitations',
+  closed: 'Closed',
+}
+
+const formatDate = (isoDate) =>
+  isoDate
+    ? new Date(isoDate).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+      })
+    : null
+
+const statusClass = (status) =>
+  /closed|settled|inactive/i.test(status || '')
+    ? 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+    : 'bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-300'
+
+const request = async (path, token) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(data.error || 'Request failed')
+  return data
+}
+
+/**
+ * Pantalla de inicio: los casos del usuario con nombre, estado, tipo y
+ * fechas clave (Smart Advocate) y, para el caso elegido, conteo de
+ * documentos, últimas notas y equipo asignado, con accesos a preguntar,
+ * explorar los documentos o ver la cronología del caso.
+ */
+export default function CaseDashboard({
+  token,
+  onAskCase,
+  onBrowseCase,
+  onOpenTimeline,
+  onOpenNote,
+}) {
+  const [cases, setCases] = useState([])
+  const [loadingCases, setLoadingCases] = useState(true)
+  const [error, setError] = useState(null)
+  const [activeCase, setActiveCase] = useState(null)
+  const [dashboard, setDashboard] = useState(null)
+  const [loadingDashboard, setLoadingDashboard] = useState(false)
+
+  const loadCases = (refresh = false) => {
+    setLoadingCases(true)
+    setError(null)
+    request(`/api/cases${refresh ? '?refresh=true' : ''}`, token)
+      .then((data) => {
+        setCases(data.cases || [])
+        if (!activeCase && data.cases?.length === 1) {
+          setActiveCase(data.cases[0].caseNumber)
+        }
+      })
+      .catch((err) => {
+        console.error('❌ Error loading cases:', err)
+        setError(err.message)
+      })
+      .finally(() => setLoadingCases(false))
+  }
+
+  useEffect(() => {
+    loadCases()
+  }, [token])
+
+  useEffect(() => {
+    if (!activeCase) return
+
+    let cancelled = false
+    setLoadingDashboard(true)
+    setDashboard(null)
+
+    request(`/api/cases/${encodeURIComponent(activeCase)}`, token)
+      .then((data) => {
+        if (!cancelled) setDashboard(data)
+      })
+      .catch((err) => {
+        console.error('❌ Error loading case dashboard:', err)
+        if (!cancelled)
+          setDashboard({ caseNumber: activeCase, error: err.message })
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingDashboard(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [activeCase, token])
+
+  return (
+    <div className='text-left'>
+      <div className='flex items-center justify-between mb-3'>
+        <h2 className='text-lg font-semibold text-gray-800 dark:text-gray-200'>
+          🏛️ Your cases
+        </h2>
+        <button
+          onClick={() => loadCases(true)}
+          disabled={loadingCases}
+          className='p-1.5 rounded text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-40'
+          title='Reload case information'
+        >
+          <FiRefreshCw className={loadingCases ? 'animate-spin' : ''} />
+        </button>
+      </div>
+
+      {error && (
+        <div className='mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-3 text-sm text-red-700 dark:text-red-300'>
+          ⚠️ {error}
+        </div>
+      )}
+
+      {loadingCases && cases.length === 0 ? (
+        <p className='text-sm text-gray-500 dark:text-gray-400'>
+          Loading cases...
+        </p>
+      ) : (
+        !error &&
+        cases.length === 0 && (
+          <p className='text-sm text-gray-500 dark:text-gray-400'>
+            No cases to show.
+          </p>
+        )
+      )}
+
+      <div className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3'>
+        {cases.map((item) => (
+          <button
+            key={item.caseNumber}
+            type='button'
+            onClick={() => setActiveCase(item.caseNumber)}
+            className={`text-left p-3 rounded-lg border transition-all bg-white dark:bg-gray-800 hover:shadow-md ${
+              activeCase === item.caseNumber
+                ? 'border-blue-500 dark:border-blue-400 ring-1 ring-blue-500'
+                : 'border-gray-200 dark:border-gray-700 hover:border-blue-500 dark:hover:border-blue-400'
+            }`}
+          >
+            <div className='flex items-start justify-between gap-2'>
+              <span className='font-medium text-sm text-gray-900 dark:text-gray-100 break-words'>
+                {item.name || `Case ${item.caseNumber}`}
+              </span>
+              {item.status && (
+                <span
+                  className={`flex-shrink-0 px-2 py-0.5 rounded-full text-[10px] font-medium ${statusClass(
+                    item.status
+                  )}`}
+                >
+                  {item.status}
+                </span>
+              )}
+            </div>
+            <p className='text-xs text-gray-500 dark:text-gray-400 mt-1'>
+              #{item.caseNumber}
+              {item.type && ` · ${item.type}`}
+              {item.dates?.incident &&
+                ` · Incident ${formatDate(item.dates.incident)}`}
+            </p>
+          </button>
+        ))}
+      </div>
+
+      {activeCase && (
+        <div className='mt-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4'>
+          {loadingDashboard || !dashboard ? (
+            <p className='text-sm text-gray-500 dark:text-gray-400'>
+              Loading case {activeCase}...
+            </p>
+          ) : dashboard.error ? (
+            <p className='text-sm text-red-600 dark:text-red-400'>
+              ⚠️ {dashboard.error}
+            </p>
+          ) : (
+            <>
+              <div className='flex flex-wrap items-start justify-between gap-3 mb-4'>
+                <div>
+                  <h3 className='text-base font-semibold text-gray-900 dark:text-white'>
+                    {dashboard.name || `Case ${dashboard.caseNumber}`}
+                  </h3>
+                  <p className='text-xs text-gray-500 dark:text-gray-400'>
+                    #{dashboard.caseNumber}
+                    {dashboard.type && ` · ${dashboard.type}`}
+                    {dashboard.status && ` · ${dashboard.status}`}
+                  </p>
+                </div>
+                <div className='flex gap-2'>
+                  <button
+                    onClick={() => onAskCase(dashboard.caseNumber)}
+                    className='px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors flex items-center gap-2'
+                  >
+                    <FiMessageSquare /> Ask about this case
+                  </button>
+                  <button
+                    onClick={() => onBrowseCase(dashboard.caseNumber)}
+                    className='px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-2'
+                  >
+                    <FiFolder /> Documents
+                  </button>
+                  <button
+                    onClick={() => onOpenTimeline(dashboard.caseNumber)}
+                    className='px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-2'
+                  >
+                    <FiCalendar /> Timeline
+                  </button>
+                </div>
+              </div>
+
+              <div className='grid grid-cols-1 md:grid-cols-3 gap-4 text-sm'>
+                <div>
+                  <h4 className='text-xs font-semibold uppercase text-gray-500 dark:text-gray-400 mb-1'>
+                    Key dates
+                  </h4>
+                  {Object.entries(DATE_LABELS)
+                    .filter(([key]) => dashboard.dates?.[key])
+                    .map(([key, label]) => (
+                      <p key={key} className='text-gray-700 dark:text-gray-300'>
+                        {label}: {formatDate(dashboard.dates[key])}
+                      </p>
+                    ))}
+                  {dashboard.staff?.length > 0 && (
+                    <>
+                      <h4 className='text-xs font-semibold uppercase text-gray-500 dark:text-gray-400 mt-3 mb-1'>
+                        Staff
+                      </h4>
+                      {dashboard.staff.map((member, i) => (
+                        <p key={i} className='text-gray-700 dark:text-gray-300'>
+                          {member.name}
+                          {member.role && (
+                            <span className='text-xs text-gray-500 dark:text-gray-400'>
+                              {' '}
+                              ({member.role})
+                            </span>
+                          )}
+                        </p>
+                      ))}
+                    </>
+                  )}
+                </div>
+
+                <div>
+                  <h4 className='text-xs font-semibold uppercase text-gray-500 dark:text-gray-400 mb-1'>
+                    Documents ({dashboard.documents?.total ?? 0})
+                  </h4>
+                  {Object.entries(dashboard.documents?.byType || {}).map(
+                    ([type, count]) => (
+                      <p
+                        key={type}
+                        className='text-gray-700 dark:text-gray-300'
+                      >
+                        {TYPE_LABELS[type] || type}: {count}
+                      </p>
+                    )
+                  )}
+                  {dashboard.documents?.lastModified && (
+                    <p className='text-xs text-gray-500 dark:text-gray-400 mt-1'>
+                      Last change {formatDate(dashboard.documents.lastModified)}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <h4 className='text-xs font-semibold uppercase text-gray-500 dark:text-gray-400 mb-1'>
+                    Latest notes
+                  </h4>
+                  {dashboard.latestNotes.length === 0 && (
+                    <p className='text-gray-500 dark:text-gray-400'>
+                      No notes.
+                    </p>
+                  )}
+                  <div className='space-y-2'>
+                    {dashboard.latestNotes.map((note) => (
+                      <button
+                        key={note.id}
+                        type='button'
+                        onClick={() => onOpenNote(note)}
+                        className='w-full text-left p-2 rounded bg-gray-50 dark:bg-gray-700/50 hover:bg-gray-100 dark:hover:bg-gray-600/50'
+                        title='Open note'
+                      >
+                        <p className='text-[11px] text-gray-500 dark:text-gray-400'>
+                          {formatDate(note.date)}
+                          {note.author && ` · ${note.author}`}
+                        </p>
+                        {note.subject && (
+                          <p className='text-xs font-medium text-gray-800 dark:text-gray-200'>
+                            {note.subject}
+                          </p>
+                        )}
+                        <p className='text-xs text-gray-600 dark:text-gray-300 line-clamp-2'>
+                          {note.text}
+                        </p>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
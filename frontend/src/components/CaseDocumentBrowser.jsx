@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react'
+import API_URL from '../apiConfig'
+import {
+  FiChevronDown,
+  FiChevronRight,
+  FiColumns,
+  FiRefreshCw,
+  FiX,
+} from 'react-icons/fi'
+
+const TYPE_ICONS = {
+  note: '🗒️',
+  email: '📧',
+  pdf: '📕',
+  office: '📘',
+  other: '📄',
+}
+
+const formatSize = (bytes) => {
+  if (!bytes) return '0 KB'
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+const formatDate = (isoDate) =>
+  isoDate
+    ? new Date(isoDate).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+      })
+    : ''
+
+/**
+ * Explorador de documentos de un caso: árbol de carpetas (notes/ incluida)
+ * con tamaño, tipo y fecha de modificación. Los archivos se abren en el
+ * panel de preview, se pueden elegir para comparar y cualquier carpeta o
+ * archivo puede usarse como ámbito de la próxima pregunta.
+ */
+export default function CaseDocumentBrowser({
+  userCases,
+  initialCase,
+  token,
+  activeScope,
+  onOpenDocument,
+  onAsk,
+  onCompare,
+  comparePath,
+  onClose,
+}) {
+  const isAdmin = userCases.includes('*')
+  const availableCases = userCases.filter((c) => c !== '*')
+
+  const [caseNumber, setCaseNumber] = useState(
+    initialCase || availableCases[0] || ''
+  )
+  const [customCase, setCustomCase] = useState('')
+  const [tree, setTree] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState({})
+  const [reloadKey, setReloadKey] = useState(0)
+
+  useEffect(() => {
+    if (!caseNumber) return
+
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+
+    fetch(`${API_URL}/api/cases/${encodeURIComponent(caseNumber)}/documents`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then(async (response) => {
+        const data = await response.json().catch(() => ({}))
+        if (!response.ok) {
+          throw new Error(data.error || 'Error loading documents')
+        }
+        return data
+      })
+      .then((data) => {
+        if (cancelled) return
+        setTree(data.tree)
+        setExpanded({ [data.tree.path]: true })
+      })
+      .catch((err) => {
+        if (cancelled) return
+        console.error('❌ Error loading case documents:', err)
+        setTree(null)
+        setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [caseNumber, token, reloadKey])
+
+  const toggleFolder = (path) =>
+    setExpanded((prev) => ({ ...prev, [path]: !prev[path] }))
+
+  const selectCustomCase = (e) => {
+    e.preventDefault()
+    const value = customCase.trim()
+    if (/^\d+$/.test(value)) setCaseNumber(value)
+    setCustomCase('')
+  }
+
+  const ask = (node) =>
+    onAsk({
+      caseNumber,
+      path: node.path,
+      type: node.type,
+      name: node.name,
+    })
+
+  const askButton = (node) => (
+    <button
+      type='button'
+      onClick={(e) => {
+        e.stopPropagation()
+        ask(node)
+      }}
+      className={`flex-shrink-0 px-1.5 py-0.5 rounded text-[10px] font-medium transition-opacity ${
+        activeScope?.path === node.path
+          ? 'bg-blue-600 text-white'
+          : 'opacity-0 group-hover:opacity-100 bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-200 hover:bg-blue-200 dark:hover:bg-blue-800'
+      }`}
+      title={`Ask a question about this ${node.type}`}
+    >
+      Ask
+    </button>
+  )
+
+  const renderNode = (node, depth) => {
+    const indent = { paddingLeft: `${depth * 14 + 8}px` }
+
+    if (node.type === 'folder') {
+      const open = !!expanded[node.path]
+      return (
+        <div key={node.path}>
+          <div
+            onClick={() => toggleFolder(node.path)}
+            style={indent}
+            className='group flex items-center gap-1.5 pr-2 py-1 cursor-pointer text-sm text-gray-800 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'
+          >
+            {open ? (
+              <FiChevronDown className='flex-shrink-0' />
+            ) : (
+              <FiChevronRight className='flex-shrink-0' />
+            )}
+            <span className='flex-shrink-0'>📁</span>
+            <span className='truncate flex-1 font-medium'>{node.name}</span>
+            <span className='flex-shrink-0 text-[10px] text-gray-500 dark:text-gray-400'>
+              {node.fileCount}
+            </span>
+            {askButton(node)}
+          </div>
+          {open &&
+            (node.children.length > 0 ? (
+              node.children.map((child) => renderNode(child, depth + 1))
+            ) : (
+              <p
+                style={{ paddingLeft: `${(depth + 1) * 14 + 8}px` }}
+                className='py-1 text-xs italic text-gray-500 dark:text-gray-400'
+              >
+                Empty folder
+              </p>
+            ))}
+        </div>
+      )
+    }
+
+    return (
+      <div
+        key={node.path}
+        onClick={() => onOpenDocument(node)}
+        style={indent}
+        className='group flex items-start gap-1.5 pr-2 py-1 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700'
+        title='Click to preview document'
+      >
+        <span className='flex-shrink-0 ml-4 text-sm'>
+          {TYPE_ICONS[node.documentType] || TYPE_ICONS.other}
+        </span>
+        <div className='flex-1 min-w-0'>
+          <p className='text-sm text-gray-900 dark:text-gray-100 truncate'>
+            {node.name}
+          </p>
+          <p className='text-[10px] text-gray-500 dark:text-gray-400'>
+            {formatSize(node.size)} · {formatDate(node.lastModified)}
+          </p>
+        </div>
+        <button
+          type='button'
+          onClick={(e) => {
+            e.stopPropagation()
+            onCompare(node)
+          }}
+          className={`flex-shrink-0 p-1 rounded text-[10px] transition-opacity ${
+            comparePath === node.path
+              ? 'bg-blue-600 text-white'
+              : 'opacity-0 group-hover:opacity-100 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+          }`}
+          title='Compare with another document'
+        >
+          <FiColumns />
+        </button>
+        {askButton(node)}
+      </div>
+    )
+  }
+
+  return (
+    <aside className='w-80 flex-shrink-0 flex flex-col bg-white dark:bg-gray-800 border-r border-gray-200 dark:border-gray-700'>
+      <div className='p-3 border-b border-gray-200 dark:border-gray-700 space-y-2'>
+        <div className='flex items-center justify-between'>
+          <h2 className='text-sm font-semibold text-gray-900 dark:text-white'>
+            🗂️ Case documents
+          </h2>
+          <div className='flex items-center gap-1'>
+            <button
+              onClick={() => setReloadKey((key) => key + 1)}
+              disabled={!caseNumber || loading}
+              className='p-1.5 rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40'
+              title='Reload'
+            >
+              <FiRefreshCw className={loading ? 'animate-spin' : ''} />
+            </button>
+            <button
+              onClick={onClose}
+              className='p-1.5 rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              title='Close'
+            >
+              <FiX />
+            </button>
+          </div>
+        </div>
+
+        <div className='flex gap-2'>
+          {availableCases.length > 0 && (
+            <select
+              value={availableCases.includes(caseNumber) ? caseNumber : ''}
+              onChange={(e) => setCaseNumber(e.target.value)}
+              className='flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white'
+            >
+              {!availableCases.includes(caseNumber) && (
+                <option value=''>{caseNumber || 'Select a case'}</option>
+              )}
+              {availableCases.map((c) => (
+                <option key={c} value={c}>
+                  Case {c}
+                </option>
+              ))}
+            </select>
+          )}
+          {isAdmin && (
+            <form onSubmit={selectCustomCase} className='flex-1 min-w-0'>
+              <input
+                value={customCase}
+                onChange={(e) => setCustomCase(e.target.value)}
+                placeholder={caseNumber ? `Case ${caseNumber}` : 'Case #'}
+                className='w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-blue-500'
+              />
+            </form>
+          )}
+        </div>
+
+        {tree && (
+          <p className='text-[11px] text-gray-500 dark:text-gray-400'>
+            {tree.fileCount} file(s) · {formatSize(tree.size)}
+          </p>
+        )}
+      </div>
+
+      <div className='flex-1 overflow-y-auto py-1'>
+        {!caseNumber ? (
+          <p className='p-4 text-sm text-gray-500 dark:text-gray-400'>
+            Choose a case to browse its documents.
+          </p>
+        ) : error ? (
+          <div className='m-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-3 text-sm text-red-700 dark:text-red-300'>
+            ⚠️ {error}
+          </div>
+        ) : loading && !tree ? (
+          <p className='p-4 text-sm text-gray-500 dark:text-gray-400'>
+            Loading documents...
+          </p>
+        ) : (
+          tree && renderNode(tree, 0)
+        )}
+      </div>
+    </aside>
+  )
+}
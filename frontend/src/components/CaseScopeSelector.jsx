@@ -0,0 +1,84 @@
+import React, { useState } from 'react'
+
+/**
+ * Chips seleccionables para limitar la conversación a ciertos casos.
+ * Sin selección se busca en todos los casos autorizados del usuario.
+ */
+export default function CaseScopeSelector({
+  userCases,
+  selectedCases,
+  onChange,
+  disabled,
+}) {
+  const [customCase, setCustomCase] = useState('')
+  const isAdmin = userCases.includes('*')
+
+  // Los administradores pueden agregar cualquier número de caso
+  const availableCases = [
+    ...userCases.filter((c) => c !== '*'),
+    ...selectedCases.filter((c) => !userCases.includes(c)),
+  ]
+
+  const toggleCase = (caseNum) => {
+    onChange(
+      selectedCases.includes(caseNum)
+        ? selectedCases.filter((c) => c !== caseNum)
+        : [...selectedCases, caseNum]
+    )
+  }
+
+  const addCustomCase = (e) => {
+    e.preventDefault()
+    const caseNum = customCase.trim()
+    if (/^\d+$/.test(caseNum) && !selectedCases.includes(caseNum)) {
+      onChange([...selectedCases, caseNum])
+    }
+    setCustomCase('')
+  }
+
+  const chipClass = (active) =>
+    `px-2 py-0.5 rounded-full text-xs font-medium border transition-colors disabled:cursor-not-allowed ${
+      active
+        ? 'bg-blue-600 border-blue-600 text-white'
+        : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:border-blue-500 dark:hover:border-blue-400'
+    }`
+
+  return (
+    <div className='flex flex-wrap items-center gap-1.5 max-h-20 overflow-y-auto'>
+      <span className='text-xs text-gray-600 dark:text-gray-400 mr-1'>
+        Cases:
+      </span>
+      <button
+        type='button'
+        disabled={disabled}
+        onClick={() => onChange([])}
+        className={chipClass(selectedCases.length === 0)}
+        title='Search all the cases you have access to'
+      >
+        {isAdmin ? 'All cases' : `All (${availableCases.length})`}
+      </button>
+      {availableCases.map((caseNum) => (
+        <button
+          key={caseNum}
+          type='button'
+          disabled={disabled}
+          onClick={() => toggleCase(caseNum)}
+          className={chipClass(selectedCases.includes(caseNum))}
+        >
+          {caseNum}
+        </button>
+      ))}
+      {isAdmin && (
+        <form onSubmit={addCustomCase}>
+          <input
+            value={customCase}
+            onChange={(e) => setCustomCase(e.target.value)}
+            disabled={disabled}
+            placeholder='Add case #'
+            className='w-24 px-2 py-0.5 text-xs border border-gray-300 dark:border-gray-600 rounded-full bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-blue-500'
+          />
+        </form>
+      )}
+    </div>
+  )
+}
@@ -3,23 +3,56 @@ import API_URL from '../apiConfig'
 import ReactMarkdown from 'react-markdown'
 import ThemeToggle from './ThemeToggle'
 import { IoIosLogOut } from 'react-icons/io'
-import { GrClear } from 'react-icons/gr'
+import { FiColumns, FiFolder, FiPlus, FiSearch, FiX } from 'react-icons/fi'
 import { PiExport } from 'react-icons/pi'
 import { useExportChat } from '../hooks/useExportChat'
 import DocumentPreviewPanel from './DocumentPreviewPanel'
+import ConversationSidebar from './ConversationSidebar'
+import CaseScopeSelector from './CaseScopeSelector'
+import CaseDocumentBrowser from './CaseDocumentBrowser'
+import SearchView from './SearchView'
+import CaseDashboard from './CaseDashboard'
+import TimelineView from './TimelineView'
+import ComparePanel from './ComparePanel'
+import { readEventStream } from '../utils/readEventStream'
+import { useConversations } from '../hooks/useConversations'
+import {
+  useAnswerLanguage,
+  ANSWER_LANGUAGES,
+} from '../hooks/useAnswerLanguage'
+import {
+  linkCitationMarkers,
+  citationNumberFromHref,
+  findCitation,
+} from '../utils/citationMarkers'
 
 function Chat({ user, onLogout, theme, toggleTheme }) {
   const [messages, setMessages] = useState([])
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(false)
   const [showAllCitations, setShowAllCitations] = useState(false)
+  const [conversationId, setConversationId] = useState(null)
+  // Casos seleccionados para la conversación ([] = todos los autorizados)
+  const [selectedCases, setSelectedCases] = useState([])
+  // Carpeta o archivo elegido en el explorador para acotar las preguntas
+  const [documentScope, setDocumentScope] = useState(null)
+  const [documentBrowserOpen, setDocumentBrowserOpen] = useState(false)
+  const [browserCase, setBrowserCase] = useState(null)
+  // 'chat', 'search' (búsqueda directa sin el agente) o 'timeline'
+  const [view, setView] = useState('chat')
+  const [timelineCase, setTimelineCase] = useState(null)
+  // Documentos elegidos para comparar: con dos se abre el modo comparar
+  const [compareSelection, setCompareSelection] = useState([])
   const messagesEndRef = useRef(null)
+  const inputRef = useRef(null)
   const exportDropdownRef = useRef(null)
 
   // Estados para el preview panel
   const [selectedDocument, setSelectedDocument] = useState(null)
   const [previewPanelOpen, setPreviewPanelOpen] = useState(false)
 
+  const { answerLanguage, setAnswerLanguage } = useAnswerLanguage()
+
   // Custom hook para exportar chat
   const {
     showExportDropdown,
@@ -30,6 +63,16 @@ function Chat({ user, onLogout, theme, toggleTheme }) {
     hasValidMessages,
   } = useExportChat(messages, user)
 
+  // Historial de conversaciones persistente
+  const {
+    conversations,
+    loadingConversations,
+    refreshConversations,
+    openConversation,
+    renameConversation,
+    deleteConversation,
+  } = useConversations(localStorage.getItem('token'))
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }
@@ -53,6 +96,61 @@ function Chat({ user, onLogout, theme, toggleTheme }) {
     return () => document.removeEventListener('mousedown', handleClickOutside)
   }, [setShowExportDropdown])
 
+  // Mensajes de estado mostrados mientras el agente trabaja
+  const describeRunStatus = (status) => {
+    switch (status) {
+      case 'starting':
+      case 'queued':
+        return 'Agent is thinking...'
+      case 'in_progress':
+        return 'Agent is working...'
+      case 'requires_action':
+        return 'Agent is using tools...'
+      default:
+        return 'Agent is thinking...'
+    }
+  }
+
+  // 🔥 OPTIMIZACIÓN: Cargar URLs de TODAS las citations inmediatamente
+  const loadCitationUrls = (citations, token) =>
+    Promise.all(
+      (citations || []).map(async (citation) => {
+        // Si ya viene con blobPath, no hacer nada
+        if (citation.blobPath) {
+          return citation
+        }
+
+        // Solo para citations sin blobPath, hacer fetch
+        try {
+          const urlResponse = await fetch(`${API_URL}/api/documents/get-url`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              Authorization: `Bearer ${token}`,
+            },
+            // Solo hace falta el blobPath: sin enlaces que auditar
+            body: JSON.stringify({
+              filename: citation.title,
+              blobPath: citation.blobPath,
+              purpose: 'none',
+            }),
+          })
+
+          if (urlResponse.ok) {
+            const urlData = await urlResponse.json()
+            return {
+              ...citation,
+              blobPath: urlData.blobPath,
+            }
+          }
+        } catch (error) {
+          console.error(`Error loading URL for ${citation.title}:`, error)
+        }
+
+        return citation
+      })
+    )
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     if (!input.trim() || loading) return
@@ -60,6 +158,20 @@ function Chat({ user, onLogout, theme, toggleTheme }) {
     const userMessage = input.trim()
     setInput('')
 
+    // Mensaje del asistente que se irá completando con el stream
+    const assistantId = Date.now()
+    const updateAssistant = (changes) =>
+      setMessages((prev) =>
+        prev.map((msg) =>
+          msg.id === assistantId
+            ? {
+                ...msg,
+                ...(typeof changes === 'function' ? changes(msg) : changes),
+              }
+            : msg
+        )
+      )
+
     // Agregar mensaje del usuario
     setMessages((prev) => [
       ...prev,
@@ -67,118 +179,245 @@ function Chat({ user, onLogout, theme, toggleTheme }) {
         role: 'user',
         content: userMessage,
       },
+      {
+        id: assistantId,
+        role: 'assistant',
+        content: '',
+        streaming: true,
+        status: describeRunStatus('starting'),
+        citations: [],
+        searchTerms: [],
+        searchQueries: [],
+        noReliableEvidence: null,
+        contextSnippets: [],
+      },
     ])
     setLoading(true)
 
     try {
       const token = localStorage.getItem('token')
-      const response = await fetch(`${API_URL}/api/chat`, {
+      const response = await fetch(`${API_URL}/api/chat/stream`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
           Authorization: `Bearer ${token}`,
         },
         body: JSON.stringify({
           message: userMessage,
           clearThread: false,
+          conversationId,
+          cases: selectedCases,
+          scope: documentScope
+            ? {
+                caseNumber: documentScope.caseNumber,
+                path: documentScope.path,
+                type: documentScope.type,
+              }
+            : undefined,
+          language: answerLanguage === 'auto' ? undefined : answerLanguage,
         }),
       })
 
-      const data = await response.json()
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Error processing query')
+      }
 
-      if (response.ok) {
-        // 🔥 OPTIMIZACIÓN: Cargar URLs de TODAS las citations inmediatamente
-        const citationsWithUrls = await Promise.all(
-          (data.citations || []).map(async (citation) => {
-            // Si ya viene con blobPath, no hacer nada
-            if (citation.blobPath) {
-              return citation
-            }
+      let citationsPromise = null
+      let streamError = null
 
-            // Solo para citations sin blobPath, hacer fetch
-            try {
-              const urlResponse = await fetch(`${API_URL}/api/documents/get-url`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                  Authorization: `Bearer ${token}`,
-                },
-                body: JSON.stringify({
-                  filename: citation.title,
-                  blobPath: citation.blobPath,
-                }),
-              })
-
-              if (urlResponse.ok) {
-                const urlData = await urlResponse.json()
-                return {
-                  ...citation,
-                  blobPath: urlData.blobPath,
-                  url: urlData.url,
-                }
-              }
-            } catch (error) {
-              console.error(`Error loading URL for ${citation.title}:`, error)
+      await readEventStream(response, (event, data) => {
+        switch (event) {
+          case 'conversation':
+            setConversationId(data.conversationId)
+            break
+          case 'status':
+            updateAssistant({ status: describeRunStatus(data.status) })
+            break
+          case 'tool':
+            updateAssistant({ status: `🔎 ${data.message}` })
+            break
+          case 'token':
+            updateAssistant((msg) => ({ content: msg.content + data.text }))
+            break
+          case 'citations':
+            citationsPromise = loadCitationUrls(data.citations, token)
+            break
+          case 'done':
+            updateAssistant({
+              content: data.message,
+              searchTerms: data.searchTerms || [],
+              searchQueries: data.searchQueries || [],
+              noReliableEvidence: data.noReliableEvidence || null,
+              contextSnippets: data.contextSnippets || [],
+            })
+            if (!citationsPromise) {
+              citationsPromise = loadCitationUrls(data.citations, token)
             }
+            break
+          case 'error':
+            streamError = data.error || 'Error processing query'
+            break
+          default:
+            break
+        }
+      })
 
-            return citation
-          })
-        )
-
-        setMessages((prev) => [
-          ...prev,
-          {
-            role: 'assistant',
-            content: data.message,
-            citations: citationsWithUrls,
-            searchTerms: data.searchTerms || [],
-            contextSnippets: data.contextSnippets || [],
-          },
-        ])
-      } else {
-        setMessages((prev) => [
-          ...prev,
-          {
-            role: 'error',
-            content: data.error || 'Error processing query',
-          },
-        ])
+      if (streamError) {
+        throw new Error(streamError)
       }
+
+      const citationsWithUrls = citationsPromise ? await citationsPromise : []
+      updateAssistant({
+        citations: citationsWithUrls,
+        streaming: false,
+        status: null,
+      })
     } catch (err) {
-      setMessages((prev) => [
-        ...prev,
-        {
-          role: 'error',
-          content: 'Connection error with server',
-        },
-      ])
+      updateAssistant({
+        role: 'error',
+        content:
+          err instanceof TypeError
+            ? 'Connection error with server'
+            : err.message || 'Error processing query',
+        streaming: false,
+        status: null,
+      })
     } finally {
       setLoading(false)
+      refreshConversations()
     }
   }
 
-  const clearChat = async () => {
-    try {
-      const token = localStorage.getItem('token')
+  const resetChat = () => {
+    setMessages([])
+    setShowAllCitations(false)
+    setPreviewPanelOpen(false)
+    setSelectedDocument(null)
+    setDocumentScope(null)
+  }
 
-      await fetch(`${API_URL}/api/chat/clear`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`,
-        },
-      })
+  const startNewChat = () => {
+    resetChat()
+    setConversationId(null)
+    setView('chat')
+  }
 
-      setMessages([])
-      setPreviewPanelOpen(false)
-      setSelectedDocument(null)
-      console.log('✅ Chat cleared and thread deleted')
+  const selectConversation = async (id) => {
+    if (id === conversationId || loading) return
+
+    try {
+      const conversation = await openConversation(id)
+      resetChat()
+      setView('chat')
+      setConversationId(conversation.id)
+      setSelectedCases(conversation.cases || [])
+      setMessages(
+        conversation.messages.map((msg) => ({
+          role: msg.role,
+          content: msg.content,
+          citations: msg.citations || [],
+          searchTerms: msg.searchTerms || [],
+          searchQueries: msg.searchQueries || [],
+          noReliableEvidence: msg.noReliableEvidence || null,
+          contextSnippets: msg.contextSnippets || [],
+        }))
+      )
     } catch (error) {
-      console.error('Error clearing chat:', error)
-      setMessages([])
+      console.error('Error opening conversation:', error)
     }
   }
 
+  const removeConversation = async (id) => {
+    try {
+      await deleteConversation(id)
+      if (id === conversationId) {
+        startNewChat()
+      }
+    } catch (error) {
+      console.error('Error deleting conversation:', error)
+    }
+  }
+
+  // Abre el chunk citado en el panel de preview
+  const openCitation = (msg, citation) => {
+    setSelectedDocument({
+      ...citation,
+      searchTerms: msg.searchTerms || [],
+      contextSnippets: msg.contextSnippets || [],
+      chunk: citation.chunk || citation.content,
+    })
+    setPreviewPanelOpen(true)
+  }
+
+  // Abre un archivo del explorador de documentos
+  const openBrowserDocument = (node) => {
+    setSelectedDocument({ title: node.name, blobPath: node.path })
+    setPreviewPanelOpen(true)
+  }
+
+  // Primer documento: queda a la espera del segundo
+  const selectForCompare = (doc) => {
+    const picked = { title: doc.title, blobPath: doc.blobPath }
+    setCompareSelection((prev) => {
+      if (prev.length !== 1) return [picked]
+      const same = prev[0].blobPath
+        ? prev[0].blobPath === picked.blobPath
+        : prev[0].title === picked.title
+      return same ? prev : [prev[0], picked]
+    })
+  }
+
+  // Acciones del dashboard de casos
+  const askAboutCase = (caseNumber) => {
+    setSelectedCases([caseNumber])
+    setDocumentScope(null)
+    inputRef.current?.focus()
+  }
+
+  const browseCase = (caseNumber) => {
+    setBrowserCase(caseNumber)
+    setDocumentBrowserOpen(true)
+  }
+
+  const openTimeline = (caseNumber) => {
+    setTimelineCase(caseNumber)
+    setView('timeline')
+  }
+
+  const openNote = (note) => {
+    setSelectedDocument({
+      title: note.blobPath.split('/').pop(),
+      blobPath: note.blobPath,
+    })
+    setPreviewPanelOpen(true)
+  }
+
+  // Abre el documento de origen de un evento con la cita resaltada
+  const openTimelineEvent = (event) => {
+    setSelectedDocument({
+      title: event.title,
+      blobPath: event.blobPath,
+      chunk: event.quote,
+      searchTerms: [],
+      contextSnippets: [],
+    })
+    setPreviewPanelOpen(true)
+  }
+
+  // Abre un resultado de la búsqueda directa con el fragmento resaltado
+  const openSearchResult = (result, query) => {
+    setSelectedDocument({
+      title: result.title,
+      blobPath: result.blobPath,
+      chunk: result.content,
+      searchTerms: [query],
+      contextSnippets: [],
+    })
+    setPreviewPanelOpen(true)
+  }
+
   const CustomLink = (props) => {
     return React.createElement(
       'a',
@@ -257,8 +496,67 @@ function Chat({ user, onLogout, theme, toggleTheme }) {
     a: CustomLink,
   }
 
+  // Los marcadores [n] del mensaje se renderizan como links a su cita
+  const getMessageMarkdownComponents = (msg) => ({
+    ...markdownComponents,
+    a: (props) => {
+      const number = citationNumberFromHref(props.href)
+      if (number === null) return CustomLink(props)
+
+      const citation = findCitation(msg.citations, number)
+      if (!citation) {
+        return (
+          <sup className='text-gray-500 dark:text-gray-400'>[{number}]</sup>
+        )
+      }
+
+      return (
+        <sup>
+          <button
+            type='button'
+            onClick={() => openCitation(msg, citation)}
+            title={citation.title}
+            className='text-blue-600 dark:text-blue-400 hover:underline font-semibold px-0.5'
+          >
+            [{number}]
+          </button>
+        </sup>
+      )
+    },
+  })
+
   return (
     <div className='h-screen flex bg-gray-50 dark:bg-gray-900'>
+      {/* Historial de conversaciones */}
+      <ConversationSidebar
+        conversations={conversations}
+        activeId={conversationId}
+        loading={loadingConversations}
+        disabled={loading}
+        onSelect={selectConversation}
+        onNew={startNewChat}
+        onRename={renameConversation}
+        onDelete={removeConversation}
+      />
+
+      {/* Explorador de documentos del caso */}
+      {documentBrowserOpen && (
+        <CaseDocumentBrowser
+          key={browserCase || 'default'}
+          userCases={user.cases}
+          initialCase={browserCase || selectedCases[0]}
+          token={localStorage.getItem('token')}
+          activeScope={documentScope}
+          onOpenDocument={openBrowserDocument}
+          onAsk={setDocumentScope}
+          onCompare={(node) =>
+            selectForCompare({ title: node.name, blobPath: node.path })
+          }
+          comparePath={compareSelection[0]?.blobPath}
+          onClose={() => setDocumentBrowserOpen(false)}
+        />
+      )}
+
       {/* Contenedor principal del chat con transición */}
       <div
         className={`flex flex-col flex-1 transition-all duration-300 ease-in-out ${
@@ -292,14 +590,49 @@ function Chat({ user, onLogout, theme, toggleTheme }) {
                       🔐 Microsoft
                     </span>
                   )}
-                  {' | '}Access to cases:{' '}
-                  <span className='font-medium'>{user.cases.join(', ')}</span>
                 </p>
               </div>
             </div>
             <div className='flex gap-3 items-center'>
               <ThemeToggle theme={theme} toggleTheme={toggleTheme} />
 
+              <select
+                value={answerLanguage}
+                onChange={(e) => setAnswerLanguage(e.target.value)}
+                className='px-2 py-2 text-sm rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 border-none focus:outline-none focus:ring-2 focus:ring-blue-500'
+                title='Answer language (Auto: the language of the question)'
+              >
+                {ANSWER_LANGUAGES.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+
+              <button
+                onClick={() => setView(view === 'search' ? 'chat' : 'search')}
+                className={`px-4 py-2 rounded-md transition-colors flex items-center gap-2 ${
+                  view === 'search'
+                    ? 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'
+                    : 'text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'
+                }`}
+                title='Search the documents directly, without the agent'
+              >
+                Search <FiSearch />
+              </button>
+
+              <button
+                onClick={() => setDocumentBrowserOpen(!documentBrowserOpen)}
+                className={`px-4 py-2 rounded-md transition-colors flex items-center gap-2 ${
+                  documentBrowserOpen
+                    ? 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'
+                    : 'text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'
+                }`}
+                title='Browse the documents of a case'
+              >
+                Documents <FiFolder />
+              </button>
+
               {/* Export Button with Dropdown */}
               <div className='relative' ref={exportDropdownRef}>
                 <button
@@ -335,11 +668,12 @@ function Chat({ user, onLogout, theme, toggleTheme }) {
               </div>
 
               <button
-                onClick={clearChat}
-                className='px-4 py-2 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-2'
-                title='Clear chat and create new conversation thread'
+                onClick={startNewChat}
+                disabled={loading}
+                className='px-4 py-2 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed'
+                title='Start a new conversation (previous ones stay in the history)'
               >
-                Clear Chat <GrClear />
+                New Chat <FiPlus />
               </button>
               <button
                 onClick={onLogout}
@@ -350,168 +684,273 @@ function Chat({ user, onLogout, theme, toggleTheme }) {
               </button>
             </div>
           </div>
+          {view === 'chat' && (
+            <div className='max-w-5xl mx-auto mt-3'>
+              <CaseScopeSelector
+                userCases={user.cases}
+                selectedCases={selectedCases}
+                onChange={setSelectedCases}
+                disabled={loading}
+              />
+            </div>
+          )}
         </div>
 
-        {/* Messages Area */}
-        <div className='flex-1 overflow-y-auto bg-gray-50 dark:bg-gray-900 px-6 py-6'>
-          <div className='max-w-5xl mx-auto space-y-6'>
-            {messages.length === 0 ? (
-              <div className='text-center py-12'>
-                <div className='text-6xl mb-4'>🤖</div>
-                <h2 className='text-2xl font-semibold text-gray-700 dark:text-gray-300 mb-2'>
-                  Welcome to the Legal Assistant
-                </h2>
-                <p className='text-gray-600 dark:text-gray-400 mb-2'>
-                  Powered by Azure AI Foundry Agent
-                </p>
-                <p className='text-sm text-gray-500 dark:text-gray-500 mb-6'>
-                  Ask a question about the case documents
-                </p>
-                <div className='grid grid-cols-1 md:grid-cols-2 gap-3 max-w-2xl mx-auto'>
-                  {[
-                    'What information is available about Mitra Farokhpay?',
-                    'What is the property address?',
-                    'What types of legal documents are available?',
-                    'Who is Wilshire Regent Homeowners Association?',
-                  ].map((suggestion, i) => (
-                    <button
-                      key={i}
-                      onClick={() => setInput(suggestion)}
-                      className='text-left p-3 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 hover:border-blue-500 dark:hover:border-blue-400 hover:shadow-md transition-all text-sm text-gray-900 dark:text-gray-100'
-                    >
-                      {suggestion}
-                    </button>
-                  ))}
-                </div>
-              </div>
-            ) : (
-              messages.map((msg, index) => (
-                <div
-                  key={index}
-                  className={`flex ${
-                    msg.role === 'user' ? 'justify-end' : 'justify-start'
-                  }`}
-                >
-                  <div
-                    className={`max-w-3xl rounded-lg px-4 py-3 ${
-                      msg.role === 'user'
-                        ? 'bg-blue-600 text-white'
-                        : msg.role === 'error'
-                        ? 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-400 border border-red-200 dark:border-red-800'
-                        : 'bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 shadow-sm border border-gray-200 dark:border-gray-700'
-                    }`}
-                  >
-                    {msg.role === 'assistant' && (
-                      <div className='flex items-center gap-2 mb-2 pb-2 border-b border-gray-200 dark:border-gray-700'>
-                        <span className='text-xl'>🤖</span>
-                        <span className='font-semibold text-sm'>
-                          Legal Assistant (Agent)
-                        </span>
-                      </div>
-                    )}
-                    <div className='prose prose-sm dark:prose-invert max-w-none'>
-                      {msg.role === 'assistant' ? (
-                        <ReactMarkdown components={markdownComponents}>
-                          {msg.content}
-                        </ReactMarkdown>
-                      ) : (
-                        msg.content
-                      )}
+        {view === 'search' ? (
+          <SearchView
+            token={localStorage.getItem('token')}
+            onOpenResult={openSearchResult}
+          />
+        ) : view === 'timeline' ? (
+          <TimelineView
+            key={timelineCase}
+            token={localStorage.getItem('token')}
+            caseNumber={timelineCase}
+            onOpenEvent={openTimelineEvent}
+            onClose={() => setView('chat')}
+          />
+        ) : (
+          <>
+            {/* Messages Area */}
+            <div className='flex-1 overflow-y-auto bg-gray-50 dark:bg-gray-900 px-6 py-6'>
+              <div className='max-w-5xl mx-auto space-y-6'>
+                {messages.length === 0 ? (
+                  <div className='text-center py-8'>
+                    <div className='text-5xl mb-3'>🤖</div>
+                    <h2 className='text-2xl font-semibold text-gray-700 dark:text-gray-300 mb-2'>
+                      Welcome to the Legal Assistant
+                    </h2>
+                    <p className='text-gray-600 dark:text-gray-400 mb-2'>
+                      Powered by Azure AI Foundry Agent
+                    </p>
+                    <p className='text-sm text-gray-500 dark:text-gray-500 mb-6'>
+                      Pick a case or ask a question about the case documents
+                    </p>
+                    <div className='mb-8'>
+                      <CaseDashboard
+                        token={localStorage.getItem('token')}
+                        onAskCase={askAboutCase}
+                        onBrowseCase={browseCase}
+                        onOpenTimeline={openTimeline}
+                        onOpenNote={openNote}
+                      />
+                    </div>
+                    <div className='grid grid-cols-1 md:grid-cols-2 gap-3 max-w-2xl mx-auto'>
+                      {[
+                        'What information is available about Mitra Farokhpay?',
+                        'What is the property address?',
+                        'What types of legal documents are available?',
+                        'Who is Wilshire Regent Homeowners Association?',
+                      ].map((suggestion, i) => (
+                        <button
+                          key={i}
+                          onClick={() => setInput(suggestion)}
+                          className='text-left p-3 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 hover:border-blue-500 dark:hover:border-blue-400 hover:shadow-md transition-all text-sm text-gray-900 dark:text-gray-100'
+                        >
+                          {suggestion}
+                        </button>
+                      ))}
                     </div>
-                    {msg.citations && msg.citations.length > 0 && (
-                      <div className='mt-3 pt-3 border-t border-gray-200 dark:border-gray-700'>
-                        <p className='text-xs font-semibold text-gray-600 dark:text-gray-400 mb-2'>
-                          📎 References ({msg.citations.length}):
-                        </p>
-                        <div className='space-y-2'>
-                          {msg.citations
-                            .slice(
-                              0,
-                              showAllCitations[index] ? msg.citations.length : 5
-                            )
-                            .map((citation, i) => (
-                              <CitationItem
-                                key={i}
-                                index={i}
-                                citation={citation}
-                                token={localStorage.getItem('token')}
-                                onPreview={(enrichedDoc) => {
-                                  setSelectedDocument({
-                                    ...enrichedDoc,
-                                    searchTerms: msg.searchTerms || [],
-                                    contextSnippets: msg.contextSnippets || [],
-                                    chunk: enrichedDoc.chunk,
-                                  })
-                                  setPreviewPanelOpen(true)
-                                }}
-                              />
-                            ))}
-                          {msg.citations.length > 5 && (
-                            <button
-                              onClick={() =>
-                                setShowAllCitations((prev) => ({
-                                  ...prev,
-                                  [index]: !prev[index],
-                                }))
-                              }
-                              className='text-xs text-blue-600 dark:text-blue-400 hover:underline mt-2 font-medium'
+                  </div>
+                ) : (
+                  messages.map((msg, index) => (
+                    <div
+                      key={index}
+                      className={`flex ${
+                        msg.role === 'user' ? 'justify-end' : 'justify-start'
+                      }`}
+                    >
+                      <div
+                        className={`max-w-3xl rounded-lg px-4 py-3 ${
+                          msg.role === 'user'
+                            ? 'bg-blue-600 text-white'
+                            : msg.role === 'error'
+                              ? 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-400 border border-red-200 dark:border-red-800'
+                              : msg.noReliableEvidence
+                                ? 'bg-amber-50 dark:bg-amber-900/20 text-gray-900 dark:text-gray-100 shadow-sm border border-amber-300 dark:border-amber-700'
+                                : 'bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 shadow-sm border border-gray-200 dark:border-gray-700'
+                        }`}
+                      >
+                        {msg.role === 'assistant' && (
+                          <div className='flex items-center gap-2 mb-2 pb-2 border-b border-gray-200 dark:border-gray-700'>
+                            <span className='text-xl'>🤖</span>
+                            <span className='font-semibold text-sm'>
+                              Legal Assistant (Agent)
+                            </span>
+                          </div>
+                        )}
+                        {/* Ninguna búsqueda encontró fragmentos por encima del umbral */}
+                        {msg.noReliableEvidence && (
+                          <NoEvidenceNotice evidence={msg.noReliableEvidence} />
+                        )}
+                        {msg.streaming && !msg.content && (
+                          <div className='flex items-center gap-2'>
+                            <div className='animate-pulse text-2xl'>🤖</div>
+                            <span className='text-gray-600 dark:text-gray-400'>
+                              {msg.status}
+                            </span>
+                          </div>
+                        )}
+                        <div className='prose prose-sm dark:prose-invert max-w-none'>
+                          {msg.role === 'assistant' ? (
+                            <ReactMarkdown
+                              components={getMessageMarkdownComponents(msg)}
                             >
-                              {showAllCitations[index]
-                                ? '↑ Show less'
-                                : `↓ Show all ${msg.citations.length} references`}
-                            </button>
+                              {linkCitationMarkers(msg.content)}
+                            </ReactMarkdown>
+                          ) : (
+                            msg.content
                           )}
                         </div>
+                        {msg.streaming && msg.content && msg.status && (
+                          <p className='text-xs text-gray-500 dark:text-gray-400 mt-2 animate-pulse'>
+                            {msg.status}
+                          </p>
+                        )}
+                        {/* Consultas (reescritas) que se lanzaron al índice */}
+                        {!msg.streaming && msg.searchQueries?.length > 0 && (
+                          <p
+                            className='text-xs text-gray-500 dark:text-gray-400 mt-2'
+                            title='Queries sent to the document index'
+                          >
+                            🔎 Searched: {msg.searchQueries.join(' · ')}
+                          </p>
+                        )}
+                        {msg.citations && msg.citations.length > 0 && (
+                          <div className='mt-3 pt-3 border-t border-gray-200 dark:border-gray-700'>
+                            <p className='text-xs font-semibold text-gray-600 dark:text-gray-400 mb-2'>
+                              📎 References ({msg.citations.length}):
+                            </p>
+                            <div className='space-y-2'>
+                              {msg.citations
+                                .slice(
+                                  0,
+                                  showAllCitations[index]
+                                    ? msg.citations.length
+                                    : 5
+                                )
+                                .map((citation, i) => (
+                                  <CitationItem
+                                    key={i}
+                                    index={i}
+                                    citation={citation}
+                                    token={localStorage.getItem('token')}
+                                    onPreview={(enrichedDoc) =>
+                                      openCitation(msg, enrichedDoc)
+                                    }
+                                    onCompare={selectForCompare}
+                                  />
+                                ))}
+                              {msg.citations.length > 5 && (
+                                <button
+                                  onClick={() =>
+                                    setShowAllCitations((prev) => ({
+                                      ...prev,
+                                      [index]: !prev[index],
+                                    }))
+                                  }
+                                  className='text-xs text-blue-600 dark:text-blue-400 hover:underline mt-2 font-medium'
+                                >
+                                  {showAllCitations[index]
+                                    ? '↑ Show less'
+                                    : `↓ Show all ${msg.citations.length} references`}
+                                </button>
+                              )}
+                            </div>
+                          </div>
+                        )}
                       </div>
-                    )}
-                  </div>
-                </div>
-              ))
-            )}
-            {loading && (
-              <div className='flex justify-start'>
-                <div className='bg-white dark:bg-gray-800 rounded-lg px-4 py-3 shadow-sm border border-gray-200 dark:border-gray-700'>
-                  <div className='flex items-center gap-2'>
-                    <div className='animate-pulse text-2xl'>🤖</div>
-                    <span className='text-gray-600 dark:text-gray-400'>
-                      Agent is thinking...
+                    </div>
+                  ))
+                )}
+                <div ref={messagesEndRef} />
+              </div>
+            </div>
+
+            {/* Input Area */}
+            <div className='bg-white dark:bg-gray-800 border-t border-gray-200 dark:border-gray-700 px-6 py-4'>
+              <form onSubmit={handleSubmit} className='max-w-5xl mx-auto'>
+                {documentScope && (
+                  <div className='mb-2 flex items-center gap-2 text-xs'>
+                    <span className='inline-flex items-center gap-1.5 max-w-full px-2 py-1 rounded-full bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'>
+                      <span className='truncate'>
+                        {documentScope.type === 'folder' ? '📁' : '📄'} Asking
+                        about{' '}
+                        <span className='font-mono'>{documentScope.path}</span>
+                      </span>
+                      <button
+                        type='button'
+                        onClick={() => setDocumentScope(null)}
+                        className='flex-shrink-0 hover:text-blue-600 dark:hover:text-blue-400'
+                        title='Ask about all documents again'
+                      >
+                        <FiX />
+                      </button>
                     </span>
                   </div>
+                )}
+                <div className='flex gap-3'>
+                  <input
+                    ref={inputRef}
+                    type='text'
+                    value={input}
+                    onChange={(e) => setInput(e.target.value)}
+                    placeholder='Type your question about the case...'
+                    className='flex-1 px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400'
+                    disabled={loading}
+                  />
+                  <button
+                    type='submit'
+                    disabled={loading || !input.trim()}
+                    className='px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-300 dark:disabled:bg-blue-800 disabled:cursor-not-allowed transition-colors font-medium'
+                  >
+                    {loading ? '⏳' : '📤'} Send
+                  </button>
                 </div>
-              </div>
-            )}
-            <div ref={messagesEndRef} />
-          </div>
-        </div>
-
-        {/* Input Area */}
-        <div className='bg-white dark:bg-gray-800 border-t border-gray-200 dark:border-gray-700 px-6 py-4'>
-          <form onSubmit={handleSubmit} className='max-w-5xl mx-auto'>
-            <div className='flex gap-3'>
-              <input
-                type='text'
-                value={input}
-                onChange={(e) => setInput(e.target.value)}
-                placeholder='Type your question about the case...'
-                className='flex-1 px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400'
-                disabled={loading}
-              />
-              <button
-                type='submit'
-                disabled={loading || !input.trim()}
-                className='px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-300 dark:disabled:bg-blue-800 disabled:cursor-not-allowed transition-colors font-medium'
-              >
-                {loading ? '⏳' : '📤'} Send
-              </button>
+                <p className='text-xs text-gray-500 dark:text-gray-400 mt-2'>
+                  🔒 Searching in{' '}
+                  {documentScope
+                    ? `${documentScope.type} ${documentScope.path} (case ${documentScope.caseNumber})`
+                    : `cases: ${
+                        selectedCases.length > 0
+                          ? selectedCases.join(', ')
+                          : user.cases.includes('*')
+                            ? 'all cases'
+                            : `all ${user.cases.length} authorized cases`
+                      }`}
+                </p>
+              </form>
             </div>
-            <p className='text-xs text-gray-500 dark:text-gray-400 mt-2'>
-              🔒 You can only access information from cases:{' '}
-              {user.cases.join(', ')}
-            </p>
-          </form>
-        </div>
+          </>
+        )}
       </div>
 
+      {compareSelection.length === 1 && (
+        <div className='fixed bottom-24 left-1/2 -translate-x-1/2 z-40 flex items-center gap-2 max-w-lg px-4 py-2 rounded-full shadow-lg bg-gray-900 text-white text-sm'>
+          <FiColumns className='flex-shrink-0' />
+          <span className='truncate'>
+            Comparing <strong>{compareSelection[0].title}</strong>: pick a
+            second document
+          </span>
+          <button
+            onClick={() => setCompareSelection([])}
+            className='flex-shrink-0 hover:text-gray-300'
+            title='Cancel comparison'
+          >
+            <FiX />
+          </button>
+        </div>
+      )}
+
+      {compareSelection.length === 2 && (
+        <ComparePanel
+          left={compareSelection[0]}
+          right={compareSelection[1]}
+          token={localStorage.getItem('token')}
+          onClose={() => setCompareSelection([])}
+        />
+      )}
+
       {/* Document Preview Panel */}
       {previewPanelOpen && (
         <DocumentPreviewPanel
@@ -528,7 +967,7 @@ function Chat({ user, onLogout, theme, toggleTheme }) {
 }
 
 // 🚀 SIMPLIFICADO: CitationItem sin carga asíncrona
-const CitationItem = ({ citation, index, onPreview, token }) => {
+const CitationItem = ({ citation, index, onPreview, onCompare, token }) => {
   // Ya no necesitamos estado ni useEffect, todo viene del backend
   const hasBlobPath = !!citation.blobPath
 
@@ -544,16 +983,50 @@ const CitationItem = ({ citation, index, onPreview, token }) => {
             {hasBlobPath ? '⚡' : '🔗'}
           </span>
           <span>
-            {index + 1}. {citation.title}
+            [{citation.number ?? index + 1}] {citation.title}
           </span>
         </div>
 
+        {citation.chunk && (
+          <div className='text-[11px] text-gray-600 dark:text-gray-300 mt-1 pl-5 line-clamp-2'>
+            “{citation.chunk}”
+          </div>
+        )}
+
         {citation.blobPath && (
           <div className='text-[10px] text-gray-500 dark:text-gray-400 mt-1 truncate font-mono pl-5'>
             📁 {citation.blobPath}
           </div>
         )}
       </div>
+      <button
+        onClick={() => onCompare(citation)}
+        className='flex-shrink-0 p-1 rounded text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-200 dark:hover:bg-gray-600'
+        title='Compare with another document'
+      >
+        <FiColumns />
+      </button>
+    </div>
+  )
+}
+
+// Aviso de respuesta sin evidencia: los fragmentos encontrados no superan
+// el umbral de relevancia del backend, así que la respuesta no se apoya en
+// ningún documento
+const NoEvidenceNotice = ({ evidence }) => {
+  const best = Math.max(
+    ...evidence.searches.map((search) => search.bestScore ?? 0)
+  )
+
+  return (
+    <div className='mb-2 p-2 rounded bg-amber-100 dark:bg-amber-900/40 text-xs text-amber-900 dark:text-amber-200'>
+      <p className='font-semibold'>⚠️ No reliable evidence found</p>
+      <p className='mt-1'>
+        None of the passages found in the documents was relevant enough to
+        support an answer (best relevance {best.toFixed(2)}, threshold{' '}
+        {evidence.threshold}). Try naming the case, the document type or the
+        dates.
+      </p>
     </div>
   )
 }
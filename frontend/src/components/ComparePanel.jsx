@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react'
+import API_URL from '../apiConfig'
+import { FiChevronDown, FiChevronRight, FiX } from 'react-icons/fi'
+import DocumentPreviewPanel from './DocumentPreviewPanel'
+
+const CATEGORY_LABELS = {
+  date: '📅 Date',
+  amount: '💲 Amount',
+  name: '👤 Name',
+  other: '📌 Other',
+}
+
+/**
+ * Modo comparar: los dos documentos lado a lado (cada uno con su preview
+ * normal) y encima la lista de diferencias de hechos que encuentra el LLM.
+ * El backend aplica a ambos los mismos permisos que /api/documents/get-url.
+ */
+export default function ComparePanel({ left, right, token, onClose }) {
+  const [comparison, setComparison] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+    setComparison(null)
+
+    fetch(`${API_URL}/api/documents/compare`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        left: { filename: left.title, blobPath: left.blobPath },
+        right: { filename: right.title, blobPath: right.blobPath },
+      }),
+    })
+      .then(async (response) => {
+        const data = await response.json().catch(() => ({}))
+        if (!response.ok) {
+          throw new Error(
+            data.details || data.error || 'Could not compare documents'
+          )
+        }
+        return data
+      })
+      .then((data) => !cancelled && setComparison(data))
+      .catch((err) => {
+        console.error('❌ Error comparing documents:', err)
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [left, right, token])
+
+  return (
+    <div className='fixed inset-0 z-50 bg-white dark:bg-gray-900 flex flex-col'>
+      <div className='px-4 py-3 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900'>
+        <div className='flex items-center justify-between gap-3'>
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className='flex items-center gap-2 text-lg font-semibold text-gray-900 dark:text-white'
+          >
+            {expanded ? <FiChevronDown /> : <FiChevronRight />}
+            ⚖️ Differences
+            {comparison && (
+              <span className='text-sm font-normal text-gray-500 dark:text-gray-400'>
+                ({comparison.differences.length})
+              </span>
+            )}
+          </button>
+          <button
+            onClick={onClose}
+            className='p-2 rounded-lg text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700'
+            title='Close comparison'
+          >
+            <FiX className='text-xl' />
+          </button>
+        </div>
+
+        {expanded && (
+          <div className='mt-2 max-h-64 overflow-y-auto text-sm'>
+            {loading && (
+              <p className='text-gray-500 dark:text-gray-400'>
+                Comparing documents...
+              </p>
+            )}
+
+            {error && (
+              <p className='text-red-600 dark:text-red-400'>⚠️ {error}</p>
+            )}
+
+            {comparison && (
+              <>
+                {comparison.summary && (
+                  <p className='text-gray-700 dark:text-gray-300 mb-2'>
+                    {comparison.summary}
+                  </p>
+                )}
+                {comparison.differences.length === 0 ? (
+                  <p className='text-gray-500 dark:text-gray-400'>
+                    No factual differences found.
+                  </p>
+                ) : (
+                  <table className='w-full text-xs'>
+                    <thead>
+                      <tr className='text-left text-gray-500 dark:text-gray-400'>
+                        <th className='py-1 pr-2 font-medium w-24'>Type</th>
+                        <th className='py-1 pr-2 font-medium'>Difference</th>
+                        <th className='py-1 pr-2 font-medium'>
+                          A · {comparison.left.title}
+                        </th>
+                        <th className='py-1 font-medium'>
+                          B · {comparison.right.title}
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.differences.map((item, i) => (
+                        <tr
+                          key={i}
+                          className='border-t border-gray-200 dark:border-gray-700 align-top text-gray-800 dark:text-gray-200'
+                        >
+                          <td className='py-1 pr-2 whitespace-nowrap'>
+                            {CATEGORY_LABELS[item.category]}
+                          </td>
+                          <td className='py-1 pr-2'>{item.description}</td>
+                          <td className='py-1 pr-2 text-red-700 dark:text-red-300'>
+                            {item.left || '—'}
+                          </td>
+                          <td className='py-1 text-green-700 dark:text-green-300'>
+                            {item.right || '—'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {comparison.truncated && (
+                  <p className='text-[11px] text-gray-500 dark:text-gray-400 mt-1'>
+                    Long documents: only their first part was compared.
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className='flex-1 min-h-0 grid grid-cols-2 divide-x divide-gray-200 dark:divide-gray-700'>
+        <DocumentPreviewPanel document={left} token={token} embedded />
+        <DocumentPreviewPanel document={right} token={token} embedded />
+      </div>
+    </div>
+  )
+}
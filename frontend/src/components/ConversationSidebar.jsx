@@ -0,0 +1,140 @@
+import React, { useState } from 'react'
+import { FiEdit2, FiPlus, FiTrash2 } from 'react-icons/fi'
+
+const formatUpdatedAt = (isoDate) => {
+  if (!isoDate) return ''
+  const date = new Date(isoDate)
+  const today = new Date()
+  if (date.toDateString() === today.toDateString()) {
+    return date.toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+  }
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+}
+
+export default function ConversationSidebar({
+  conversations,
+  activeId,
+  loading,
+  disabled,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+}) {
+  const [editingId, setEditingId] = useState(null)
+  const [draftTitle, setDraftTitle] = useState('')
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation.id)
+    setDraftTitle(conversation.title)
+  }
+
+  const submitRename = async (e) => {
+    e.preventDefault()
+    const title = draftTitle.trim()
+    if (title) {
+      try {
+        await onRename(editingId, title)
+      } catch (error) {
+        console.error('Error renaming conversation:', error)
+      }
+    }
+    setEditingId(null)
+  }
+
+  const confirmDelete = (conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"?`)) {
+      onDelete(conversation.id)
+    }
+  }
+
+  return (
+    <aside className='w-64 flex-shrink-0 flex flex-col bg-white dark:bg-gray-800 border-r border-gray-200 dark:border-gray-700'>
+      <div className='p-4 border-b border-gray-200 dark:border-gray-700'>
+        <button
+          onClick={onNew}
+          disabled={disabled}
+          className='w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors flex items-center justify-center gap-2 font-medium disabled:opacity-50 disabled:cursor-not-allowed'
+        >
+          <FiPlus /> New Chat
+        </button>
+      </div>
+
+      <div className='flex-1 overflow-y-auto p-2 space-y-1'>
+        {loading && conversations.length === 0 && (
+          <p className='text-xs text-gray-500 dark:text-gray-400 p-2'>
+            Loading history...
+          </p>
+        )}
+        {!loading && conversations.length === 0 && (
+          <p className='text-xs text-gray-500 dark:text-gray-400 p-2'>
+            No previous conversations
+          </p>
+        )}
+
+        {conversations.map((conversation) => {
+          const isActive = conversation.id === activeId
+
+          if (editingId === conversation.id) {
+            return (
+              <form key={conversation.id} onSubmit={submitRename} className='p-1'>
+                <input
+                  autoFocus
+                  value={draftTitle}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onBlur={submitRename}
+                  onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                  className='w-full px-2 py-1 text-sm border border-blue-500 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none'
+                />
+              </form>
+            )
+          }
+
+          return (
+            <div
+              key={conversation.id}
+              className={`group flex items-center gap-1 rounded-md px-2 py-2 cursor-pointer transition-colors ${
+                isActive
+                  ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-800 dark:text-blue-200'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              } ${disabled ? 'pointer-events-none opacity-60' : ''}`}
+              onClick={() => onSelect(conversation.id)}
+              title={conversation.title}
+            >
+              <div className='flex-1 min-w-0'>
+                <div className='text-sm truncate'>{conversation.title}</div>
+                <div className='text-[10px] text-gray-500 dark:text-gray-400'>
+                  {formatUpdatedAt(conversation.updatedAt)} ·{' '}
+                  {conversation.messageCount} messages
+                </div>
+              </div>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation()
+                  startEditing(conversation)
+                }}
+                className='p-1 opacity-0 group-hover:opacity-100 hover:text-blue-600 dark:hover:text-blue-400'
+                title='Rename conversation'
+              >
+                <FiEdit2 size={12} />
+              </button>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation()
+                  confirmDelete(conversation)
+                }}
+                className='p-1 opacity-0 group-hover:opacity-100 hover:text-red-600 dark:hover:text-red-400'
+                title='Delete conversation'
+              >
+                <FiTrash2 size={12} />
+              </button>
+            </div>
+          )
+        })}
+      </div>
+    </aside>
+  )
+}
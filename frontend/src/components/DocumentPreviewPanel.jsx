@@ -1,13 +1,22 @@
 import React, { useState, useEffect, useRef } from 'react'
-import { pdfjs } from 'react-pdf'
-import 'react-pdf/dist/Page/AnnotationLayer.css'
-import 'react-pdf/dist/Page/TextLayer.css'
 import API_URL from '../apiConfig' // <--- IMPORTANTE: Importamos la configuración
-
-// Configurar worker de PDF.js
-pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`
-
-export default function DocumentPreviewPanel({ document, onClose, token }) {
+import PDFViewer from './PDFViewer'
+import { findPassageRange } from '../utils/passageSearch'
+
+// Documentos de Office: se muestran con la vista previa convertida
+const isOfficeFile = (filename) =>
+  /\.(docx|doc|xlsx|xls|pptx|ppt)$/i.test(filename || '')
+
+/**
+ * Panel lateral de preview. `embedded` lo muestra dentro de otro contenedor
+ * (modo comparar) en lugar de fijo a la derecha.
+ */
+export default function DocumentPreviewPanel({
+  document,
+  onClose,
+  token,
+  embedded = false,
+}) {
   const [content, setContent] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -18,117 +27,80 @@ export default function DocumentPreviewPanel({ document, onClose, token }) {
     }
   }, [document])
 
-  const loadDocument = async () => {
-    setIsLoading(true)
-    setError(null)
-
-    try {
-      const tokenParts = token.split('.')
-      const payload = JSON.parse(atob(tokenParts[1]))
-      const sessionId = payload.sessionId
-
-      // ELIMINADO: La lógica manual de localhost
-      // const isDev = import.meta.env.DEV
-      // const baseUrl = isDev ? 'http://localhost:3001' : ''
-
-      // 🚀 OPTIMIZACIÓN: Si ya viene blobPath, hacer fetch directo
-      if (document.blobPath) {
-        console.log('⚡ Using blobPath from index:', document.blobPath)
-
-        // USAMOS API_URL AQUÍ
-        const metadataResponse = await fetch(
-          `${API_URL}/api/documents/get-url`,
-          {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              Authorization: `Bearer ${token}`,
-            },
-            body: JSON.stringify({
-              filename: document.title,
-              blobPath: document.blobPath,
-            }),
-          }
-        )
-
-        const metadata = await metadataResponse.json()
-
-        if (!metadataResponse.ok) {
-          console.error('❌ Error loading document:', metadata.error)
-          if (metadata.error && metadata.error.includes('not found')) {
-            throw new Error(
-              `Document not found: ${document.title}\n\nThe file may have been moved or deleted from blob storage.`
-            )
-          }
-          throw new Error(metadata.error || 'Could not load document')
-        }
-
-        if (!metadata.url) {
-          throw new Error('No valid URL returned from server')
-        }
-
-        // USAMOS API_URL PARA EL PROXY TAMBIÉN
-        const proxyUrl = `${API_URL}/api/proxy/${sessionId}/${encodeURIComponent(
-          metadata.filename
-        )}`
-
-        console.log('✅ Document loaded successfully:', metadata.filename)
-
-        setContent({
-          url: metadata.url,
-          proxyUrl: proxyUrl,
-          metadata: metadata.metadata,
-          blobPath: metadata.blobPath,
-        })
-
-        setIsLoading(false)
-        return
-      }
-
-      // 🐢 FALLBACK: Sin blobPath (casos raros)
+  // Pide al backend un enlace para un único propósito (caduca en minutos):
+  // 'preview' (Office) o 'view' para mostrarlo, 'download' al descargar
+  const fetchDocumentContent = async (
+    purpose = isOfficeFile(document.title) ? 'preview' : 'view'
+  ) => {
+    // 🚀 OPTIMIZACIÓN: Si ya viene blobPath, el backend no tiene que buscarlo
+    if (document.blobPath) {
+      console.log('⚡ Using blobPath from index:', document.blobPath)
+    } else {
       console.log('🐢 No blobPath, searching by filename...')
+    }
 
-      // USAMOS API_URL AQUÍ
-      const metadataResponse = await fetch(`${API_URL}/api/documents/get-url`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify({
-          filename: document.title,
-        }),
-      })
+    const metadataResponse = await fetch(`${API_URL}/api/documents/get-url`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        filename: document.title,
+        blobPath: document.blobPath,
+        purpose,
+      }),
+    })
 
-      const metadata = await metadataResponse.json()
+    const metadata = await metadataResponse.json()
 
-      if (!metadataResponse.ok) {
-        console.error('❌ Error loading document:', metadata.error)
-        if (metadata.error && metadata.error.includes('not found')) {
-          throw new Error(
-            `Document not found: ${document.title}\n\nThe file may have been moved or deleted from blob storage.`
-          )
-        }
-        throw new Error(metadata.error || 'Could not load document')
+    if (!metadataResponse.ok) {
+      console.error('❌ Error loading document:', metadata.error)
+      if (metadata.error && metadata.error.includes('not found')) {
+        throw new Error(
+          `Document not found: ${document.title}\n\nThe file may have been moved or deleted from blob storage.`
+        )
       }
+      throw new Error(metadata.error || 'Could not load document')
+    }
 
-      if (!metadata.url) {
-        throw new Error('No valid URL returned from server')
-      }
+    // Sin conversión disponible el servidor devuelve 'view' en lugar de 'preview'
+    const link =
+      metadata.links?.[purpose] ||
+      (purpose === 'preview' ? metadata.links?.view : null)
+    if (!link) {
+      throw new Error('No valid URL returned from server')
+    }
 
-      // USAMOS API_URL AQUÍ
-      const proxyUrl = `${API_URL}/api/proxy/${sessionId}/${encodeURIComponent(
-        metadata.filename
-      )}`
+    console.log('✅ Document loaded successfully:', metadata.filename)
+
+    const viewUrl = metadata.links.view
+      ? `${API_URL}${metadata.links.view}`
+      : null
+
+    return {
+      url: `${API_URL}${link}`,
+      proxyUrl: viewUrl,
+      downloadUrl: metadata.links.download
+        ? `${API_URL}${metadata.links.download}`
+        : null,
+      // Vista previa convertida en el servidor (Office): 'html' o 'pdf'
+      previewUrl: metadata.links.preview
+        ? `${API_URL}${metadata.links.preview}`
+        : null,
+      previewFormat: metadata.preview?.format || null,
+      expiresAt: metadata.expiresAt,
+      metadata: metadata.metadata,
+      blobPath: metadata.blobPath,
+    }
+  }
 
-      console.log('✅ Document loaded successfully:', metadata.filename)
+  const loadDocument = async () => {
+    setIsLoading(true)
+    setError(null)
 
-      setContent({
-        url: metadata.url,
-        proxyUrl: proxyUrl,
-        metadata: metadata.metadata,
-        blobPath: metadata.blobPath,
-      })
+    try {
+      setContent(await fetchDocumentContent())
     } catch (err) {
       console.error('❌ Error loading document:', err)
       setError(err.message)
@@ -137,9 +109,31 @@ export default function DocumentPreviewPanel({ document, onClose, token }) {
     }
   }
 
-  const getFileExtension = () => {
-    if (!document?.title) return ''
-    return document.title.split('.').pop().toLowerCase()
+  // Cada enlace sirve para un único propósito y caduca: renovarlo
+  // antes de abrir una pestaña nueva o descargar
+  const getFreshContent = async () => {
+    const expiresAt = content?.expiresAt ? new Date(content.expiresAt) : null
+    if (expiresAt && expiresAt.getTime() - Date.now() > 10 * 1000) {
+      return content
+    }
+
+    const fresh = await fetchDocumentContent()
+    setContent(fresh)
+    return fresh
+  }
+
+  const handleDownload = async () => {
+    try {
+      // El enlace de descarga se pide (y audita) solo al descargar
+      const { downloadUrl } = await fetchDocumentContent('download')
+      const link = window.document.createElement('a')
+      link.href = downloadUrl
+      link.download = document.title
+      link.click()
+    } catch (err) {
+      console.error('❌ Error downloading document:', err)
+      setError(err.message)
+    }
   }
 
   const renderContent = () => {
@@ -170,35 +164,48 @@ export default function DocumentPreviewPanel({ document, onClose, token }) {
     const lowerFilename = filename.toLowerCase()
 
     const isPdf = lowerFilename.endsWith('.pdf')
-    const isEmail = lowerFilename.endsWith('.msg')
-    const isOfficeDoc = lowerFilename.match(/\.(docx|doc|xlsx|xls|pptx|ppt)$/i)
+    const isEmail = lowerFilename.match(/\.(msg|eml|oft)$/i)
+    const isOfficeDoc = isOfficeFile(lowerFilename)
 
     if (isEmail) {
-      return <EmailViewer url={content.url} filename={filename} token={token} />
-    }
-
-    if (isOfficeDoc) {
-      const officeViewerUrl = `https://view.officeapps.live.com/op/embed.aspx?src=${encodeURIComponent(
-        content.url
-      )}`
       return (
-        <iframe
-          src={officeViewerUrl}
-          width='100%'
-          height='100%'
-          frameBorder='0'
-          title='Office Document Viewer'
-          className='bg-white'
+        <EmailViewer
+          blobPath={content.blobPath}
+          filename={filename}
+          token={token}
         />
       )
     }
 
+    if (isOfficeDoc) {
+      if (content.previewFormat === 'pdf') {
+        return <PDFViewer url={content.previewUrl} filename={filename} />
+      }
+
+      if (content.previewFormat === 'html') {
+        // HTML generado y saneado en el servidor; sin scripts ni cargas remotas
+        return (
+          <iframe
+            src={content.previewUrl}
+            sandbox='allow-popups allow-popups-to-escape-sandbox'
+            width='100%'
+            height='100%'
+            frameBorder='0'
+            title='Office Document Preview'
+            className='bg-white'
+          />
+        )
+      }
+
+      return <NoPreview filename={filename} />
+    }
+
     if (isPdf) {
       return (
         <PDFViewer
-          url={content.url}
-          proxyUrl={content.proxyUrl}
+          url={content.proxyUrl}
           filename={filename}
+          chunk={document.chunk}
           searchTerms={document.searchTerms}
           contextSnippets={document.contextSnippets}
         />
@@ -210,6 +217,7 @@ export default function DocumentPreviewPanel({ document, onClose, token }) {
         url={content.proxyUrl || content.url}
         filename={filename}
         token={token}
+        chunk={document.chunk}
       />
     )
   }
@@ -224,7 +232,13 @@ export default function DocumentPreviewPanel({ document, onClose, token }) {
   if (!document) return null
 
   return (
-    <div className='fixed right-0 top-0 h-full w-2/5 bg-white dark:bg-gray-800 shadow-2xl border-l border-gray-200 dark:border-gray-700 z-50 flex flex-col animate-slide-in'>
+    <div
+      className={
+        embedded
+          ? 'h-full min-w-0 bg-white dark:bg-gray-800 flex flex-col'
+          : 'fixed right-0 top-0 h-full w-2/5 bg-white dark:bg-gray-800 shadow-2xl border-l border-gray-200 dark:border-gray-700 z-50 flex flex-col animate-slide-in'
+      }
+    >
       <div className='p-4 border-b border-gray-200 dark:border-gray-700 flex items-start justify-between bg-gray-50 dark:bg-gray-900'>
         <div className='flex-1 min-w-0 pr-4'>
           <h2 className='text-lg font-semibold text-gray-900 dark:text-white truncate mb-1'>
@@ -250,47 +264,47 @@ export default function DocumentPreviewPanel({ document, onClose, token }) {
             </p>
           )}
         </div>
-        <button
-          onClick={onClose}
-          className='flex-shrink-0 p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-lg transition-colors text-gray-700 dark:text-gray-200'
-          title='Close preview'
-        >
-          <span className='text-xl'>✕</span>
-        </button>
+        {onClose && (
+          <button
+            onClick={onClose}
+            className='flex-shrink-0 p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-lg transition-colors text-gray-700 dark:text-gray-200'
+            title='Close preview'
+          >
+            <span className='text-xl'>✕</span>
+          </button>
+        )}
       </div>
 
+      {content?.blobPath && (
+        <DocumentSummary
+          key={content.blobPath}
+          blobPath={content.blobPath}
+          token={token}
+        />
+      )}
+
+      {document.chunk && <CitedPassage document={document} />}
+
       <div className='flex-1 overflow-auto'>{renderContent()}</div>
 
       {content?.url && !error && (
         <div className='p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900 flex gap-2'>
-          <a
-            href={content.url}
-            download={document.title}
-            target='_blank'
-            rel='noreferrer'
+          <button
+            onClick={handleDownload}
             className='flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-center font-medium text-sm'
           >
             📥 Download
-          </a>
+          </button>
           <button
-            onClick={() => {
-              const ext = getFileExtension()
-              let urlToOpen
-
-              if (
-                ext === 'docx' ||
-                ext === 'doc' ||
-                ext === 'xlsx' ||
-                ext === 'xls'
-              ) {
-                urlToOpen = `https://view.officeapps.live.com/op/view.aspx?src=${encodeURIComponent(
-                  content.url
-                )}`
-              } else {
-                urlToOpen = content.proxyUrl
-              }
-
-              window.open(urlToOpen, '_blank')
+            onClick={async () => {
+              const fresh = await getFreshContent().catch((err) => {
+                setError(err.message)
+                return null
+              })
+              if (!fresh) return
+
+              // Office: la vista previa convertida, no el archivo original
+              window.open(fresh.url, '_blank')
             }}
             className='flex-1 px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors font-medium text-sm'
           >
@@ -302,106 +316,185 @@ export default function DocumentPreviewPanel({ document, onClose, token }) {
   )
 }
 
-// Componente PDF Viewer
-function PDFViewer({ url, filename, searchTerms, contextSnippets, proxyUrl }) {
-  const [loading, setLoading] = useState(true)
+// Documento de Office sin conversión disponible (p. ej. .doc sin LibreOffice)
+function NoPreview({ filename }) {
+  return (
+    <div className='p-6'>
+      <div className='bg-gray-50 dark:bg-gray-900/40 border border-gray-200 dark:border-gray-700 rounded-lg p-6 text-center'>
+        <div className='text-5xl mb-3'>📄</div>
+        <p className='text-sm text-gray-700 dark:text-gray-300 mb-2'>
+          No preview is available for this file format.
+        </p>
+        <p className='text-xs font-mono text-gray-500 dark:text-gray-400 break-all'>
+          {filename}
+        </p>
+        <p className='text-xs text-gray-500 dark:text-gray-400 mt-4'>
+          💡 Click "Download" below to open it in Office
+        </p>
+      </div>
+    </div>
+  )
+}
+
+// Resumen y hechos clave generados por el LLM (guardados por ETag del
+// blob): se muestran si existen y se generan solo a petición
+function DocumentSummary({ blobPath, token }) {
+  const [summary, setSummary] = useState(null)
+  const [generating, setGenerating] = useState(false)
   const [error, setError] = useState(null)
-  const [showContext, setShowContext] = useState(true)
+  const [expanded, setExpanded] = useState(true)
+
+  const request = async (options = {}) => {
+    const response = await fetch(
+      options.method === 'POST'
+        ? `${API_URL}/api/documents/summary`
+        : `${API_URL}/api/documents/summary?blobPath=${encodeURIComponent(
+            blobPath
+          )}`,
+      {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+      }
+    )
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.details || data.error || 'Summary not available')
+    }
+    return data
+  }
+
+  useEffect(() => {
+    request()
+      .then(setSummary)
+      .catch((err) => setError(err.message))
+  }, [])
 
-  const relevantSnippets =
-    contextSnippets?.filter(
-      (s) =>
-        s.source === filename ||
-        s.source.includes(filename.split('.')[0]) ||
-        filename.includes(s.source.split('.')[0])
-    ) || []
+  const generate = async () => {
+    setGenerating(true)
+    setError(null)
+    try {
+      setSummary(
+        await request({ method: 'POST', body: JSON.stringify({ blobPath }) })
+      )
+      setExpanded(true)
+    } catch (err) {
+      console.error('❌ Error generating summary:', err)
+      setError(err.message)
+    } finally {
+      setGenerating(false)
+    }
+  }
 
-  // 🔥 Usar proxyUrl si existe, sino usar url directa
-  const pdfUrl = proxyUrl || url
+  if (!summary && !error) return null
 
-  console.log('📄 Loading PDF from:', pdfUrl)
+  const hasSummary = summary?.summary && summary.status !== 'missing'
 
   return (
-    <div className='h-full flex flex-col bg-gray-100 dark:bg-gray-900'>
-      {relevantSnippets.length > 0 && showContext && (
-        <div className='bg-blue-50 dark:bg-blue-900/30 border-b border-blue-200 dark:border-blue-800 p-3 max-h-48 overflow-y-auto'>
-          <div className='flex items-start justify-between mb-2'>
-            <span className='text-sm font-medium text-blue-800 dark:text-blue-200'>
-              📝 Relevant context found in this document:
+    <div className='bg-blue-50 dark:bg-blue-900/20 border-b border-blue-200 dark:border-blue-800 p-3'>
+      <div className='flex items-center justify-between gap-2'>
+        <span className='text-sm font-medium text-blue-900 dark:text-blue-100'>
+          📝 Summary
+          {summary?.status === 'stale' && (
+            <span className='ml-2 text-xs font-normal text-amber-700 dark:text-amber-300'>
+              The document changed since this summary
             </span>
+          )}
+        </span>
+        <div className='flex gap-3'>
+          {(!hasSummary || summary.status === 'stale') && (
             <button
-              onClick={() => setShowContext(false)}
-              className='text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-200'
+              onClick={generate}
+              disabled={generating}
+              className='text-xs text-blue-800 dark:text-blue-200 hover:underline disabled:opacity-50'
             >
-              ✕
+              {generating
+                ? 'Summarizing...'
+                : hasSummary
+                ? 'Update summary'
+                : 'Summarize document'}
             </button>
-          </div>
-          <div className='space-y-2'>
-            {relevantSnippets.map((snippet, i) => (
-              <div
-                key={i}
-                className='bg-white dark:bg-gray-800 rounded p-2 text-xs'
-              >
-                <p className='text-gray-700 dark:text-gray-300'>
-                  ...{snippet.beforeContext}{' '}
-                  <mark className='bg-yellow-300 dark:bg-yellow-600 px-1 rounded font-semibold'>
-                    {snippet.term}
-                  </mark>{' '}
-                  {snippet.afterContext}...
-                </p>
-              </div>
-            ))}
-          </div>
+          )}
+          {hasSummary && (
+            <button
+              onClick={() => setExpanded(!expanded)}
+              className='text-xs text-blue-800 dark:text-blue-200 hover:underline'
+            >
+              {expanded ? 'Hide' : 'Show'}
+            </button>
+          )}
         </div>
+      </div>
+
+      {error && (
+        <p className='text-xs text-red-600 dark:text-red-400 mt-1'>
+          ⚠️ {error}
+        </p>
       )}
 
-      {loading && (
-        <div className='absolute inset-0 flex items-center justify-center bg-white dark:bg-gray-900 z-10'>
-          <div className='text-center'>
-            <div className='animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4'></div>
-            <p className='text-gray-600 dark:text-gray-400'>Loading PDF...</p>
-          </div>
+      {hasSummary && expanded && (
+        <div className='mt-1 max-h-56 overflow-y-auto'>
+          <p className='text-xs text-gray-800 dark:text-gray-200'>
+            {summary.summary}
+          </p>
+          {summary.keyFacts.length > 0 && (
+            <ul className='mt-1 list-disc list-inside text-xs text-gray-700 dark:text-gray-300 space-y-0.5'>
+              {summary.keyFacts.map((fact, i) => (
+                <li key={i}>{fact}</li>
+              ))}
+            </ul>
+          )}
+          {summary.truncated && (
+            <p className='text-[11px] text-gray-500 dark:text-gray-400 mt-1'>
+              Summary based on the first part of the document.
+            </p>
+          )}
         </div>
       )}
+    </div>
+  )
+}
 
-      <iframe
-        src={pdfUrl}
-        className='w-full flex-1 border-0'
-        title={filename}
-        onLoad={() => {
-          console.log('✅ PDF loaded successfully')
-          setLoading(false)
-        }}
-        onError={(e) => {
-          console.error('❌ PDF iframe error:', e)
-          setError('Failed to load PDF')
-          setLoading(false)
-        }}
-      />
+// Fragmento exacto del documento que respalda la cita
+function CitedPassage({ document }) {
+  const [expanded, setExpanded] = useState(false)
 
-      {error && (
-        <div className='absolute inset-0 flex items-center justify-center bg-white dark:bg-gray-900'>
-          <div className='p-4'>
-            <div className='bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4'>
-              <p className='text-red-800 dark:text-red-200 font-medium mb-2'>
-                ⚠️ Error loading PDF
-              </p>
-              <p className='text-red-600 dark:text-red-400 text-sm'>{error}</p>
-              <p className='text-xs text-gray-600 dark:text-gray-400 mt-2'>
-                Try downloading the file instead.
-              </p>
-            </div>
-          </div>
-        </div>
-      )}
+  return (
+    <div className='bg-yellow-50 dark:bg-yellow-900/20 border-b border-yellow-200 dark:border-yellow-800 p-3'>
+      <div className='flex items-center justify-between mb-1'>
+        <span className='text-sm font-medium text-yellow-900 dark:text-yellow-100'>
+          📌 Cited passage{document.number ? ` [${document.number}]` : ''}
+          {document.case && (
+            <span className='ml-2 text-xs font-normal text-yellow-700 dark:text-yellow-300'>
+              Case {document.case}
+            </span>
+          )}
+        </span>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className='text-xs text-yellow-800 dark:text-yellow-200 hover:underline'
+        >
+          {expanded ? 'Show less' : 'Show more'}
+        </button>
+      </div>
+      <p
+        className={`text-xs text-gray-800 dark:text-gray-200 whitespace-pre-wrap ${
+          expanded ? 'max-h-64 overflow-y-auto' : 'line-clamp-3'
+        }`}
+      >
+        {document.chunk}
+      </p>
     </div>
   )
 }
 
 // Componente Text File Viewer
-function TextFileViewer({ url, token }) {
+function TextFileViewer({ url, token, chunk }) {
   const [text, setText] = useState('')
   const [loading, setLoading] = useState(true)
+  const highlightRef = useRef(null)
 
   useEffect(() => {
     fetch(url)
@@ -420,6 +513,15 @@ function TextFileViewer({ url, token }) {
       })
   }, [url, token])
 
+  const range = findPassageRange(text, chunk)
+
+  // Llevar el chunk citado a la vista
+  useEffect(() => {
+    if (!loading && highlightRef.current) {
+      highlightRef.current.scrollIntoView({ block: 'center' })
+    }
+  }, [loading, text, chunk])
+
   if (loading) {
     return (
       <div className='flex items-center justify-center h-full'>
@@ -431,25 +533,94 @@ function TextFileViewer({ url, token }) {
   return (
     <div className='p-6 h-full overflow-auto bg-white dark:bg-gray-900'>
       <pre className='whitespace-pre-wrap text-sm font-mono text-gray-800 dark:text-gray-200 leading-relaxed'>
-        {text}
+        {range ? (
+          <>
+            {text.slice(0, range[0])}
+            <mark
+              ref={highlightRef}
+              className='bg-yellow-200 dark:bg-yellow-700 rounded'
+            >
+              {text.slice(range[0], range[1])}
+            </mark>
+            {text.slice(range[1])}
+          </>
+        ) : (
+          text
+        )}
       </pre>
     </div>
   )
 }
 
-// Componente Email Viewer
-function EmailViewer({ url, filename, token }) {
-  const [emailData, setEmailData] = useState(null)
+// Componente Email Viewer (.msg / .oft / .eml parseados por el backend)
+function EmailViewer({ blobPath, filename, token }) {
+  const [email, setEmail] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
 
   useEffect(() => {
-    setEmailData({
-      filename: filename,
-      message:
-        'Email file detected. Download to view in Outlook or email client.',
+    setLoading(true)
+    setError(null)
+
+    fetch(`${API_URL}/api/documents/email`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ filename, blobPath }),
     })
-    setLoading(false)
-  }, [url, filename])
+      .then(async (res) => {
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.details || data.error)
+        setEmail(data)
+      })
+      .catch((err) => {
+        console.error('❌ Error loading email:', err)
+        setError(err.message)
+      })
+      .finally(() => setLoading(false))
+  }, [blobPath, filename, token])
+
+  // Los adjuntos pasan por get-url: mismos permisos, enlaces y auditoría
+  const openAttachment = async (attachment, purpose) => {
+    try {
+      const res = await fetch(`${API_URL}/api/documents/get-url`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        // Los adjuntos de Office se abren con la vista previa convertida
+        // (el servidor devuelve 'view' si no hay conversión)
+        body: JSON.stringify({
+          filename,
+          blobPath: email.blobPath,
+          attachment: attachment.index,
+          purpose: purpose === 'view' ? 'preview' : purpose,
+        }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Could not open attachment')
+
+      const url = `${API_URL}${
+        purpose === 'view'
+          ? data.links.preview || data.links.view
+          : data.links[purpose]
+      }`
+      if (purpose === 'download') {
+        const link = window.document.createElement('a')
+        link.href = url
+        link.download = attachment.filename
+        link.click()
+      } else {
+        window.open(url, '_blank')
+      }
+    } catch (err) {
+      console.error('❌ Error opening attachment:', err)
+      setError(err.message)
+    }
+  }
 
   if (loading) {
     return (
@@ -459,22 +630,116 @@ function EmailViewer({ url, filename, token }) {
     )
   }
 
+  if (!email) {
+    return (
+      <div className='p-6'>
+        <div className='bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4'>
+          <p className='text-red-800 dark:text-red-200 font-medium mb-2'>
+            ⚠️ Error loading email
+          </p>
+          <p className='text-red-600 dark:text-red-400 text-sm'>{error}</p>
+          <p className='text-xs text-gray-600 dark:text-gray-400 mt-2'>
+            Try downloading the file instead.
+          </p>
+        </div>
+      </div>
+    )
+  }
+
+  const formatAddresses = (list) =>
+    (list || [])
+      .map((a) =>
+        a.name && a.address ? `${a.name} <${a.address}>` : a.name || a.address
+      )
+      .join(', ')
+
+  const headers = [
+    ['From', formatAddresses(email.from)],
+    ['To', formatAddresses(email.to)],
+    ['Cc', formatAddresses(email.cc)],
+    ['Bcc', formatAddresses(email.bcc)],
+    ['Date', email.date ? new Date(email.date).toLocaleString() : ''],
+  ].filter(([, value]) => value)
+
+  // Las imágenes inline ya van dentro del HTML
+  const attachments = email.attachments.filter((a) => !a.inline || !email.html)
+
   return (
-    <div className='p-6'>
-      <div className='bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-6'>
-        <div className='text-6xl mb-4 text-center'>📧</div>
-        <h3 className='text-lg font-semibold text-blue-900 dark:text-blue-100 mb-2'>
-          Outlook Email Message
+    <div className='h-full flex flex-col bg-white dark:bg-gray-900'>
+      <div className='p-4 border-b border-gray-200 dark:border-gray-700'>
+        <h3 className='text-lg font-semibold text-gray-900 dark:text-white mb-2'>
+          📧 {email.subject || '(no subject)'}
         </h3>
-        <p className='text-blue-700 dark:text-blue-300 text-sm mb-4'>
-          {emailData.message}
-        </p>
-        <div className='bg-white dark:bg-gray-800 rounded p-3 text-sm font-mono text-gray-600 dark:text-gray-400 break-all'>
-          {filename}
-        </div>
-        <p className='text-xs text-blue-600 dark:text-blue-400 mt-4'>
-          💡 Tip: Click "Download" below to open this email in Outlook
-        </p>
+        <dl className='grid grid-cols-[auto,1fr] gap-x-3 gap-y-1 text-sm'>
+          {headers.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt className='font-medium text-gray-500 dark:text-gray-400'>
+                {label}:
+              </dt>
+              <dd className='text-gray-800 dark:text-gray-200 break-words'>
+                {value}
+              </dd>
+            </React.Fragment>
+          ))}
+        </dl>
+
+        {attachments.length > 0 && (
+          <div className='mt-3'>
+            <p className='text-xs font-medium text-gray-500 dark:text-gray-400 mb-1'>
+              📎 {attachments.length} attachment(s)
+            </p>
+            <ul className='space-y-1'>
+              {attachments.map((attachment) => (
+                <li
+                  key={attachment.index}
+                  className='flex items-center gap-2 text-sm bg-gray-50 dark:bg-gray-800 rounded px-2 py-1'
+                >
+                  <span className='flex-1 truncate text-gray-800 dark:text-gray-200'>
+                    {attachment.filename}
+                    <span className='ml-2 text-xs text-gray-500 dark:text-gray-400'>
+                      {Math.max(1, Math.round(attachment.size / 1024))} KB
+                    </span>
+                  </span>
+                  <button
+                    onClick={() => openAttachment(attachment, 'view')}
+                    className='text-xs text-blue-600 dark:text-blue-400 hover:underline'
+                  >
+                    Open
+                  </button>
+                  <button
+                    onClick={() => openAttachment(attachment, 'download')}
+                    className='text-xs text-blue-600 dark:text-blue-400 hover:underline'
+                  >
+                    Download
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {error && (
+          <p className='mt-2 text-xs text-red-600 dark:text-red-400'>
+            ⚠️ {error}
+          </p>
+        )}
+      </div>
+
+      <div className='flex-1 min-h-0'>
+        {email.html ? (
+          // HTML ya saneado en el backend; además aislado en un iframe sin
+          // scripts y con una CSP que bloquea cualquier carga remota
+          <iframe
+            title={email.subject || filename}
+            sandbox='allow-popups allow-popups-to-escape-sandbox'
+            srcDoc={`<!doctype html><html><head><meta charset="utf-8"><meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'"><base target="_blank"></head><body style="font-family: sans-serif; font-size: 14px; margin: 16px;">${email.html}</body></html>`}
+            className='w-full h-full border-0 bg-white'
+          />
+        ) : (
+          <pre className='p-4 whitespace-pre-wrap text-sm font-sans text-gray-800 dark:text-gray-200 h-full overflow-auto'>
+            {email.text || '(empty message)'}
+          </pre>
+        )}
       </div>
     </div>
   )
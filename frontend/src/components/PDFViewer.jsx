@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import { Document, Page, pdfjs } from 'react-pdf'
+import 'react-pdf/dist/Page/AnnotationLayer.css'
+import 'react-pdf/dist/Page/TextLayer.css'
+import workerSrc from 'pdfjs-dist/build/pdf.worker.min.mjs?url'
+import { findPassageRange, findTermRanges } from '../utils/passageSearch'
+import './styles/preview-panel.css'
+
+// Worker de PDF.js servido por la propia app (sin CDN externo)
+pdfjs.GlobalWorkerOptions.workerSrc = workerSrc
+
+// Texto de una página tal como lo numera react-pdf: un item por fragmento,
+// con salto de línea cuando pdf.js marca fin de línea
+function buildPageText(items) {
+  let text = ''
+  const starts = []
+
+  items.forEach((item, index) => {
+    starts[index] = text.length
+    text += (item.str || '') + (item.hasEOL ? '\n' : '')
+  })
+
+  return { text, starts }
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+// HTML de un item del text layer con las partes resaltadas envueltas en <mark>
+function highlightItem(str, itemStart, ranges) {
+  const itemEnd = itemStart + str.length
+  const cuts = ranges
+    .filter((r) => r.start < itemEnd && r.end > itemStart)
+    .map((r) => ({
+      from: Math.max(r.start, itemStart) - itemStart,
+      to: Math.min(r.end, itemEnd) - itemStart,
+      active: r.active,
+    }))
+
+  if (cuts.length === 0) return escapeHtml(str)
+
+  let html = ''
+  let position = 0
+  for (const cut of cuts) {
+    if (cut.from < position) continue
+    html += escapeHtml(str.slice(position, cut.from))
+    html += `<mark class="pdf-highlight${
+      cut.active ? ' pdf-highlight-active' : ''
+    }">${escapeHtml(str.slice(cut.from, cut.to))}</mark>`
+    position = cut.to
+  }
+  return html + escapeHtml(str.slice(position))
+}
+
+/**
+ * Busca el pasaje citado (o, si no aparece, los términos de búsqueda) en
+ * todas las páginas. Devuelve { matches: [{ page, start, end }], pages }
+ */
+async function searchDocument(pdf, chunk, terms, isCancelled) {
+  const pages = {}
+  const passageMatches = []
+  const termMatches = []
+
+  for (let number = 1; number <= pdf.numPages; number++) {
+    if (isCancelled()) return null
+
+    const page = await pdf.getPage(number)
+    const content = await page.getTextContent()
+    const pageText = buildPageText(content.items)
+    pages[number] = pageText
+
+    const range = findPassageRange(pageText.text, chunk)
+    if (range) {
+      passageMatches.push({ page: number, start: range[0], end: range[1] })
+    }
+    for (const [start, end] of findTermRanges(pageText.text, terms)) {
+      termMatches.push({ page: number, start, end })
+    }
+  }
+
+  return {
+    matches: passageMatches.length > 0 ? passageMatches : termMatches,
+    pages,
+  }
+}
+
+// Componente PDF Viewer: páginas renderizadas con react-pdf y el pasaje
+// citado resaltado en el text layer
+export default function PDFViewer({
+  url,
+  filename,
+  chunk,
+  searchTerms,
+  contextSnippets,
+}) {
+  const containerRef = useRef(null)
+  const [width, setWidth] = useState(null)
+  const [pdf, setPdf] = useState(null)
+  const [pageNumber, setPageNumber] = useState(1)
+  const [search, setSearch] = useState({ matches: [], pages: {} })
+  const [activeMatch, setActiveMatch] = useState(0)
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState(null)
+  const [showContext, setShowContext] = useState(true)
+
+  const relevantSnippets =
+    contextSnippets?.filter(
+      (s) =>
+        s.source === filename ||
+        s.source.includes(filename.split('.')[0]) ||
+        filename.includes(s.source.split('.')[0])
+    ) || []
+
+  // Ajustar las páginas al ancho del panel
+  useEffect(() => {
+    if (!containerRef.current) return
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.floor(entry.contentRect.width) - 32)
+    })
+    observer.observe(containerRef.current)
+    return () => observer.disconnect()
+  }, [])
+
+  useEffect(() => {
+    setPdf(null)
+    setError(null)
+    setPageNumber(1)
+    setSearch({ matches: [], pages: {} })
+    setActiveMatch(0)
+  }, [url])
+
+  // Buscar el pasaje citado en cuanto carga el documento
+  useEffect(() => {
+    if (!pdf) return
+    const terms = [
+      ...(searchTerms || []),
+      ...relevantSnippets.map((s) => s.term),
+    ].filter(Boolean)
+    if (!chunk && terms.length === 0) return
+
+    let cancelled = false
+    setSearching(true)
+
+    searchDocument(pdf, chunk, terms, () => cancelled)
+      .then((result) => {
+        if (!result || cancelled) return
+        setSearch(result)
+        setActiveMatch(0)
+        if (result.matches.length > 0) {
+          setPageNumber(result.matches[0].page)
+        }
+      })
+      .catch((err) => console.error('❌ Error searching PDF text:', err))
+      .finally(() => {
+        if (!cancelled) setSearching(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [pdf, chunk])
+
+  const goToMatch = (index) => {
+    const count = search.matches.length
+    if (count === 0) return
+    const next = (index + count) % count
+    setActiveMatch(next)
+    setPageNumber(search.matches[next].page)
+  }
+
+  const textRenderer = useCallback(
+    ({ str, itemIndex }) => {
+      const pageText = search.pages[pageNumber]
+      if (!pageText) return escapeHtml(str)
+
+      const ranges = search.matches
+        .map((match, index) => ({ ...match, active: index === activeMatch }))
+        .filter((match) => match.page === pageNumber)
+
+      return highlightItem(str, pageText.starts[itemIndex], ranges)
+    },
+    [search, pageNumber, activeMatch]
+  )
+
+  // Llevar el resaltado activo a la vista cuando se pinta el text layer
+  const scrollToHighlight = () => {
+    const mark = containerRef.current?.querySelector('.pdf-highlight-active')
+    if (mark) mark.scrollIntoView({ block: 'center' })
+  }
+
+  const numPages = pdf?.numPages || 0
+
+  return (
+    <div className='h-full flex flex-col bg-gray-100 dark:bg-gray-900'>
+      {relevantSnippets.length > 0 && showContext && (
+        <div className='bg-blue-50 dark:bg-blue-900/30 border-b border-blue-200 dark:border-blue-800 p-3 max-h-48 overflow-y-auto'>
+          <div className='flex items-start justify-between mb-2'>
+            <span className='text-sm font-medium text-blue-800 dark:text-blue-200'>
+              📝 Relevant context found in this document:
+            </span>
+            <button
+              onClick={() => setShowContext(false)}
+              className='text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-200'
+            >
+              ✕
+            </button>
+          </div>
+          <div className='space-y-2'>
+            {relevantSnippets.map((snippet, i) => (
+              <div
+                key={i}
+                className='bg-white dark:bg-gray-800 rounded p-2 text-xs'
+              >
+                <p className='text-gray-700 dark:text-gray-300'>
+                  ...{snippet.beforeContext}{' '}
+                  <mark className='bg-yellow-300 dark:bg-yellow-600 px-1 rounded font-semibold'>
+                    {snippet.term}
+                  </mark>{' '}
+                  {snippet.afterContext}...
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {numPages > 0 && (
+        <div className='flex items-center justify-between gap-2 px-3 py-2 border-b border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-xs text-gray-700 dark:text-gray-300'>
+          <div className='flex items-center gap-1'>
+            <button
+              onClick={() => setPageNumber(Math.max(1, pageNumber - 1))}
+              disabled={pageNumber <= 1}
+              className='px-2 py-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-40'
+              title='Previous page'
+            >
+              ◀
+            </button>
+            <span>
+              Page {pageNumber} / {numPages}
+            </span>
+            <button
+              onClick={() => setPageNumber(Math.min(numPages, pageNumber + 1))}
+              disabled={pageNumber >= numPages}
+              className='px-2 py-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-40'
+              title='Next page'
+            >
+              ▶
+            </button>
+          </div>
+
+          <div className='flex items-center gap-1'>
+            {searching ? (
+              <span className='text-gray-500 dark:text-gray-400'>
+                🔍 Searching passage...
+              </span>
+            ) : search.matches.length > 0 ? (
+              <>
+                <span>
+                  📌 Match {activeMatch + 1} / {search.matches.length}
+                </span>
+                <button
+                  onClick={() => goToMatch(activeMatch - 1)}
+                  className='px-2 py-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700'
+                  title='Previous match'
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => goToMatch(activeMatch + 1)}
+                  className='px-2 py-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700'
+                  title='Next match'
+                >
+                  ↓
+                </button>
+              </>
+            ) : (
+              (chunk || searchTerms?.length > 0) && (
+                <span className='text-gray-500 dark:text-gray-400'>
+                  Passage not found in the PDF text
+                </span>
+              )
+            )}
+          </div>
+        </div>
+      )}
+
+      <div ref={containerRef} className='flex-1 overflow-auto p-4'>
+        <Document
+          file={url}
+          onLoadSuccess={(loaded) => {
+            console.log('✅ PDF loaded successfully')
+            setPdf(loaded)
+          }}
+          onLoadError={(err) => {
+            console.error('❌ PDF load error:', err)
+            setError(err.message || 'Failed to load PDF')
+          }}
+          loading={
+            <div className='flex items-center justify-center py-16'>
+              <div className='text-center'>
+                <div className='animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4'></div>
+                <p className='text-gray-600 dark:text-gray-400'>
+                  Loading PDF...
+                </p>
+              </div>
+            </div>
+          }
+          error={
+            <div className='p-4'>
+              <div className='bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4'>
+                <p className='text-red-800 dark:text-red-200 font-medium mb-2'>
+                  ⚠️ Error loading PDF
+                </p>
+                <p className='text-red-600 dark:text-red-400 text-sm'>
+                  {error}
+                </p>
+                <p className='text-xs text-gray-600 dark:text-gray-400 mt-2'>
+                  Try downloading the file instead.
+                </p>
+              </div>
+            </div>
+          }
+        >
+          {pdf && (
+            <Page
+              pageNumber={pageNumber}
+              width={width || undefined}
+              customTextRenderer={textRenderer}
+              onRenderTextLayerSuccess={scrollToHighlight}
+              className='mx-auto shadow-lg'
+            />
+          )}
+        </Document>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,278 @@
+import React, { useState } from 'react'
+import API_URL from '../apiConfig'
+import { FiSearch } from 'react-icons/fi'
+
+const PAGE_SIZE = 20
+
+const TYPE_LABELS = {
+  note: '🗒️ Notes',
+  email: '📧 Emails',
+  pdf: '📕 PDF',
+  office: '📘 Office',
+  other: '📄 Other',
+}
+
+const formatDate = (isoDate) =>
+  isoDate
+    ? new Date(isoDate).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC',
+      })
+    : null
+
+/**
+ * Búsqueda directa en el índice (sin el agente): todos los fragmentos que
+ * mencionan las palabras buscadas, con facetas por caso y tipo de documento,
+ * paginación y resaltado. Los resultados se abren en el panel de preview.
+ */
+export default function SearchView({ token, onOpenResult }) {
+  const [input, setInput] = useState('')
+  const [mode, setMode] = useState('keyword')
+  const [filters, setFilters] = useState({ cases: [], types: [] })
+  const [search, setSearch] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const runSearch = async ({ query, page = 1, nextFilters = filters }) => {
+    if (!query) return
+
+    setLoading(true)
+    setError(null)
+
+    try {
+      const params = new URLSearchParams({
+        q: query,
+        mode,
+        page: String(page),
+        pageSize: String(PAGE_SIZE),
+      })
+      if (nextFilters.cases.length > 0) {
+        params.set('cases', nextFilters.cases.join(','))
+      }
+      if (nextFilters.types.length > 0) {
+        params.set('type', nextFilters.types.join(','))
+      }
+
+      const response = await fetch(`${API_URL}/api/search?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || 'Error searching documents')
+      }
+
+      setSearch(data)
+    } catch (err) {
+      console.error('❌ Search error:', err)
+      setError(
+        err instanceof TypeError ? 'Connection error with server' : err.message
+      )
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const query = input.trim()
+    // Una búsqueda nueva empieza sin filtros de facetas
+    const cleared = { cases: [], types: [] }
+    setFilters(cleared)
+    runSearch({ query, nextFilters: cleared })
+  }
+
+  const toggleFilter = (key, value) => {
+    const current = filters[key]
+    const nextFilters = {
+      ...filters,
+      [key]: current.includes(value)
+        ? current.filter((v) => v !== value)
+        : [...current, value],
+    }
+    setFilters(nextFilters)
+    runSearch({ query: search?.query, nextFilters })
+  }
+
+  const facetGroup = (title, key, values, label = (v) => v) =>
+    values.length > 0 && (
+      <div className='mb-4'>
+        <h3 className='text-xs font-semibold uppercase text-gray-500 dark:text-gray-400 mb-1'>
+          {title}
+        </h3>
+        {values.map((facet) => (
+          <label
+            key={facet.value}
+            className='flex items-center gap-2 py-0.5 text-sm text-gray-800 dark:text-gray-200 cursor-pointer'
+          >
+            <input
+              type='checkbox'
+              checked={filters[key].includes(String(facet.value))}
+              onChange={() => toggleFilter(key, String(facet.value))}
+              disabled={loading}
+            />
+            <span className='flex-1 truncate'>{label(facet.value)}</span>
+            <span className='text-xs text-gray-500 dark:text-gray-400'>
+              {facet.count}
+            </span>
+          </label>
+        ))}
+      </div>
+    )
+
+  return (
+    <div className='flex-1 flex flex-col min-h-0'>
+      <div className='bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 px-6 py-4'>
+        <form
+          onSubmit={handleSubmit}
+          className='max-w-5xl mx-auto flex gap-3 items-center'
+        >
+          <input
+            type='text'
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder='Find every passage that mentions...'
+            className='flex-1 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400'
+          />
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className='px-2 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white'
+            title='Keyword: every chunk containing all the words. Semantic: closest meaning.'
+          >
+            <option value='keyword'>Keyword</option>
+            <option value='semantic'>Semantic</option>
+          </select>
+          <button
+            type='submit'
+            disabled={loading || !input.trim()}
+            className='px-5 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-300 dark:disabled:bg-blue-800 disabled:cursor-not-allowed transition-colors font-medium flex items-center gap-2'
+          >
+            <FiSearch /> Search
+          </button>
+        </form>
+      </div>
+
+      <div className='flex-1 overflow-y-auto bg-gray-50 dark:bg-gray-900 px-6 py-6'>
+        <div className='max-w-5xl mx-auto flex gap-6'>
+          {search && (
+            <aside className='w-48 flex-shrink-0'>
+              {facetGroup('Cases', 'cases', search.facets.cases)}
+              {facetGroup(
+                'Document type',
+                'types',
+                search.facets.documentTypes,
+                (value) => TYPE_LABELS[value] || value
+              )}
+            </aside>
+          )}
+
+          <div className='flex-1 min-w-0'>
+            {error && (
+              <div className='mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-3 text-sm text-red-700 dark:text-red-300'>
+                ⚠️ {error}
+              </div>
+            )}
+
+            {!search && !loading && !error && (
+              <div className='text-center py-12 text-gray-600 dark:text-gray-400'>
+                <div className='text-5xl mb-4'>🔍</div>
+                <p>Search the case documents directly, without the agent.</p>
+              </div>
+            )}
+
+            {search && (
+              <p className='text-sm text-gray-600 dark:text-gray-400 mb-3'>
+                {loading
+                  ? 'Searching...'
+                  : `${search.total} result(s) for "${search.query}"`}
+                {!loading &&
+                  search.searchedQuery &&
+                  search.searchedQuery !== search.query && (
+                    <span className='text-xs text-gray-500 dark:text-gray-400'>
+                      {' '}
+                      · searched as "{search.searchedQuery}"
+                    </span>
+                  )}
+              </p>
+            )}
+
+            <div className='space-y-3'>
+              {search?.results.map((result) => (
+                <button
+                  key={result.id}
+                  type='button'
+                  onClick={() => onOpenResult(result, search.query)}
+                  className='w-full text-left bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 hover:border-blue-500 dark:hover:border-blue-400 hover:shadow-md transition-all p-3'
+                >
+                  <div className='flex items-start justify-between gap-3'>
+                    <span className='font-medium text-sm text-gray-900 dark:text-gray-100 break-words'>
+                      {result.title}
+                    </span>
+                    <span className='flex-shrink-0 text-xs text-gray-500 dark:text-gray-400'>
+                      Case {result.caseNumber}
+                    </span>
+                  </div>
+                  <p className='text-[11px] text-gray-500 dark:text-gray-400 mt-0.5'>
+                    {[
+                      TYPE_LABELS[result.documentType],
+                      formatDate(result.documentDate),
+                    ]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </p>
+                  {result.highlights.map((fragment, i) => (
+                    <p
+                      key={i}
+                      className='text-xs text-gray-700 dark:text-gray-300 mt-1.5'
+                    >
+                      {fragment.map((segment, j) =>
+                        segment.match ? (
+                          <mark
+                            key={j}
+                            className='bg-yellow-200 dark:bg-yellow-600 rounded px-0.5'
+                          >
+                            {segment.text}
+                          </mark>
+                        ) : (
+                          <span key={j}>{segment.text}</span>
+                        )
+                      )}
+                    </p>
+                  ))}
+                </button>
+              ))}
+            </div>
+
+            {search && search.totalPages > 1 && (
+              <div className='flex items-center justify-center gap-3 mt-6 text-sm text-gray-700 dark:text-gray-300'>
+                <button
+                  onClick={() =>
+                    runSearch({ query: search.query, page: search.page - 1 })
+                  }
+                  disabled={loading || search.page <= 1}
+                  className='px-3 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-40'
+                >
+                  ◀ Previous
+                </button>
+                <span>
+                  Page {search.page} / {search.totalPages}
+                </span>
+                <button
+                  onClick={() =>
+                    runSearch({ query: search.query, page: search.page + 1 })
+                  }
+                  disabled={loading || search.page >= search.totalPages}
+                  className='px-3 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-40'
+                >
+                  Next ▶
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
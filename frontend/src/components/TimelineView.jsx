@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react'
+import API_URL from '../apiConfig'
+import { FiArrowLeft, FiFileText, FiRefreshCw } from 'react-icons/fi'
+
+// Cada cuánto se consulta el progreso mientras se construye la cronología
+const POLL_INTERVAL_MS = 3000
+
+const MONTHS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+]
+
+// 'YYYY-MM-DD' / 'YYYY-MM' / 'YYYY' sin pasar por Date (evita desfases de zona)
+const formatEventDate = (date) => {
+  const [year, month, day] = date.split('-')
+  if (!month) return year
+  if (!day) return `${MONTHS[Number(month) - 1]} ${year}`
+  return `${MONTHS[Number(month) - 1]} ${Number(day)}, ${year}`
+}
+
+const request = async (path, token, options = {}) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    },
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(data.error || 'Request failed')
+  return data
+}
+
+/**
+ * Cronología de un caso: hechos fechados que el LLM extrae de las notas y
+ * documentos, agrupados por año. Cada evento abre su documento de origen
+ * en el panel de preview con la cita resaltada.
+ */
+export default function TimelineView({
+  token,
+  caseNumber,
+  onOpenEvent,
+  onClose,
+}) {
+  const [timeline, setTimeline] = useState(null)
+  const [error, setError] = useState(null)
+  const [filter, setFilter] = useState('')
+
+  const path = `/api/cases/${encodeURIComponent(caseNumber)}/timeline`
+  const building = timeline?.status === 'building'
+
+  useEffect(() => {
+    let cancelled = false
+    setTimeline(null)
+    setError(null)
+
+    request(path, token)
+      .then((data) => !cancelled && setTimeline(data))
+      .catch((err) => {
+        console.error('❌ Error loading timeline:', err)
+        if (!cancelled) setError(err.message)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [path, token])
+
+  // Mientras se construye se refresca para mostrar el progreso
+  useEffect(() => {
+    if (!building) return
+
+    const timer = setTimeout(() => {
+      request(path, token)
+        .then(setTimeline)
+        .catch((err) => setError(err.message))
+    }, POLL_INTERVAL_MS)
+
+    return () => clearTimeout(timer)
+  }, [building, timeline, path, token])
+
+  const build = async () => {
+    setError(null)
+    try {
+      setTimeline(
+        await request(path, token, {
+          method: 'POST',
+          body: JSON.stringify({}),
+        })
+      )
+    } catch (err) {
+      console.error('❌ Error building timeline:', err)
+      setError(err.message)
+    }
+  }
+
+  const needle = filter.trim().toLowerCase()
+  const events = (timeline?.events || []).filter(
+    (event) =>
+      !needle ||
+      event.description.toLowerCase().includes(needle) ||
+      event.title.toLowerCase().includes(needle)
+  )
+
+  const years = []
+  for (const event of events) {
+    const year = event.date.slice(0, 4)
+    if (years[years.length - 1]?.year !== year) years.push({ year, events: [] })
+    years[years.length - 1].events.push(event)
+  }
+
+  return (
+    <div className='flex-1 flex flex-col min-h-0'>
+      <div className='bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 px-6 py-4'>
+        <div className='max-w-5xl mx-auto flex flex-wrap gap-3 items-center'>
+          <button
+            onClick={onClose}
+            className='p-2 rounded text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'
+            title='Back'
+          >
+            <FiArrowLeft />
+          </button>
+          <div className='flex-1 min-w-0'>
+            <h2 className='text-lg font-semibold text-gray-900 dark:text-white'>
+              🗓️ Timeline · Case {caseNumber}
+            </h2>
+            {timeline?.builtAt && (
+              <p className='text-xs text-gray-500 dark:text-gray-400'>
+                {timeline.events.length} event(s) from {timeline.documentCount}{' '}
+                document(s) · built{' '}
+                {new Date(timeline.builtAt).toLocaleString()}
+              </p>
+            )}
+          </div>
+          <input
+            type='text'
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder='Filter events...'
+            className='w-56 px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400'
+          />
+          <button
+            onClick={build}
+            disabled={!timeline || building}
+            className='px-4 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-300 dark:disabled:bg-blue-800 disabled:cursor-not-allowed transition-colors flex items-center gap-2'
+            title={
+              timeline?.status === 'ready'
+                ? 'Read the documents added or changed since the last build'
+                : 'Extract the dated events of the case documents'
+            }
+          >
+            <FiRefreshCw className={building ? 'animate-spin' : ''} />
+            {timeline?.status === 'ready' ? 'Update' : 'Build timeline'}
+          </button>
+        </div>
+      </div>
+
+      <div className='flex-1 overflow-y-auto bg-gray-50 dark:bg-gray-900 px-6 py-6'>
+        <div className='max-w-5xl mx-auto'>
+          {error && (
+            <div className='mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-3 text-sm text-red-700 dark:text-red-300'>
+              ⚠️ {error}
+            </div>
+          )}
+
+          {!timeline && !error && (
+            <p className='text-sm text-gray-500 dark:text-gray-400'>
+              Loading timeline...
+            </p>
+          )}
+
+          {building && (
+            <div className='mb-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-3 text-sm text-blue-800 dark:text-blue-200'>
+              Reading documents
+              {timeline.progress?.total > 0 &&
+                ` (${timeline.progress.processed} / ${timeline.progress.total})`}
+              ...
+            </div>
+          )}
+
+          {timeline?.status === 'missing' && (
+            <div className='text-center py-12 text-gray-600 dark:text-gray-400'>
+              <div className='text-5xl mb-4'>🗓️</div>
+              <p>No timeline yet for this case.</p>
+              <p className='text-sm'>
+                Build it to extract the dated events of its notes and documents.
+              </p>
+            </div>
+          )}
+
+          {timeline?.errors?.length > 0 && !building && (
+            <details className='mb-4 text-xs text-amber-700 dark:text-amber-300'>
+              <summary className='cursor-pointer'>
+                ⚠️ {timeline.errors.length} document(s) could not be read
+              </summary>
+              {timeline.errors.map((item, i) => (
+                <p key={i} className='mt-1'>
+                  {item.blobPath || 'Timeline'}: {item.error}
+                </p>
+              ))}
+            </details>
+          )}
+
+          {timeline?.events.length > 0 && events.length === 0 && (
+            <p className='text-sm text-gray-500 dark:text-gray-400'>
+              No events match "{filter}".
+            </p>
+          )}
+
+          {years.map((group) => (
+            <section key={group.year} className='mb-6'>
+              <h3 className='text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2'>
+                {group.year}
+              </h3>
+              <ol className='border-l-2 border-blue-200 dark:border-blue-800 ml-2 space-y-3'>
+                {group.events.map((event) => (
+                  <li key={event.id} className='relative pl-5'>
+                    <span className='absolute -left-[7px] top-1.5 w-3 h-3 rounded-full bg-blue-500' />
+                    <p className='text-xs font-medium text-blue-700 dark:text-blue-300'>
+                      {formatEventDate(event.date)}
+                    </p>
+                    <p className='text-sm text-gray-900 dark:text-gray-100'>
+                      {event.description}
+                    </p>
+                    {event.quote && (
+                      <p className='text-xs italic text-gray-500 dark:text-gray-400 mt-0.5'>
+                        “{event.quote}”
+                      </p>
+                    )}
+                    <button
+                      type='button'
+                      onClick={() => onOpenEvent(event)}
+                      className='mt-1 inline-flex items-center gap-1 text-xs text-blue-600 dark:text-blue-400 hover:underline break-all text-left'
+                      title='Open source document'
+                    >
+                      <FiFileText className='flex-shrink-0' /> {event.title}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react'
+
+export const ANSWER_LANGUAGES = [
+  { value: 'auto', label: '🌐 Auto' },
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Español' },
+]
+
+// Idioma preferido de las respuestas del agente ('auto' = el de la pregunta)
+export function useAnswerLanguage() {
+  const [answerLanguage, setAnswerLanguage] = useState(
+    () => localStorage.getItem('answerLanguage') || 'auto'
+  )
+
+  useEffect(() => {
+    localStorage.setItem('answerLanguage', answerLanguage)
+  }, [answerLanguage])
+
+  return { answerLanguage, setAnswerLanguage }
+}
@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback } from 'react'
+import API_URL from '../apiConfig'
+
+/**
+ * Custom hook para manejar el historial de conversaciones del usuario
+ * @param {string} token - JWT del usuario
+ * @returns {Object} - Lista de conversaciones y acciones sobre ellas
+ */
+export const useConversations = (token) => {
+  const [conversations, setConversations] = useState([])
+  const [loadingConversations, setLoadingConversations] = useState(false)
+
+  const request = useCallback(
+    async (path, options = {}) => {
+      const response = await fetch(`${API_URL}${path}`, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+          ...options.headers,
+        },
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed')
+      }
+      return data
+    },
+    [token]
+  )
+
+  /**
+   * Recarga la lista de conversaciones
+   */
+  const refreshConversations = useCallback(async () => {
+    setLoadingConversations(true)
+    try {
+      const data = await request('/api/conversations')
+      setConversations(data.conversations || [])
+    } catch (error) {
+      console.error('Error loading conversations:', error)
+    } finally {
+      setLoadingConversations(false)
+    }
+  }, [request])
+
+  /**
+   * Obtiene una conversación con todos sus mensajes
+   */
+  const openConversation = useCallback(
+    (id) => request(`/api/conversations/${id}`),
+    [request]
+  )
+
+  /**
+   * Cambia el título de una conversación
+   */
+  const renameConversation = useCallback(
+    async (id, title) => {
+      const updated = await request(`/api/conversations/${id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ title }),
+      })
+      setConversations((prev) =>
+        prev.map((c) => (c.id === id ? { ...c, title: updated.title } : c))
+      )
+      return updated
+    },
+    [request]
+  )
+
+  /**
+   * Elimina una conversación
+   */
+  const deleteConversation = useCallback(
+    async (id) => {
+      await request(`/api/conversations/${id}`, { method: 'DELETE' })
+      setConversations((prev) => prev.filter((c) => c.id !== id))
+    },
+    [request]
+  )
+
+  useEffect(() => {
+    if (token) refreshConversations()
+  }, [token, refreshConversations])
+
+  return {
+    conversations,
+    loadingConversations,
+    refreshConversations,
+    openConversation,
+    renameConversation,
+    deleteConversation,
+  }
+}
@@ -0,0 +1,35 @@
+// Marcadores de cita en el texto del agente: [1], [2]... (no links [1](...))
+const MARKER_PATTERN = /\[(\d+)\](?!\()/g
+
+export const CITATION_HREF_PREFIX = '#cite-'
+
+/**
+ * Convierte los marcadores [n] en links markdown `#cite-n` para que
+ * ReactMarkdown los renderice con el componente de cita
+ */
+export function linkCitationMarkers(content) {
+  return (content || '').replace(
+    MARKER_PATTERN,
+    (_, number) => `[${number}](${CITATION_HREF_PREFIX}${number})`
+  )
+}
+
+/**
+ * Devuelve el número de cita de un href `#cite-n`, o null
+ */
+export function citationNumberFromHref(href) {
+  if (!href || !href.startsWith(CITATION_HREF_PREFIX)) return null
+  const number = Number(href.slice(CITATION_HREF_PREFIX.length))
+  return Number.isInteger(number) ? number : null
+}
+
+/**
+ * Busca la cita con ese número (las citas antiguas no traen `number`)
+ */
+export function findCitation(citations, number) {
+  return (
+    (citations || []).find((c) => c.number === number) ||
+    (citations || []).find((c, i) => c.number === undefined && i + 1 === number) ||
+    null
+  )
+}
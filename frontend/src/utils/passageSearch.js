@@ -0,0 +1,67 @@
+// Búsqueda de un pasaje citado dentro del texto de un documento. El texto
+// indexado y el extraído del visor no coinciden exactamente (espacios,
+// saltos de línea, palabras partidas), así que se busca por palabras.
+
+const ANCHOR_WORDS = 12
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Palabras separadas por cualquier cantidad de espacio (también ninguno:
+// el texto de los PDF a veces pega palabras que en pantalla van separadas)
+function wordsPattern(words, flags = 'i') {
+  if (words.length === 0) return null
+  return new RegExp(words.map(escapeRegExp).join('\\s*'), flags)
+}
+
+function splitWords(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean)
+}
+
+/**
+ * Ubica el pasaje dentro del texto: [start, end] o null
+ * El inicio se ancla con las primeras palabras y el final con las últimas
+ */
+export function findPassageRange(text, passage) {
+  if (!text || !passage) return null
+
+  const exact = text.indexOf(passage)
+  if (exact !== -1) return [exact, exact + passage.length]
+
+  const words = splitWords(passage)
+  const head = wordsPattern(words.slice(0, ANCHOR_WORDS))
+  const startMatch = head && head.exec(text)
+  if (!startMatch) return null
+
+  const start = startMatch.index
+  let end = Math.min(text.length, start + passage.length)
+
+  if (words.length > ANCHOR_WORDS) {
+    const tail = wordsPattern(words.slice(-ANCHOR_WORDS))
+    const rest = text.slice(start, start + passage.length * 2)
+    const endMatch = tail && tail.exec(rest)
+    if (endMatch) end = start + endMatch.index + endMatch[0].length
+  }
+
+  return [start, end]
+}
+
+/**
+ * Todas las apariciones de los términos buscados: [[start, end], ...]
+ */
+export function findTermRanges(text, terms) {
+  const ranges = []
+
+  for (const term of terms || []) {
+    // Términos muy cortos marcarían medio documento
+    if (String(term).trim().length < 3) continue
+    const pattern = wordsPattern(splitWords(term), 'gi')
+    if (!pattern) continue
+    for (const match of text.matchAll(pattern)) {
+      if (match[0]) ranges.push([match.index, match.index + match[0].length])
+    }
+  }
+
+  return ranges.sort((a, b) => a[0] - b[0])
+}
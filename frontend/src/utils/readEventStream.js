@@ -0,0 +1,54 @@
+/**
+ * Lee una respuesta Server-Sent Events de fetch() y llama onEvent por cada evento
+ * @param {Response} response - Respuesta de fetch con body en streaming
+ * @param {Function} onEvent - Callback (event, data) por cada evento recibido
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  const dispatch = (rawEvent) => {
+    let event = 'message'
+    const dataLines = []
+
+    for (const line of rawEvent.split('\n')) {
+      // Comentarios (heartbeats) empiezan con ':'
+      if (!line || line.startsWith(':')) continue
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim()
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart())
+      }
+    }
+
+    if (dataLines.length === 0) return
+
+    const rawData = dataLines.join('\n')
+    let data
+    try {
+      data = JSON.parse(rawData)
+    } catch {
+      data = rawData
+    }
+    onEvent(event, data)
+  }
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n')
+
+    let boundary = buffer.indexOf('\n\n')
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary))
+      buffer = buffer.slice(boundary + 2)
+      boundary = buffer.indexOf('\n\n')
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer)
+  }
+}